@@ -0,0 +1,64 @@
+// Stable action ids.
+// Interactive replies (reply buttons, list rows, template quick replies) carry one of these ids,
+// so flows route on the id instead of on the button title. Typed text is matched against
+// keywords as a fallback for clients that don't render interactive messages.
+export const ACTIONS = {
+  CONFIRM: 'confirm',
+  EDIT: 'edit',
+  ACCOUNT_INDIVIDUAL: 'account_individual',
+  ACCOUNT_BUSINESS: 'account_business',
+  MAIN_MENU: 'main_menu',
+  SEND_MONEY: 'send_money',
+  COLLECT_MONEY: 'collect_money',
+  LIVE_RATES: 'live_rates',
+  FIAT_TO_CRYPTO: 'fiat_to_crypto',
+  REGISTER: 'register',
+  MY_ACCOUNTS: 'my_accounts',
+  HELP: 'help',
+  RESEND_CODE: 'resend_code',
+  USE_SUGGESTION: 'use_suggestion',
+  START_KYC: 'start_kyc',
+  SKIP: 'skip'
+};
+
+// Reply buttons shown under every confirmation summary
+export const CONFIRM_EDIT_BUTTONS = [
+  { id: ACTIONS.CONFIRM, title: '✅ Confirm' },
+  { id: ACTIONS.EDIT, title: '✏️ Edit' }
+];
+
+// Typed-text fallback for each action.
+// `exact` must match the whole (trimmed, lowercased) message, `contains` may appear anywhere in it.
+const ACTION_KEYWORDS = {
+  [ACTIONS.CONFIRM]: { exact: ['confirm', 'yes', 'y'] },
+  [ACTIONS.EDIT]: { exact: ['edit'] },
+  [ACTIONS.ACCOUNT_INDIVIDUAL]: { contains: ['individual', 'personal', 'person'] },
+  [ACTIONS.ACCOUNT_BUSINESS]: { contains: ['business', 'company', 'corporate'] },
+  [ACTIONS.MAIN_MENU]: { exact: ['menu', 'main menu'] },
+  [ACTIONS.RESEND_CODE]: { exact: ['resend', 'resend code', 'send again', 'new code'] },
+  [ACTIONS.USE_SUGGESTION]: { exact: ['yes', 'y', 'ok', 'okay', 'use it', 'use this', 'use suggestion'] },
+  [ACTIONS.SKIP]: { exact: ['skip', 'no back', 'no back side', 'none'] }
+};
+
+// Match typed text against the keywords of one action
+function matchesActionKeywords(action, lowerInput) {
+  const keywords = ACTION_KEYWORDS[action];
+  if (!keywords) {
+    return false;
+  }
+
+  return (keywords.exact || []).includes(lowerInput) ||
+    (keywords.contains || []).some(keyword => lowerInput.includes(keyword));
+}
+
+// Resolve the action a user picked among `allowedActions`.
+// An interactive reply's id wins; otherwise typed text is matched against the keywords.
+// Returns null when nothing matches.
+export function resolveAction(actionId, userInput, allowedActions) {
+  if (actionId) {
+    return allowedActions.includes(actionId) ? actionId : null;
+  }
+
+  const lowerInput = (userInput || '').toLowerCase().trim();
+  return allowedActions.find(action => matchesActionKeywords(action, lowerInput)) || null;
+}
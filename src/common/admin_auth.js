@@ -0,0 +1,45 @@
+import crypto from 'crypto';
+import { logger } from '../utils/logger_utils.js';
+
+// Read the admin key from the request (x-admin-key header or Bearer token)
+function getRequestAdminKey(req) {
+  const headerKey = req.get('x-admin-key');
+  if (headerKey) {
+    return headerKey;
+  }
+
+  const authorization = req.get('authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length);
+  }
+
+  return null;
+}
+
+// Express middleware protecting admin endpoints with ADMIN_API_KEY
+export function requireAdminAuth(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!adminKey) {
+    logger.error(`Admin endpoint ${req.method} ${req.path} called but ADMIN_API_KEY is not configured`);
+    return res.status(503).json({
+      error: 'Admin API is not configured',
+      details: 'Set ADMIN_API_KEY in .env to enable admin endpoints'
+    });
+  }
+
+  const providedKey = getRequestAdminKey(req);
+  const expected = Buffer.from(adminKey);
+  const received = Buffer.from(providedKey || '');
+
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    logger.warn(`Unauthorized admin request: ${req.method} ${req.path}`, {
+      audit: 'admin_auth_rejected',
+      ip: req.ip,
+      hasKey: !!providedKey
+    });
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+}
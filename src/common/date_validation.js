@@ -0,0 +1,107 @@
+import { logger } from '../utils/logger_utils.js';
+import { parseDate, formatDate, getToday, compareDates, calculateAge } from '../utils/date_utils.js';
+import { findCountry } from '../utils/country_data.js';
+
+// Date rules of the registration flows: dates of birth (individuals) and incorporation dates
+// (businesses). Dates are parsed strictly and normalized to DD-MM-YYYY. The minimum age can be set
+// per country; until the country is known (it is asked after the date of birth) the lowest
+// configured minimum applies, and the date is checked again against the country before submitting.
+
+// Parse "KR:19,AE:21" into { KR: 19, AE: 21 }
+function parseMinimumAges(value) {
+  const ages = {};
+  for (const entry of (value || '').split(',').map(part => part.trim()).filter(Boolean)) {
+    const [code, age] = entry.split(':').map(part => part.trim());
+    const country = findCountry(code);
+    if (!country || !(parseInt(age) > 0)) {
+      logger.warn(`Ignoring invalid MINIMUM_AGE_BY_COUNTRY entry: ${entry}`);
+      continue;
+    }
+    ages[country.alpha2] = parseInt(age);
+  }
+  return ages;
+}
+
+export const DATE_RULES_CONFIG = {
+  defaultMinimumAge: parseInt(process.env.MINIMUM_AGE) || 18, // Individuals, unless set for their country
+  minimumAgeByCountry: parseMinimumAges(process.env.MINIMUM_AGE_BY_COUNTRY), // e.g. "KR:19,AE:21"
+  maximumAge: 120, // Older dates of birth are typos
+  earliestIncorporationYear: 1900
+};
+
+const DATE_FORMAT_HINT = 'DD-MM-YYYY (e.g., 15-03-1990), or e.g. 15 March 1990';
+
+// Minimum age of an individual in a country; without a country the lowest configured minimum
+export function getMinimumAge(country = null) {
+  const { defaultMinimumAge, minimumAgeByCountry } = DATE_RULES_CONFIG;
+  const entered = country ? findCountry(country) : null;
+  if (entered) {
+    return minimumAgeByCountry[entered.alpha2] ?? defaultMinimumAge;
+  }
+  return Math.min(defaultMinimumAge, ...Object.values(minimumAgeByCountry));
+}
+
+// Result for input that couldn't be read as a date; `unrecognizedFormat` lets the caller try the LLM fallback
+function invalidDate(error, label) {
+  if (error === 'calendar') {
+    return { valid: false, message: `That ${label} doesn't exist in the calendar. Please check the day and month.` };
+  }
+  if (error === 'year') {
+    return { valid: false, message: `Please enter the year of the ${label} with four digits, e.g. 15-03-1990` };
+  }
+  return { valid: false, message: `Please enter the ${label} as ${DATE_FORMAT_HINT}`, unrecognizedFormat: true };
+}
+
+// Any real calendar date
+export function validateCalendarDate(input) {
+  const { date, error } = parseDate(input);
+  if (!date) {
+    return invalidDate(error, 'date');
+  }
+  return { valid: true, message: 'Date is valid', value: formatDate(date) };
+}
+
+// Date of birth of an individual: a real date in the past, within the country's age limits
+export function validateBirthDate(input, country = null) {
+  const { date, error } = parseDate(input);
+  if (!date) {
+    return invalidDate(error, 'date of birth');
+  }
+
+  if (compareDates(date, getToday()) > 0) {
+    return { valid: false, message: 'Date of birth cannot be in the future' };
+  }
+
+  const age = calculateAge(date);
+  if (age > DATE_RULES_CONFIG.maximumAge) {
+    return { valid: false, message: 'Please enter a valid date of birth' };
+  }
+
+  const minimumAge = getMinimumAge(country);
+  if (age < minimumAge) {
+    const entered = country ? findCountry(country) : null;
+    return {
+      valid: false,
+      message: `You must be at least ${minimumAge} years old to open an account${entered ? ` in ${entered.name}` : ''}`
+    };
+  }
+
+  return { valid: true, message: 'Date of birth is valid', value: formatDate(date) };
+}
+
+// Incorporation date of a business: a real date, not in the future
+export function validateIncorporationDate(input) {
+  const { date, error } = parseDate(input);
+  if (!date) {
+    return invalidDate(error, 'incorporation date');
+  }
+
+  if (compareDates(date, getToday()) > 0) {
+    return { valid: false, message: 'Incorporation date cannot be in the future' };
+  }
+  if (date.year < DATE_RULES_CONFIG.earliestIncorporationYear) {
+    return { valid: false, message: `Please enter a valid incorporation date (from ${DATE_RULES_CONFIG.earliestIncorporationYear} onwards)` };
+  }
+
+  return { valid: true, message: 'Incorporation date is valid', value: formatDate(date) };
+}
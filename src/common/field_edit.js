@@ -0,0 +1,204 @@
+import { logger } from '../utils/logger_utils.js';
+import { ACTIONS } from './actions.js';
+import { listMessage, truncateToLimit, INTERACTIVE_LIMITS } from '../services/interactive_messages.js';
+import { escapeUserValue } from '../utils/whatsapp_format.js';
+import { isBackRequest } from './registration_steps.js';
+import { setPrefilled } from './registration_prefill.js';
+
+// Editing one field from a confirmation summary.
+// Works for any flow that collects `steps` ({ field, question, label? }) into flat values: the user
+// picks a field from a list ("Edit" button), or types "edit email" / "change city to Pune"; only
+// that field is re-asked and re-validated, then the summary is shown again. The field being edited
+// is kept in state.editingField.
+
+// List row ids of the field picker
+const EDIT_FIELD_PREFIX = 'edit_field:';
+const EDIT_MORE_ID = `${EDIT_FIELD_PREFIX}__more`;
+const START_OVER_ID = `${EDIT_FIELD_PREFIX}__start_over`;
+
+// Fields per picker page when a "More fields" row is needed
+const PICKER_PAGE_SIZE = INTERACTIVE_LIMITS.maxRows - 1;
+
+const EDIT_COMMAND_PATTERN = /^(?:edit|change|update|correct|fix)(?:\s+(?:my|the))?(?:\s+(.+?))?(?:\s+(?:to|=)\s+(.+))?$/is;
+
+// Validation types re-checked before submitting: the country and the answers checked against it
+const COUNTRY_VALIDATIONS = ['countryCode', 'country', 'dob', 'phone', 'postalCode', 'postal_code', 'state'];
+
+// Short name of a field, e.g. "Date of Birth" for "Date of Birth (DD-MM-YYYY):"
+export function getFieldLabel(step) {
+  return step.label || step.question.replace(/\(.*?\)/g, '').replace(/:\s*$/, '').trim();
+}
+
+// Find the steps a typed field name refers to (exact label or field name first, then partial matches)
+export function findFieldSteps(steps, fieldText) {
+  const wanted = fieldText.toLowerCase().replace(/[^a-z0-9/ ]/g, ' ').replace(/\s+/g, ' ').trim();
+  if (!wanted) {
+    return [];
+  }
+
+  const exact = steps.filter(step => getFieldLabel(step).toLowerCase() === wanted ||
+    step.field.toLowerCase() === wanted.replace(/ /g, '') ||
+    (step.aliases || []).includes(wanted));
+  if (exact.length > 0) {
+    return exact;
+  }
+
+  return steps.filter(step => getFieldLabel(step).toLowerCase().split(/[\s/]+/).includes(wanted) ||
+    getFieldLabel(step).toLowerCase().includes(wanted));
+}
+
+// List message for picking the field to edit; flows with many fields get a second page
+export function buildFieldPicker(steps, values, page = 0, intro = '✏️ **Which detail do you want to change?**') {
+  const needsPages = steps.length + 1 > INTERACTIVE_LIMITS.maxRows;
+  const pageSteps = needsPages
+    ? steps.slice(page * PICKER_PAGE_SIZE, (page + 1) * PICKER_PAGE_SIZE)
+    : steps;
+  const isLastPage = !needsPages || (page + 1) * PICKER_PAGE_SIZE >= steps.length;
+
+  const rows = pageSteps.map(step => ({
+    id: `${EDIT_FIELD_PREFIX}${step.field}`,
+    title: truncateToLimit(getFieldLabel(step), INTERACTIVE_LIMITS.rowTitle),
+    description: values[step.field] !== undefined ? truncateToLimit(values[step.field], INTERACTIVE_LIMITS.rowDescription) : undefined
+  }));
+  rows.push(isLastPage
+    ? { id: START_OVER_ID, title: '🔄 Start over', description: 'Clear everything and enter all details again' }
+    : { id: EDIT_MORE_ID, title: '➡️ More fields', description: 'Show the remaining fields' });
+
+  return listMessage(
+    `${intro}\n\nYou can also type it, e.g. "change ${getFieldLabel(steps[0]).toLowerCase()} to ...".`,
+    'Choose field',
+    [{ title: 'Fields', rows }]
+  );
+}
+
+// Question for the field being edited
+function askEditField(step, values) {
+  const current = values[step.field] !== undefined ? `\nCurrent value: ${escapeUserValue(values[step.field])}` : '';
+  return `✏️ **Editing ${getFieldLabel(step)}**\n${step.question}${current}\n\nSend the new value, or type 'back' to keep it.`;
+}
+
+// While a field awaits its new value, only "change <field> to <value>" naming a known field is a
+// command; anything else (e.g. "Update Road" or "Fix Ltd") is the value itself
+function isExplicitEditCommand(steps, text) {
+  const command = EDIT_COMMAND_PATTERN.exec(text);
+  return Boolean(command && command[1] && command[2] && findFieldSteps(steps, command[1]).length === 1);
+}
+
+// Validate and store a new value; returns the response when it was rejected
+async function applyFieldValue(step, value, values, state, validate) {
+  const validation = await validate(value, step);
+  if (!validation.valid) {
+    state.editingField = step.field;
+    return { response: `❌ ${validation.message}\n\n${askEditField(step, values)}` };
+  }
+
+  values[step.field] = validation.value ?? value;
+  setPrefilled(state, step.field, false);
+  delete state.editingField;
+  logger.info(`Field ${step.field} edited for ${state.whatsappNumber}`);
+  return { showSummary: true };
+}
+
+// Handle a message at the confirmation step that edits a field.
+// `values` are the flow's answers keyed by field (changed in place); `validate(value, step)` returns
+// { valid, message, value? }, where `value` is the canonical form to store. Returns null when the message
+// is not about editing, otherwise one of { response } (ask the user something), { showSummary: true }
+// (values changed or edit cancelled) or { startOver: true }. `state.editingField` is updated; the
+// caller saves the state.
+export async function processFieldEdit({ steps, state, values, userInput, actionId, validate }) {
+  const text = (userInput || '').trim();
+
+  // A picked list row
+  if (actionId && actionId.startsWith(EDIT_FIELD_PREFIX)) {
+    if (actionId === EDIT_MORE_ID) {
+      return { response: buildFieldPicker(steps, values, 1) };
+    }
+    if (actionId === START_OVER_ID) {
+      delete state.editingField;
+      return { startOver: true };
+    }
+
+    const step = steps.find(candidate => `${EDIT_FIELD_PREFIX}${candidate.field}` === actionId);
+    if (!step) {
+      return { response: buildFieldPicker(steps, values) };
+    }
+    state.editingField = step.field;
+    return { response: askEditField(step, values) };
+  }
+
+  if (actionId === ACTIONS.EDIT) {
+    delete state.editingField;
+    return { response: buildFieldPicker(steps, values) };
+  }
+
+  // The new value of the field being edited
+  if (state.editingField && !actionId) {
+    if (isBackRequest(text)) {
+      delete state.editingField;
+      return { showSummary: true };
+    }
+    const step = steps.find(candidate => candidate.field === state.editingField);
+    if (step && !isExplicitEditCommand(steps, text)) {
+      return await applyFieldValue(step, text, values, state, validate);
+    }
+  }
+
+  const command = actionId ? null : EDIT_COMMAND_PATTERN.exec(text);
+  if (!command) {
+    return null;
+  }
+
+  const [, fieldText, newValue] = command;
+  if (!fieldText) {
+    delete state.editingField;
+    return { response: buildFieldPicker(steps, values) };
+  }
+
+  const matches = findFieldSteps(steps, fieldText);
+  if (matches.length !== 1) {
+    const intro = matches.length > 1
+      ? `✏️ "${escapeUserValue(fieldText)}" matches more than one detail. Which one do you want to change?`
+      : `✏️ I couldn't find a detail called "${escapeUserValue(fieldText)}". Which one do you want to change?`;
+    return { response: buildFieldPicker(matches.length > 1 ? matches : steps, values, 0, intro) };
+  }
+
+  const [step] = matches;
+  if (newValue && newValue.trim()) {
+    return await applyFieldValue(step, newValue.trim(), values, state, validate);
+  }
+
+  state.editingField = step.field;
+  return { response: askEditField(step, values) };
+}
+
+// Re-validate the country and the answers checked against it (date of birth, phone, postal code,
+// state) before they are submitted: the country may have been entered or edited after them.
+// Canonical values are written to `values`.
+// Returns null when they all match, otherwise a field picker listing the ones to correct.
+export async function recheckCountryFields(steps, values, validate) {
+  const mismatches = [];
+
+  for (const step of steps.filter(candidate => COUNTRY_VALIDATIONS.includes(candidate.validation))) {
+    if (values[step.field] === undefined) {
+      continue;
+    }
+    const validation = await validate(String(values[step.field]), step);
+    if (validation.valid) {
+      values[step.field] = validation.value ?? values[step.field];
+    } else {
+      mismatches.push({ step, message: validation.message });
+    }
+  }
+
+  if (mismatches.length === 0) {
+    return null;
+  }
+  logger.info(`Fields not matching country ${values.country}: ${mismatches.map(({ step }) => step.field).join(', ')}`);
+  const details = mismatches.map(({ step, message }) => `• **${getFieldLabel(step)}:** ${message}`).join('\n');
+  return buildFieldPicker(
+    mismatches.map(({ step }) => step),
+    values,
+    0,
+    `❌ **Some details don't match the country (${escapeUserValue(values.country)})**\n\n${details}\n\nPick one to correct it.`
+  );
+}
@@ -1,19 +1,13 @@
 import { logger } from '../utils/logger_utils.js';
+import { getFlowState, setFlowState } from '../services/conversation_session.js';
 
 // Redis key prefixes
-export const REDIS_KEY_PREFIX = 'user_creation';
-export const BUSINESS_REDIS_KEY_PREFIX = 'business_user_creation';
 export const USER_DATA_PREFIX = 'user_data';
 
-// Generate Redis key for a specific WhatsApp user
-export function getUserCreationKey(whatsappNumber) {
-  return `${REDIS_KEY_PREFIX}:${whatsappNumber}`;
-}
-
-// Generate Redis key for a specific business WhatsApp user
-export function getBusinessUserCreationKey(whatsappNumber) {
-  return `${BUSINESS_REDIS_KEY_PREFIX}:${whatsappNumber}`;
-}
+// Session flow names of the registration flows (state lives in the conversation session)
+export const USER_REGISTRATION_SESSION_FLOW = 'user_registration';
+export const BUSINESS_REGISTRATION_SESSION_FLOW = 'business_user_registration';
+const REGISTRATION_SESSION_TTL = 3600; // 1 hour
 
 // Generate Redis key for user data by email
 export function getUserDataKey(email) {
@@ -64,6 +58,26 @@ export async function getUserData(redisClient, email) {
   }
 }
 
+// Merge changes into stored user data, keeping createdAt; returns the updated data, or null when there is none
+export async function updateUserData(redisClient, email, changes) {
+  try {
+    const key = getUserDataKey(email);
+    const userData = await redisClient.get(key);
+    if (!userData) {
+      logger.warn(`No user data to update for email: ${email}`);
+      return null;
+    }
+
+    const updatedData = { ...JSON.parse(userData), ...changes };
+    await redisClient.setEx(key, 31536000, JSON.stringify(updatedData));
+    logger.info(`User data updated for email: ${email} (${Object.keys(changes).join(', ')})`);
+    return updatedData;
+  } catch (error) {
+    logger.error(`Error updating user data for ${email}:`, error);
+    return null;
+  }
+}
+
 // Check if user exists by email
 export async function userExists(redisClient, email) {
   try {
@@ -92,27 +106,19 @@ export async function getUserFullName(redisClient, email) {
 }
 
 // Generic state management functions
-export async function getCreationState(redisClient, whatsappNumber, keyGenerator) {
+export async function getCreationState(redisClient, whatsappNumber, flow) {
   try {
-    const key = keyGenerator(whatsappNumber);
-    const state = await redisClient.get(key);
-    return state ? JSON.parse(state) : null;
+    return await getFlowState(redisClient, whatsappNumber, flow);
   } catch (error) {
     logger.error(`Error getting creation state for ${whatsappNumber}:`, error);
     return null;
   }
 }
 
-export async function setCreationState(redisClient, whatsappNumber, state, keyGenerator) {
+export async function setCreationState(redisClient, whatsappNumber, state, flow) {
   try {
-    const key = keyGenerator(whatsappNumber);
-    if (state === null) {
-      // Clear the state
-      await redisClient.del(key);
-    } else {
-      // Set state with 1 hour expiration
-      await redisClient.setEx(key, 3600, JSON.stringify(state));
-    }
+    // null ends the flow
+    await setFlowState(redisClient, whatsappNumber, flow, state, REGISTRATION_SESSION_TTL);
     return true;
   } catch (error) {
     logger.error(`Error setting creation state for ${whatsappNumber}:`, error);
@@ -122,18 +128,18 @@ export async function setCreationState(redisClient, whatsappNumber, state, keyGe
 
 // Individual user state management
 export async function getUserCreationState(redisClient, whatsappNumber) {
-  return getCreationState(redisClient, whatsappNumber, getUserCreationKey);
+  return getCreationState(redisClient, whatsappNumber, USER_REGISTRATION_SESSION_FLOW);
 }
 
 export async function setUserCreationState(redisClient, whatsappNumber, state) {
-  return setCreationState(redisClient, whatsappNumber, state, getUserCreationKey);
+  return setCreationState(redisClient, whatsappNumber, state, USER_REGISTRATION_SESSION_FLOW);
 }
 
 // Business user state management
 export async function getBusinessUserCreationState(redisClient, whatsappNumber) {
-  return getCreationState(redisClient, whatsappNumber, getBusinessUserCreationKey);
+  return getCreationState(redisClient, whatsappNumber, BUSINESS_REGISTRATION_SESSION_FLOW);
 }
 
 export async function setBusinessUserCreationState(redisClient, whatsappNumber, state) {
-  return setCreationState(redisClient, whatsappNumber, state, getBusinessUserCreationKey);
+  return setCreationState(redisClient, whatsappNumber, state, BUSINESS_REGISTRATION_SESSION_FLOW);
 }
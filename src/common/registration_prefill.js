@@ -0,0 +1,127 @@
+import { logger } from '../utils/logger_utils.js';
+import { parseInternationalNumber } from '../utils/phone_utils.js';
+import { escapeUserValue } from '../utils/whatsapp_format.js';
+import { ACTIONS, resolveAction } from './actions.js';
+import { validateUserInput } from './validation.js';
+import { replyButtons } from '../services/interactive_messages.js';
+
+// Registration defaults from the sender's WhatsApp profile.
+// Steps with a `prefill` key ('firstName', 'lastName', 'phone', 'country') are offered a value taken
+// from the profile name (contacts[0].profile.name) or the sender number (wa_id, normalized to E.164).
+// A suggestion is only saved when the user accepts it; accepted fields are kept in
+// state.prefilledFields so the confirmation summary can mark them.
+
+// Typed into a bulk paste line to use the suggested value
+const BULK_SUGGESTION_MARKER = '-';
+
+// Marker shown after prefilled values in a confirmation summary
+const PREFILLED_MARKER = '__(from WhatsApp)__';
+
+const SUGGESTION_BUTTONS = [
+  { id: ACTIONS.USE_SUGGESTION, title: '✅ Use suggestion' }
+];
+
+// A profile name part that looks like a name (no emoji, digits or symbols)
+const NAME_PART_PATTERN = /^\p{L}[\p{L}\p{M}'’.-]*$/u;
+
+// Values derived from the profile, by prefill key
+function getProfileDefaults({ whatsappNumber, profileName }) {
+  const defaults = {};
+
+  const nameParts = (profileName || '').trim().split(/\s+/).filter(part => NAME_PART_PATTERN.test(part));
+  if (nameParts.length > 0) {
+    defaults.firstName = nameParts[0];
+  }
+  if (nameParts.length > 1) {
+    defaults.lastName = nameParts.slice(1).join(' ');
+  }
+
+  const number = parseInternationalNumber(whatsappNumber);
+  if (number) {
+    defaults.phone = number.e164;
+    defaults.country = number.country;
+  }
+  return defaults;
+}
+
+// Suggested values for the steps of `flow`, keyed by field; values that fail the step's validation are dropped
+export async function buildRegistrationSuggestions(flow, profile) {
+  const defaults = getProfileDefaults(profile);
+  const suggestions = {};
+
+  for (const step of flow.steps.filter(candidate => candidate.prefill && defaults[candidate.prefill])) {
+    const value = defaults[step.prefill];
+    const validation = await validateUserInput(value, step.validation, { country: defaults.country });
+    if (validation.valid) {
+      suggestions[step.field] = value;
+    } else {
+      logger.info(`Profile value for ${step.field} not suggested: ${validation.message}`);
+    }
+  }
+  return suggestions;
+}
+
+// Suggested value of a field, or undefined
+export function getSuggestion(state, field) {
+  return state.suggestions ? state.suggestions[field] : undefined;
+}
+
+// Check whether a reply accepts the suggestion ("Use suggestion" button, or "yes" / "ok")
+export function isSuggestionAccepted(userInput, actionId = null) {
+  return resolveAction(actionId, userInput, [ACTIONS.USE_SUGGESTION]) === ACTIONS.USE_SUGGESTION;
+}
+
+// Record whether a field's saved value is an accepted suggestion
+export function setPrefilled(state, field, prefilled) {
+  const fields = (state.prefilledFields || []).filter(candidate => candidate !== field);
+  state.prefilledFields = prefilled ? [...fields, field] : fields;
+}
+
+// Line under a question offering the suggestion; empty when the field has none (or already has that value)
+export function describeSuggestion(state, field) {
+  const suggestion = getSuggestion(state, field);
+  if (suggestion === undefined || state.collectedData[field] === suggestion) {
+    return '';
+  }
+  return `\n💡 From your WhatsApp profile: ${escapeUserValue(suggestion)}\nTap *Use suggestion* (or type 'yes') to use it, or send a different value.`;
+}
+
+// Add the "Use suggestion" button to a question about the state's current field when it has a suggestion
+export function offerSuggestion(flow, state, response) {
+  const step = flow.steps[state.currentStep];
+  if (!step || !describeSuggestion(state, step.field)) {
+    return response;
+  }
+  return replyButtons(response, SUGGESTION_BUTTONS);
+}
+
+// Value of a bulk paste line: "-" takes the suggestion. Returns { value, prefilled }.
+export function resolveBulkValue(state, field, line) {
+  const suggestion = getSuggestion(state, field);
+  if (line === BULK_SUGGESTION_MARKER && suggestion !== undefined) {
+    return { value: suggestion, prefilled: true };
+  }
+  return { value: line, prefilled: false };
+}
+
+// Note listing the suggestions for the bulk format; empty when there are none
+export function buildBulkSuggestionNote(flow, state) {
+  const lines = flow.steps
+    .filter(step => getSuggestion(state, step.field) !== undefined)
+    .map(step => `• ${step.question} ${escapeUserValue(getSuggestion(state, step.field))}`);
+  if (lines.length === 0) {
+    return '';
+  }
+  return `\n\n💡 **From your WhatsApp profile:**\n${lines.join('\n')}\nPut a single \`${BULK_SUGGESTION_MARKER}\` on those lines to use these values.`;
+}
+
+// Summary value, marked when it was prefilled
+export function formatSummaryValue(state, field, value) {
+  const prefilled = (state.prefilledFields || []).includes(field);
+  return prefilled ? `${escapeUserValue(value)} ${PREFILLED_MARKER}` : escapeUserValue(value);
+}
+
+// Summary footnote explaining the marker; empty when nothing was prefilled
+export function buildPrefilledNote(state) {
+  return (state.prefilledFields || []).length > 0 ? `${PREFILLED_MARKER} marks details taken from your WhatsApp profile.\n\n` : '';
+}
@@ -0,0 +1,184 @@
+import { logger } from '../utils/logger_utils.js';
+import { validateUserInput } from './validation.js';
+import { escapeUserValue } from '../utils/whatsapp_format.js';
+import { getSuggestion, isSuggestionAccepted, setPrefilled, describeSuggestion, offerSuggestion } from './registration_prefill.js';
+
+// Step-by-step registration.
+// In step mode each field of a registration flow is asked on its own, validated as soon as it is
+// answered and re-asked on error; "back" returns to the previous field. Pasting all fields at once
+// as "Field: value" lines still works at any point. Bulk mode only accepts the pasted format, where
+// the labels are optional (values one per line, in order).
+
+export const REGISTRATION_INPUT_MODES = {
+  STEP: 'step',
+  BULK: 'bulk'
+};
+
+const BACK_KEYWORDS = ['back', 'previous'];
+
+// "Field: value" line of a pasted form, e.g. "City: Pune"
+const LABELLED_LINE_PATTERN = /^([^:]+):(.*)$/;
+
+// Input mode for this deployment (REGISTRATION_INPUT_MODE=step|bulk, default step)
+export function getRegistrationInputMode() {
+  const mode = (process.env.REGISTRATION_INPUT_MODE || REGISTRATION_INPUT_MODES.STEP).toLowerCase();
+  if (!Object.values(REGISTRATION_INPUT_MODES).includes(mode)) {
+    logger.warn(`Unknown REGISTRATION_INPUT_MODE "${mode}", using ${REGISTRATION_INPUT_MODES.STEP}`);
+    return REGISTRATION_INPUT_MODES.STEP;
+  }
+  return mode;
+}
+
+// Check whether a message asks for the previous field
+export function isBackRequest(userInput) {
+  return BACK_KEYWORDS.includes((userInput || '').toLowerCase().trim());
+}
+
+// Non-empty, trimmed lines of a message
+function getInputLines(userInput) {
+  return (userInput || '').split('\n').map(line => line.trim()).filter(line => line.length > 0);
+}
+
+// Step a "Field: value" line is for (by question, label, field name or alias), with its value; null when none
+function parseLabelledLine(flow, line) {
+  const match = LABELLED_LINE_PATTERN.exec(line);
+  if (!match) {
+    return null;
+  }
+
+  const name = match[1].trim().toLowerCase();
+  const step = flow.steps.find(candidate => [
+    candidate.question.replace(/:\s*$/, ''),
+    candidate.question.replace(/\(.*?\)/g, '').replace(/:\s*$/, ''),
+    candidate.label,
+    candidate.field,
+    ...(candidate.aliases || [])
+  ].some(candidateName => candidateName && candidateName.trim().toLowerCase() === name));
+  return step ? { step, value: match[2].trim() } : null;
+}
+
+// Check whether a message is a bulk paste rather than a single answer: several lines, each a
+// "Field: value" line of the flow, so a multi-line answer (e.g. a street address) stays one answer
+export function isBulkInput(flow, userInput) {
+  const lines = getInputLines(userInput);
+  return lines.length > 1 && lines.every(line => parseLabelledLine(flow, line));
+}
+
+// Values of a pasted form in step order. "Field: value" lines may come in any order; otherwise
+// lines are taken one per field. Fields missing from the paste are undefined.
+export function parseBulkInput(flow, userInput) {
+  const lines = getInputLines(userInput);
+  if (!isBulkInput(flow, userInput)) {
+    return flow.steps.map((step, index) => lines[index]);
+  }
+
+  const values = {};
+  for (const line of lines) {
+    const { step, value } = parseLabelledLine(flow, line);
+    values[step.field] = value;
+  }
+  return flow.steps.map(step => values[step.field]);
+}
+
+// Question for the state's current field, with the saved answer when the user came back to it
+export function askRegistrationField(flow, state) {
+  const step = flow.steps[state.currentStep];
+  const savedValue = state.collectedData[step.field];
+  const current = savedValue !== undefined ? `\nCurrent answer: ${escapeUserValue(savedValue)} (send a new value to change it)` : '';
+
+  return `**Step ${state.currentStep + 1} of ${flow.steps.length}**\n${step.question}${current}${describeSuggestion(state, step.field)}`;
+}
+
+// First message of a step-by-step registration
+export function buildStepWelcomeMessage(flow, state) {
+  return offerSuggestion(flow, state, `${flow.stepIntro}\n\nI'll ask for each detail one at a time. Type \`back\` to change your previous answer, or paste all ${flow.steps.length} fields at once as \`Field: value\` lines (e.g. \`City: Pune\`) to fill them in one go.\n\n${askRegistrationField(flow, state)}`);
+}
+
+// Apply one answer to a step-by-step registration.
+// Answers are kept flat in state.collectedData, keyed by field; accepting a profile suggestion
+// ("Use suggestion" button or "yes") saves the suggested value. Returns { state, response },
+// or { state, complete: true } once the last field is answered.
+export async function processRegistrationField(flow, state, userInput, actionId = null) {
+  if (isBackRequest(userInput)) {
+    if (state.currentStep === 0) {
+      return { state, response: offerSuggestion(flow, state, `You're already at the first field.\n\n${askRegistrationField(flow, state)}`) };
+    }
+    state.currentStep -= 1;
+    return { state, response: offerSuggestion(flow, state, `↩️ Going back.\n\n${askRegistrationField(flow, state)}`) };
+  }
+
+  const step = flow.steps[state.currentStep];
+  const suggestion = getSuggestion(state, step.field);
+  const prefilled = suggestion !== undefined && isSuggestionAccepted(userInput, actionId);
+  const value = prefilled ? suggestion : (userInput || '').trim();
+  const validation = await validateUserInput(value, step.validation, { country: state.collectedData.country });
+
+  if (!validation.valid) {
+    logger.info(`Invalid ${step.field} for ${state.whatsappNumber}: ${validation.message}`);
+    return { state, response: offerSuggestion(flow, state, `❌ ${validation.message}\n\nPlease try again.\n\n${askRegistrationField(flow, state)}`) };
+  }
+
+  state.collectedData[step.field] = validation.value ?? value;
+  setPrefilled(state, step.field, prefilled);
+  state.currentStep += 1;
+
+  if (state.currentStep >= flow.steps.length) {
+    return { state, complete: true };
+  }
+  return { state, response: offerSuggestion(flow, state, `✅ Got it.\n\n${askRegistrationField(flow, state)}`) };
+}
+
+// Nest the address fields of flat answers under `address`, as the confirmation and API expect
+export function groupAddressFields(values, addressFields) {
+  const collectedData = {};
+  const addressData = {};
+
+  Object.entries(values).forEach(([field, value]) => {
+    if (addressFields.includes(field)) {
+      addressData[field] = value;
+    } else {
+      collectedData[field] = value;
+    }
+  });
+
+  if (Object.keys(addressData).length > 0) {
+    collectedData.address = addressData;
+  }
+  return collectedData;
+}
+
+// Flatten grouped data back into one answer per field
+export function flattenAddressFields(collectedData) {
+  const { address, ...values } = collectedData;
+  return address && typeof address === 'object' ? { ...values, ...address } : { ...collectedData };
+}
+
+// Move a registration to its confirmation step with all answers (flat, keyed by field), nesting the
+// flow's addressFields under `address`. `save(state)` stores the flow state and
+// `buildSummary(collectedData, state)` returns the confirmation message.
+export async function showRegistrationConfirmation(flow, state, values, { save, buildSummary }) {
+  state.collectedData = groupAddressFields(values, flow.addressFields);
+  state.currentStep = 'confirmation';
+
+  await save(state);
+  return buildSummary(state.collectedData, state);
+}
+
+// Process a single answer in step-by-step mode: ask the next field, or show the confirmation once
+// the last one is answered. `handlers` are those of showRegistrationConfirmation.
+export async function processSingleRegistrationField(flow, state, userInput, actionId, handlers) {
+  try {
+    const result = await processRegistrationField(flow, state, userInput, actionId);
+
+    if (result.complete) {
+      return await showRegistrationConfirmation(flow, state, state.collectedData, handlers);
+    }
+
+    await handlers.save(result.state);
+    return result.response;
+
+  } catch (error) {
+    logger.error(`Error processing ${state.type} answer:`, error);
+    return "I'm sorry, there was an error processing your answer. Please try again.";
+  }
+}
@@ -1,6 +1,16 @@
 import { logger } from '../utils/logger_utils.js';
 import { getOpenaiResponse } from '../utils/openai_utils.js';
 import { VALIDATION_PROMPTS } from '../prompts/prompts.js';
+import { normalizePhoneNumber } from '../utils/phone_utils.js';
+import {
+  findCountry,
+  findSubdivision,
+  getSubdivisions,
+  getPostalCodeFormat,
+  usesPostalCodes
+} from '../utils/country_data.js';
+import { validateBirthDate, validateCalendarDate, validateIncorporationDate } from './date_validation.js';
+import { looksLikeDate } from '../utils/date_utils.js';
 
 // Define which validation types should use OpenAI vs fast local validation
 const OPENAI_VALIDATION_TYPES = [
@@ -13,24 +23,41 @@ const OPENAI_VALIDATION_TYPES = [
 const FAST_VALIDATION_TYPES = [
   'text',            // Basic: just check if not empty
   'number',          // Basic: numeric validation
-  'postal_code',     // Basic: format validation
-  'state',           // Basic: format validation
-  'dob',             // Basic: date format and age validation
-  'date',            // Basic: date format validation
-  'business_date',   // Basic: business date validation
+  'name',            // Basic: letters, spaces and name punctuation
+  'postal_code',     // Country-aware: postal code format of the country
+  'postalCode',      // Country-aware: postal code format of the country
+  'state',           // Country-aware: subdivision list of the country
+  'dob',             // Strict date: past, within the country's age limits
+  'date',            // Strict date: real calendar date
+  'business_date',   // Strict date: past incorporation date
   'gender',          // Basic: predefined options
-  'phone',           // Basic: phone number format
-  'country',         // Basic: country code validation
+  'phone',           // Country-aware: national number length, normalized to E.164
+  'country',         // Basic: ISO country code or name, normalized to alpha-2
+  'countryCode',     // Basic: ISO country code or name, normalized to alpha-2
   'city'             // Basic: city name validation
 ];
 
-// Optimized input validation function
-export async function validateUserInput(input, validationType) {
+// Date types whose unrecognized formats are read by the LLM (validation type -> prompt)
+const DATE_FALLBACK_PROMPTS = {
+  dob: 'date',
+  business_date: 'business_date'
+};
+
+// Optimized input validation function.
+// `context.country` (the country entered earlier in the form) makes phone, postal code and state
+// checks country-specific. Results may carry `value`: the input in canonical form, to be stored
+// instead of the typed text.
+export async function validateUserInput(input, validationType, context = {}) {
   try {
     // Use fast local validation for basic types
     if (FAST_VALIDATION_TYPES.includes(validationType)) {
       logger.info(`Using fast validation for ${validationType}`);
-      return fastValidation(input, validationType);
+      const result = fastValidation(input, validationType, context);
+      // Dates in a format the parser doesn't know are handed to the LLM; text that isn't a date isn't
+      if (result.unrecognizedFormat && DATE_FALLBACK_PROMPTS[validationType] && looksLikeDate(input)) {
+        return await openaiDateFallback(input, validationType, context, result);
+      }
+      return result;
     }
     
     // Use OpenAI for complex validations
@@ -46,13 +73,101 @@ export async function validateUserInput(input, validationType) {
   } catch (error) {
     logger.error(`Error in validation for ${validationType}: ${error.message}`);
     // Always fallback to fast validation on any error
-    return fastValidation(input, validationType);
+    return fastValidation(input, validationType, context);
+  }
+}
+
+// Lay out a compacted postal code ('#' placeholders); codes whose length matches no layout stay compact
+function formatPostalCode(compactCode, layouts = []) {
+  const layout = layouts.find(candidate => candidate.replace(/[^#]/g, '').length === compactCode.length);
+  if (!layout) {
+    return compactCode;
   }
+  let index = 0;
+  return layout.replace(/#/g, () => compactCode[index++]);
+}
+
+// Postal code checked against the format of the context country
+function validatePostalCode(trimmedInput, country) {
+  const compactCode = trimmedInput.toUpperCase().replace(/[\s-]/g, '');
+  const format = country ? getPostalCodeFormat(country.alpha2) : null;
+
+  if (format) {
+    const valid = format.pattern.test(compactCode);
+    return {
+      valid,
+      message: valid ? 'Postal code format is valid' : `Please enter a valid postal code for ${country.name} (e.g., ${format.example})`,
+      value: valid ? formatPostalCode(compactCode, format.layouts) : undefined
+    };
+  }
+
+  // Countries without postal codes still need a value for the address; any short reference is accepted
+  const postalRegex = country && !usesPostalCodes(country.alpha2) ? /^[A-Z0-9\s-]{1,10}$/i : /^[A-Z0-9\s-]{3,10}$/i;
+  const valid = postalRegex.test(trimmedInput);
+  return {
+    valid,
+    message: valid ? 'Postal code format is valid' :
+             country && !usesPostalCodes(country.alpha2) ? `${country.name} has no postal codes; please enter 0 or your area code (up to 10 characters)` :
+             'Please enter a valid postal code (3-10 characters)',
+    value: valid ? trimmedInput.toUpperCase().replace(/\s+/g, ' ') : undefined
+  };
+}
+
+// State checked against the subdivisions of the context country, normalized to the subdivision name
+function validateState(trimmedInput, country) {
+  const subdivisions = country ? getSubdivisions(country.alpha2) : null;
+
+  if (subdivisions) {
+    const subdivision = findSubdivision(country.alpha2, trimmedInput);
+    const [exampleCode, exampleName] = Object.entries(subdivisions)[0];
+    return {
+      valid: Boolean(subdivision),
+      message: subdivision ? 'State name is valid' : `Please enter a state/province of ${country.name} (e.g., ${exampleName} or ${exampleCode})`,
+      value: subdivision ? subdivision.name : undefined
+    };
+  }
+
+  const stateRegex = /^[\p{L}\p{M}\s.'’-]{2,50}$/u;
+  const valid = stateRegex.test(trimmedInput);
+  return {
+    valid,
+    message: valid ? 'State name is valid' : 'Please enter a valid state/province name',
+    value: valid ? trimmedInput.replace(/\s+/g, ' ') : undefined
+  };
+}
+
+// Phone number checked against the context country, normalized to E.164
+function validatePhone(trimmedInput, country) {
+  if (!country) {
+    const cleanPhone = trimmedInput.replace(/\D/g, '');
+    return {
+      valid: cleanPhone.length >= 10 && cleanPhone.length <= 15,
+      message: cleanPhone.length < 10 ? 'Phone number is too short (minimum 10 digits)' :
+               cleanPhone.length > 15 ? 'Phone number is too long (maximum 15 digits)' : 'Phone number is valid'
+    };
+  }
+
+  const phone = normalizePhoneNumber(trimmedInput, country.alpha2);
+  if (phone.error === 'length') {
+    const digits = phone.min === phone.max ? `${phone.min}` : `${phone.min}-${phone.max}`;
+    return {
+      valid: false,
+      message: `Please enter a valid phone number: numbers in ${country.name} have ${digits} digits after the country code (+${country.callingCode})`
+    };
+  }
+  if (phone.error) {
+    return {
+      valid: false,
+      message: `Please enter a valid phone number, e.g. your number in ${country.name} or +<country code><number>`
+    };
+  }
+  return { valid: true, message: 'Phone number is valid', value: phone.e164 };
 }
 
 // Fast local validation for basic types
-export function fastValidation(input, validationType) {
+export function fastValidation(input, validationType, context = {}) {
   const trimmedInput = input.trim();
+  const country = context.country ? findCountry(context.country) : null;
   
   switch (validationType) {
     case 'text':
@@ -70,73 +185,29 @@ export function fastValidation(input, validationType) {
                  numValue <= 0 ? 'Please enter a positive number' : 'Number is valid'
       };
     
-    case 'postal_code':
-      const postalRegex = /^[A-Z0-9\s-]{3,10}$/i;
+    case 'name':
+      const nameRegex = /^[\p{L}\p{M}][\p{L}\p{M}\s.'’-]{0,49}$/u;
       return {
-        valid: postalRegex.test(trimmedInput),
-        message: postalRegex.test(trimmedInput) ? 'Postal code format is valid' : 'Please enter a valid postal code (3-10 characters)'
+        valid: nameRegex.test(trimmedInput),
+        message: nameRegex.test(trimmedInput) ? 'Name is valid' : 'Please enter a valid name (letters only, up to 50 characters)',
+        value: nameRegex.test(trimmedInput) ? trimmedInput.replace(/\s+/g, ' ') : undefined
       };
     
+    case 'postal_code':
+    case 'postalCode':
+      return validatePostalCode(trimmedInput, country);
+    
     case 'state':
-      const stateRegex = /^[A-Za-z\s]{2,50}$/;
-      return {
-        valid: stateRegex.test(trimmedInput) && trimmedInput.length >= 2,
-        message: stateRegex.test(trimmedInput) ? 'State name is valid' : 'Please enter a valid state/province name'
-      };
+      return validateState(trimmedInput, country);
     
     case 'dob':
+      return validateBirthDate(trimmedInput, context.country);
+    
     case 'date':
-      const dateRegex = /^\d{2}-\d{2}-\d{4}$/;
-      if (!dateRegex.test(trimmedInput)) {
-        return {
-          valid: false,
-          message: 'Please enter date in DD-MM-YYYY format'
-        };
-      }
-      
-      // Additional validation for DOB (age check)
-      if (validationType === 'dob') {
-        const [day, month, year] = trimmedInput.split('-').map(Number);
-        const birthDate = new Date(year, month - 1, day);
-        const today = new Date();
-        const age = today.getFullYear() - birthDate.getFullYear();
-        const monthDiff = today.getMonth() - birthDate.getMonth();
-        
-        if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate())) {
-          age--;
-        }
-        
-        return {
-          valid: age >= 18 && age <= 120 && birthDate <= today,
-          message: age < 18 ? 'You must be at least 18 years old' :
-                   age > 120 ? 'Please enter a valid date of birth' :
-                   birthDate > today ? 'Date of birth cannot be in the future' : 'Date of birth is valid'
-        };
-      }
-      
-      return {
-        valid: true,
-        message: 'Date format is valid'
-      };
+      return validateCalendarDate(trimmedInput);
     
     case 'business_date':
-      const businessDateRegex = /^\d{2}-\d{2}-\d{4}$/;
-      if (!businessDateRegex.test(trimmedInput)) {
-        return {
-          valid: false,
-          message: 'Please enter date in DD-MM-YYYY format'
-        };
-      }
-      
-      const [day, month, year] = trimmedInput.split('-').map(Number);
-      const businessDate = new Date(year, month - 1, day);
-      const today = new Date();
-      
-      return {
-        valid: businessDate <= today && year >= 1900,
-        message: businessDate > today ? 'Business date cannot be in the future' :
-                 year < 1900 ? 'Please enter a valid business date' : 'Business date is valid'
-      };
+      return validateIncorporationDate(trimmedInput);
     
     case 'gender':
       const validGenders = ['male', 'female', 'other'];
@@ -147,19 +218,15 @@ export function fastValidation(input, validationType) {
       };
     
     case 'phone':
-      const cleanPhone = trimmedInput.replace(/\D/g, '');
-      return {
-        valid: cleanPhone.length >= 10 && cleanPhone.length <= 15,
-        message: cleanPhone.length < 10 ? 'Phone number is too short (minimum 10 digits)' :
-                 cleanPhone.length > 15 ? 'Phone number is too long (maximum 15 digits)' : 'Phone number is valid'
-      };
+      return validatePhone(trimmedInput, country);
     
     case 'country':
     case 'countryCode':
-      const countryRegex = /^[A-Z]{2,3}$/;
+      const enteredCountry = findCountry(trimmedInput);
       return {
-        valid: countryRegex.test(trimmedInput.toUpperCase()),
-        message: countryRegex.test(trimmedInput.toUpperCase()) ? 'Country code is valid' : 'Please enter a valid 2-3 letter country code (e.g., US, IN, GBR)'
+        valid: Boolean(enteredCountry),
+        message: enteredCountry ? 'Country code is valid' : 'Please enter a valid country code or name (e.g., US, IN, GBR, India)',
+        value: enteredCountry ? enteredCountry.alpha2 : undefined
       };
     
     case 'city':
@@ -228,6 +295,38 @@ async function openaiValidation(input, validationType) {
   }
 }
 
+// Read a date typed in a format the local parser doesn't know ("March the 15th, 1990") with the LLM.
+// Its answer is only a DD-MM-YYYY candidate: the local rules still decide, and the local result
+// is returned when the LLM can't read it either or is unavailable.
+async function openaiDateFallback(input, validationType, context, localResult) {
+  try {
+    const prompt = VALIDATION_PROMPTS[DATE_FALLBACK_PROMPTS[validationType]]
+      .replace('{input}', input)
+      .replace('{currentDate}', new Date().toLocaleDateString('en-GB'));
+    
+    const response = await getOpenaiResponse(
+      'gpt-4o-mini',
+      false,
+      [
+        { role: 'system', content: prompt }
+      ]
+    );
+    const answer = JSON.parse(response.choices[0].message.content.trim());
+    
+    if (typeof answer.normalized !== 'string' || !answer.normalized) {
+      return localResult;
+    }
+    
+    logger.info(`OpenAI read ${validationType} "${input}" as ${answer.normalized}`);
+    const result = fastValidation(answer.normalized, validationType, context);
+    return result.unrecognizedFormat ? localResult : result;
+    
+  } catch (error) {
+    logger.error(`Error in OpenAI date fallback for ${validationType}: ${error.message}`);
+    return localResult;
+  }
+}
+
 // Legacy fallback function (for backward compatibility)
 export function fallbackValidation(input, validationType) {
   return fastValidation(input, validationType);
@@ -0,0 +1,85 @@
+import crypto from 'crypto';
+import { logger } from '../utils/logger_utils.js';
+
+// Header Meta uses to sign webhook deliveries
+export const SIGNATURE_HEADER = 'x-hub-signature-256';
+const SIGNATURE_PREFIX = 'sha256=';
+
+// Capture the raw request body before JSON parsing (used as bodyParser.json `verify` hook)
+export function captureRawBody(req, res, buf) {
+  if (buf && buf.length) {
+    req.rawBody = Buffer.from(buf);
+  }
+}
+
+// Get the configured app secrets. Two secrets can be active at once while rotating:
+// WHATSAPP_APP_SECRET is the current one, WHATSAPP_APP_SECRET_PREVIOUS the one being retired.
+export function getAppSecrets() {
+  return [process.env.WHATSAPP_APP_SECRET, process.env.WHATSAPP_APP_SECRET_PREVIOUS]
+    .map(secret => (secret || '').trim())
+    .filter(secret => secret.length > 0);
+}
+
+// Compute the expected X-Hub-Signature-256 header value for a payload
+export function signPayload(rawBody, secret) {
+  const digest = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  return `${SIGNATURE_PREFIX}${digest}`;
+}
+
+// Verify a signature header against the raw body using any of the given secrets
+export function verifySignature(rawBody, signatureHeader, secrets = getAppSecrets()) {
+  if (!rawBody || !Buffer.isBuffer(rawBody)) {
+    return { valid: false, reason: 'missing_raw_body' };
+  }
+
+  if (!signatureHeader || typeof signatureHeader !== 'string' || !signatureHeader.startsWith(SIGNATURE_PREFIX)) {
+    return { valid: false, reason: 'missing_or_malformed_signature' };
+  }
+
+  if (secrets.length === 0) {
+    return { valid: false, reason: 'no_app_secret_configured' };
+  }
+
+  const received = Buffer.from(signatureHeader.slice(SIGNATURE_PREFIX.length), 'hex');
+
+  for (let i = 0; i < secrets.length; i++) {
+    const expected = Buffer.from(signPayload(rawBody, secrets[i]).slice(SIGNATURE_PREFIX.length), 'hex');
+
+    // timingSafeEqual throws on length mismatch, so check length first
+    if (received.length === expected.length && crypto.timingSafeEqual(received, expected)) {
+      return { valid: true, secretIndex: i };
+    }
+  }
+
+  return { valid: false, reason: 'signature_mismatch' };
+}
+
+// Express middleware that rejects webhook deliveries not signed with our app secret
+export function verifyWebhookSignature(req, res, next) {
+  if (process.env.SKIP_WEBHOOK_SIGNATURE === 'true') {
+    logger.warn('Webhook signature verification is disabled (SKIP_WEBHOOK_SIGNATURE=true)');
+    return next();
+  }
+
+  const signatureHeader = req.get(SIGNATURE_HEADER);
+  const result = verifySignature(req.rawBody, signatureHeader);
+
+  if (!result.valid) {
+    // Audit entry for every rejected delivery
+    logger.warn('Rejected webhook delivery with invalid signature', {
+      audit: 'webhook_signature_rejected',
+      reason: result.reason,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      hasSignature: !!signatureHeader,
+      bodyLength: req.rawBody ? req.rawBody.length : 0
+    });
+    return res.status(401).send('Invalid signature');
+  }
+
+  if (result.secretIndex > 0) {
+    logger.info('Webhook delivery verified with previous app secret (rotation in progress)');
+  }
+
+  next();
+}
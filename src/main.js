@@ -2,62 +2,89 @@ import express from 'express';
 import bodyParser from 'body-parser';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import { sendWhatsAppMessage } from './services/template_service.js';
+import {
+  sendWhatsAppMessage,
+  handleCreateTemplate,
+  handleGetTemplates,
+  handleEditTemplate,
+  handlePreviewTemplate,
+  handleDeleteTemplate,
+  handleDeleteTemplateByName,
+  handleSendTemplate,
+  handleUpdateMessageConfig,
+  handleGetMessageConfig,
+  handleGetTemplateRegistry,
+  handleReconcileTemplates,
+  createTemplateReconcileJob
+} from './services/template_service.js';
+import { applyTemplateUpdate } from './services/template_registry.js';
+import {
+  handleCreateCampaign,
+  handleListCampaigns,
+  handleGetCampaign,
+  handleGetCampaignRecipients,
+  handleAddCampaignRecipients,
+  handleCampaignAction,
+  recordCampaignStatus,
+  createCampaignRunner
+} from './services/campaign_service.js';
+import { handleOptOutKeyword } from './services/opt_out_service.js';
+import {
+  handleCreateScheduledJob,
+  handleListScheduledJobs,
+  handleGetScheduledJob,
+  handleCancelScheduledJob,
+  handleGetUserTimezone,
+  handleSetUserTimezone,
+  createScheduler
+} from './services/scheduler_service.js';
 
 import { logger } from './utils/logger_utils.js';
 import { 
   redisClient,
   connectRedis, 
-  getConversationHistory, 
   addToConversationHistory, 
-  isMessageProcessed, 
   markMessageProcessed,
+  getMessageState,
+  updateMessageState,
+  claimMessage,
+  releaseMessageClaim,
   checkRedisHealth,
   disconnectRedis
 } from './services/redis_client.js';
-import { getUserCreationState } from './common/redis_utils.js';
-import { 
-  userExists, 
-  getUserData, 
-  getUserFullName 
-} from './common/redis_utils.js';
-import { 
-  getLiveExchangeRates, 
-  isValidCurrencyCode,
-  isUserInExchangeRatesFlow,
-  processExchangeRatesStep,
-  detectExchangeRatesIntent,
-  startExchangeRatesFlow,
-  startFiatToCryptoFlow,
-  processFiatToCryptoStep,
-  isUserInFiatToCryptoFlow
-} from './services/exchange_rates.js';
-import { 
-  startCollectMoneyFlow,
-  processCollectMoneyStep,
-  isUserInCollectMoneyFlow
-} from './services/collect_money_service.js';
+import { getFiatToCryptoState } from './services/exchange_rates.js';
+
 
 // Individual user functions
-import {
-  startUserRegistration,
-  processUserRegistrationStep,
-  handleConfirmationStep,
-  isUserInRegistration,
-  getRegistrationProgress,
-  resetUserRegistration
-} from './users/individual_user.js';
+import { startUserRegistration } from './users/individual_user.js';
 
 // Business user functions
+import { startBusinessUserRegistration } from './users/business_user.js';
+import { getSession } from './services/conversation_session.js';
+import { conversationRouter } from './services/conversation_flows.js';
+import { isExitRequest } from './services/conversation_router.js';
+import { captureRawBody, verifyWebhookSignature } from './common/webhook_signature.js';
+import { processWebhookBatch, extractInboundMessages, extractStatusUpdates, extractTemplateUpdates, groupMessagesBySender } from './services/webhook_service.js';
+import { recordStatusUpdate, getMessageTimeline, getUserTimeline } from './services/message_status_service.js';
+import {
+  enqueueInboundMessage,
+  createMessageQueueWorkers,
+  getQueueStats,
+  QUEUE_CONFIG,
+  getDeadLetterJobs,
+  replayDeadLetterJobs
+} from './services/message_queue.js';
+import { requireAdminAuth } from './common/admin_auth.js';
+import { getMessageText } from './services/interactive_messages.js';
+import { recordInboundActivity, getServiceWindowState } from './services/service_window.js';
+import { storeInboundMedia, setPendingMedia, MEDIA_CONFIG } from './services/media_service.js';
 import {
-  startBusinessUserRegistration,
-  processBusinessUserRegistrationStep,
-  isUserInBusinessRegistration,
-  getBusinessRegistrationProgress,
-  resetBusinessUserRegistration
-} from './users/business_user.js';
-import { MONEY_INTENT_PROMPT, USER_TYPE_PROMPT } from './prompts/prompts.js';
-import { getOpenaiResponse } from './utils/openai_utils.js';
+  normalizeInboundMessage,
+  isMessageTypeAccepted,
+  getUnsupportedTypeResponse,
+  MEDIA_MESSAGE_TYPES,
+  MEDIA_MIME_TYPES
+} from './services/inbound_message.js';
 
 // Load environment variables
 dotenv.config();
@@ -65,10 +92,22 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Connect to Redis on startup
+// Worker pool that processes queued inbound messages
+const messageQueue = createMessageQueueWorkers(redisClient, handleInboundMessage);
+const templateReconcileJob = createTemplateReconcileJob();
+const campaignRunner = createCampaignRunner();
+const scheduler = createScheduler();
+
+// Connect to Redis on startup, then start consuming the message queue
 (async () => {
   try {
-    await connectRedis();
+    const connected = await connectRedis();
+    if (connected) {
+      messageQueue.start();
+      templateReconcileJob.start();
+      campaignRunner.start();
+      scheduler.start();
+    }
   } catch (error) {
     logger.error('Failed to connect to Redis:', error);
   }
@@ -76,7 +115,7 @@ const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
-app.use(bodyParser.json());
+app.use(bodyParser.json({ verify: captureRawBody })); // Keep raw body for webhook signature checks
 app.use(bodyParser.urlencoded({ extended: true }));
 
 // Redis utility functions are now imported from redis_client.js
@@ -104,972 +143,255 @@ app.get('/webhook', (req, res) => {
 });
 
 // WhatsApp webhook endpoint to receive messages
-app.post('/webhook', async (req, res) => {
+app.post('/webhook', verifyWebhookSignature, async (req, res) => {
   try {
     const body = req.body;
     
     if (body.object === 'whatsapp_business_account') {
-      const entry = body.entry[0];
-      const changes = entry.changes[0];
-      const value = changes.value;
+      // Delivery status updates for our outbound messages (cheap Redis writes, done inline)
+      for (const statusUpdate of extractStatusUpdates(body)) {
+        try {
+          await recordStatusUpdate(redisClient, statusUpdate);
+          await recordCampaignStatus(statusUpdate);
+        } catch (error) {
+          logger.error(`Error recording status ${statusUpdate.status} for message ${statusUpdate.id}: ${error.message}`);
+        }
+      }
       
-      if (value.messages && value.messages.length > 0) {
-        const message = value.messages[0];
-        const from = message.from;
-        const timestamp = message.timestamp;
-        const messageId = message.id;
-        
-        let messageText = '';
-        let isDocument = false;
-        
-        // Handle different message types
-        if (message.text && message.text.body) {
-          messageText = message.text.body;
-        } else if (message.document) {
-          // Handle document upload (PDF)
-          messageText = message.document.filename || 'document';
-          isDocument = true;
-          logger.info(`Received document from ${from}: ${messageText}`);
-          
-          // Download the document
-          try {
-            const documentUrl = message.document.url;
-            const accessToken = process.env.META_ACCESS_TOKEN;
-            
-            const response = await fetch(documentUrl, {
-              headers: {
-                'Authorization': `Bearer ${accessToken}`
-              }
-            });
-            
-            if (response.ok) {
-              const pdfBuffer = await response.arrayBuffer();
-              // Store the PDF buffer for processing
-              await redisClient.setEx(`pdf_${from}`, 300, Buffer.from(pdfBuffer).toString('base64'));
-              logger.info(`PDF stored for ${from}`);
-            }
-          } catch (error) {
-            logger.error(`Error downloading PDF: ${error.message}`);
-          }
-        } else {
-          logger.warn(`Unsupported message type from ${from}:`, JSON.stringify(message, null, 2));
-          messageText = '';
+      // Template review status and quality changes
+      for (const templateUpdate of extractTemplateUpdates(body)) {
+        try {
+          await applyTemplateUpdate(redisClient, templateUpdate);
+        } catch (error) {
+          logger.error(`Error applying ${templateUpdate.field}: ${error.message}`);
         }
-        
-        // // Check if we've already processed this message (deduplication)
-        // if (await isMessageProcessed(messageId)) {
-        //   logger.info(`Message ${messageId} already processed, skipping duplicate`);
-        //   return;
-        // }
-        
-        logger.info(`Processing new message ${messageId} from ${from}: ${messageText}`);
-        
-        // Process message and generate response
-        const response = await processMessage(from, messageText, isDocument);
-        
-        // Send response back to WhatsApp
-        const sendResult = await sendWhatsAppMessage(from, response);
-        
-        if (sendResult && sendResult.success !== false) {
-          // Mark message as processed only if sent successfully
-          await markMessageProcessed(messageId);
-          logger.info(`Message ${messageId} processed and sent successfully`);
+      }
+      
+      const inboundMessages = extractInboundMessages(body);
+      
+      if (inboundMessages.length > 0) {
+        if (!redisClient.isReady) {
+          // No queue without Redis: process in the background so Meta still gets an immediate 200
+          logger.warn(`Redis not ready, processing ${inboundMessages.length} message(s) in-process`);
+          processWebhookBatch(body, handleInboundMessage).catch(error => {
+            logger.error(`Error processing webhook batch in-process: ${error.message}`);
+          });
         } else {
-          logger.warn(`Message ${messageId} could not be sent, will retry on next webhook`);
+          // Enqueue every message in per-sender timestamp order; workers do the actual processing
+          for (const messages of groupMessagesBySender(inboundMessages).values()) {
+            for (const inbound of messages) {
+              await enqueueInboundMessage(redisClient, inbound);
+            }
+          }
         }
       }
     }
     
     res.status(200).send('OK');
   } catch (error) {
-    logger.error(`Error processing webhook: ${error.message}`);
+    // Only reached if the messages could not be queued, so Meta's retry is what we want
+    logger.error(`Error enqueueing webhook: ${error.message}`);
     res.status(500).send('Internal Server Error');
   }
 });
 
-// Intent detection functions
-async function detectMoneyIntent(messageText) {
-  try {
-    const prompt = MONEY_INTENT_PROMPT.replace('{message}', messageText);
-    const aiResponse = await getOpenaiResponse('gpt-4o-mini', false, [
-      { role: 'system', content: prompt }
-    ]);
-    return aiResponse.choices[0].message.content.trim();
-  } catch (error) {
-    logger.error(`Error detecting money intent: ${error.message}`);
-    return 'GENERAL_QUERY';
-  }
-}
+function getMediaErrorResponse(error, type) {
+  const maxSizeMb = Math.round(MEDIA_CONFIG.maxBytes / (1024 * 1024));
+  const formats = MEDIA_MIME_TYPES[type].map(mimeType => mimeType.split('/')[1].toUpperCase()).join(', ');
 
-// Handle user verification for money transfer/collection
-async function handleUserVerification(from, messageText) {
-  try {
-    // Check if this is an email verification request
-    const emailMatch = messageText.match(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/);
-    
-    if (emailMatch) {
-      const email = emailMatch[0];
-      logger.info(`User ${from} provided email: ${email}`);
-      
-      // Check if user exists
-      const userExistsResult = await userExists(redisClient, email);
-      
-      if (userExistsResult) {
-        // User exists, get their data
-        const userData = await getUserData(redisClient, email);
-        const fullName = await getUserFullName(redisClient, email);
-        
-        if (userData) {
-          // Store user context for this session
-          const userContext = {
-            email: email,
-            userId: userData.userId,
-            userType: userData.userType,
-            fullName: fullName
-          };
-          
-          await redisClient.setEx(`user_context:${from}`, 3600, JSON.stringify(userContext));
-          logger.info(`User context set for ${from}: ${JSON.stringify(userContext)}`);
-          
-          // Get the stored money intent to continue with the original request
-          const storedIntent = await redisClient.get(`money_intent:${from}`);
-          logger.info(`Retrieved stored money intent for ${from}: ${storedIntent}`);
-          
-          if (storedIntent === 'COLLECT_MONEY') {
-            // Continue with collect money flow
-            await redisClient.del(`money_intent:${from}`); // Clear the stored intent
-            const collectMoneyResponse = await startCollectMoneyFlow(redisClient, from);
-            return `👋 **Welcome back, ${fullName}!**\n\n✅ Your account is verified.\n\n${collectMoneyResponse}`;
-          } else if (storedIntent === 'SEND_MONEY') {
-            // Continue with send money flow
-            await redisClient.del(`money_intent:${from}`); // Clear the stored intent
-            const sendMoneyResponse = `💰 **Send Money Flow**\n\n👋 **Welcome, ${fullName}!**\n\nI'll help you send money! Here's what we need:\n\n1. **Recipient Details** - Who you want to send money to\n2. **Amount & Currency** - How much and in what currency\n3. **Purpose** - Reason for the transfer\n4. **Payment Method** - How you want to pay\n\n**Examples of what you can say:**\n• "I want to send 1000 PHP to John Doe for rent"\n• "Send 500 USD to my sister for birthday"\n• "Transfer 2000 INR to vendor for services"\n\n**This feature is coming soon!**\n\nFor now, you can:\n• Ask about exchange rates\n• Register another account\n• Get help with other services`;
-            return `👋 **Welcome back, ${fullName}!**\n\n✅ Your account is verified.\n\n${sendMoneyResponse}`;
-          } else {
-            // No stored intent, show general options
-            const welcomeMessage = `👋 **Welcome back, ${fullName}!**\n\n✅ Your account is verified. You can now:\n\n💰 **Send Money** - Transfer money to others\n💸 **Collect Money** - Receive money from others\n\nWhat would you like to do?`;
-            return welcomeMessage;
-          }
-        }
-      } else {
-        // User doesn't exist, ask for registration type directly
-        await redisClient.setEx(`registration_intent:${from}`, 300, 'pending');
-        await redisClient.setEx(`user_email:${from}`, 300, email); // Store email for later use
-        await redisClient.setEx(`pending_money_intent:${from}`, 300, await redisClient.get(`money_intent:${from}`)); // Store the original money intent
-        
-        return `❌ **Account Not Found**\n\nNo account found with email: ${email}\n\nLet me help you create an account! Are you an individual or a business?\n\nPlease respond with:\n• **"Individual"** - if this is for personal use\n• **"Business"** - if this is for company transactions\n\nOr provide a different email address if you think there's an error.`;
-      }
-    } else {
-      // No email provided, ask for it
-      return `🔐 **Account Verification Required**\n\nTo send or collect money, I need to verify your account.\n\nPlease provide your registered email address:`;
-    }
-  } catch (error) {
-    logger.error(`Error in user verification: ${error.message}`);
-    return "I'm sorry, there was an error verifying your account. Please try again.";
+  if (error.message.includes('too large')) {
+    return `❌ **Upload Failed**\n\nThe file is too large. Please send a file smaller than ${maxSizeMb} MB.`;
   }
-}
-
-async function classifyUserType(response) {
-  try {
-    const prompt = USER_TYPE_PROMPT.replace('{response}', response);
-    const aiResponse = await getOpenaiResponse('gpt-4o-mini', false, [
-      { role: 'system', content: prompt }
-    ]);
-    return aiResponse.choices[0].message.content.trim();
-  } catch (error) {
-    logger.error(`Error classifying user type: ${error.message}`);
-    return 'INDIVIDUAL';
+  if (error.message.includes('Unsupported file type') || error.message.includes('does not match its declared type')) {
+    return `❌ **Upload Failed**\n\nThis file format isn't supported. Supported formats: ${formats}.`;
   }
+  return `❌ **Upload Failed**\n\nWe couldn't download your file. Please try sending it again.`;
 }
 
+// Reply to a message whose earlier attempt was interrupted after it reached the flows
+const INTERRUPTED_MESSAGE_RESPONSE = "⚠️ Sorry, I couldn't finish handling your last message. Type `status` to see where you are, and send it again if needed.";
 
-
-// Handle exit/cancel requests from any flow
-async function handleExitRequest(from, messageText) {
-  const lowerMessage = messageText.toLowerCase();
-  const exitKeywords = ['exit', 'cancel', 'stop', 'quit', 'back', 'menu', 'main menu', 'help', 'no', 'nevermind', 'never mind', 'end', 'finish', 'done'];
+// Handle a single inbound WhatsApp message and send the response back.
+// The message id is claimed before any processing, and progress is recorded so a retried
+// delivery (or a queue retry after a crash) resumes instead of re-running side effects.
+// Throwing makes the queue retry the message with backoff.
+async function handleInboundMessage({ message, contacts }) {
+  const from = message.from;
+  const messageId = message.id;
   
-  return exitKeywords.some(keyword => lowerMessage.includes(keyword));
-}
-
-// Exit from all flows and return to main menu
-async function exitFromAllFlows(redisClient, from) {
-  try {
-    // Clear all flow states
-    await redisClient.del(`user_registration:${from}`);
-    await redisClient.del(`business_user_registration:${from}`);
-    await redisClient.del(`collect_money:${from}`);
-    await redisClient.del(`exchange_rates:${from}`);
-    await redisClient.del(`fiat_to_crypto_flow:${from}`);
-    await redisClient.del(`money_intent:${from}`);
-    await redisClient.del(`registration_intent:${from}`);
-    await redisClient.del(`registration_step:${from}`);
-    await redisClient.del(`user_email:${from}`);
-    await redisClient.del(`pending_money_intent:${from}`);
-    
-    // Clear any PDF buffers
-    await redisClient.del(`pdf_${from}`);
-    
-    logger.info(`Exited from all flows for user ${from}`);
-    
-    return `✅ **Exited Successfully!**\n\nYou're back to the main menu. How can I help you today?\n\n💸 **Money Services:**\n• Say "I want to send money" to start sending money\n• Say "I want to collect money" to start collecting money\n\n💱 **Exchange Rates:**\n• Ask about 'live rates' or 'exchange rates' (vs USD)\n• Say "fiat to crypto" or "convert to crypto" for cryptocurrency quotes\n\n📝 **Registration:**\n• Say "register" to create an individual account\n• Say "register business" to create a business account\n\n💡 **Examples:**\n• "I want to send 1000 PHP to John for rent"\n• "I want to collect money" (then upload PDF)\n• "What are the live rates for PHP?"\n• "I want to know exchange from fiat to crypto"\n\n🚪 **Tip:** You can type \`exit\`, \`cancel\`, \`stop\`, \`quit\`, \`back\`, \`menu\`, \`no\`, \`nevermind\`, \`end\`, \`finish\`, or \`done\` at any time to return here.`;
-  } catch (error) {
-    logger.error(`Error exiting from flows: ${error.message}`);
-    return "I'm sorry, there was an error. Please try again.";
+  // Check if we've already processed this message (deduplication)
+  const previousState = await getMessageState(messageId);
+  if (previousState && previousState.status === 'completed') {
+    logger.info(`Message ${messageId} already processed, skipping duplicate`);
+    return { status: 'duplicate' };
   }
-}
-
-// Process incoming message and generate AI response
-async function processMessage(from, messageText, isDocument = false) {
+  
+  // The claim lease never outlives the queue's sender lock, so a crashed worker's claim is gone
+  // by the time its job is picked up again
+  if (!(await claimMessage(messageId, Math.ceil(QUEUE_CONFIG.lockTtlMs / 1000)))) {
+    logger.info(`Message ${messageId} is being processed by another worker, retrying later`);
+    return { status: 'error', error: 'Message is being processed by another worker' };
+  }
+  
+  let stage = 'process';
+  
   try {
-    // IMMEDIATE CHECK: Check if user is in fiat-to-crypto flow first
-    const isInFiatToCryptoFlow = await isUserInFiatToCryptoFlow(redisClient, from);
-    logger.info(`User ${from} IMMEDIATE fiat-to-crypto flow check: ${isInFiatToCryptoFlow}`);
-    
-    if (isInFiatToCryptoFlow) {
-      logger.info(`User ${from} is in fiat-to-crypto flow, processing step immediately`);
-      // Check for exit request first
-      if (await handleExitRequest(from, messageText)) {
-        const exitResponse = await exitFromAllFlows(redisClient, from);
-        await addToConversationHistory(from, {
-          role: 'assistant',
-          content: exitResponse
-        });
-        return exitResponse;
-      }
-      
-      const response = await processFiatToCryptoStep(redisClient, from, messageText);
-      if (response) {
-        logger.info(`Fiat-to-crypto step response: ${response.substring(0, 100)}...`);
-        await addToConversationHistory(from, {
-          role: 'assistant',
-          content: response
-        });
-        return response;
-      } else {
-        logger.warn(`No response from fiat-to-crypto step for ${from}`);
-      }
+    // Any inbound message (re)opens the 24-hour customer service window
+    try {
+      await recordInboundActivity(redisClient, from, message.timestamp);
+    } catch (error) {
+      logger.error(`Error recording inbound activity for ${from}: ${error.message}`);
     }
     
-    // Check if user is in individual registration flow
-    if (await isUserInRegistration(redisClient, from)) {
-      // Check for exit request first
-      if (await handleExitRequest(from, messageText)) {
-        const exitResponse = await exitFromAllFlows(redisClient, from);
-        await addToConversationHistory(from, {
-          role: 'assistant',
-          content: exitResponse
-        });
-        return exitResponse;
-      }
-      
-      // Check if user is in confirmation step
-      const state = await getUserCreationState(redisClient, from);
-      if (state && state.currentStep === 'confirmation') {
-        const response = await handleConfirmationStep(redisClient, from, messageText);
-        if (response) {
-          await addToConversationHistory(from, {
-            role: 'assistant',
-            content: response
-          });
-          return response;
-        }
-      } else {
-        // Regular registration step
-      const response = await processUserRegistrationStep(redisClient, from, messageText);
-      if (response) {
-        await addToConversationHistory(from, {
-          role: 'assistant',
-          content: response
-        });
-        return response;
-        }
-      }
+    // Re-read after claiming: another worker may have finished between the check and the claim
+    const state = (await getMessageState(messageId)) || {};
+    if (state.status === 'completed') {
+      logger.info(`Message ${messageId} completed by another worker, skipping duplicate`);
+      return { status: 'duplicate' };
     }
     
-    // Check if user is in business registration flow
-    if (await isUserInBusinessRegistration(redisClient, from)) {
-      // Check for exit request first
-      if (await handleExitRequest(from, messageText)) {
-        const exitResponse = await exitFromAllFlows(redisClient, from);
-        await addToConversationHistory(from, {
-          role: 'assistant',
-          content: exitResponse
-        });
-        return exitResponse;
-      }
-      
-      const response = await processBusinessUserRegistrationStep(redisClient, from, messageText);
-      if (response) {
-        await addToConversationHistory(from, {
-          role: 'assistant',
-          content: response
-        });
-        return response;
+    let response;
+    
+    if (state.response && (state.status === 'responded' || state.stage === 'send')) {
+      // The flow already ran; only the send is outstanding
+      logger.info(`Resuming message ${messageId} at send stage, reusing stored response`);
+      response = state.response;
+    } else if (state.stage === 'route' && (state.status === 'processing' || state.status === 'failed')) {
+      // The flow may already have acted on the message (API call, step advanced); running it again
+      // would repeat that, so the user is asked to check and resend instead
+      logger.warn(`Previous attempt for message ${messageId} was interrupted while routing, not processing it again`);
+      response = INTERRUPTED_MESSAGE_RESPONSE;
+      await updateMessageState(messageId, { status: 'responded', response });
+    } else {
+      if (state.status === 'processing') {
+        logger.warn(`Previous attempt for message ${messageId} was interrupted before routing, processing again`);
       }
-    }
-    
-    // Check if user is in collect money flow (PRIORITY CHECK - before intent detection)
-    if (await isUserInCollectMoneyFlow(redisClient, from)) {
-      logger.info(`User ${from} is in collect money flow`);
       
-      // Check for exit request first (but not for document uploads)
-      if (!isDocument && await handleExitRequest(from, messageText)) {
-        const exitResponse = await exitFromAllFlows(redisClient, from);
-        await addToConversationHistory(from, {
-          role: 'assistant',
-          content: exitResponse
-        });
-        return exitResponse;
-      }
+      await updateMessageState(messageId, {
+        status: 'processing',
+        from,
+        attempts: (state.attempts || 0) + 1,
+        startedAt: new Date().toISOString()
+      });
       
-      let userInput = messageText;
+      const inbound = normalizeInboundMessage(message, contacts);
       
-      // If it's a document, get the PDF buffer from Redis
-      if (isDocument) {
-        const pdfBase64 = await redisClient.get(`pdf_${from}`);
-        if (pdfBase64) {
-          userInput = Buffer.from(pdfBase64, 'base64');
-          await redisClient.del(`pdf_${from}`); // Clean up
-          logger.info(`PDF buffer retrieved for ${from}`);
-        }
+      if (inbound.type === 'reaction') {
+        // Reactions don't need a reply
+        logger.info(`Reaction ${inbound.reaction.emoji || '(removed)'} from ${from} on message ${inbound.reaction.messageId}`);
+        await markMessageProcessed(messageId);
+        return { status: 'ignored' };
       }
       
-      logger.info(`Processing collect money step for ${from} with input: ${typeof userInput === 'string' ? userInput : 'Buffer'}`);
-      const response = await processCollectMoneyStep(redisClient, from, userInput, isDocument);
-      if (response) {
-        logger.info(`Collect money step response: ${response.substring(0, 100)}...`);
-        await addToConversationHistory(from, {
-          role: 'assistant',
-          content: response
-        });
-        return response;
-      } else {
-        logger.warn(`No response from collect money step for ${from}`);
-      }
-    }
-    
-    // Check for registration commands
-    const lowerMessage = messageText.toLowerCase();
-    if (lowerMessage.includes('register') || lowerMessage.includes('signup') || lowerMessage.includes('create account')) {
-      // Ask user to choose between individual or business
-      const response = "👋 **Welcome!**\n\nI'd be happy to help you register! Before we proceed, I need to know:\n\n**Are you an individual or a business?**\n\nPlease respond with:\n• **\"Individual\"** - if this is for personal use\n• **\"Business\"** - if this is for company transactions\n\nThis helps me set up the right type of account for you.";
+      let messageText = inbound.text || '';
+      let isDocument = false;
+      let mediaError = null;
       
-      // Store registration intent
-      await redisClient.setEx(`registration_intent:${from}`, 300, 'pending');
+      const acceptedMessageTypes = await conversationRouter.getAcceptedMessageTypes(redisClient, from);
       
-      await addToConversationHistory(from, {
-        role: 'assistant',
-        content: response
-      });
-      return response;
-    }
-    
-    // Check if user is responding to registration type question
-    const registrationIntent = await redisClient.get(`registration_intent:${from}`);
-    if (registrationIntent === 'pending') {
-      // Check for exit request first
-      if (await handleExitRequest(from, messageText)) {
-        const exitResponse = await exitFromAllFlows(redisClient, from);
-        await addToConversationHistory(from, {
-          role: 'assistant',
-          content: exitResponse
-        });
-        return exitResponse;
-      }
+      const actionId = inbound.action ? inbound.action.id : null;
       
-      const lowerResponse = messageText.toLowerCase();
+      // STOP / START replies change the broadcast subscription and don't reach the flows. During a flow
+      // "stop" is an exit command, so it leaves the flow instead of unsubscribing.
+      const activeFlow = await conversationRouter.getActiveFlow(redisClient, from);
+      const optOutResponse = inbound.type === 'text' && !activeFlow ? await handleOptOutKeyword(redisClient, from, messageText) : null;
       
-      // Check if user provided an email instead of choosing individual/business
-      const emailMatch = messageText.match(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/);
-      if (emailMatch) {
-        // User provided a different email, check it
-        const email = emailMatch[0];
-        const userExistsResult = await userExists(redisClient, email);
-        
-        if (userExistsResult) {
-          // User exists with this new email
-          const userData = await getUserData(redisClient, email);
-          const fullName = await getUserFullName(redisClient, email);
-          
-          if (userData) {
-            // Store user context for this session
-            const userContext = {
-              email: email,
-              userId: userData.userId,
-              userType: userData.userType,
-              fullName: fullName
-            };
-            
-            await redisClient.setEx(`user_context:${from}`, 3600, JSON.stringify(userContext));
-            
-            // Check for stored money intent before clearing
-            const storedIntent = await redisClient.get(`money_intent:${from}`);
-            logger.info(`Retrieved stored money intent for ${from}: ${storedIntent}`);
-            
-            // Clear registration intent
-            await redisClient.del(`registration_intent:${from}`);
-            await redisClient.del(`user_email:${from}`);
-            
-            if (storedIntent === 'COLLECT_MONEY') {
-              // Continue with collect money flow
-              await redisClient.del(`money_intent:${from}`); // Clear the stored intent
-              const collectMoneyResponse = await startCollectMoneyFlow(redisClient, from);
-              const response = `👋 **Welcome back, ${fullName}!**\n\n✅ Your account is verified.\n\n${collectMoneyResponse}`;
-              await addToConversationHistory(from, {
-                role: 'assistant',
-                content: response
-              });
-              return response;
-            } else if (storedIntent === 'SEND_MONEY') {
-              // Continue with send money flow
-              await redisClient.del(`money_intent:${from}`); // Clear the stored intent
-              const sendMoneyResponse = `💰 **Send Money Flow**\n\n👋 **Welcome, ${fullName}!**\n\nI'll help you send money! Here's what we need:\n\n1. **Recipient Details** - Who you want to send money to\n2. **Amount & Currency** - How much and in what currency\n3. **Purpose** - Reason for the transfer\n4. **Payment Method** - How you want to pay\n\n**Examples of what you can say:**\n• "I want to send 1000 PHP to John Doe for rent"\n• "Send 500 USD to my sister for birthday"\n• "Transfer 2000 INR to vendor for services"\n\n**This feature is coming soon!**\n\nFor now, you can:\n• Ask about exchange rates\n• Register another account\n• Get help with other services`;
-              const response = `👋 **Welcome back, ${fullName}!**\n\n✅ Your account is verified.\n\n${sendMoneyResponse}`;
-              await addToConversationHistory(from, {
-                role: 'assistant',
-                content: response
-              });
-              return response;
-            } else {
-              // No stored intent, show general options
-              const welcomeMessage = `👋 **Welcome back, ${fullName}!**\n\n✅ **Your account is verified!**\n\nYou can now:\n\n💰 **Send Money** - Transfer money to others\n💸 **Collect Money** - Receive money from others\n\nWhat would you like to do?`;
-              await addToConversationHistory(from, {
-                role: 'assistant',
-                content: welcomeMessage
-              });
-              return welcomeMessage;
-            }
-          }
-        } else {
-          // Still no account found with new email, ask again for individual/business
-          await redisClient.setEx(`user_email:${from}`, 300, email); // Update stored email
-          
-          const response = `❌ **Account Not Found**\n\nNo account found with email: ${email} either.\n\nLet me help you create an account! Are you an individual or a business?\n\nPlease respond with:\n• **"Individual"** - if this is for personal use\n• **"Business"** - if this is for company transactions`;
-          
-          await addToConversationHistory(from, {
-            role: 'assistant',
-            content: response
-          });
-          return response;
-        }
-      }
+      // Exit requests always reach the flows so users can leave a step that expects a file
+      const isExit = !optOutResponse && (inbound.type === 'text' || inbound.type === 'interactive') && isExitRequest(messageText, actionId);
       
-      if (lowerResponse.includes('individual') || lowerResponse.includes('personal') || lowerResponse.includes('person')) {
-        // User chose individual registration, start it directly
-        const response = await startUserRegistration(redisClient, from);
-        // Clear registration intent
-        await redisClient.del(`registration_intent:${from}`);
-        await redisClient.del(`user_email:${from}`);
-        
-        await addToConversationHistory(from, {
-          role: 'assistant',
-          content: response
-        });
-        return response;
-        
-      } else if (lowerResponse.includes('business') || lowerResponse.includes('company') || lowerResponse.includes('corporate')) {
-        // User chose business registration, start it directly
-        const response = await startBusinessUserRegistration(redisClient, from);
-        // Clear registration intent
-        await redisClient.del(`registration_intent:${from}`);
-        await redisClient.del(`user_email:${from}`);
-        
-        await addToConversationHistory(from, {
-          role: 'assistant',
-          content: response
-        });
-        return response;
-        
+      if (optOutResponse) {
+        response = optOutResponse;
+      } else if (!isExit && !isMessageTypeAccepted(inbound.type, acceptedMessageTypes)) {
+        logger.info(`Message type ${inbound.type} from ${from} not accepted at current step (accepts: ${acceptedMessageTypes.join(', ')})`);
+        response = getUnsupportedTypeResponse(inbound.type, acceptedMessageTypes);
       } else {
-        // Invalid response, ask again
-        const storedEmail = await redisClient.get(`user_email:${from}`);
-        const emailText = storedEmail ? ` with email: ${storedEmail}` : '';
-        
-        const response = `❌ **Invalid Selection**\n\nNo account found${emailText}.\n\nPlease respond with either:\n• **"Individual"** - for personal use\n• **"Business"** - for company transactions\n\nWhat type of account do you want to create?`;
-        
-        await addToConversationHistory(from, {
-          role: 'assistant',
-          content: response
-        });
-        return response;
-      }
-    }
-    
-    // Check if user is in email check step for registration
-    const registrationStep = await redisClient.get(`registration_step:${from}`);
-    if (registrationStep === 'email_check') {
-      // Check for exit request first
-      if (await handleExitRequest(from, messageText)) {
-        const exitResponse = await exitFromAllFlows(redisClient, from);
-        await addToConversationHistory(from, {
-          role: 'assistant',
-          content: exitResponse
-        });
-        return exitResponse;
-      }
-      
-      const emailMatch = messageText.match(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/);
-      
-      if (emailMatch) {
-        const email = emailMatch[0];
-        const registrationType = await redisClient.get(`registration_intent:${from}`);
-        
-        // Check if user already exists
-        const userExistsResult = await userExists(redisClient, email);
-        
-        if (userExistsResult) {
-          // User exists, get their data and welcome them
-          const userData = await getUserData(redisClient, email);
-          const fullName = await getUserFullName(redisClient, email);
+        if (MEDIA_MESSAGE_TYPES.includes(inbound.type)) {
+          // Handle file upload (PDF invoice, photo, ...)
+          messageText = inbound.media.filename || inbound.media.caption || inbound.type;
+          isDocument = true;
+          logger.info(`Received ${inbound.type} from ${from}: ${messageText}`);
           
-          if (userData) {
-            // Store user context for this session
-            const userContext = {
-              email: email,
-              userId: userData.userId,
-              userType: userData.userType,
-              fullName: fullName
-            };
-            
-            await redisClient.setEx(`user_context:${from}`, 3600, JSON.stringify(userContext));
-            
-            // Check for stored money intent before clearing
-            const storedIntent = await redisClient.get(`money_intent:${from}`);
-            logger.info(`Retrieved stored money intent for ${from}: ${storedIntent}`);
-            
-            // Clear registration intent and step
-            await redisClient.del(`registration_intent:${from}`);
-            await redisClient.del(`registration_step:${from}`);
-            
-            if (storedIntent === 'COLLECT_MONEY') {
-              // Continue with collect money flow
-              await redisClient.del(`money_intent:${from}`); // Clear the stored intent
-              const collectMoneyResponse = await startCollectMoneyFlow(redisClient, from);
-              const response = `👋 **Welcome back, ${fullName}!**\n\n✅ Your account is verified.\n\n${collectMoneyResponse}`;
-              await addToConversationHistory(from, {
-                role: 'assistant',
-                content: response
-              });
-              return response;
-            } else if (storedIntent === 'SEND_MONEY') {
-              // Continue with send money flow
-              await redisClient.del(`money_intent:${from}`); // Clear the stored intent
-              const sendMoneyResponse = `💰 **Send Money Flow**\n\n👋 **Welcome, ${fullName}!**\n\nI'll help you send money! Here's what we need:\n\n1. **Recipient Details** - Who you want to send money to\n2. **Amount & Currency** - How much and in what currency\n3. **Purpose** - Reason for the transfer\n4. **Payment Method** - How you want to pay\n\n**Examples of what you can say:**\n• "I want to send 1000 PHP to John Doe for rent"\n• "Send 500 USD to my sister for birthday"\n• "Transfer 2000 INR to vendor for services"\n\n**This feature is coming soon!**\n\nFor now, you can:\n• Ask about exchange rates\n• Register another account\n• Get help with other services`;
-              const response = `👋 **Welcome back, ${fullName}!**\n\n✅ Your account is verified.\n\n${sendMoneyResponse}`;
-              await addToConversationHistory(from, {
-                role: 'assistant',
-                content: response
-              });
-              return response;
-            } else {
-              // No stored intent, show general options
-              const welcomeMessage = `👋 **Welcome back, ${fullName}!**\n\n✅ **You already have an account!**\n\nYour account is verified. You can now:\n\n💰 **Send Money** - Transfer money to others\n💸 **Collect Money** - Receive money from others\n\nWhat would you like to do?`;
-              await addToConversationHistory(from, {
-                role: 'assistant',
-                content: welcomeMessage
-              });
-              return welcomeMessage;
-            }
-          }
-                } else {
-          // User doesn't exist, start registration flow
-          if (registrationType === 'individual') {
-        const response = await startUserRegistration(redisClient, from);
-            // Clear registration intent and step
-            await redisClient.del(`registration_intent:${from}`);
-            await redisClient.del(`registration_step:${from}`);
-            await redisClient.del(`user_email:${from}`); // Clear stored email
-            
-            await addToConversationHistory(from, {
-              role: 'assistant',
-              content: response
-            });
-            return response;
-          } else if (registrationType === 'business') {
-            const response = await startBusinessUserRegistration(redisClient, from);
-            // Clear registration intent and step
-            await redisClient.del(`registration_intent:${from}`);
-            await redisClient.del(`registration_step:${from}`);
-            await redisClient.del(`user_email:${from}`); // Clear stored email
-            
-            await addToConversationHistory(from, {
-              role: 'assistant',
-              content: response
+          // Download the file through the Graph media endpoint and keep it in the blob store
+          try {
+            const media = await storeInboundMedia(inbound.media.id, {
+              allowedMimeTypes: MEDIA_MIME_TYPES[inbound.type],
+              from,
+              filename: inbound.media.filename
             });
-            return response;
+            await setPendingMedia(redisClient, from, media);
+            logger.info(`Media ${media.blobKey} stored for ${from}`);
+          } catch (error) {
+            logger.error(`Error downloading ${inbound.type} from ${from}: ${error.message}`);
+            mediaError = error;
           }
         }
-      } else {
-        // No valid email provided
-        const response = "❌ **Invalid Email Format**\n\nPlease provide a valid email address (e.g., user@example.com):";
         
-        await addToConversationHistory(from, {
-          role: 'assistant',
-          content: response
-        });
-        return response;
-      }
-    }
-    
-
-    
-    // Check for money transfer/collection intent (only if not already in a flow)
-    let storedIntent = await redisClient.get(`money_intent:${from}`);
-    logger.info(`Redis check - storedIntent for ${from}: ${storedIntent}`);
-    
-    // Check if stored intent has expired (Redis TTL will handle this automatically)
-    if (storedIntent) {
-      const ttl = await redisClient.ttl(`money_intent:${from}`);
-      logger.info(`Redis TTL for ${from}: ${ttl}`);
-      if (ttl <= 0) {
-        // Intent expired, clear it
-        await redisClient.del(`money_intent:${from}`);
-        storedIntent = null;
-        logger.info(`Cleared expired intent for ${from}`);
-      }
-    }
-    
-    if (!storedIntent) {
-      logger.info(`No stored intent found, checking message: "${messageText}"`);
-      
-      // Check if user has verified context and is making a new money request
-      const userContext = await redisClient.get(`user_context:${from}`);
-      logger.info(`User ${from} user context: ${userContext ? 'exists' : 'none'}`);
-      let moneyIntent = null;
-      
-       if (userContext) {
-         // User is verified, check for new money intent
-         logger.info(`Verified user ${from} detected, checking for money intent in message: "${messageText}"`);
-         try {
-           moneyIntent = await detectMoneyIntent(messageText);
-           logger.info(`OpenAI detected money intent for verified user: ${moneyIntent} for message: "${messageText}"`);
-         } catch (error) {
-           logger.error(`OpenAI intent detection failed: ${error.message}`);
-           moneyIntent = null; // Force fallback detection
-         }
-         
-         // Fallback to simple keyword detection if OpenAI fails
-         if (!moneyIntent || !['SEND_MONEY', 'COLLECT_MONEY', 'GENERAL_QUERY'].includes(moneyIntent)) {
-           logger.info(`OpenAI returned unexpected result: "${moneyIntent}", using fallback detection`);
-           
-           // More comprehensive fallback detection
-           const lowerMessage = messageText.toLowerCase();
-           
-           if (lowerMessage.includes('send money') || lowerMessage.includes('want to send') || 
-               lowerMessage.includes('need to send') || lowerMessage.includes('send money') ||
-               lowerMessage.includes('transfer money') || lowerMessage.includes('send cash')) {
-             moneyIntent = 'SEND_MONEY';
-           } else if (lowerMessage.includes('collect money') || lowerMessage.includes('want to collect') || 
-                      lowerMessage.includes('need to collect') || lowerMessage.includes('receive money') ||
-                      lowerMessage.includes('get money') || lowerMessage.includes('collect cash')) {
-             moneyIntent = 'COLLECT_MONEY';
-           } else {
-             moneyIntent = 'GENERAL_QUERY';
-           }
-           
-           logger.info(`Fallback detected money intent for verified user: ${moneyIntent} for message: "${messageText}"`);
-         }
-       } else {
-        // No user context, check for money intent as before
-        try {
-          moneyIntent = await detectMoneyIntent(messageText);
-          logger.info(`OpenAI detected money intent: ${moneyIntent} for message: "${messageText}"`);
-        } catch (error) {
-          logger.error(`OpenAI intent detection failed: ${error.message}`);
-          moneyIntent = null; // Force fallback detection
-        }
+        logger.info(`Processing new message ${messageId} from ${from}: ${messageText}`);
         
-        // Fallback to simple keyword detection if OpenAI fails or returns unexpected result
-        if (!moneyIntent || !['SEND_MONEY', 'COLLECT_MONEY', 'GENERAL_QUERY'].includes(moneyIntent)) {
-          logger.info(`OpenAI returned unexpected result: "${moneyIntent}", using fallback detection`);
-          
-          // More comprehensive fallback detection
-          const lowerMessage = messageText.toLowerCase();
-          
-          if (lowerMessage.includes('send money') || lowerMessage.includes('want to send') || 
-              lowerMessage.includes('need to send') || lowerMessage.includes('send money') ||
-              lowerMessage.includes('transfer money') || lowerMessage.includes('send cash')) {
-            moneyIntent = 'SEND_MONEY';
-          } else if (lowerMessage.includes('collect money') || lowerMessage.includes('want to collect') || 
-                     lowerMessage.includes('need to collect') || lowerMessage.includes('receive money') ||
-                     lowerMessage.includes('get money') || lowerMessage.includes('collect cash')) {
-            moneyIntent = 'COLLECT_MONEY';
-          } else {
-            moneyIntent = 'GENERAL_QUERY';
-          }
-          
-          logger.info(`Fallback detected money intent: ${moneyIntent} for message: "${messageText}"`);
+        // Process message and generate response; from here on a retry must not run the flow again
+        if (mediaError) {
+          response = getMediaErrorResponse(mediaError, inbound.type);
+        } else {
+          stage = 'route';
+          await updateMessageState(messageId, { stage });
+          response = await processMessage(from, messageText, isDocument, actionId, inbound.profileName);
         }
       }
       
-      if (moneyIntent === 'SEND_MONEY' || moneyIntent === 'COLLECT_MONEY') {
-        logger.info(`Processing ${moneyIntent} intent for user ${from}`);
-        
-        // Always ask for email first for money flows
-        const verificationMessage = `🔐 **Account Verification Required**\n\nTo ${moneyIntent === 'SEND_MONEY' ? 'send money' : 'collect money'}, I need to verify your account.\n\nPlease provide your registered email address:`;
-        
-        // Store the intent in Redis for the next response
-        await redisClient.setEx(`money_intent:${from}`, 300, moneyIntent); // 5 minutes expiry
-        
-        await addToConversationHistory(from, {
-          role: 'assistant',
-          content: verificationMessage
-        });
-        return verificationMessage;
-      } else {
-        logger.info(`User ${from} money intent: ${moneyIntent} (not requiring verification)`);
-      }
-    } else {
-      // User has a stored intent, check if they're responding to the email verification
-      if (await handleExitRequest(from, messageText)) {
-        // User wants to exit/cancel the money request
-        const exitResponse = await exitFromAllFlows(redisClient, from);
-        await addToConversationHistory(from, {
-          role: 'assistant',
-          content: exitResponse
-        });
-        return exitResponse;
-      } else {
-        // Process email verification
-        const verificationResponse = await handleUserVerification(from, messageText);
-        
-        await addToConversationHistory(from, {
-          role: 'assistant',
-          content: verificationResponse
-        });
-        return verificationResponse;
-      }
+      // Record the response so a retry only re-sends it
+      await updateMessageState(messageId, { status: 'responded', response });
     }
     
-    // Check for other commands
-    if (lowerMessage === 'help' || lowerMessage === 'commands') {
-      const helpResponse = `🤖 **WhatsApp Bot Commands:**
-
-💸 **Money Services:**
-• Say "I want to send money" - Start send money process
-• Say "I want to collect money" - Start collect money process (upload PDF + create order)
-
-💱 **Exchange Rates:**
-• Ask about "live rates" or "exchange rates" - Get currency rates vs USD
-• Say "fiat to crypto" or "convert to crypto" - Get fiat-to-cryptocurrency quotes
-• Say "I want to know exchange from fiat to crypto" - Get cryptocurrency conversion rates
-
-📝 **Registration:**
-• \`register\` - Start individual user registration
-• \`register business\` - Start business user registration
-• \`status\` - Check your registration progress
-• \`reset\` - Reset your current registration
-
-🚪 **Exit Commands:**
-• \`exit\`, \`cancel\`, \`stop\`, \`quit\`, \`back\`, \`menu\`, \`no\`, \`nevermind\`, \`end\`, \`finish\`, \`done\` - Exit from any flow and return to main menu
-
-📋 **Other Commands:**
-• \`help\` - Show this help message
-
-💡 **Examples:**
-• Say "I want to send money" to start the process
-• Say "I want to collect money" to start the process
-• Ask "What are the live rates for PHP?" for exchange rates vs USD
-• Say "fiat to crypto" to get cryptocurrency quotes
-• Say "I want to know exchange from fiat to crypto" for crypto conversion rates
-• Type \`register\` for direct registration
-• Type \`exit\` at any time to return to main menu
-
-📄 **Collect Money Flow:**
-1. Upload PDF invoice
-2. Provide all order details in one message (amount, currency, purpose code, etc.)
-3. Order created + payment link sent!
-
-💡 **Money Flow Examples:**
-**Send Money:**
-• "I want to send 1000 PHP to John Doe for rent"
-• "Send 500 USD to my sister for birthday"
-• "Transfer 2000 INR to vendor for services"
-
-**Collect Money:**
-• Upload PDF invoice first
-• Then provide: amount, currency, purpose, payment type, etc.
-• All in one message, one value per line`;
-      
-      await addToConversationHistory(from, {
-        role: 'assistant',
-        content: helpResponse
-      });
-      return helpResponse;
-    }
+    // Send response back to WhatsApp
+    stage = 'send';
+    const sendResult = await sendWhatsAppMessage(from, response);
     
-    if (lowerMessage === 'status') {
-      // Check individual registration status
-      if (await isUserInRegistration(redisClient, from)) {
-        const progress = await getRegistrationProgress(redisClient, from);
-        const statusResponse = `📊 **Registration Progress:**
-
-Step: ${progress.currentStep}/${progress.totalSteps}
-Progress: ${progress.progress}%
-Started: ${new Date(progress.startedAt).toLocaleString()}
-Collected: ${progress.collectedFields.join(', ') || 'None'}
-
-Continue with the next question or type \`reset\` to start over.`;
-        
-        await addToConversationHistory(from, {
-          role: 'assistant',
-          content: statusResponse
-        });
-        return statusResponse;
-      }
-      
-      // Check business registration status
-      if (await isUserInBusinessRegistration(redisClient, from)) {
-        const progress = await getBusinessRegistrationProgress(redisClient, from);
-        const statusResponse = `📊 **Business Registration Progress:**
-
-Step: ${progress.currentStep}/${progress.totalSteps}
-Progress: ${progress.progress}%
-Started: ${new Date(progress.startedAt).toLocaleString()}
-Collected: ${progress.collectedFields.join(', ') || 'None'}
-
-Continue with the next question or type \`reset\` to start over.`;
-        
-        await addToConversationHistory(from, {
-          role: 'assistant',
-          content: statusResponse
-        });
-        return statusResponse;
-      }
-      
-      const noRegistrationResponse = "❌ You are not currently in any registration process.\n\nType \`register\` to start individual registration or \`register business\` for business registration.";
-      
-      await addToConversationHistory(from, {
-        role: 'assistant',
-        content: noRegistrationResponse
-      });
-      return noRegistrationResponse;
+    if (sendResult && sendResult.success !== false) {
+      await markMessageProcessed(messageId);
+      logger.info(`Message ${messageId} processed and sent successfully`);
+      return { status: 'sent' };
     }
     
-    if (lowerMessage === 'reset') {
-      // Reset individual registration
-      if (await isUserInRegistration(redisClient, from)) {
-        const response = await resetUserRegistration(redisClient, from);
-        await addToConversationHistory(from, {
-          role: 'assistant',
-          content: response
-        });
-        return response;
-      }
-      
-      // Reset business registration
-      if (await isUserInBusinessRegistration(redisClient, from)) {
-        const response = await resetBusinessUserRegistration(redisClient, from);
-        await addToConversationHistory(from, {
-          role: 'assistant',
-          content: response
-        });
-        return response;
-      }
-      
-      const noResetResponse = "❌ Nothing to reset. You are not currently in any registration process.";
-      
-      await addToConversationHistory(from, {
-        role: 'assistant',
-        content: noResetResponse
-      });
-      return noResetResponse;
-    }
-    
-    // Check if user is in exchange rates flow
-    if (await isUserInExchangeRatesFlow(redisClient, from)) {
-      // Check for exit request first
-      if (await handleExitRequest(from, messageText)) {
-        const exitResponse = await exitFromAllFlows(redisClient, from);
-        await addToConversationHistory(from, {
-          role: 'assistant',
-          content: exitResponse
-        });
-        return exitResponse;
-      }
-      
-      const response = await processExchangeRatesStep(redisClient, from, messageText);
-      if (response) {
-        await addToConversationHistory(from, {
-          role: 'assistant',
-          content: response
-        });
-        return response;
-      }
-    }
+    // The queue retries failed sends (up to QUEUE_MAX_ATTEMPTS); a retry resumes at the send stage
+    await updateMessageState(messageId, {
+      status: 'failed',
+      stage,
+      error: sendResult && sendResult.error,
+      failedAt: new Date().toISOString()
+    });
+    logger.warn(`Message ${messageId} could not be sent: ${sendResult && sendResult.error}`);
+    return { status: 'send_failed', error: sendResult && sendResult.error };
     
+  } catch (error) {
+    await updateMessageState(messageId, {
+      status: 'failed',
+      stage,
+      error: error.message,
+      failedAt: new Date().toISOString()
+    });
+    throw error;
+  } finally {
+    await releaseMessageClaim(messageId);
+  }
+}
 
-    
-    // Check for exchange rates intent using OpenAI - handle directly without email verification
-    const exchangeRatesIntent = await detectExchangeRatesIntent(messageText);
-    logger.info(`User ${from} exchange rates intent: ${exchangeRatesIntent}`);
-    
-    if (exchangeRatesIntent === 'EXCHANGE_RATES') {
-      // Check if this is actually a fiat-to-crypto request
-      const lowerMessage = messageText.toLowerCase();
-      logger.info(`User ${from} message contains fiat: ${lowerMessage.includes('fiat')}, crypto: ${lowerMessage.includes('crypto')}`);
-      
-      if (lowerMessage.includes('fiat') && lowerMessage.includes('crypto')) {
-        // This is a fiat-to-crypto request, not a regular exchange rate request
-        logger.info(`User ${from} starting fiat-to-crypto flow`);
-        const response = await startFiatToCryptoFlow(redisClient, from);
-        await addToConversationHistory(from, {
-          role: 'assistant',
-          content: response
-        });
-        return response;
-      } else {
-        // Regular exchange rates request
-        logger.info(`User ${from} starting regular exchange rates flow`);
-        const response = await startExchangeRatesFlow(redisClient, from, messageText);
-        await addToConversationHistory(from, {
-          role: 'assistant',
-          content: response
-        });
-        return response;
-      }
-    }
-    
-    // Check for fiat-to-crypto intent
-    const fiatCryptoMessage = messageText.toLowerCase();
-    logger.info(`User ${from} checking fiat-to-crypto keywords in message: "${messageText}"`);
-    
-    if (fiatCryptoMessage.includes('fiat to crypto') || fiatCryptoMessage.includes('convert to crypto') || 
-        fiatCryptoMessage.includes('fiat to cryptocurrency') || fiatCryptoMessage.includes('crypto quote') ||
-        fiatCryptoMessage.includes('cryptocurrency quote') || fiatCryptoMessage.includes('fiat crypto') ||
-        fiatCryptoMessage.includes('exchange from fiat to crypto') || fiatCryptoMessage.includes('exchange fiat to crypto') ||
-        fiatCryptoMessage.includes('fiat to crypto exchange') || fiatCryptoMessage.includes('crypto exchange rate') ||
-        fiatCryptoMessage.includes('fiat crypto exchange') || fiatCryptoMessage.includes('convert fiat to crypto')) {
-      logger.info(`User ${from} fiat-to-crypto keywords detected, starting flow`);
-      const response = await startFiatToCryptoFlow(redisClient, from);
-      await addToConversationHistory(from, {
-        role: 'assistant',
-        content: response
-        });
-      return response;
-    }
-    
-    // Get conversation history for this user
-    let history = await getConversationHistory(from);
-    
-    // Add user message to history
+// Process incoming message through the conversation router
+async function processMessage(from, messageText, isDocument = false, actionId = null, profileName = null) {
+  try {
     await addToConversationHistory(from, {
       role: 'user',
       content: messageText
     });
     
-    // Simple response logic (you can integrate OpenAI here)
-    let aiResponse = "Thank you for your message! I'm a WhatsApp financial services bot. How can I help you today?\n\n💸 **Money Services:**\n• Say \"I want to send money\" to start sending money\n• Say \"I want to collect money\" to start collecting money\n\n💱 **Exchange Rates:**\n• Ask about 'live rates' or 'exchange rates' (vs USD)\n• Say \"fiat to crypto\" or \"convert to crypto\" for cryptocurrency quotes\n\n📝 **Direct Registration:**\n• Type 'register' for individual account\n• Type 'register business' for business account\n\n💡 **Examples:**\n• \"I want to send 1000 PHP to John for rent\"\n• \"I want to collect money\" (then upload PDF)\n• \"What are the live rates for PHP?\"\n• \"I want to know exchange from fiat to crypto\"\n\nType 'help' for more commands!";
+    const response = await conversationRouter.route(redisClient, { from, text: messageText, actionId, isDocument, profileName });
     
-    // Add AI response to history
     await addToConversationHistory(from, {
       role: 'assistant',
-      content: aiResponse
+      content: response
     });
     
-    logger.info(`Response generated: ${aiResponse}`);
-    return aiResponse;
+    logger.info(`Response generated: ${getMessageText(response)}`);
+    return response;
     
   } catch (error) {
     logger.error(`Error processing message: ${error.message}`);
@@ -1078,6 +400,36 @@ Continue with the next question or type \`reset\` to start over.`;
 }
 
 
+// Template management endpoints (admin)
+app.post('/create-template', requireAdminAuth, handleCreateTemplate);
+app.get('/templates', requireAdminAuth, handleGetTemplates);
+app.post('/templates/preview', requireAdminAuth, handlePreviewTemplate); // Before /templates/:id
+app.post('/templates/:id', requireAdminAuth, handleEditTemplate);
+app.delete('/templates', requireAdminAuth, handleDeleteTemplateByName);
+app.delete('/templates/:id', requireAdminAuth, handleDeleteTemplate);
+app.post('/send-template', requireAdminAuth, handleSendTemplate);
+app.get('/admin/templates/registry', requireAdminAuth, handleGetTemplateRegistry);
+app.post('/admin/templates/reconcile', requireAdminAuth, handleReconcileTemplates);
+
+// Broadcast campaign endpoints (admin)
+app.post('/admin/campaigns', requireAdminAuth, handleCreateCampaign);
+app.get('/admin/campaigns', requireAdminAuth, handleListCampaigns);
+app.get('/admin/campaigns/:id', requireAdminAuth, handleGetCampaign);
+app.get('/admin/campaigns/:id/recipients', requireAdminAuth, handleGetCampaignRecipients);
+app.post('/admin/campaigns/:id/recipients', requireAdminAuth, bodyParser.text({ type: 'text/csv', limit: '5mb' }), handleAddCampaignRecipients);
+app.post('/admin/campaigns/:id/:action(start|pause|resume|cancel)', requireAdminAuth, handleCampaignAction);
+
+// Scheduled message endpoints (admin)
+app.post('/admin/scheduled-messages', requireAdminAuth, handleCreateScheduledJob);
+app.get('/admin/scheduled-messages', requireAdminAuth, handleListScheduledJobs);
+app.get('/admin/scheduled-messages/:id', requireAdminAuth, handleGetScheduledJob);
+app.delete('/admin/scheduled-messages/:id', requireAdminAuth, handleCancelScheduledJob);
+app.get('/admin/users/:whatsappNumber/timezone', requireAdminAuth, handleGetUserTimezone);
+app.post('/admin/users/:whatsappNumber/timezone', requireAdminAuth, handleSetUserTimezone);
+
+// Message delivery config endpoints (admin): text or template per response kind
+app.get('/message-config', requireAdminAuth, handleGetMessageConfig);
+app.post('/message-config', requireAdminAuth, handleUpdateMessageConfig);
 
 // WhatsApp configuration check endpoint
 app.get('/whatsapp-config', (req, res) => {
@@ -1136,6 +488,33 @@ app.get('/debug/messages', async (req, res) => {
   }
 });
 
+// Debug endpoint to check the processing state of a single message
+app.get('/debug/messages/:messageId', requireAdminAuth, async (req, res) => {
+  try {
+    const messageId = req.params.messageId;
+    const state = await getMessageState(messageId);
+    
+    if (!state) {
+      return res.status(404).json({
+        error: `No processing state found for message ${messageId}`
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      messageId,
+      state
+    });
+    
+  } catch (error) {
+    logger.error(`Error in message debug endpoint: ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to get message state',
+      details: error.message
+    });
+  }
+});
+
 // Debug endpoint to check fiat-to-crypto flow state
 app.get('/debug/fiat-to-crypto/:whatsappNumber', async (req, res) => {
   try {
@@ -1158,6 +537,170 @@ app.get('/debug/fiat-to-crypto/:whatsappNumber', async (req, res) => {
   }
 });
 
+// Debug endpoint: conversation session (active flow, state and context) of a user
+app.get('/debug/session/:whatsappNumber', requireAdminAuth, async (req, res) => {
+  try {
+    const whatsappNumber = req.params.whatsappNumber;
+    const session = await getSession(redisClient, whatsappNumber);
+    const active = await conversationRouter.getActiveFlow(redisClient, whatsappNumber);
+    
+    res.status(200).json({
+      success: true,
+      whatsappNumber,
+      session,
+      activeState: active ? active.stateName : null,
+      acceptedMessageTypes: await conversationRouter.getAcceptedMessageTypes(redisClient, whatsappNumber),
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error(`Error in session debug endpoint: ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to get conversation session',
+      details: error.message
+    });
+  }
+});
+
+// Debug endpoint: 24-hour customer service window of a user
+app.get('/debug/service-window/:whatsappNumber', requireAdminAuth, async (req, res) => {
+  try {
+    const whatsappNumber = req.params.whatsappNumber;
+    const window = await getServiceWindowState(redisClient, whatsappNumber);
+    
+    res.status(200).json({
+      success: true,
+      whatsappNumber,
+      window,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error(`Error in service window debug endpoint: ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to get service window state',
+      details: error.message
+    });
+  }
+});
+
+// Admin endpoint: message queue statistics
+app.get('/admin/queue', requireAdminAuth, async (req, res) => {
+  try {
+    const stats = await getQueueStats(redisClient);
+    res.status(200).json({
+      success: true,
+      queue: stats,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error(`Error in queue stats endpoint: ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to get queue stats',
+      details: error.message
+    });
+  }
+});
+
+// Admin endpoint: inspect dead-letter jobs
+app.get('/admin/queue/dead', requireAdminAuth, async (req, res) => {
+  try {
+    const start = parseInt(req.query.start) || 0;
+    const count = Math.min(parseInt(req.query.count) || 50, 500);
+    const jobs = await getDeadLetterJobs(redisClient, start, count);
+    
+    res.status(200).json({
+      success: true,
+      start,
+      count: jobs.length,
+      jobs
+    });
+    
+  } catch (error) {
+    logger.error(`Error in dead-letter endpoint: ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to get dead-letter jobs',
+      details: error.message
+    });
+  }
+});
+
+// Admin endpoint: replay all dead-letter jobs, or a single one by id
+app.post('/admin/queue/dead/replay', requireAdminAuth, async (req, res) => {
+  try {
+    const jobId = (req.body && req.body.jobId) || null;
+    const replayed = await replayDeadLetterJobs(redisClient, jobId);
+    
+    if (jobId && replayed.length === 0) {
+      return res.status(404).json({
+        error: `Dead-letter job not found: ${jobId}`
+      });
+    }
+    
+    logger.info(`Admin replayed ${replayed.length} dead-letter job(s)`, { audit: 'dead_letter_replay', jobId });
+    res.status(200).json({
+      success: true,
+      replayed
+    });
+    
+  } catch (error) {
+    logger.error(`Error replaying dead-letter jobs: ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to replay dead-letter jobs',
+      details: error.message
+    });
+  }
+});
+
+// Admin endpoint: delivery timeline of a single outbound message
+app.get('/admin/messages/:messageId/timeline', requireAdminAuth, async (req, res) => {
+  try {
+    const record = await getMessageTimeline(redisClient, req.params.messageId);
+    
+    if (!record) {
+      return res.status(404).json({
+        error: `No delivery record found for message ${req.params.messageId}`
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: record
+    });
+    
+  } catch (error) {
+    logger.error(`Error in message timeline endpoint: ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to get message timeline',
+      details: error.message
+    });
+  }
+});
+
+// Admin endpoint: delivery timeline of recent outbound messages for a user
+app.get('/admin/users/:whatsappNumber/timeline', requireAdminAuth, async (req, res) => {
+  try {
+    const whatsappNumber = req.params.whatsappNumber;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const messages = await getUserTimeline(redisClient, whatsappNumber, limit);
+    
+    res.status(200).json({
+      success: true,
+      whatsappNumber,
+      count: messages.length,
+      messages
+    });
+    
+  } catch (error) {
+    logger.error(`Error in user timeline endpoint: ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to get user timeline',
+      details: error.message
+    });
+  }
+});
+
 // Test user registration endpoint
 app.get('/test/registration', async (req, res) => {
   try {
@@ -1229,6 +772,37 @@ app.get('/', (req, res) => {
       'GET /whatsapp-config': 'Check WhatsApp configuration',
       
       'GET /debug/messages': 'Debug message processing status',
+      'GET /debug/messages/:messageId': 'Processing state of a single message',
+      'GET /debug/session/:whatsappNumber': 'Conversation session (active flow and state) of a user',
+      'GET /debug/service-window/:whatsappNumber': '24-hour customer service window state of a user',
+      'GET /admin/queue': 'Message queue statistics (admin)',
+      'GET /admin/queue/dead': 'List dead-letter jobs (admin)',
+      'POST /admin/queue/dead/replay': 'Replay dead-letter jobs, optionally by jobId (admin)',
+      'GET /admin/messages/:messageId/timeline': 'Delivery timeline of an outbound message (admin)',
+      'GET /admin/users/:whatsappNumber/timeline': 'Delivery timelines of a user\'s recent outbound messages (admin)',
+      'POST /create-template': 'Create a message template (admin)',
+      'GET /templates': 'List templates; filter by status, category, language, name; page with limit/after or all=true (admin)',
+      'POST /templates/preview': 'Validate a template and render it with parameters (admin)',
+      'POST /templates/:id': 'Edit a template\'s category or components (admin)',
+      'DELETE /templates/:id': 'Delete a template by ID (admin)',
+      'DELETE /templates?name=&hsm_id=': 'Delete a template by name, optionally one language version by hsm_id (admin)',
+      'POST /send-template': 'Send a template message (admin)',
+      'GET /admin/templates/registry': 'Local template registry with review status and quality (?status=APPROVED) (admin)',
+      'POST /admin/templates/reconcile': 'Sync the template registry with Meta now (admin)',
+      'POST /admin/campaigns': 'Create a broadcast campaign with a CSV or user_data filter audience (admin)',
+      'GET /admin/campaigns': 'List campaigns with recipient counts (admin)',
+      'GET /admin/campaigns/:id': 'Campaign details and recipient counts (admin)',
+      'GET /admin/campaigns/:id/recipients': 'Per-recipient delivery results (?status=failed) (admin)',
+      'POST /admin/campaigns/:id/recipients': 'Add recipients to a draft campaign (text/csv body, or JSON csv/filters) (admin)',
+      'POST /admin/campaigns/:id/:action': 'Start, pause, resume or cancel a campaign (admin)',
+      'POST /admin/scheduled-messages': 'Schedule a template send: one-off (runAt) or recurring (cron) (admin)',
+      'GET /admin/scheduled-messages': 'List scheduled messages (?status=scheduled&to=) (admin)',
+      'GET /admin/scheduled-messages/:id': 'Scheduled message details and run history (admin)',
+      'DELETE /admin/scheduled-messages/:id': 'Cancel a scheduled message (admin)',
+      'GET /admin/users/:whatsappNumber/timezone': 'Timezone used for a user\'s scheduled messages (admin)',
+      'POST /admin/users/:whatsappNumber/timezone': 'Set a user\'s timezone (admin)',
+      'GET /message-config': 'Text or template delivery per response kind (admin)',
+      'POST /message-config': 'Change delivery per response kind (admin)',
       'GET /test/registration': 'Test user registration functions'
     },
     documentation: '/docs'
@@ -1244,12 +818,20 @@ app.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  templateReconcileJob.stop();
+  campaignRunner.stop();
+  scheduler.stop();
+  await messageQueue.stop();
   await disconnectRedis();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully');
+  templateReconcileJob.stop();
+  campaignRunner.stop();
+  scheduler.stop();
+  await messageQueue.stop();
   await disconnectRedis();
   process.exit(0);
 });
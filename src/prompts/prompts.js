@@ -143,15 +143,15 @@ Respond with ONLY a JSON object in this exact format:
   "message": "Validation message"
 }`,
 
-  // Date validation (for individual users - DATE OF BIRTH)
-  date: `You are a validation expert. Validate if the user input is a valid DATE OF BIRTH for a person.
+  // Date of birth fallback: only used for inputs the local date parser can't read
+  date: `You are a validation expert. Read the DATE OF BIRTH a person typed in a free format.
+The input was not in a standard format (DD-MM-YYYY, DD/MM/YYYY, "15 March 1990"), e.g. "March the 15th, 1990" or "15.3.1990".
 
 Rules:
-- Must be in DD-MM-YYYY format (e.g., 15-03-1990)
-- Must be a real date (not 31-02-2000)
-- Must not be in the future (person cannot be born in the future)
-- Person must be at least 13 years old (minimum age requirement)
-- Must be reasonable (not older than 120 years - maximum realistic human age)
+- Interpret the input as one calendar date; numeric dates are day first
+- A two-digit year is ambiguous: set "normalized" to null
+- If the input is not a date, or is ambiguous, set "normalized" to null
+- Do not check age limits or whether the date is in the future; that is done separately
 - This is for PERSONAL registration, not business
 
 User input: {input}
@@ -160,20 +160,20 @@ Current date: {currentDate}
 Respond with ONLY a JSON object in this exact format:
 {
   "valid": true/false,
-  "message": "Validation message"
+  "message": "Validation message",
+  "normalized": "DD-MM-YYYY" or null
 }`,
 
-  // Business date validation (for company incorporation)
-  business_date: `You are a validation expert. Validate if the user input is a valid DATE OF COMPANY INCORPORATION.
+  // Incorporation date fallback: only used for inputs the local date parser can't read
+  business_date: `You are a validation expert. Read the DATE OF COMPANY INCORPORATION a user typed in a free format.
+The input was not in a standard format (DD-MM-YYYY, DD/MM/YYYY, "25 September 2001"), e.g. "Sept 25th, 2001" or "25.9.2001".
 
 Rules:
-- Must be in DD-MM-YYYY format (e.g., 25-09-2001)
-- Must be a real date (not 31-02-2000)
-- Must not be in the future (company cannot be incorporated in the future)
-- Must not be older than 100 years (reasonable maximum business age)
-- Must be reasonable for business registration
+- Interpret the input as one calendar date; numeric dates are day first
+- A two-digit year is ambiguous: set "normalized" to null
+- If the input is not a date, or is ambiguous, set "normalized" to null
+- Do not check whether the date is in the future or too old; that is done separately
 - This is for BUSINESS registration - company incorporation date
-- Format must be exactly: dd-mm-YYYY
 
 User input: {input}
 Current date: {currentDate}
@@ -181,7 +181,8 @@ Current date: {currentDate}
 Respond with ONLY a JSON object in this exact format:
 {
   "valid": true/false,
-  "message": "Validation message"
+  "message": "Validation message",
+  "normalized": "DD-MM-YYYY" or null
 }`,
 
   // Gender validation
@@ -0,0 +1,80 @@
+import { logger } from '../utils/logger_utils.js';
+
+// WhatsApp number to account bindings.
+// A number is bound to an account (user_data:<email>) when the account is registered from it or
+// its email is confirmed with a one-time code. A number may hold several accounts. Bindings are
+// kept until the user unlinks them; a binding only skips email verification while its last
+// verification is recent.
+
+export const ACCOUNT_BINDING_CONFIG = {
+  reverifyAfterDays: parseInt(process.env.ACCOUNT_REVERIFY_DAYS) || 30, // Older verifications need a new code
+  maxAccountsPerNumber: 9 // Fits in one list message
+};
+
+// Generate Redis key (hash: email -> binding JSON)
+function getBindingsKey(whatsappNumber) {
+  return `account_bindings:${whatsappNumber}`;
+}
+
+// Check whether a binding was verified recently enough to skip the email verification
+export function isRecentlyVerified(binding) {
+  const age = Date.now() - new Date(binding.verifiedAt).getTime();
+  return age < ACCOUNT_BINDING_CONFIG.reverifyAfterDays * 24 * 60 * 60 * 1000;
+}
+
+// Accounts bound to a number, most recently verified first
+export async function getBoundAccounts(redisClient, whatsappNumber) {
+  const stored = await redisClient.hGetAll(getBindingsKey(whatsappNumber));
+  return Object.values(stored || {})
+    .map(value => {
+      const binding = JSON.parse(value);
+      return { ...binding, recentlyVerified: isRecentlyVerified(binding) };
+    })
+    .sort((a, b) => new Date(b.verifiedAt) - new Date(a.verifiedAt));
+}
+
+// The binding of one account, or null
+export async function getBoundAccount(redisClient, whatsappNumber, email) {
+  const stored = await redisClient.hGet(getBindingsKey(whatsappNumber), email.toLowerCase());
+  if (!stored) {
+    return null;
+  }
+  const binding = JSON.parse(stored);
+  return { ...binding, recentlyVerified: isRecentlyVerified(binding) };
+}
+
+// Bind an account to a number, or refresh its verification time.
+// `via` records how the account was proven: 'registration' or 'email_verification'.
+export async function bindAccount(redisClient, whatsappNumber, email, via) {
+  const key = getBindingsKey(whatsappNumber);
+  const normalizedEmail = email.toLowerCase();
+  const existing = await getBoundAccount(redisClient, whatsappNumber, normalizedEmail);
+  const now = new Date().toISOString();
+
+  const binding = {
+    email: normalizedEmail,
+    via,
+    boundAt: existing ? existing.boundAt : now,
+    verifiedAt: now
+  };
+  await redisClient.hSet(key, normalizedEmail, JSON.stringify(binding));
+  logger.info(`Account ${normalizedEmail} ${existing ? 're-verified' : 'bound'} for ${whatsappNumber} (${via})`);
+
+  // Keep the accounts of one number within the switcher's limit
+  const accounts = await getBoundAccounts(redisClient, whatsappNumber);
+  for (const stale of accounts.slice(ACCOUNT_BINDING_CONFIG.maxAccountsPerNumber)) {
+    await redisClient.hDel(key, stale.email);
+    logger.info(`Account ${stale.email} unbound from ${whatsappNumber}: more than ${ACCOUNT_BINDING_CONFIG.maxAccountsPerNumber} accounts`);
+  }
+
+  return binding;
+}
+
+// Remove a binding; returns false when the account was not bound to the number
+export async function unbindAccount(redisClient, whatsappNumber, email) {
+  const removed = await redisClient.hDel(getBindingsKey(whatsappNumber), email.toLowerCase());
+  if (removed) {
+    logger.info(`Account ${email.toLowerCase()} unbound from ${whatsappNumber}`);
+  }
+  return removed > 0;
+}
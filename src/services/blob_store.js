@@ -0,0 +1,85 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from '../utils/logger_utils.js';
+
+// Blob stores implement: put(key, buffer, metadata), get(key), getMetadata(key), delete(key)
+
+// Resolve a blob key inside the base directory, refusing keys that escape it
+function resolveBlobPath(baseDir, key) {
+  const blobPath = path.resolve(baseDir, key);
+  if (!blobPath.startsWith(path.resolve(baseDir) + path.sep)) {
+    throw new Error(`Invalid blob key: ${key}`);
+  }
+  return blobPath;
+}
+
+// Local disk blob store (default). Metadata is kept next to each blob as <key>.meta.json
+export function createLocalBlobStore(baseDir) {
+  return {
+    type: 'local',
+
+    async put(key, buffer, metadata = {}) {
+      const blobPath = resolveBlobPath(baseDir, key);
+      await fs.mkdir(path.dirname(blobPath), { recursive: true });
+      await fs.writeFile(blobPath, buffer);
+      await fs.writeFile(`${blobPath}.meta.json`, JSON.stringify({
+        ...metadata,
+        key,
+        size: buffer.length,
+        storedAt: new Date().toISOString()
+      }));
+      logger.info(`Blob stored: ${key} (${buffer.length} bytes)`);
+      return { key, size: buffer.length };
+    },
+
+    async get(key) {
+      try {
+        return await fs.readFile(resolveBlobPath(baseDir, key));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async getMetadata(key) {
+      try {
+        const raw = await fs.readFile(`${resolveBlobPath(baseDir, key)}.meta.json`, 'utf8');
+        return JSON.parse(raw);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      const blobPath = resolveBlobPath(baseDir, key);
+      await fs.rm(blobPath, { force: true });
+      await fs.rm(`${blobPath}.meta.json`, { force: true });
+      return true;
+    }
+  };
+}
+
+let blobStore = null;
+
+// Plug in a different blob store implementation (e.g. S3) at startup
+export function setBlobStore(store) {
+  blobStore = store;
+  logger.info(`Blob store set to: ${store.type || 'custom'}`);
+}
+
+// Get the configured blob store (local disk unless another one was set)
+export function getBlobStore() {
+  if (!blobStore) {
+    const storeType = process.env.BLOB_STORE || 'local';
+    if (storeType !== 'local') {
+      throw new Error(`Unsupported BLOB_STORE: ${storeType}. Register it with setBlobStore() at startup.`);
+    }
+    blobStore = createLocalBlobStore(process.env.MEDIA_STORAGE_DIR || path.resolve('data/media'));
+  }
+  return blobStore;
+}
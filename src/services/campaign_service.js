@@ -0,0 +1,884 @@
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import { logger } from '../utils/logger_utils.js';
+import { redisClient } from './redis_client.js';
+import { sendTemplateMessage } from '../utils/template_utils.js';
+import { parseCsv } from '../utils/csv_utils.js';
+import { toTemplateParameter } from '../utils/whatsapp_format.js';
+import { USER_DATA_PREFIX } from '../common/redis_utils.js';
+import { STATUS_RANK } from './message_status_service.js';
+import { isOptedOut } from './opt_out_service.js';
+import { RELEASE_LOCK_SCRIPT } from './message_queue.js';
+import { getRegisteredTemplate, SENDABLE_TEMPLATE_STATUS, TEMPLATE_NOT_APPROVED } from './template_registry.js';
+
+// Broadcast campaigns: one approved template sent to many recipients.
+// A campaign is created as a draft with its audience (CSV rows or user_data filters), then
+// started; the runner sends to queued recipients at a throttled rate and delivery statuses
+// from the webhook are written back to each recipient.
+
+// Redis key prefixes
+const CAMPAIGN_PREFIX = 'campaign';
+const CAMPAIGN_RECIPIENTS_PREFIX = 'campaign_recipients';
+const CAMPAIGN_QUEUE_PREFIX = 'campaign_queue';
+const CAMPAIGN_MESSAGE_PREFIX = 'campaign_message';
+const CAMPAIGN_LOCK_PREFIX = 'campaign_lock';
+const CAMPAIGN_STATUS_CHANGE_PREFIX = 'campaign_status_change'; // set while a status change waits for the lock
+const CAMPAIGNS_KEY = 'campaigns';                   // zset of campaign ids by creation time
+const RUNNING_CAMPAIGNS_KEY = 'campaigns:running';   // set of campaign ids the runner works on
+const TIER_RECIPIENTS_KEY = 'campaign_tier_recipients'; // zset of numbers messaged in the last 24h
+
+const CAMPAIGN_MESSAGE_TTL = 2592000; // Map message ids to campaigns for 30 days
+const TIER_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+export const CAMPAIGN_STATUSES = ['draft', 'running', 'paused', 'completed', 'cancelled'];
+
+// Error codes of requests the caller must fix; the endpoints answer 404 and 400 for them
+export const CAMPAIGN_NOT_FOUND = 'CAMPAIGN_NOT_FOUND';
+export const INVALID_CAMPAIGN_REQUEST = 'INVALID_CAMPAIGN_REQUEST';
+// A status change that timed out waiting for the runner; answered with 409
+export const CAMPAIGN_BUSY = 'CAMPAIGN_BUSY';
+
+// Runner configuration
+export const CAMPAIGN_CONFIG = {
+  messagesPerSecond: parseInt(process.env.CAMPAIGN_MESSAGES_PER_SECOND || '10', 10),
+  tickMs: 1000,
+  tierCacheMs: 60 * 60 * 1000,
+  statusChangeWaitMs: 10000, // How long a status change waits for a tick in progress to finish
+  saveMaxAttempts: 5,
+  // Messaging tier override; read from the phone number when not set
+  messagingTier: process.env.CAMPAIGN_MESSAGING_TIER || null
+};
+
+// Save the runner's changes only while the campaign is still running
+const SAVE_IF_UNCHANGED_SCRIPT = "if (redis.call('get', KEYS[1]) or '') ~= ARGV[1] then return 0 end " +
+  "redis.call('set', KEYS[1], ARGV[2]) return 1";
+
+// Unique users a phone number may message per 24 hours, by messaging tier
+const MESSAGING_TIER_LIMITS = {
+  TIER_50: 50,
+  TIER_250: 250,
+  TIER_1K: 1000,
+  TIER_10K: 10000,
+  TIER_100K: 100000,
+  TIER_UNLIMITED: Infinity
+};
+
+const DEFAULT_MESSAGING_TIER = 'TIER_1K';
+
+// Column names accepted as the recipient's number in CSV uploads
+const PHONE_COLUMNS = ['phone', 'whatsappNumber', 'whatsapp_number', 'to', 'wa_id'];
+
+// Placeholders in campaign parameters, e.g. "{{firstName}}"
+const PARAMETER_FIELD_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+// Generate Redis key for a campaign
+function getCampaignKey(campaignId) {
+  return `${CAMPAIGN_PREFIX}:${campaignId}`;
+}
+
+// Generate Redis key for a campaign's recipients hash
+function getRecipientsKey(campaignId) {
+  return `${CAMPAIGN_RECIPIENTS_PREFIX}:${campaignId}`;
+}
+
+// Generate Redis key for a campaign's send queue
+function getQueueKey(campaignId) {
+  return `${CAMPAIGN_QUEUE_PREFIX}:${campaignId}`;
+}
+
+// Generate Redis key mapping an outbound message id to its campaign
+function getCampaignMessageKey(messageId) {
+  return `${CAMPAIGN_MESSAGE_PREFIX}:${messageId}`;
+}
+
+// Generate Redis key for the lock the runner and status changes take on a campaign
+function getCampaignLockKey(campaignId) {
+  return `${CAMPAIGN_LOCK_PREFIX}:${campaignId}`;
+}
+
+function getStatusChangeKey(campaignId) {
+  return `${CAMPAIGN_STATUS_CHANGE_PREFIX}:${campaignId}`;
+}
+
+// Normalize a phone number to the digits-only form the Graph API expects. Returns null if invalid.
+function normalizeRecipientNumber(value) {
+  const digits = String(value || '').replace(/[\s\-().]/g, '').replace(/^\+/, '').replace(/^00/, '');
+  return /^\d{8,15}$/.test(digits) ? digits : null;
+}
+
+// Fill a campaign's parameters for one recipient. Returns { parameters } or { missing }.
+function resolveParameters(parameterTemplates, row) {
+  const missing = [];
+  const parameters = parameterTemplates.map(template => String(template).replace(PARAMETER_FIELD_PATTERN, (match, field) => {
+    const value = row[field];
+    if (value === undefined || value === null || value === '') {
+      missing.push(field);
+      return match;
+    }
+    return String(value);
+  }));
+
+  return missing.length > 0 ? { missing } : { parameters };
+}
+
+// Save a campaign record
+async function saveCampaign(campaign) {
+  campaign.updatedAt = new Date().toISOString();
+  await redisClient.set(getCampaignKey(campaign.id), JSON.stringify(campaign));
+}
+
+// Read a campaign record without recipient counts
+async function loadCampaign(campaignId) {
+  const stored = await redisClient.get(getCampaignKey(campaignId));
+  return stored ? JSON.parse(stored) : null;
+}
+
+// Apply the runner's changes to a campaign that is still running.
+// Compare-and-set on the stored record, so a pause or cancel made meanwhile is never overwritten.
+// Returns the saved campaign, or null when it is no longer running.
+async function updateRunningCampaign(campaignId, changes) {
+  for (let attempt = 1; ; attempt++) {
+    const stored = await redisClient.get(getCampaignKey(campaignId));
+    const campaign = stored ? JSON.parse(stored) : null;
+    if (!campaign || campaign.status !== 'running') {
+      return null;
+    }
+
+    const updated = { ...campaign, ...changes, updatedAt: new Date().toISOString() };
+    const saved = await redisClient.eval(SAVE_IF_UNCHANGED_SCRIPT, {
+      keys: [getCampaignKey(campaignId)],
+      arguments: [stored, JSON.stringify(updated)]
+    });
+    if (saved === 1) {
+      return updated;
+    }
+    if (attempt >= CAMPAIGN_CONFIG.saveMaxAttempts) {
+      throw new Error(`Campaign ${campaignId} kept changing while the runner saved it`);
+    }
+  }
+}
+
+// Take a campaign's lock; returns the lock token, or null when someone else holds it
+async function acquireCampaignLock(campaignId, lockMs) {
+  const token = crypto.randomUUID();
+  const result = await redisClient.set(getCampaignLockKey(campaignId), token, { NX: true, PX: lockMs });
+  return result === 'OK' ? token : null;
+}
+
+// Release a campaign's lock if we still hold it
+async function releaseCampaignLock(campaignId, token) {
+  await redisClient.eval(RELEASE_LOCK_SCRIPT, { keys: [getCampaignLockKey(campaignId)], arguments: [token] });
+}
+
+// Whether a status change is waiting for the campaign lock; the runner leaves the campaign alone meanwhile
+async function isStatusChangePending(campaignId) {
+  return (await redisClient.exists(getStatusChangeKey(campaignId))) === 1;
+}
+
+// Read a recipient record
+async function getRecipient(campaignId, to) {
+  const stored = await redisClient.hGet(getRecipientsKey(campaignId), to);
+  return stored ? JSON.parse(stored) : null;
+}
+
+// Save a recipient record
+async function saveRecipient(campaignId, recipient) {
+  recipient.updatedAt = new Date().toISOString();
+  await redisClient.hSet(getRecipientsKey(campaignId), recipient.to, JSON.stringify(recipient));
+}
+
+// Read a user's data record as a row of template fields; `name` is the person's or business's name
+function userDataToRow(userData) {
+  const name = userData.businessName || [userData.firstName, userData.lastName].filter(Boolean).join(' ');
+  return { ...userData, name, phone: userData.whatsappNumber };
+}
+
+// Collect registered users (user_data:*) whose fields equal every filter value (case-insensitive)
+async function findUsersByFilters(filters) {
+  const rows = [];
+
+  for await (const key of redisClient.scanIterator({ MATCH: `${USER_DATA_PREFIX}:*`, COUNT: 100 })) {
+    const stored = await redisClient.get(key);
+    if (!stored) {
+      continue;
+    }
+
+    const userData = JSON.parse(stored);
+    const matches = Object.entries(filters).every(([field, expected]) =>
+      String(userData[field] ?? '').toLowerCase() === String(expected).toLowerCase());
+    if (matches) {
+      rows.push(userDataToRow(userData));
+    }
+  }
+
+  return rows;
+}
+
+// Add audience rows to a draft campaign.
+// Returns { added, skipped, invalid, duplicates } counts.
+async function addRecipients(campaign, rows) {
+  const summary = { added: 0, skipped: 0, invalid: 0, duplicates: 0 };
+
+  for (const row of rows) {
+    const phoneColumn = PHONE_COLUMNS.find(column => row[column]);
+    const to = normalizeRecipientNumber(phoneColumn ? row[phoneColumn] : null);
+    if (!to) {
+      summary.invalid++;
+      continue;
+    }
+
+    if (await redisClient.hExists(getRecipientsKey(campaign.id), to)) {
+      summary.duplicates++;
+      continue;
+    }
+
+    const recipient = { to, parameters: [], status: 'pending', reason: null, messageId: null, error: null };
+    const resolved = resolveParameters(campaign.parameters, row);
+
+    if (await isOptedOut(redisClient, to)) {
+      recipient.status = 'skipped';
+      recipient.reason = 'opted_out';
+    } else if (resolved.missing) {
+      recipient.status = 'skipped';
+      recipient.reason = `missing_parameter:${resolved.missing.join(',')}`;
+    } else {
+      recipient.parameters = resolved.parameters;
+    }
+
+    await saveRecipient(campaign.id, recipient);
+    if (recipient.status === 'pending') {
+      await redisClient.rPush(getQueueKey(campaign.id), to);
+      summary.added++;
+    } else {
+      summary.skipped++;
+    }
+  }
+
+  logger.info(`Campaign ${campaign.id}: ${summary.added} recipient(s) added, ${summary.skipped} skipped, ${summary.invalid} invalid, ${summary.duplicates} duplicate(s)`);
+  return summary;
+}
+
+// Count recipients by status
+async function countRecipients(campaignId) {
+  const counts = { total: 0, pending: 0, skipped: 0, accepted: 0, sent: 0, delivered: 0, read: 0, failed: 0 };
+  const recipients = await redisClient.hGetAll(getRecipientsKey(campaignId));
+
+  Object.values(recipients || {}).forEach(stored => {
+    const { status } = JSON.parse(stored);
+    counts.total++;
+    counts[status] = (counts[status] || 0) + 1;
+  });
+
+  return counts;
+}
+
+// Read a campaign with its recipient counts
+export async function getCampaign(campaignId) {
+  const campaign = await loadCampaign(campaignId);
+  if (!campaign) {
+    return null;
+  }
+  return { ...campaign, counts: await countRecipients(campaignId) };
+}
+
+// List campaigns, newest first
+export async function listCampaigns(limit = 50) {
+  const ids = await redisClient.zRange(CAMPAIGNS_KEY, 0, limit - 1, { REV: true });
+  const campaigns = [];
+  for (const id of ids) {
+    const campaign = await getCampaign(id);
+    if (campaign) {
+      campaigns.push(campaign);
+    }
+  }
+  return campaigns;
+}
+
+// List a campaign's recipients, optionally only those with a given status
+export async function listCampaignRecipients(campaignId, status = null) {
+  const recipients = await redisClient.hGetAll(getRecipientsKey(campaignId));
+  return Object.values(recipients || {})
+    .map(stored => JSON.parse(stored))
+    .filter(recipient => !status || recipient.status === status);
+}
+
+// Check a campaign definition. Returns a list of errors.
+export function validateCampaignDefinition(definition) {
+  const errors = [];
+  const { name, templateName, language, parameters, audience } = definition || {};
+
+  if (!name) {
+    errors.push('name is required');
+  }
+  if (!templateName) {
+    errors.push('templateName is required');
+  }
+  if (!language) {
+    errors.push('language is required');
+  }
+  if (parameters !== undefined && !Array.isArray(parameters)) {
+    errors.push('parameters must be an array of values or {{field}} placeholders');
+  }
+  if (audience !== undefined) {
+    if (typeof audience !== 'object' || audience === null || (!audience.csv && !audience.filters)) {
+      errors.push('audience needs csv (CSV text with a phone column) or filters (user_data fields, e.g. { "userType": "individual" })');
+    } else if (audience.filters && (typeof audience.filters !== 'object' || Object.keys(audience.filters).length === 0)) {
+      errors.push('audience.filters must be an object with at least one field');
+    }
+  }
+
+  return errors;
+}
+
+// Error with one of the codes above
+function campaignError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Create a draft campaign and load its audience
+export async function createCampaign(definition) {
+  const record = await getRegisteredTemplate(redisClient, definition.templateName, definition.language);
+  if (record && record.status !== SENDABLE_TEMPLATE_STATUS) {
+    throw campaignError(`Template ${definition.templateName} (${definition.language}) is ${record.status}, campaigns need an ${SENDABLE_TEMPLATE_STATUS} template`, INVALID_CAMPAIGN_REQUEST);
+  }
+
+  const now = new Date().toISOString();
+  const campaign = {
+    id: crypto.randomUUID(),
+    name: definition.name,
+    templateName: definition.templateName,
+    language: definition.language,
+    parameters: definition.parameters || [],
+    audience: { sources: [], filters: null },
+    status: 'draft',
+    pauseReason: null,
+    throttledUntil: null,
+    createdAt: now,
+    startedAt: null,
+    completedAt: null
+  };
+
+  await saveCampaign(campaign);
+  await redisClient.zAdd(CAMPAIGNS_KEY, { score: Date.now(), value: campaign.id });
+  logger.info(`Campaign ${campaign.id} (${campaign.name}) created with template ${campaign.templateName}`);
+
+  let summary = null;
+  if (definition.audience) {
+    summary = await addCampaignAudience(campaign.id, definition.audience);
+  }
+
+  return { campaign: await getCampaign(campaign.id), audience: summary };
+}
+
+// Add recipients to a draft campaign from { csv } and/or { filters }
+export async function addCampaignAudience(campaignId, audience) {
+  const campaign = await loadCampaign(campaignId);
+  if (!campaign) {
+    throw campaignError(`Campaign ${campaignId} not found`, CAMPAIGN_NOT_FOUND);
+  }
+  if (campaign.status !== 'draft') {
+    throw campaignError(`Recipients can only be added to draft campaigns (campaign is ${campaign.status})`, INVALID_CAMPAIGN_REQUEST);
+  }
+
+  let rows = [];
+  if (audience.csv) {
+    let parsed;
+    try {
+      parsed = parseCsv(audience.csv);
+    } catch (error) {
+      throw campaignError(error.message, INVALID_CAMPAIGN_REQUEST);
+    }
+    const { columns, rows: csvRows } = parsed;
+    if (!PHONE_COLUMNS.some(column => columns.includes(column))) {
+      throw campaignError(`CSV needs a phone column (one of: ${PHONE_COLUMNS.join(', ')})`, INVALID_CAMPAIGN_REQUEST);
+    }
+    rows = rows.concat(csvRows);
+    campaign.audience.sources.push('csv');
+  }
+  if (audience.filters) {
+    rows = rows.concat(await findUsersByFilters(audience.filters));
+    campaign.audience.sources.push('filters');
+    campaign.audience.filters = audience.filters;
+  }
+
+  await saveCampaign(campaign);
+  return await addRecipients(campaign, rows);
+}
+
+// Allowed status changes: action -> [from statuses, to status]
+const CAMPAIGN_TRANSITIONS = {
+  start: [['draft'], 'running'],
+  pause: [['running'], 'paused'],
+  resume: [['paused'], 'running'],
+  cancel: [['draft', 'running', 'paused'], 'cancelled']
+};
+
+export const CAMPAIGN_ACTIONS = Object.keys(CAMPAIGN_TRANSITIONS);
+
+// Start, pause, resume or cancel a campaign.
+// Takes the campaign lock, so the change can't happen in the middle of a runner tick. While it
+// waits, the runner stops sending for the campaign and doesn't start another tick on it.
+export async function changeCampaignStatus(campaignId, action, reason = null) {
+  const lockMs = CAMPAIGN_CONFIG.tickMs * 5;
+  const waitUntil = Date.now() + CAMPAIGN_CONFIG.statusChangeWaitMs;
+  await redisClient.set(getStatusChangeKey(campaignId), '1', { PX: CAMPAIGN_CONFIG.statusChangeWaitMs });
+
+  try {
+    let token;
+    while (!(token = await acquireCampaignLock(campaignId, lockMs))) {
+      if (Date.now() >= waitUntil) {
+        throw campaignError(`Campaign ${campaignId} is being sent right now, please try again`, CAMPAIGN_BUSY);
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    try {
+      return await applyStatusChange(campaignId, action, reason);
+    } finally {
+      await releaseCampaignLock(campaignId, token);
+    }
+  } finally {
+    await redisClient.del(getStatusChangeKey(campaignId));
+  }
+}
+
+// Change a campaign's status; the caller holds the campaign lock
+async function applyStatusChange(campaignId, action, reason) {
+  const campaign = await loadCampaign(campaignId);
+  if (!campaign) {
+    throw campaignError(`Campaign ${campaignId} not found`, CAMPAIGN_NOT_FOUND);
+  }
+
+  const [fromStatuses, toStatus] = CAMPAIGN_TRANSITIONS[action];
+  if (!fromStatuses.includes(campaign.status)) {
+    throw campaignError(`Cannot ${action} a ${campaign.status} campaign`, INVALID_CAMPAIGN_REQUEST);
+  }
+
+  if (action === 'start' && await redisClient.lLen(getQueueKey(campaignId)) === 0) {
+    throw campaignError('Campaign has no recipients to send to', INVALID_CAMPAIGN_REQUEST);
+  }
+
+  const now = new Date().toISOString();
+  campaign.status = toStatus;
+  campaign.pauseReason = action === 'pause' ? reason || 'paused by admin' : null;
+  if (action === 'start') {
+    campaign.startedAt = now;
+  }
+
+  if (toStatus === 'running') {
+    await redisClient.sAdd(RUNNING_CAMPAIGNS_KEY, campaignId);
+  } else {
+    await redisClient.sRem(RUNNING_CAMPAIGNS_KEY, campaignId);
+  }
+
+  if (action === 'cancel') {
+    // Recipients still waiting will never be sent to
+    const queued = await redisClient.lRange(getQueueKey(campaignId), 0, -1);
+    for (const to of queued) {
+      const recipient = await getRecipient(campaignId, to);
+      if (recipient && recipient.status === 'pending') {
+        await saveRecipient(campaignId, { ...recipient, status: 'skipped', reason: 'cancelled' });
+      }
+    }
+    await redisClient.del(getQueueKey(campaignId));
+    campaign.completedAt = now;
+  }
+
+  await saveCampaign(campaign);
+  logger.info(`Campaign ${campaignId} ${action}: now ${toStatus}${campaign.pauseReason ? ` (${campaign.pauseReason})` : ''}`);
+  return await getCampaign(campaignId);
+}
+
+// Apply a delivery status webhook to the campaign recipient the message was sent to, if any
+export async function recordCampaignStatus(statusUpdate) {
+  const mapping = await redisClient.get(getCampaignMessageKey(statusUpdate.id));
+  if (!mapping) {
+    return null;
+  }
+
+  const { campaignId, to } = JSON.parse(mapping);
+  const recipient = await getRecipient(campaignId, to);
+  if (!recipient) {
+    return null;
+  }
+
+  if ((STATUS_RANK[statusUpdate.status] ?? -1) > (STATUS_RANK[recipient.status] ?? -1)) {
+    recipient.status = statusUpdate.status;
+    if (statusUpdate.status === 'failed' && Array.isArray(statusUpdate.errors) && statusUpdate.errors[0]) {
+      const error = statusUpdate.errors[0];
+      recipient.error = `${error.code}: ${error.title || error.message}`;
+    }
+    await saveRecipient(campaignId, recipient);
+  }
+
+  return recipient;
+}
+
+// Read the messaging tier of the sending phone number (cached)
+let cachedTier = null;
+async function getMessagingTierLimit() {
+  if (CAMPAIGN_CONFIG.messagingTier) {
+    return MESSAGING_TIER_LIMITS[CAMPAIGN_CONFIG.messagingTier] ?? MESSAGING_TIER_LIMITS[DEFAULT_MESSAGING_TIER];
+  }
+
+  if (cachedTier && Date.now() - cachedTier.at < CAMPAIGN_CONFIG.tierCacheMs) {
+    return MESSAGING_TIER_LIMITS[cachedTier.tier];
+  }
+
+  let tier = DEFAULT_MESSAGING_TIER;
+  try {
+    const url = `https://graph.facebook.com/v18.0/${process.env.WHATSAPP_PHONE_NUMBER_ID}?fields=messaging_limit_tier`;
+    const response = await fetch(url, {
+      headers: { 'Authorization': `Bearer ${process.env.META_ACCESS_TOKEN}` }
+    });
+    const result = await response.json();
+    if (response.ok && MESSAGING_TIER_LIMITS[result.messaging_limit_tier] !== undefined) {
+      tier = result.messaging_limit_tier;
+    } else {
+      logger.warn(`Could not read messaging tier, assuming ${DEFAULT_MESSAGING_TIER}: ${JSON.stringify(result)}`);
+    }
+  } catch (error) {
+    logger.warn(`Could not read messaging tier, assuming ${DEFAULT_MESSAGING_TIER}: ${error.message}`);
+  }
+
+  cachedTier = { tier, at: Date.now() };
+  logger.info(`Messaging tier: ${tier}`);
+  return MESSAGING_TIER_LIMITS[tier];
+}
+
+// Check how many more unique users can be messaged in the rolling 24-hour window.
+// Returns { remaining, resetsAt }.
+async function getTierBudget() {
+  const now = Date.now();
+  await redisClient.zRemRangeByScore(TIER_RECIPIENTS_KEY, 0, now - TIER_WINDOW_MS);
+  const limit = await getMessagingTierLimit();
+  const used = await redisClient.zCard(TIER_RECIPIENTS_KEY);
+
+  let resetsAt = null;
+  if (used >= limit) {
+    const oldest = await redisClient.zRangeWithScores(TIER_RECIPIENTS_KEY, 0, 0);
+    resetsAt = oldest[0] ? new Date(oldest[0].score + TIER_WINDOW_MS).toISOString() : null;
+  }
+
+  return { remaining: limit - used, resetsAt };
+}
+
+// Send a campaign's template to one recipient.
+// Returns 'sent', 'failed', 'skipped', 'throttled' or 'blocked' (template not approved).
+async function sendToRecipient(campaign, to) {
+  const recipient = await getRecipient(campaign.id, to);
+  if (!recipient || recipient.status !== 'pending') {
+    return 'skipped';
+  }
+
+  // Users can opt out after the audience was loaded
+  if (await isOptedOut(redisClient, to)) {
+    await saveRecipient(campaign.id, { ...recipient, status: 'skipped', reason: 'opted_out' });
+    return 'skipped';
+  }
+
+  // Users already messaged in the window don't count against the tier again
+  const alreadyCounted = (await redisClient.zScore(TIER_RECIPIENTS_KEY, to)) !== null;
+  if (!alreadyCounted && (await getTierBudget()).remaining <= 0) {
+    return 'throttled';
+  }
+
+  const components = recipient.parameters.length > 0
+    ? [{ type: 'body', parameters: recipient.parameters.map(value => ({ type: 'text', text: toTemplateParameter(value) })) }]
+    : [];
+
+  try {
+    const result = await sendTemplateMessage(to, campaign.templateName, components, campaign.language, { campaignId: campaign.id });
+    const messageId = result.messages && result.messages[0] ? result.messages[0].id : null;
+
+    await redisClient.zAdd(TIER_RECIPIENTS_KEY, { score: Date.now(), value: to });
+    if (messageId) {
+      await redisClient.setEx(getCampaignMessageKey(messageId), CAMPAIGN_MESSAGE_TTL, JSON.stringify({ campaignId: campaign.id, to }));
+    }
+    await saveRecipient(campaign.id, { ...recipient, status: 'accepted', messageId, sentAt: new Date().toISOString() });
+    return 'sent';
+  } catch (error) {
+    if (error.code === TEMPLATE_NOT_APPROVED) {
+      return 'blocked';
+    }
+    logger.error(`Campaign ${campaign.id}: send to ${to} failed: ${error.message}`);
+    await saveRecipient(campaign.id, { ...recipient, status: 'failed', error: error.message });
+    return 'failed';
+  }
+}
+
+// Send up to `budget` queued messages of one campaign; the caller holds the campaign lock.
+// Returns the number of sends attempted.
+async function processCampaign(campaignId, budget) {
+  let campaign = await loadCampaign(campaignId);
+  if (!campaign || campaign.status !== 'running') {
+    await redisClient.sRem(RUNNING_CAMPAIGNS_KEY, campaignId);
+    return 0;
+  }
+
+  let attempted = 0;
+  while (attempted < budget) {
+    // Stop as soon as the campaign is paused or cancelled, or a status change is waiting
+    campaign = await loadCampaign(campaignId);
+    if (!campaign || campaign.status !== 'running' || await isStatusChangePending(campaignId)) {
+      break;
+    }
+
+    const to = await redisClient.lPop(getQueueKey(campaignId));
+    if (!to) {
+      const completed = await updateRunningCampaign(campaignId, {
+        status: 'completed',
+        completedAt: new Date().toISOString(),
+        throttledUntil: null
+      });
+      if (completed) {
+        await redisClient.sRem(RUNNING_CAMPAIGNS_KEY, campaignId);
+        logger.info(`Campaign ${campaignId} completed`);
+      }
+      break;
+    }
+
+    const outcome = await sendToRecipient(campaign, to);
+
+    if (outcome === 'throttled' || outcome === 'blocked') {
+      // Put the recipient back at the front of the queue
+      await redisClient.lPush(getQueueKey(campaignId), to);
+
+      if (outcome === 'blocked') {
+        await applyStatusChange(campaignId, 'pause', `template ${campaign.templateName} is not approved`);
+      } else {
+        const { resetsAt } = await getTierBudget();
+        if (campaign.throttledUntil !== resetsAt && await updateRunningCampaign(campaignId, { throttledUntil: resetsAt })) {
+          logger.warn(`Campaign ${campaignId} waiting for messaging tier limit to reset at ${resetsAt}`);
+        }
+      }
+      break;
+    }
+
+    if (outcome !== 'skipped') {
+      attempted++;
+    }
+  }
+
+  if (attempted > 0 && campaign && campaign.throttledUntil) {
+    await updateRunningCampaign(campaignId, { throttledUntil: null });
+  }
+
+  return attempted;
+}
+
+// Create the campaign runner ({ start, stop }).
+// Every tick it sends at most `messagesPerSecond` messages, shared by the running campaigns in turn.
+export function createCampaignRunner(options = {}) {
+  const config = { ...CAMPAIGN_CONFIG, ...options };
+  let timer = null;
+  let busy = false;
+
+  async function tick() {
+    if (busy) {
+      return;
+    }
+    busy = true;
+
+    try {
+      const campaignIds = await redisClient.sMembers(RUNNING_CAMPAIGNS_KEY);
+      const perTick = Math.max(1, Math.floor(config.messagesPerSecond * config.tickMs / 1000));
+      let budget = perTick;
+
+      for (const campaignId of campaignIds) {
+        if (budget <= 0) {
+          break;
+        }
+        // Only one instance works on a campaign at a time, and status changes wait for the tick
+        if (await isStatusChangePending(campaignId)) {
+          continue;
+        }
+        const token = await acquireCampaignLock(campaignId, config.tickMs * 5);
+        if (!token) {
+          continue;
+        }
+        try {
+          budget -= await processCampaign(campaignId, budget);
+        } finally {
+          await releaseCampaignLock(campaignId, token);
+        }
+      }
+    } catch (error) {
+      logger.error(`Campaign runner error: ${error.message}`);
+    } finally {
+      busy = false;
+    }
+  }
+
+  return {
+    start() {
+      if (timer) {
+        return;
+      }
+      timer = setInterval(tick, config.tickMs);
+      logger.info(`Campaign runner started (${config.messagesPerSecond} message(s) per second)`);
+    },
+
+    stop() {
+      if (timer) {
+        clearInterval(timer);
+        timer = null;
+      }
+    }
+  };
+}
+
+// HTTP status for a failed campaign request
+function getErrorStatus(error) {
+  if (error.code === CAMPAIGN_NOT_FOUND) {
+    return 404;
+  }
+  if (error.code === CAMPAIGN_BUSY) {
+    return 409;
+  }
+  return error.code === INVALID_CAMPAIGN_REQUEST ? 400 : 500;
+}
+
+// Create campaign endpoint handler
+// Body: { name, templateName, language, parameters: ["{{name}}", "fixed value"], audience: { csv } | { filters } }
+export async function handleCreateCampaign(req, res) {
+  try {
+    const errors = validateCampaignDefinition(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid campaign',
+        details: errors
+      });
+    }
+
+    const result = await createCampaign(req.body);
+    res.status(201).json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    logger.error(`Error creating campaign: ${error.message}`);
+    res.status(getErrorStatus(error)).json({
+      error: 'Failed to create campaign',
+      details: error.message
+    });
+  }
+}
+
+// Add recipients endpoint handler: text/csv body, or JSON { csv } / { filters }
+export async function handleAddCampaignRecipients(req, res) {
+  try {
+    const audience = typeof req.body === 'string' ? { csv: req.body } : req.body;
+    const errors = validateCampaignDefinition({ name: '-', templateName: '-', language: '-', audience });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid audience',
+        details: errors
+      });
+    }
+
+    const summary = await addCampaignAudience(req.params.id, audience);
+    res.status(200).json({
+      success: true,
+      audience: summary,
+      campaign: await getCampaign(req.params.id)
+    });
+
+  } catch (error) {
+    logger.error(`Error adding campaign recipients: ${error.message}`);
+    res.status(getErrorStatus(error)).json({
+      error: 'Failed to add recipients',
+      details: error.message
+    });
+  }
+}
+
+// Campaign status change endpoint handler (start, pause, resume, cancel)
+export async function handleCampaignAction(req, res) {
+  try {
+    const campaign = await changeCampaignStatus(req.params.id, req.params.action);
+    res.status(200).json({
+      success: true,
+      campaign
+    });
+
+  } catch (error) {
+    logger.error(`Error changing campaign ${req.params.id}: ${error.message}`);
+    res.status(getErrorStatus(error)).json({
+      error: `Failed to ${req.params.action} campaign`,
+      details: error.message
+    });
+  }
+}
+
+// List campaigns endpoint handler
+export async function handleListCampaigns(req, res) {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 200);
+    const campaigns = await listCampaigns(limit);
+    res.status(200).json({
+      success: true,
+      count: campaigns.length,
+      campaigns
+    });
+
+  } catch (error) {
+    logger.error(`Error listing campaigns: ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to list campaigns',
+      details: error.message
+    });
+  }
+}
+
+// Campaign details endpoint handler
+export async function handleGetCampaign(req, res) {
+  try {
+    const campaign = await getCampaign(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({
+        error: `Campaign ${req.params.id} not found`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      campaign
+    });
+
+  } catch (error) {
+    logger.error(`Error getting campaign: ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to get campaign',
+      details: error.message
+    });
+  }
+}
+
+// Campaign recipients endpoint handler (?status=failed)
+export async function handleGetCampaignRecipients(req, res) {
+  try {
+    if (!(await getCampaign(req.params.id))) {
+      return res.status(404).json({
+        error: `Campaign ${req.params.id} not found`
+      });
+    }
+
+    const recipients = await listCampaignRecipients(req.params.id, req.query.status || null);
+    res.status(200).json({
+      success: true,
+      count: recipients.length,
+      recipients
+    });
+
+  } catch (error) {
+    logger.error(`Error listing campaign recipients: ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to list campaign recipients',
+      details: error.message
+    });
+  }
+}
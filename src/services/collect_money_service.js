@@ -1,11 +1,16 @@
 import { logger } from '../utils/logger_utils.js';
 import { createInvoice, createDepositOrder } from './invoice_service.js';
 import { getUserData } from '../common/redis_utils.js';
+import { ctaUrlMessage } from './interactive_messages.js';
+import { escapeUserValue } from '../utils/whatsapp_format.js';
+import { tagResponse, RESPONSE_KINDS } from './template_routing.js';
+import { getFlowState, setFlowState } from './conversation_session.js';
 
 // Collect money flow configuration
 export const COLLECT_MONEY_FLOW = {
   steps: [
-    { field: 'pdf', question: 'Please upload your PDF invoice:', validation: 'pdf' }
+    { field: 'pdf', question: 'Please upload your PDF invoice:', validation: 'pdf', acceptedMessageTypes: ['document', 'image'] },
+    { field: 'orderDetails', question: 'Please provide your order details:', validation: 'bulk', acceptedMessageTypes: ['text', 'interactive'] }
   ],
   welcomeMessage: `💸 **Collect Money Flow**
 
@@ -14,7 +19,7 @@ I'll help you collect money! Here's what we need:
 1. **Upload PDF Invoice** - Your invoice document
 2. **Order Details** - All other information in one go
 
-Please upload your PDF invoice first:`,
+Please upload your PDF invoice (or a clear photo of it) first:`,
   bulkInputMessage: `📋 **Please provide all order details in one message:**
 
 Please provide the following information **one value per line** in this exact order:
@@ -56,7 +61,7 @@ export async function startCollectMoneyFlow(redisClient, whatsappNumber) {
 }
 
 // Process collect money step
-export async function processCollectMoneyStep(redisClient, whatsappNumber, userInput, isDocument = false) {
+export async function processCollectMoneyStep(redisClient, whatsappNumber, userInput, isDocument = false, mimeType = 'application/pdf') {
   try {
     const state = await getCollectMoneyState(redisClient, whatsappNumber);
     logger.info(`Collect money state for ${whatsappNumber}:`, state);
@@ -70,7 +75,7 @@ export async function processCollectMoneyStep(redisClient, whatsappNumber, userI
     
     // Handle PDF upload
     if (isDocument && state.currentStep === 0) {
-      return await handlePdfUpload(redisClient, whatsappNumber, userInput, state);
+      return await handlePdfUpload(redisClient, whatsappNumber, userInput, state, mimeType);
     }
     
     // Handle bulk input for order details
@@ -87,7 +92,7 @@ export async function processCollectMoneyStep(redisClient, whatsappNumber, userI
 }
 
 // Handle PDF upload
-async function handlePdfUpload(redisClient, whatsappNumber, pdfBuffer, state) {
+async function handlePdfUpload(redisClient, whatsappNumber, pdfBuffer, state, mimeType) {
   try {
     // Get user email from context
     const userContext = await redisClient.get(`user_context:${whatsappNumber}`);
@@ -104,7 +109,7 @@ async function handlePdfUpload(redisClient, whatsappNumber, pdfBuffer, state) {
     }
     
     // Create invoice
-    const invoiceResult = await createInvoice(pdfBuffer, email);
+    const invoiceResult = await createInvoice(pdfBuffer, email, mimeType);
     
     // Store invoice data
     state.collectedData.invoiceId = invoiceResult.invoiceId;
@@ -208,7 +213,18 @@ async function createDepositOrderFromData(redisClient, whatsappNumber, state) {
     const paymentUrl = orderResult.paymentUrl;
     const orderId = orderResult.orderId;
     
-    return `${COLLECT_MONEY_FLOW.successMessage}\n\nOrder Details:\n• Order ID: ${orderId}\n• Amount: ${orderData.amount} ${orderData.currency}\n• Invoice ID: ${orderData.invoiceId}\n• Purpose: ${orderData.purposeCode}\n\n💳 **Payment Link:**\n${paymentUrl}\n\nClick the link above to complete your payment!`;
+    const orderSummary = `${COLLECT_MONEY_FLOW.successMessage}\n\nOrder Details:\n• Order ID: ${orderId}\n• Amount: ${escapeUserValue(orderData.amount)} ${escapeUserValue(orderData.currency)}\n• Invoice ID: ${orderData.invoiceId}\n• Purpose: ${escapeUserValue(orderData.purposeCode)}`;
+    
+    if (!paymentUrl) {
+      return `${orderSummary}\n\n⚠️ No payment link was returned. Please contact support with your Order ID.`;
+    }
+    
+    // Payment link as a button; the text version (with the raw URL) is used if it can't be sent
+    return tagResponse(
+      ctaUrlMessage(`${orderSummary}\n\n💳 Tap the button below to complete your payment!`, 'Pay now', paymentUrl),
+      RESPONSE_KINDS.PAYMENT_LINK_READY,
+      { orderId, amount: orderData.amount, currency: orderData.currency, paymentUrl }
+    );
     
   } catch (error) {
     logger.error(`Error creating deposit order: ${error.message}`);
@@ -296,20 +312,23 @@ function validateOrderData(orderData) {
   return { isValid: true };
 }
 
-// Redis state management functions
+// Session flow name of the collect money flow
+export const COLLECT_MONEY_SESSION_FLOW = 'collect_money';
+const COLLECT_MONEY_SESSION_TTL = 1800; // 30 minutes
+
+// State management functions (null ends the flow)
 export async function setCollectMoneyState(redisClient, whatsappNumber, state) {
-  const key = `collect_money:${whatsappNumber}`;
-  if (state) {
-    await redisClient.setEx(key, 1800, JSON.stringify(state)); // 30 minutes expiry
-  } else {
-    await redisClient.del(key);
-  }
+  await setFlowState(redisClient, whatsappNumber, COLLECT_MONEY_SESSION_FLOW, state, COLLECT_MONEY_SESSION_TTL);
 }
 
 export async function getCollectMoneyState(redisClient, whatsappNumber) {
-  const key = `collect_money:${whatsappNumber}`;
-  const state = await redisClient.get(key);
-  return state ? JSON.parse(state) : null;
+  return await getFlowState(redisClient, whatsappNumber, COLLECT_MONEY_SESSION_FLOW);
+}
+
+// Get the message types the current collect money step accepts
+export function getCollectMoneyAcceptedTypes(state) {
+  const step = COLLECT_MONEY_FLOW.steps[state.currentStep];
+  return step ? step.acceptedMessageTypes : ['text', 'interactive'];
 }
 
 export async function isUserInCollectMoneyFlow(redisClient, whatsappNumber) {
@@ -0,0 +1,916 @@
+import { logger } from '../utils/logger_utils.js';
+import { getOpenaiResponse } from '../utils/openai_utils.js';
+import { escapeUserValue } from '../utils/whatsapp_format.js';
+import { MONEY_INTENT_PROMPT } from '../prompts/prompts.js';
+import { ACTIONS, resolveAction } from '../common/actions.js';
+import { userExists, getUserData, getUserFullName, USER_REGISTRATION_SESSION_FLOW, BUSINESS_REGISTRATION_SESSION_FLOW } from '../common/redis_utils.js';
+import { REGISTRATION_INPUT_MODES, isBackRequest } from '../common/registration_steps.js';
+import { replyButtons, listMessage, truncateToLimit, INTERACTIVE_LIMITS } from './interactive_messages.js';
+import { setFlowState, getSessionContext, setSessionContext } from './conversation_session.js';
+import { createConversationRouter, isExitRequest } from './conversation_router.js';
+import { getPendingMedia, loadStoredMedia, clearPendingMedia } from './media_service.js';
+import { EMAIL_VERIFICATION_CONFIG, sendVerificationCode, verifyEmailCode, clearVerificationCode, maskEmail } from './email_verification.js';
+import { getBoundAccounts, bindAccount, unbindAccount } from './account_binding.js';
+import {
+  startFiatToCryptoFlow,
+  processFiatToCryptoStep,
+  startExchangeRatesFlow,
+  processExchangeRatesStep,
+  detectExchangeRatesIntent,
+  FIAT_TO_CRYPTO_FLOW,
+  FIAT_TO_CRYPTO_SESSION_FLOW,
+  EXCHANGE_RATES_SESSION_FLOW
+} from './exchange_rates.js';
+import {
+  startCollectMoneyFlow,
+  processCollectMoneyStep,
+  COLLECT_MONEY_FLOW,
+  COLLECT_MONEY_SESSION_FLOW
+} from './collect_money_service.js';
+import {
+  startKycFlow,
+  processKycStep,
+  refreshKycStatus,
+  explainKycRequirement,
+  KYC_FLOW,
+  KYC_SESSION_FLOW,
+  KYC_STATUSES
+} from './kyc_service.js';
+import {
+  startUserRegistration,
+  processUserRegistrationStep,
+  getRegistrationProgress,
+  resetUserRegistration,
+  USER_REGISTRATION_FLOW
+} from '../users/individual_user.js';
+import {
+  startBusinessUserRegistration,
+  processBusinessUserRegistrationStep,
+  getBusinessRegistrationProgress,
+  resetBusinessUserRegistration,
+  BUSINESS_USER_REGISTRATION_FLOW
+} from '../users/business_user.js';
+
+// The bot's conversation flows and commands, registered with the conversation router.
+
+const ACCOUNT_VERIFICATION_SESSION_FLOW = 'account_verification';
+const ACCOUNT_TYPE_SESSION_FLOW = 'account_type';
+const ACCOUNT_SWITCHER_SESSION_FLOW = 'account_switcher';
+const PENDING_QUESTION_TTL = 300; // Unanswered verification / account type questions expire after 5 minutes
+
+const VERIFICATION_CODE_PATTERN = new RegExp(`^\\d{${EMAIL_VERIFICATION_CONFIG.codeLength}}$`);
+
+const VERIFICATION_CODE_BUTTONS = [
+  { id: ACTIONS.RESEND_CODE, title: '🔁 Resend code' },
+  { id: ACTIONS.MAIN_MENU, title: '🏠 Main menu' }
+];
+
+// List row ids of the account switcher
+const ACCOUNT_ROW_PREFIX = 'account:';
+const ADD_ACCOUNT_ROW_ID = `${ACCOUNT_ROW_PREFIX}__add`;
+
+// Typed commands that open the account switcher
+const ACCOUNT_LIST_COMMANDS = ['accounts', 'my accounts', 'linked accounts', 'switch account', 'switch accounts'];
+
+// Typed commands that start identity verification or report its status
+const KYC_COMMANDS = ['kyc', 'kyc status', 'verify identity', 'verify my identity', 'identity verification'];
+
+const KYC_BUTTONS = [
+  { id: ACTIONS.START_KYC, title: '🪪 Verify identity' },
+  { id: ACTIONS.MAIN_MENU, title: '🏠 Main menu' }
+];
+
+const EMAIL_PATTERN = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/;
+
+const MONEY_INTENTS = ['SEND_MONEY', 'COLLECT_MONEY'];
+
+// Keyword fallback when OpenAI can't classify a money request
+const MONEY_INTENT_KEYWORDS = {
+  SEND_MONEY: ['send money', 'want to send', 'need to send', 'transfer money', 'send cash'],
+  COLLECT_MONEY: ['collect money', 'want to collect', 'need to collect', 'receive money', 'get money', 'collect cash']
+};
+
+const FIAT_TO_CRYPTO_KEYWORDS = [
+  'fiat to crypto', 'convert to crypto', 'fiat to cryptocurrency', 'crypto quote', 'cryptocurrency quote',
+  'fiat crypto', 'exchange from fiat to crypto', 'exchange fiat to crypto', 'fiat to crypto exchange',
+  'crypto exchange rate', 'fiat crypto exchange', 'convert fiat to crypto'
+];
+
+// Individual / business choice shown before registration
+const ACCOUNT_TYPE_BUTTONS = [
+  { id: ACTIONS.ACCOUNT_INDIVIDUAL, title: '👤 Individual' },
+  { id: ACTIONS.ACCOUNT_BUSINESS, title: '🏢 Business' }
+];
+
+// Main menu choices run the same path as the command a user would type
+const MENU_ACTION_COMMANDS = {
+  [ACTIONS.SEND_MONEY]: 'I want to send money',
+  [ACTIONS.COLLECT_MONEY]: 'I want to collect money',
+  [ACTIONS.LIVE_RATES]: 'What are the live exchange rates?',
+  [ACTIONS.FIAT_TO_CRYPTO]: 'fiat to crypto',
+  [ACTIONS.REGISTER]: 'register',
+  [ACTIONS.MY_ACCOUNTS]: 'accounts',
+  [ACTIONS.START_KYC]: 'verify identity',
+  [ACTIONS.HELP]: 'help'
+};
+
+const MENU_EXAMPLES = `💡 **Examples:**\n• "I want to send 1000 PHP to John for rent"\n• "I want to collect money" (then upload PDF)\n• "What are the live rates for PHP?"\n• "I want to know exchange from fiat to crypto"`;
+
+const HELP_MESSAGE = `🤖 **WhatsApp Bot Commands:**
+
+💸 **Money Services:**
+• Say "I want to send money" - Start send money process
+• Say "I want to collect money" - Start collect money process (upload PDF + create order)
+• Registered users confirm their email with the code sent to it (\`resend\` for a new code)
+
+💱 **Exchange Rates:**
+• Ask about "live rates" or "exchange rates" - Get currency rates vs USD
+• Say "fiat to crypto" or "convert to crypto" - Get fiat-to-cryptocurrency quotes
+• Say "I want to know exchange from fiat to crypto" - Get cryptocurrency conversion rates
+
+📝 **Registration:**
+• \`register\` - Start individual user registration
+• \`register business\` - Start business user registration
+• \`status\` - Check your registration progress
+• \`reset\` - Reset your current registration
+• \`back\` - Change your previous answer (step-by-step registration)
+• \`edit\` or e.g. \`change city to Pune\` - Change one detail at a confirmation
+
+👤 **Accounts:**
+• \`accounts\` - Switch between the accounts linked to this WhatsApp number
+• \`switch to\` <email> - Use another linked account
+• \`unlink\` - Unlink an account from this number
+• \`kyc\` - Verify your identity (ID document + selfie), needed by individual accounts to send or collect money
+
+🚪 **Exit Commands:**
+• \`exit\`, \`cancel\`, \`stop\`, \`quit\`, \`back\`, \`menu\`, \`no\`, \`nevermind\`, \`end\`, \`finish\`, \`done\` - Exit from any flow and return to main menu
+  (while entering details or a quote, send the word on its own; \`back\` goes to the previous field there)
+
+📋 **Other Commands:**
+• \`help\` - Show this help message
+
+💡 **Examples:**
+• Say "I want to send money" to start the process
+• Say "I want to collect money" to start the process
+• Ask "What are the live rates for PHP?" for exchange rates vs USD
+• Say "fiat to crypto" to get cryptocurrency quotes
+• Say "I want to know exchange from fiat to crypto" for crypto conversion rates
+• Type \`register\` for direct registration
+• Type \`exit\` at any time to return to main menu
+
+📄 **Collect Money Flow:**
+1. Upload PDF invoice
+2. Provide all order details in one message (amount, currency, purpose code, etc.)
+3. Order created + payment link sent!
+
+💡 **Money Flow Examples:**
+**Send Money:**
+• "I want to send 1000 PHP to John Doe for rent"
+• "Send 500 USD to my sister for birthday"
+• "Transfer 2000 INR to vendor for services"
+
+**Collect Money:**
+• Upload PDF invoice first
+• Then provide: amount, currency, purpose, payment type, etc.
+• All in one message, one value per line`;
+
+// Build the main menu list message with `intro` as its body
+export function buildMainMenu(intro) {
+  return listMessage(
+    `${intro}\n\n🚪 You can type \`exit\` or \`menu\` at any time to return here.`,
+    'Main menu',
+    [
+      {
+        title: 'Money Services',
+        rows: [
+          { id: ACTIONS.SEND_MONEY, title: '💸 Send money', description: 'Transfer money to someone' },
+          { id: ACTIONS.COLLECT_MONEY, title: '📥 Collect money', description: 'Upload an invoice and get a payment link' }
+        ]
+      },
+      {
+        title: 'Exchange Rates',
+        rows: [
+          { id: ACTIONS.LIVE_RATES, title: '💱 Live rates', description: 'Currency exchange rates vs USD' },
+          { id: ACTIONS.FIAT_TO_CRYPTO, title: '🪙 Fiat to crypto', description: 'Get a cryptocurrency quote' }
+        ]
+      },
+      {
+        title: 'Account',
+        rows: [
+          { id: ACTIONS.REGISTER, title: '📝 Register', description: 'Create an individual or business account' },
+          { id: ACTIONS.MY_ACCOUNTS, title: '👤 My accounts', description: 'Switch or unlink the accounts linked to this number' },
+          { id: ACTIONS.START_KYC, title: '🪪 Verify identity', description: 'ID document and selfie, needed to send or collect money' },
+          { id: ACTIONS.HELP, title: '❓ Help', description: 'Show all commands' }
+        ]
+      }
+    ]
+  );
+}
+
+// Detect a send / collect money request. Returns SEND_MONEY, COLLECT_MONEY or null.
+async function detectMoneyIntent(messageText) {
+  let intent = null;
+  try {
+    const prompt = MONEY_INTENT_PROMPT.replace('{message}', messageText);
+    const aiResponse = await getOpenaiResponse('gpt-4o-mini', false, [
+      { role: 'system', content: prompt }
+    ]);
+    intent = aiResponse.choices[0].message.content.trim();
+  } catch (error) {
+    logger.error(`Error detecting money intent: ${error.message}`);
+  }
+
+  if (![...MONEY_INTENTS, 'GENERAL_QUERY'].includes(intent)) {
+    logger.info(`OpenAI returned unexpected money intent "${intent}", using keyword detection`);
+    const lowerMessage = messageText.toLowerCase();
+    intent = MONEY_INTENTS.find(candidate => MONEY_INTENT_KEYWORDS[candidate].some(keyword => lowerMessage.includes(keyword))) || 'GENERAL_QUERY';
+  }
+
+  logger.info(`Money intent: ${intent} for message: "${messageText}"`);
+  return MONEY_INTENTS.includes(intent) ? intent : null;
+}
+
+// Introduction of the send money flow (not available yet)
+function buildSendMoneyIntro(fullName) {
+  return `💰 **Send Money Flow**\n\n👋 **Welcome, ${escapeUserValue(fullName)}!**\n\nI'll help you send money! Here's what we need:\n\n1. **Recipient Details** - Who you want to send money to\n2. **Amount & Currency** - How much and in what currency\n3. **Purpose** - Reason for the transfer\n4. **Payment Method** - How you want to pay\n\n**Examples of what you can say:**\n• "I want to send 1000 PHP to John Doe for rent"\n• "Send 500 USD to my sister for birthday"\n• "Transfer 2000 INR to vendor for services"\n\n**This feature is coming soon!**\n\nFor now, you can:\n• Ask about exchange rates\n• Register another account\n• Get help with other services`;
+}
+
+// Remember the verified account for this WhatsApp session
+async function setVerifiedUser(redisClient, from, email, userData, fullName) {
+  const userContext = {
+    email: email.toLowerCase(),
+    userId: userData.userId,
+    userType: userData.userType,
+    fullName: fullName
+  };
+
+  await redisClient.setEx(`user_context:${from}`, 3600, JSON.stringify(userContext));
+  logger.info(`User context set for ${from}: ${JSON.stringify(userContext)}`);
+}
+
+// Welcome a verified user and continue with the money request they started with, if any.
+// `status` tells the user how the account was recognised.
+async function continueAfterVerification(redisClient, from, fullName, moneyIntent, status = '✅ Your account is verified.') {
+  const welcome = `👋 **Welcome back, ${escapeUserValue(fullName)}!**`;
+
+  if (moneyIntent) {
+    const kycRequired = await checkKycForMoneyIntent(redisClient, from, moneyIntent, `${welcome}\n\n${status}`);
+    if (kycRequired) {
+      return kycRequired;
+    }
+  }
+
+  if (moneyIntent === 'COLLECT_MONEY') {
+    const collectMoneyResponse = await startCollectMoneyFlow(redisClient, from);
+    return `${welcome}\n\n${status}\n\n${collectMoneyResponse}`;
+  }
+  if (moneyIntent === 'SEND_MONEY') {
+    return `${welcome}\n\n${status}\n\n${buildSendMoneyIntro(fullName)}`;
+  }
+  return `${welcome}\n\n${status} You can now:\n\n💰 **Send Money** - Transfer money to others\n💸 **Collect Money** - Receive money from others\n\nWhat would you like to do?`;
+}
+
+// Money services need an approved KYC for individual accounts. Returns the explanation (with a
+// button to start verification) when the active account isn't approved yet, else null; the money
+// request resumes once the KYC is approved.
+async function checkKycForMoneyIntent(redisClient, from, moneyIntent, intro) {
+  const email = await getActiveAccountEmail(redisClient, from);
+  const userData = email ? await getUserData(redisClient, email) : null;
+  if (!userData || userData.userType !== 'individual') {
+    return null;
+  }
+
+  const kyc = await refreshKycStatus(redisClient, email);
+  const explanation = explainKycRequirement(kyc);
+  if (!explanation) {
+    return null;
+  }
+
+  logger.info(`Money request ${moneyIntent} of ${from} held: KYC ${kyc.status} for ${email}`);
+  if (kyc.status === KYC_STATUSES.PENDING) {
+    return `${intro}\n\n${explanation}`;
+  }
+  await setSessionContext(redisClient, from, 'pendingMoneyIntent', moneyIntent);
+  return replyButtons(`${intro}\n\n${explanation}\n\nTap *Verify identity* to start.`, KYC_BUTTONS);
+}
+
+// Continue the money request that was waiting for the KYC, if any, after `response`
+async function resumeAfterKyc(redisClient, from, email, response) {
+  const moneyIntent = await getSessionContext(redisClient, from, 'pendingMoneyIntent');
+  await setSessionContext(redisClient, from, 'pendingMoneyIntent', null);
+
+  if (moneyIntent === 'COLLECT_MONEY') {
+    const collectMoneyResponse = await startCollectMoneyFlow(redisClient, from);
+    return `${response}\n\n🔄 **Resuming Collect Money Flow**\n\n${collectMoneyResponse}`;
+  }
+  if (moneyIntent === 'SEND_MONEY') {
+    const fullName = await getUserFullName(redisClient, email);
+    return `${response}\n\n🔄 **Resuming Send Money Flow**\n\n${buildSendMoneyIntro(fullName)}`;
+  }
+  return `${response}\n\nWhat would you like to do? Say "I want to collect money" or "I want to send money".`;
+}
+
+// Look up an email; returns { email, userData, fullName } for a registered account, else null
+async function findAccount(redisClient, messageText) {
+  const emailMatch = messageText.match(EMAIL_PATTERN);
+  if (!emailMatch) {
+    return null;
+  }
+
+  // Accounts and bindings are stored under the lowercased email
+  const email = emailMatch[0].toLowerCase();
+  if (!(await userExists(redisClient, email))) {
+    return { email, userData: null };
+  }
+  return { email, userData: await getUserData(redisClient, email), fullName: await getUserFullName(redisClient, email) };
+}
+
+// Ask for a code, with the resend / main menu buttons
+function askVerificationCode(intro, email) {
+  return replyButtons(`${intro}\n\nReply with the ${EMAIL_VERIFICATION_CONFIG.codeLength}-digit code sent to ${escapeUserValue(maskEmail(email))}, tap *Resend code*, or send a different email address.`, VERIFICATION_CODE_BUTTONS);
+}
+
+// Wait time in words, e.g. "45 seconds" or "30 minutes"
+function formatWaitTime(seconds) {
+  if (seconds < 60) {
+    return `${seconds} seconds`;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+}
+
+// End the verification after too many wrong codes
+async function endLockedVerification(redisClient, from, retryAfterSeconds) {
+  await setFlowState(redisClient, from, ACCOUNT_VERIFICATION_SESSION_FLOW, null);
+  return `🔒 **Verification Locked**\n\nThere were too many wrong codes, so email verification is paused for this account and number. Please try again in ${formatWaitTime(retryAfterSeconds)}.`;
+}
+
+// Email a one-time code for a registered account; the account is only used once the code is confirmed
+async function startEmailVerification(redisClient, from, email, moneyIntent) {
+  const result = await sendVerificationCode(redisClient, from, email);
+
+  if (result.status === 'locked') {
+    return await endLockedVerification(redisClient, from, result.retryAfterSeconds);
+  }
+  if (result.status === 'failed') {
+    await setFlowState(redisClient, from, ACCOUNT_VERIFICATION_SESSION_FLOW, { intent: moneyIntent }, PENDING_QUESTION_TTL);
+    return `❌ **Email Not Sent**\n\nI couldn't send a verification code right now. Please send your registered email address again in a few minutes.`;
+  }
+
+  // A code sent earlier may still be valid when sending another one is throttled
+  await setFlowState(redisClient, from, ACCOUNT_VERIFICATION_SESSION_FLOW, { intent: moneyIntent, email }, EMAIL_VERIFICATION_CONFIG.codeTtlSeconds);
+  if (result.status === 'throttled') {
+    return askVerificationCode(`⏳ **Please Wait**\n\nA code was sent recently. You can request another one in ${formatWaitTime(result.retryAfterSeconds)}.`, email);
+  }
+  return askVerificationCode(`📧 **Check Your Email**\n\nTo confirm this account is yours, I sent a verification code to the registered email address. It expires in ${formatWaitTime(result.expiresInSeconds)}.`, email);
+}
+
+// Handle a reply while a code is pending; returns null when the message is not a code or a resend
+async function handleVerificationCode(redisClient, { from, text, actionId }, state) {
+  if (resolveAction(actionId, text, [ACTIONS.RESEND_CODE]) === ACTIONS.RESEND_CODE) {
+    return await startEmailVerification(redisClient, from, state.email, state.intent);
+  }
+
+  const code = (text || '').replace(/[\s-]/g, '');
+  if (actionId || !VERIFICATION_CODE_PATTERN.test(code)) {
+    return null;
+  }
+
+  const result = await verifyEmailCode(redisClient, from, code);
+  if (result.status === 'locked') {
+    return await endLockedVerification(redisClient, from, result.retryAfterSeconds);
+  }
+  if (result.status === 'expired') {
+    return askVerificationCode(`⌛ **Code Expired**\n\nThat code is no longer valid. Tap *Resend code* to get a new one.`, state.email);
+  }
+  if (result.status === 'invalid') {
+    const attempts = result.attemptsLeft === 1 ? '1 attempt' : `${result.attemptsLeft} attempts`;
+    return askVerificationCode(`❌ **Wrong Code**\n\nThat code doesn't match. ${attempts} left before verification is locked.`, state.email);
+  }
+
+  await setFlowState(redisClient, from, ACCOUNT_VERIFICATION_SESSION_FLOW, null);
+  const account = await findAccount(redisClient, result.email);
+  if (!account || !account.userData) {
+    return `❌ **Account Not Found**\n\nThe account for ${escapeUserValue(result.email)} is no longer available. Type \`register\` to create a new account.`;
+  }
+
+  await setVerifiedUser(redisClient, from, account.email, account.userData, account.fullName);
+  await bindAccount(redisClient, from, account.email, 'email_verification');
+  return await continueAfterVerification(redisClient, from, account.fullName, state.intent,
+    "✅ Your account is verified and linked to this WhatsApp number, so you won't need to enter your email next time (type `accounts` to switch or unlink).");
+}
+
+// Email of the account used in this WhatsApp session, or null
+async function getActiveAccountEmail(redisClient, from) {
+  const userContext = await redisClient.get(`user_context:${from}`);
+  const email = userContext ? JSON.parse(userContext).email : null;
+  return email ? email.toLowerCase() : null;
+}
+
+// Use a bound, recently verified account for this session; null when the account no longer exists
+async function useBoundAccount(redisClient, from, email, moneyIntent) {
+  const account = await findAccount(redisClient, email);
+  if (!account || !account.userData) {
+    await unbindAccount(redisClient, from, email);
+    return null;
+  }
+
+  await setVerifiedUser(redisClient, from, account.email, account.userData, account.fullName);
+  return await continueAfterVerification(redisClient, from, account.fullName, moneyIntent,
+    `🔗 Using your linked account ${escapeUserValue(maskEmail(account.email))} (type \`accounts\` to switch).`);
+}
+
+// Switch to a bound account; one not verified recently gets a new code first
+async function switchToAccount(redisClient, from, binding, moneyIntent) {
+  if (binding.recentlyVerified) {
+    const response = await useBoundAccount(redisClient, from, binding.email, moneyIntent);
+    if (response) {
+      return response;
+    }
+    return `❌ **Account Not Found**\n\nThe account for ${escapeUserValue(binding.email)} is no longer available, so it was unlinked from this number.`;
+  }
+
+  await setFlowState(redisClient, from, ACCOUNT_VERIFICATION_SESSION_FLOW, { intent: moneyIntent }, PENDING_QUESTION_TTL);
+  return await startEmailVerification(redisClient, from, binding.email, moneyIntent);
+}
+
+// Remove a bound account from this number (and from the session when it is the one in use)
+async function unlinkAccount(redisClient, from, binding) {
+  await unbindAccount(redisClient, from, binding.email);
+  if (await getActiveAccountEmail(redisClient, from) === binding.email) {
+    await redisClient.del(`user_context:${from}`);
+  }
+  return `🔓 **Account Unlinked**\n\n${escapeUserValue(maskEmail(binding.email))} is no longer linked to this WhatsApp number. To use it again, verify the email with a new code.`;
+}
+
+// List message for choosing a bound account to switch to or unlink
+async function buildAccountPicker(redisClient, from, accounts, mode, intro) {
+  const activeEmail = await getActiveAccountEmail(redisClient, from);
+
+  const rows = [];
+  for (const binding of accounts) {
+    const fullName = await getUserFullName(redisClient, binding.email);
+    const notes = [binding.email];
+    if (binding.email === activeEmail) {
+      notes.push('in use');
+    }
+    if (!binding.recentlyVerified) {
+      notes.push('needs a new code');
+    }
+    rows.push({
+      id: `${ACCOUNT_ROW_PREFIX}${binding.email}`,
+      title: truncateToLimit(fullName || binding.email, INTERACTIVE_LIMITS.rowTitle),
+      description: truncateToLimit(notes.join(' • '), INTERACTIVE_LIMITS.rowDescription)
+    });
+  }
+  if (mode === 'switch') {
+    rows.push({ id: ADD_ACCOUNT_ROW_ID, title: '➕ Add an account', description: 'Verify another registered email' });
+  }
+
+  return listMessage(
+    `${intro}\n\nYou can also type the email address.`,
+    'Choose account',
+    [{ title: 'Linked accounts', rows }]
+  );
+}
+
+// Parse an accounts command: { mode: 'switch' | 'unlink', target } (target is a typed email), or null
+function parseAccountCommand(lowerText) {
+  const unlink = lowerText.match(/^unlink(?:\s+account)?(?:\s+(.+))?$/);
+  if (unlink) {
+    return { mode: 'unlink', target: unlink[1] || null };
+  }
+
+  const switchTo = lowerText.match(/^(?:switch(?:\s+account)?\s+to|use\s+account)\s+(.+)$/);
+  if (switchTo) {
+    return { mode: 'switch', target: switchTo[1] };
+  }
+  return ACCOUNT_LIST_COMMANDS.includes(lowerText) ? { mode: 'switch', target: null } : null;
+}
+
+// Bound account named by a typed email, or null
+function findTypedAccount(accounts, text) {
+  const emailMatch = (text || '').match(EMAIL_PATTERN);
+  return emailMatch ? accounts.find(binding => binding.email === emailMatch[0].toLowerCase()) || null : null;
+}
+
+// Account verification: a money request waits for the user's registered email, then for the
+// one-time code emailed to it
+const accountVerificationFlow = {
+  name: ACCOUNT_VERIFICATION_SESSION_FLOW,
+  initialState: 'awaiting_email',
+  states: {
+    awaiting_email: { accepts: ['text', 'interactive'], next: ['awaiting_code'] },
+    awaiting_code: { accepts: ['text', 'interactive'], next: ['awaiting_email'] }
+  },
+  stateOf: state => (state.email ? 'awaiting_code' : 'awaiting_email'),
+  // "resend" or an email address may contain an exit keyword
+  isExit: message => isExitRequest(message.text, message.actionId, true),
+
+  async handle(redisClient, message, state) {
+    const { from, text } = message;
+
+    if (state.email) {
+      const codeResponse = await handleVerificationCode(redisClient, message, state);
+      if (codeResponse) {
+        return codeResponse;
+      }
+    }
+
+    const account = await findAccount(redisClient, text);
+
+    if (!account) {
+      if (state.email) {
+        return askVerificationCode('🔐 **Verification Code Needed**', state.email);
+      }
+      return `🔐 **Account Verification Required**\n\nTo send or collect money, I need to verify your account.\n\nPlease provide your registered email address:`;
+    }
+
+    logger.info(`User ${from} provided email: ${account.email}`);
+
+    if (account.userData) {
+      return await startEmailVerification(redisClient, from, account.email, state.intent);
+    }
+
+    // No account: offer registration, then resume the money request once the account exists
+    await clearVerificationCode(redisClient, from);
+    await setSessionContext(redisClient, from, 'pendingMoneyIntent', state.intent);
+    await setFlowState(redisClient, from, ACCOUNT_TYPE_SESSION_FLOW, { email: account.email }, PENDING_QUESTION_TTL);
+    return replyButtons(`❌ **Account Not Found**\n\nNo account found with email: ${escapeUserValue(account.email)}\n\nLet me help you create an account! Are you an individual or a business?\n\nPlease choose (or type):\n• **"Individual"** - if this is for personal use\n• **"Business"** - if this is for company transactions\n\nOr provide a different email address if you think there's an error.`, ACCOUNT_TYPE_BUTTONS);
+  },
+
+  onExit: (redisClient, from) => clearVerificationCode(redisClient, from),
+
+  entry: {
+    priority: 30,
+    match: ({ text }) => detectMoneyIntent(text),
+    async start(redisClient, { from }, intent) {
+      // Accounts linked to this number skip the email prompt while their verification is recent
+      const accounts = await getBoundAccounts(redisClient, from);
+      const recentAccounts = accounts.filter(binding => binding.recentlyVerified);
+      const activeEmail = await getActiveAccountEmail(redisClient, from);
+      const preferred = recentAccounts.find(binding => binding.email === activeEmail) ||
+        (recentAccounts.length === 1 ? recentAccounts[0] : null);
+
+      if (preferred) {
+        const response = await useBoundAccount(redisClient, from, preferred.email, intent);
+        if (response) {
+          return response;
+        }
+      } else if (recentAccounts.length > 1) {
+        await setFlowState(redisClient, from, ACCOUNT_SWITCHER_SESSION_FLOW, { mode: 'switch', intent }, PENDING_QUESTION_TTL);
+        return await buildAccountPicker(redisClient, from, accounts, 'switch', '👤 **Which account do you want to use?**');
+      } else if (accounts.length > 0) {
+        return await switchToAccount(redisClient, from, accounts[0], intent);
+      }
+
+      await setFlowState(redisClient, from, ACCOUNT_VERIFICATION_SESSION_FLOW, { intent }, PENDING_QUESTION_TTL);
+      return `🔐 **Account Verification Required**\n\nTo ${intent === 'SEND_MONEY' ? 'send money' : 'collect money'}, I need to verify your account.\n\nPlease provide your registered email address:`;
+    }
+  }
+};
+
+// Account type: individual or business, asked before registration
+const accountTypeFlow = {
+  name: ACCOUNT_TYPE_SESSION_FLOW,
+  initialState: 'choose_type',
+  states: {
+    choose_type: { accepts: ['text', 'interactive'], next: [] }
+  },
+  stateOf: () => 'choose_type',
+
+  async handle(redisClient, { from, text, actionId, profileName }, state) {
+    // The user may answer with another email instead of a choice
+    const account = actionId ? null : await findAccount(redisClient, text);
+
+    // An existing account still has to be verified; the code flow replaces this one
+    if (account && account.userData) {
+      const moneyIntent = await getSessionContext(redisClient, from, 'pendingMoneyIntent');
+      await setSessionContext(redisClient, from, 'pendingMoneyIntent', null);
+      await setFlowState(redisClient, from, ACCOUNT_VERIFICATION_SESSION_FLOW, { intent: moneyIntent }, PENDING_QUESTION_TTL);
+      return await startEmailVerification(redisClient, from, account.email, moneyIntent);
+    }
+
+    if (account) {
+      await setFlowState(redisClient, from, ACCOUNT_TYPE_SESSION_FLOW, { email: account.email }, PENDING_QUESTION_TTL);
+      return replyButtons(`❌ **Account Not Found**\n\nNo account found with email: ${escapeUserValue(account.email)} either.\n\nLet me help you create an account! Are you an individual or a business?\n\nPlease choose (or type):\n• **"Individual"** - if this is for personal use\n• **"Business"** - if this is for company transactions`, ACCOUNT_TYPE_BUTTONS);
+    }
+
+    const accountType = resolveAction(actionId, text, [ACTIONS.ACCOUNT_INDIVIDUAL, ACTIONS.ACCOUNT_BUSINESS]);
+
+    // Starting a registration replaces this flow; a pending money request stays in the session
+    // The WhatsApp profile name and number are offered as defaults
+    if (accountType === ACTIONS.ACCOUNT_INDIVIDUAL) {
+      return await startUserRegistration(redisClient, from, { profileName });
+    }
+    if (accountType === ACTIONS.ACCOUNT_BUSINESS) {
+      return await startBusinessUserRegistration(redisClient, from, { profileName });
+    }
+
+    const emailText = state.email ? ` with email: ${escapeUserValue(state.email)}` : '';
+    return replyButtons(`❌ **Invalid Selection**\n\nNo account found${emailText}.\n\nPlease choose (or type) either:\n• **"Individual"** - for personal use\n• **"Business"** - for company transactions\n\nWhat type of account do you want to create?`, ACCOUNT_TYPE_BUTTONS);
+  },
+
+  entry: {
+    priority: 10,
+    match: ({ lowerText }) => ['register', 'signup', 'create account'].some(keyword => lowerText.includes(keyword)),
+    async start(redisClient, { from }) {
+      // A direct registration doesn't continue an earlier money request
+      await setSessionContext(redisClient, from, 'pendingMoneyIntent', null);
+      await setFlowState(redisClient, from, ACCOUNT_TYPE_SESSION_FLOW, { email: null }, PENDING_QUESTION_TTL);
+      return replyButtons("👋 **Welcome!**\n\nI'd be happy to help you register! Before we proceed, I need to know:\n\n**Are you an individual or a business?**\n\nPlease choose (or type):\n• **\"Individual\"** - if this is for personal use\n• **\"Business\"** - if this is for company transactions\n\nThis helps me set up the right type of account for you.", ACCOUNT_TYPE_BUTTONS);
+    }
+  }
+};
+
+// Account switcher: pick one of the accounts linked to this number, to use it or to unlink it
+const accountSwitcherFlow = {
+  name: ACCOUNT_SWITCHER_SESSION_FLOW,
+  initialState: 'choose_account',
+  states: {
+    choose_account: { accepts: ['text', 'interactive'], next: [] }
+  },
+  stateOf: () => 'choose_account',
+  // An email address may contain an exit keyword
+  isExit: message => isExitRequest(message.text, message.actionId, true),
+
+  async handle(redisClient, { from, text, actionId }, state) {
+    if (actionId === ADD_ACCOUNT_ROW_ID) {
+      await setFlowState(redisClient, from, ACCOUNT_VERIFICATION_SESSION_FLOW, { intent: state.intent }, PENDING_QUESTION_TTL);
+      return `🔐 **Add an Account**\n\nPlease provide the registered email address of the account you want to link:`;
+    }
+
+    const accounts = await getBoundAccounts(redisClient, from);
+    const binding = actionId && actionId.startsWith(ACCOUNT_ROW_PREFIX)
+      ? accounts.find(candidate => `${ACCOUNT_ROW_PREFIX}${candidate.email}` === actionId) || null
+      : findTypedAccount(accounts, text);
+
+    if (!binding) {
+      return await buildAccountPicker(redisClient, from, accounts, state.mode, "❓ That isn't one of the accounts linked to this number. Please choose one:");
+    }
+
+    await setFlowState(redisClient, from, ACCOUNT_SWITCHER_SESSION_FLOW, null);
+    if (state.mode === 'unlink') {
+      return await unlinkAccount(redisClient, from, binding);
+    }
+    return await switchToAccount(redisClient, from, binding, state.intent);
+  },
+
+  entry: {
+    priority: 5,
+    match: ({ lowerText }) => parseAccountCommand(lowerText),
+    async start(redisClient, { from }, command) {
+      const accounts = await getBoundAccounts(redisClient, from);
+      if (accounts.length === 0) {
+        return `🔗 **No Linked Accounts**\n\nNo account is linked to this WhatsApp number yet. Accounts are linked when you register or verify your email, e.g. by saying "I want to collect money".`;
+      }
+
+      // "unlink a@b.com" / "switch to a@b.com" name the account directly
+      const typed = command.target ? findTypedAccount(accounts, command.target) : null;
+      if (typed) {
+        return command.mode === 'unlink'
+          ? await unlinkAccount(redisClient, from, typed)
+          : await switchToAccount(redisClient, from, typed, null);
+      }
+
+      await setFlowState(redisClient, from, ACCOUNT_SWITCHER_SESSION_FLOW, { mode: command.mode, intent: null }, PENDING_QUESTION_TTL);
+      return await buildAccountPicker(redisClient, from, accounts, command.mode, command.mode === 'unlink'
+        ? '🔓 **Which account do you want to unlink from this number?**'
+        : '👤 **Your linked accounts**\n\nChoose the account to use:');
+    }
+  }
+};
+
+// Flows that collect field values only exit on a keyword sent as the whole message: answers like
+// "Noida" or a pasted address contain keywords. "back" stays in the flow while there is a field to
+// go back to (step-by-step registration, or a field being edited).
+function isFieldFlowExit(message, state) {
+  if (isBackRequest(message.text) && (state.mode === REGISTRATION_INPUT_MODES.STEP || state.editingField)) {
+    return false;
+  }
+  return isExitRequest(message.text, message.actionId, true);
+}
+
+// Declared state of a flow that collects fields, then confirms them (where single fields can be edited)
+function fieldFlowStateOf(state) {
+  if (state.currentStep !== 'confirmation') {
+    return 'details';
+  }
+  return state.editingField ? 'editing' : 'confirmation';
+}
+
+// Registrations: the fields (one at a time, or all in one message), then a confirmation
+const userRegistrationFlow = {
+  name: USER_REGISTRATION_SESSION_FLOW,
+  label: 'Registration',
+  initialState: 'details',
+  states: {
+    details: { accepts: USER_REGISTRATION_FLOW.acceptedMessageTypes, next: ['confirmation'] },
+    confirmation: { accepts: USER_REGISTRATION_FLOW.acceptedMessageTypes, next: ['details', 'editing'] },
+    editing: { accepts: USER_REGISTRATION_FLOW.acceptedMessageTypes, next: ['confirmation'] }
+  },
+  stateOf: fieldFlowStateOf,
+  isExit: isFieldFlowExit,
+  handle: (redisClient, { from, text, actionId }) => processUserRegistrationStep(redisClient, from, text, actionId),
+  progress: getRegistrationProgress,
+  reset: resetUserRegistration
+};
+
+const businessRegistrationFlow = {
+  name: BUSINESS_REGISTRATION_SESSION_FLOW,
+  label: 'Business Registration',
+  initialState: 'details',
+  states: {
+    details: { accepts: BUSINESS_USER_REGISTRATION_FLOW.acceptedMessageTypes, next: ['confirmation'] },
+    confirmation: { accepts: BUSINESS_USER_REGISTRATION_FLOW.acceptedMessageTypes, next: ['details', 'editing'] },
+    editing: { accepts: BUSINESS_USER_REGISTRATION_FLOW.acceptedMessageTypes, next: ['confirmation'] }
+  },
+  stateOf: fieldFlowStateOf,
+  isExit: isFieldFlowExit,
+  handle: (redisClient, { from, text, actionId }) => processBusinessUserRegistrationStep(redisClient, from, text, actionId),
+  progress: getBusinessRegistrationProgress,
+  reset: resetBusinessUserRegistration
+};
+
+// Collect money: invoice upload, then order details
+const collectMoneyFlow = {
+  name: COLLECT_MONEY_SESSION_FLOW,
+  initialState: 'invoice',
+  states: {
+    invoice: { accepts: COLLECT_MONEY_FLOW.steps[0].acceptedMessageTypes, next: ['order_details'] },
+    order_details: { accepts: COLLECT_MONEY_FLOW.steps[1].acceptedMessageTypes, next: [] }
+  },
+  stateOf: state => (state.currentStep === 1 ? 'order_details' : 'invoice'),
+
+  async handle(redisClient, { from, text, isDocument }) {
+    let userInput = text;
+    let mimeType;
+
+    // Uploads were stored by the webhook handler; load the file from the blob store
+    if (isDocument) {
+      const media = await getPendingMedia(redisClient, from);
+      const fileBuffer = media ? await loadStoredMedia(media) : null;
+      if (fileBuffer) {
+        userInput = fileBuffer;
+        mimeType = media.mimeType;
+        await clearPendingMedia(redisClient, from);
+        logger.info(`Invoice file ${media.blobKey} retrieved for ${from}`);
+      }
+    }
+
+    return await processCollectMoneyStep(redisClient, from, userInput, isDocument, mimeType);
+  },
+
+  onExit: clearPendingMedia
+};
+
+// Identity verification (KYC) of the active individual account: ID document, back side (skipped
+// for a PDF or a document without one), then a selfie
+const kycFlow = {
+  name: KYC_SESSION_FLOW,
+  initialState: 'id_document',
+  states: {
+    id_document: { accepts: KYC_FLOW.steps[0].acceptedMessageTypes, next: ['id_back', 'selfie'] },
+    id_back: { accepts: KYC_FLOW.steps[1].acceptedMessageTypes, next: ['selfie'] },
+    selfie: { accepts: KYC_FLOW.steps[2].acceptedMessageTypes, next: [] }
+  },
+  stateOf: state => KYC_FLOW.steps[state.currentStep].name,
+  // A caption or "no back side" may contain an exit keyword
+  isExit: message => isExitRequest(message.text, message.actionId, true),
+
+  async handle(redisClient, { from, text, actionId, isDocument }, state) {
+    // Uploads were stored by the webhook handler; the step checks the stored file
+    let media = null;
+    if (isDocument) {
+      media = await getPendingMedia(redisClient, from);
+      await clearPendingMedia(redisClient, from);
+    }
+
+    const { response, kyc } = await processKycStep(redisClient, from, text, media, actionId);
+    if (kyc && kyc.status === KYC_STATUSES.APPROVED) {
+      return await resumeAfterKyc(redisClient, from, state.email, response);
+    }
+    if (kyc) {
+      // Not approved yet: the money request is made again once it is
+      await setSessionContext(redisClient, from, 'pendingMoneyIntent', null);
+    }
+    return response;
+  },
+
+  onExit: clearPendingMedia,
+
+  entry: {
+    priority: 5,
+    match: ({ lowerText }) => KYC_COMMANDS.includes(lowerText),
+    async start(redisClient, { from }) {
+      const email = await getActiveAccountEmail(redisClient, from);
+      const userData = email ? await getUserData(redisClient, email) : null;
+      if (!userData) {
+        return `🔐 **Account Verification Required**\n\nTo verify your identity, first sign in to your account: say "I want to collect money" or type \`accounts\`.`;
+      }
+      if (userData.userType !== 'individual') {
+        return `ℹ️ **No Documents Needed Here**\n\nIdentity documents are only collected on WhatsApp for individual accounts.`;
+      }
+
+      const kyc = await refreshKycStatus(redisClient, email);
+      if (kyc.status === KYC_STATUSES.APPROVED) {
+        return await resumeAfterKyc(redisClient, from, email, `✅ **Identity Verified**\n\nYour identity is already verified.`);
+      }
+      if (kyc.status === KYC_STATUSES.PENDING) {
+        return explainKycRequirement(kyc);
+      }
+      return await startKycFlow(redisClient, from, email);
+    }
+  }
+};
+
+// Fiat to crypto quote: all details in one message, then a confirmation
+const fiatToCryptoFlow = {
+  name: FIAT_TO_CRYPTO_SESSION_FLOW,
+  initialState: 'details',
+  states: {
+    details: { accepts: FIAT_TO_CRYPTO_FLOW.acceptedMessageTypes, next: ['confirmation'] },
+    confirmation: { accepts: FIAT_TO_CRYPTO_FLOW.acceptedMessageTypes, next: ['details', 'editing'] },
+    editing: { accepts: FIAT_TO_CRYPTO_FLOW.acceptedMessageTypes, next: ['confirmation'] }
+  },
+  stateOf: fieldFlowStateOf,
+  isExit: isFieldFlowExit,
+  handle: (redisClient, { from, text, actionId }) => processFiatToCryptoStep(redisClient, from, text, actionId),
+
+  entry: {
+    priority: 20,
+    match: ({ lowerText }) => FIAT_TO_CRYPTO_KEYWORDS.some(keyword => lowerText.includes(keyword)) ||
+      (lowerText.includes('fiat') && lowerText.includes('crypto')),
+    start: (redisClient, { from }) => startFiatToCryptoFlow(redisClient, from)
+  }
+};
+
+// Live exchange rates: asks for a currency when the request didn't name one
+const exchangeRatesFlow = {
+  name: EXCHANGE_RATES_SESSION_FLOW,
+  initialState: 'waiting_for_currency',
+  states: {
+    waiting_for_currency: { accepts: ['text', 'interactive'], next: [] }
+  },
+  stateOf: state => state.currentStep,
+  handle: (redisClient, { from, text }) => processExchangeRatesStep(redisClient, from, text),
+
+  entry: {
+    priority: 40,
+    match: async ({ text }) => (await detectExchangeRatesIntent(text)) === 'EXCHANGE_RATES',
+    start: (redisClient, { from, text }) => startExchangeRatesFlow(redisClient, from, text)
+  }
+};
+
+// Progress of the active flow, for flows that report it
+async function statusCommand(redisClient, { from }, active) {
+  if (active && active.flow.progress) {
+    const progress = await active.flow.progress(redisClient, from);
+    if (progress) {
+      return `📊 **${active.flow.label} Progress:**
+
+Step: ${progress.currentStep}/${progress.totalSteps}
+Progress: ${progress.progress}%
+Started: ${new Date(progress.startedAt).toLocaleString()}
+Collected: ${progress.collectedFields.join(', ') || 'None'}
+
+Continue with the next question or type \`reset\` to start over.`;
+    }
+  }
+
+  return "❌ You are not currently in any registration process.\n\nType \`register\` to start individual registration or \`register business\` for business registration.";
+}
+
+// Start the active flow over, for flows that support it
+async function resetCommand(redisClient, { from }, active) {
+  if (active && active.flow.reset) {
+    return await active.flow.reset(redisClient, from);
+  }
+  return "❌ Nothing to reset. You are not currently in any registration process.";
+}
+
+export const conversationRouter = createConversationRouter({
+  flows: [
+    accountVerificationFlow,
+    accountTypeFlow,
+    accountSwitcherFlow,
+    userRegistrationFlow,
+    businessRegistrationFlow,
+    collectMoneyFlow,
+    kycFlow,
+    fiatToCryptoFlow,
+    exchangeRatesFlow
+  ],
+  commands: [
+    { name: 'help', match: ({ lowerText }) => lowerText === 'help' || lowerText === 'commands', run: async () => HELP_MESSAGE },
+    { name: 'status', interruptsFlows: true, match: ({ lowerText }) => lowerText === 'status', run: statusCommand },
+    { name: 'reset', interruptsFlows: true, match: ({ lowerText }) => lowerText === 'reset', run: resetCommand }
+  ],
+  menuActions: MENU_ACTION_COMMANDS,
+  onExit: async (redisClient, from) => {
+    // An upload can be waiting even when no flow is active
+    await clearPendingMedia(redisClient, from);
+    return buildMainMenu(`✅ **Exited Successfully!**\n\nYou're back to the main menu. How can I help you today?\n\n${MENU_EXAMPLES}`);
+  },
+  fallback: async () => buildMainMenu(`Thank you for your message! I'm a WhatsApp financial services bot. How can I help you today?\n\n${MENU_EXAMPLES}\n\nType 'help' for more commands!`)
+});
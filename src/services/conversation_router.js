@@ -0,0 +1,214 @@
+import { logger } from '../utils/logger_utils.js';
+import { ACTIONS } from '../common/actions.js';
+import { getSession, clearSession } from './conversation_session.js';
+
+// Conversation router.
+// Each flow is declared once: its states, the message types and next states of each state,
+// how it is entered and what happens when the user leaves it. Every message goes to the user's
+// one active flow (from the conversation session); only users without an active flow reach the
+// commands and flow entries, in priority order.
+//
+// Flow definition:
+// {
+//   name,                                   // session flow name
+//   initialState,
+//   states: { [name]: { accepts: [...message types], next: [...state names] } },
+//   stateOf(state) -> state name,           // maps the flow's stored state to a declared state
+//   handle(redisClient, message, state) -> response | null,
+//   entry: { priority, match(message) -> truthy, start(redisClient, message, match) -> response },  // optional
+//   exitOnKeywords,                         // optional, default true
+//   isExit(message, state) -> boolean,      // optional, replaces the exit keyword check
+//   onExit(redisClient, from),              // optional cleanup when the user leaves the flow
+//   label, progress(redisClient, from), reset(redisClient, from)  // optional, for status / reset
+// }
+//
+// Command definition: { name, interruptsFlows, match(message) -> boolean, run(redisClient, message, activeFlow) -> response }
+//
+// Message: { from, text, lowerText, actionId, isDocument, profileName }  (profileName is the sender's WhatsApp profile name)
+
+// Message types accepted outside of any flow (main menu, intent detection)
+export const DEFAULT_ACCEPTED_MESSAGE_TYPES = ['text', 'interactive'];
+
+// Typed words that leave the active flow
+const EXIT_KEYWORDS = ['exit', 'cancel', 'stop', 'quit', 'back', 'menu', 'main menu', 'help', 'no', 'nevermind', 'never mind', 'end', 'finish', 'done'];
+
+// Check whether a message asks to leave the current flow.
+// With `wholeMessage` a keyword only counts when it is the entire message, for steps whose
+// answers are single values that may contain a keyword ("Noida", "Bend").
+export function isExitRequest(text, actionId = null, wholeMessage = false) {
+  // A tapped button or list row only exits when it is the main menu option
+  if (actionId) {
+    return actionId === ACTIONS.MAIN_MENU;
+  }
+
+  const lowerText = (text || '').toLowerCase().trim();
+  if (wholeMessage) {
+    return EXIT_KEYWORDS.includes(lowerText);
+  }
+  return EXIT_KEYWORDS.some(keyword => lowerText.includes(keyword));
+}
+
+// Check whether a message leaves the active flow, using the flow's own check when it has one
+function isFlowExit(flow, message, state) {
+  if (flow.isExit) {
+    return flow.isExit(message, state);
+  }
+  return flow.exitOnKeywords !== false && isExitRequest(message.text, message.actionId);
+}
+
+// Check a flow definition; mistakes surface at startup instead of mid-conversation
+function validateFlowDefinition(flow) {
+  const problems = [];
+
+  if (!flow.name) {
+    problems.push('name is required');
+  }
+  if (typeof flow.handle !== 'function' || typeof flow.stateOf !== 'function') {
+    problems.push('handle and stateOf must be functions');
+  }
+  if (!flow.states || !flow.states[flow.initialState]) {
+    problems.push(`initialState "${flow.initialState}" is not a declared state`);
+  }
+
+  Object.entries(flow.states || {}).forEach(([stateName, state]) => {
+    if (!Array.isArray(state.accepts) || state.accepts.length === 0) {
+      problems.push(`state "${stateName}" must accept at least one message type`);
+    }
+    (state.next || []).filter(next => !flow.states[next]).forEach(next => {
+      problems.push(`state "${stateName}" moves to undeclared state "${next}"`);
+    });
+  });
+
+  if (flow.isExit && typeof flow.isExit !== 'function') {
+    problems.push('isExit must be a function');
+  }
+  if (flow.entry && (typeof flow.entry.match !== 'function' || typeof flow.entry.start !== 'function')) {
+    problems.push('entry needs match and start functions');
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid flow ${flow.name || '(unnamed)'}: ${problems.join('; ')}`);
+  }
+}
+
+// Create a router over a set of flows and commands.
+// `menuActions` maps interactive menu ids to the text they stand for, `onExit` builds the reply
+// after leaving a flow and `fallback` the reply when nothing matched.
+export function createConversationRouter({ flows, commands = [], menuActions = {}, onExit, fallback }) {
+  const registry = new Map();
+  flows.forEach(flow => {
+    validateFlowDefinition(flow);
+    if (registry.has(flow.name)) {
+      throw new Error(`Flow ${flow.name} is registered twice`);
+    }
+    registry.set(flow.name, flow);
+  });
+
+  const entries = flows
+    .filter(flow => flow.entry)
+    .sort((a, b) => a.entry.priority - b.entry.priority);
+
+  // The user's active flow: { flow, state, stateName } or null
+  async function getActiveFlow(redisClient, from) {
+    const session = await getSession(redisClient, from);
+    if (!session || !session.flow) {
+      return null;
+    }
+
+    const flow = registry.get(session.flow);
+    if (!flow) {
+      logger.warn(`Session of ${from} is in unknown flow ${session.flow}, clearing it`);
+      await clearSession(redisClient, from);
+      return null;
+    }
+
+    let stateName = flow.stateOf(session.state);
+    if (!flow.states[stateName]) {
+      logger.warn(`Flow ${flow.name} of ${from} is in undeclared state ${stateName}, treating it as ${flow.initialState}`);
+      stateName = flow.initialState;
+    }
+
+    return { flow, state: session.state, stateName };
+  }
+
+  // Message types the user's current flow state accepts
+  async function getAcceptedMessageTypes(redisClient, from) {
+    const active = await getActiveFlow(redisClient, from);
+    return active ? active.flow.states[active.stateName].accepts : DEFAULT_ACCEPTED_MESSAGE_TYPES;
+  }
+
+  // Leave the active flow and drop the session
+  async function exit(redisClient, from) {
+    const active = await getActiveFlow(redisClient, from);
+    if (active && active.flow.onExit) {
+      await active.flow.onExit(redisClient, from);
+    }
+    await clearSession(redisClient, from);
+    logger.info(`User ${from} left ${active ? active.flow.name : 'the main menu'}`);
+    return await onExit(redisClient, from);
+  }
+
+  // Warn about state changes the flow did not declare
+  async function checkTransition(redisClient, from, before) {
+    const after = await getActiveFlow(redisClient, from);
+    if (!after || after.flow.name !== before.flow.name || after.stateName === before.stateName) {
+      return;
+    }
+    if (!(before.flow.states[before.stateName].next || []).includes(after.stateName)) {
+      logger.warn(`Undeclared transition in ${before.flow.name} for ${from}: ${before.stateName} -> ${after.stateName}`);
+    }
+  }
+
+  // Produce the response to one message
+  async function route(redisClient, { from, text = '', actionId = null, isDocument = false, profileName = null }) {
+    const routedText = (actionId && menuActions[actionId]) || text || '';
+    const message = { from, text: routedText, lowerText: routedText.toLowerCase().trim(), actionId, isDocument, profileName };
+
+    const active = await getActiveFlow(redisClient, from);
+
+    if (active) {
+      // Uploads never exit: a file name could contain an exit keyword
+      if (!isDocument && isFlowExit(active.flow, message, active.state)) {
+        return await exit(redisClient, from);
+      }
+
+      const command = commands.find(candidate => candidate.interruptsFlows && candidate.match(message));
+      if (command) {
+        logger.info(`Command ${command.name} from ${from} during ${active.flow.name}`);
+        return await command.run(redisClient, message, active);
+      }
+
+      logger.info(`Routing message from ${from} to ${active.flow.name} (${active.stateName})`);
+      const response = await active.flow.handle(redisClient, message, active.state);
+      if (response) {
+        await checkTransition(redisClient, from, active);
+        return response;
+      }
+      logger.warn(`Flow ${active.flow.name} had no response for ${from} in ${active.stateName}`);
+    }
+
+    const command = commands.find(candidate => candidate.match(message));
+    if (command) {
+      logger.info(`Command ${command.name} from ${from}`);
+      return await command.run(redisClient, message, null);
+    }
+
+    for (const flow of entries) {
+      const match = await flow.entry.match(message);
+      if (match) {
+        logger.info(`User ${from} entering ${flow.name}`);
+        return await flow.entry.start(redisClient, message, match);
+      }
+    }
+
+    return await fallback(redisClient, message);
+  }
+
+  return {
+    flows: registry,
+    route,
+    exit,
+    getActiveFlow,
+    getAcceptedMessageTypes
+  };
+}
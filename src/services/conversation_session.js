@@ -0,0 +1,87 @@
+import { logger } from '../utils/logger_utils.js';
+
+// Per-user conversation session.
+// A single Redis record per user holds the active flow, that flow's state, and context that has
+// to outlive one flow (e.g. the money request a user is registering for). Starting a flow
+// replaces whatever flow was active, so an abandoned flow can never answer a later message.
+
+const SESSION_PREFIX = 'session';
+const DEFAULT_SESSION_TTL = 1800; // 30 minutes
+
+// Generate Redis key for a user's session
+function getSessionKey(whatsappNumber) {
+  return `${SESSION_PREFIX}:${whatsappNumber}`;
+}
+
+// Write a session, or delete it once it holds neither a flow nor context
+async function saveSession(redisClient, whatsappNumber, session) {
+  if (!session.flow && Object.keys(session.context).length === 0) {
+    await redisClient.del(getSessionKey(whatsappNumber));
+    return;
+  }
+
+  session.updatedAt = new Date().toISOString();
+  await redisClient.setEx(getSessionKey(whatsappNumber), session.ttlSeconds || DEFAULT_SESSION_TTL, JSON.stringify(session));
+}
+
+// Read a user's session: { flow, state, context, ttlSeconds, startedAt, updatedAt } or null
+export async function getSession(redisClient, whatsappNumber) {
+  const stored = await redisClient.get(getSessionKey(whatsappNumber));
+  return stored ? JSON.parse(stored) : null;
+}
+
+// State of `flow` if it is the user's active flow, otherwise null
+export async function getFlowState(redisClient, whatsappNumber, flow) {
+  const session = await getSession(redisClient, whatsappNumber);
+  return session && session.flow === flow ? session.state : null;
+}
+
+// Make `flow` the active flow with `state`. Passing null ends `flow` if it is still the active
+// one; a flow that already handed over to another flow can't end its successor.
+export async function setFlowState(redisClient, whatsappNumber, flow, state, ttlSeconds = DEFAULT_SESSION_TTL) {
+  const current = await getSession(redisClient, whatsappNumber);
+  const context = current ? current.context : {};
+
+  if (state === null) {
+    if (current && current.flow === flow) {
+      await saveSession(redisClient, whatsappNumber, { ...current, flow: null, state: null, context, ttlSeconds: DEFAULT_SESSION_TTL });
+    }
+    return;
+  }
+
+  if (current && current.flow && current.flow !== flow) {
+    logger.info(`Session of ${whatsappNumber}: ${current.flow} replaced by ${flow}`);
+  }
+
+  const now = new Date().toISOString();
+  await saveSession(redisClient, whatsappNumber, {
+    flow,
+    state,
+    context,
+    ttlSeconds,
+    startedAt: current && current.flow === flow ? current.startedAt : now
+  });
+}
+
+// Read a context value
+export async function getSessionContext(redisClient, whatsappNumber, field) {
+  const session = await getSession(redisClient, whatsappNumber);
+  return session && session.context[field] !== undefined ? session.context[field] : null;
+}
+
+// Set (or with null, remove) a context value
+export async function setSessionContext(redisClient, whatsappNumber, field, value) {
+  const session = await getSession(redisClient, whatsappNumber) || { flow: null, state: null, context: {}, startedAt: new Date().toISOString() };
+
+  if (value === null || value === undefined) {
+    delete session.context[field];
+  } else {
+    session.context[field] = value;
+  }
+  await saveSession(redisClient, whatsappNumber, session);
+}
+
+// End the active flow and drop all context
+export async function clearSession(redisClient, whatsappNumber) {
+  await redisClient.del(getSessionKey(whatsappNumber));
+}
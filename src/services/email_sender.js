@@ -0,0 +1,112 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { logger } from '../utils/logger_utils.js';
+
+// Email senders implement: send({ to, subject, text }) -> { messageId }
+
+// Outgoing email configuration
+export const EMAIL_CONFIG = {
+  sender: process.env.EMAIL_SENDER || 'smtp', // smtp | file | console
+  from: process.env.EMAIL_FROM || 'TransFi <no-reply@transfi.com>',
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    password: process.env.SMTP_PASSWORD
+  },
+  outboxDir: process.env.EMAIL_OUTBOX_DIR || path.resolve('data/outbox')
+};
+
+// SMTP sender (default)
+export function createSmtpEmailSender(smtp, from) {
+  if (!smtp.host) {
+    throw new Error('SMTP_HOST is required for the smtp email sender');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: smtp.host,
+    port: smtp.port,
+    secure: smtp.secure,
+    auth: smtp.user ? { user: smtp.user, pass: smtp.password } : undefined
+  });
+
+  return {
+    type: 'smtp',
+
+    async send({ to, subject, text }) {
+      const info = await transporter.sendMail({ from, to, subject, text });
+      logger.info(`Email sent to ${to} via SMTP: ${info.messageId}`);
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+// Development sender: writes each email as a JSON file in the outbox directory
+export function createFileEmailSender(outboxDir, from) {
+  return {
+    type: 'file',
+
+    async send({ to, subject, text }) {
+      const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      await fs.mkdir(outboxDir, { recursive: true });
+      await fs.writeFile(path.join(outboxDir, `${messageId}.json`), JSON.stringify({
+        messageId,
+        from,
+        to,
+        subject,
+        text,
+        createdAt: new Date().toISOString()
+      }, null, 2));
+      logger.info(`Email to ${to} written to ${outboxDir}/${messageId}.json`);
+      return { messageId };
+    }
+  };
+}
+
+// Development sender: writes each email to the log
+export function createConsoleEmailSender(from) {
+  return {
+    type: 'console',
+
+    async send({ to, subject, text }) {
+      const messageId = `console-${Date.now()}`;
+      logger.info(`Email ${messageId} (console sender)\nFrom: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}`);
+      return { messageId };
+    }
+  };
+}
+
+let emailSender = null;
+
+// Plug in a different email sender (e.g. an email API) at startup
+export function setEmailSender(sender) {
+  emailSender = sender;
+  logger.info(`Email sender set to: ${sender.type || 'custom'}`);
+}
+
+// Get the configured email sender (EMAIL_SENDER, SMTP unless another one was set)
+export function getEmailSender() {
+  if (!emailSender) {
+    switch (EMAIL_CONFIG.sender) {
+      case 'smtp':
+        emailSender = createSmtpEmailSender(EMAIL_CONFIG.smtp, EMAIL_CONFIG.from);
+        break;
+      case 'file':
+        emailSender = createFileEmailSender(EMAIL_CONFIG.outboxDir, EMAIL_CONFIG.from);
+        break;
+      case 'console':
+        emailSender = createConsoleEmailSender(EMAIL_CONFIG.from);
+        break;
+      default:
+        throw new Error(`Unsupported EMAIL_SENDER: ${EMAIL_CONFIG.sender}. Register it with setEmailSender() at startup.`);
+    }
+  }
+  return emailSender;
+}
+
+// Send an email through the configured sender
+export async function sendEmail(message) {
+  return await getEmailSender().send(message);
+}
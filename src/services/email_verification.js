@@ -0,0 +1,202 @@
+import crypto from 'crypto';
+import { logger } from '../utils/logger_utils.js';
+import { sendEmail } from './email_sender.js';
+
+// Email ownership verification with one-time codes.
+// A WhatsApp user who claims a registered email gets a code sent to that address and is only
+// treated as the account holder after replying with it. Codes are stored hashed, sends are
+// throttled per number and per email, and repeated wrong codes lock both out for a while.
+
+export const EMAIL_VERIFICATION_CONFIG = {
+  codeLength: 6,
+  codeTtlSeconds: parseInt(process.env.OTP_CODE_TTL_SECONDS) || 600, // 10 minutes
+  maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS) || 5, // Wrong codes before lockout
+  lockoutSeconds: parseInt(process.env.OTP_LOCKOUT_SECONDS) || 1800, // 30 minutes
+  maxSends: parseInt(process.env.OTP_MAX_SENDS) || 3, // Codes per send window
+  sendWindowSeconds: parseInt(process.env.OTP_SEND_WINDOW_SECONDS) || 900, // 15 minutes
+  resendCooldownSeconds: 60
+};
+
+// Generate Redis keys
+function getCodeKey(whatsappNumber) {
+  return `email_otp:${whatsappNumber}`;
+}
+
+function getSendCountKey(subject) {
+  return `email_otp_sends:${subject}`;
+}
+
+function getFailureCountKey(subject) {
+  return `email_otp_failures:${subject}`;
+}
+
+function getLockKey(subject) {
+  return `email_otp_lock:${subject}`;
+}
+
+// Emails are compared case-insensitively
+function normalizeEmail(email) {
+  return email.trim().toLowerCase();
+}
+
+// Hash of a code with its salt
+function hashCode(code, salt) {
+  return crypto.createHash('sha256').update(`${salt}:${code}`).digest('hex');
+}
+
+// Random numeric code, e.g. "048213"
+function generateCode() {
+  return crypto.randomInt(0, 10 ** EMAIL_VERIFICATION_CONFIG.codeLength).toString().padStart(EMAIL_VERIFICATION_CONFIG.codeLength, '0');
+}
+
+// Email with most of the local part hidden, e.g. "j***e@example.com"
+export function maskEmail(email) {
+  const [local, domain] = email.split('@');
+  if (!domain) {
+    return '***';
+  }
+  const visible = local.length > 2 ? `${local[0]}***${local[local.length - 1]}` : `${local[0]}***`;
+  return `${visible}@${domain}`;
+}
+
+// Seconds left on the lockout of a number or an email (0 when neither is locked)
+export async function getVerificationLockout(redisClient, whatsappNumber, email = null) {
+  const subjects = email ? [whatsappNumber, normalizeEmail(email)] : [whatsappNumber];
+  let remaining = 0;
+
+  for (const subject of subjects) {
+    if (await redisClient.exists(getLockKey(subject))) {
+      remaining = Math.max(remaining, await redisClient.ttl(getLockKey(subject)));
+    }
+  }
+  return remaining;
+}
+
+// Count one event in a rolling window; returns the count and the seconds until the window resets
+async function countInWindow(redisClient, key, windowSeconds) {
+  const count = await redisClient.incr(key);
+  if (count === 1) {
+    await redisClient.expire(key, windowSeconds);
+  }
+  return { count, resetsIn: await redisClient.ttl(key) };
+}
+
+// Send a new code to `email` for `whatsappNumber`.
+// Returns { status: 'sent', expiresInSeconds } or { status: 'locked' | 'throttled' | 'failed', retryAfterSeconds }
+export async function sendVerificationCode(redisClient, whatsappNumber, email) {
+  const normalizedEmail = normalizeEmail(email);
+  const config = EMAIL_VERIFICATION_CONFIG;
+
+  const lockedFor = await getVerificationLockout(redisClient, whatsappNumber, normalizedEmail);
+  if (lockedFor > 0) {
+    return { status: 'locked', retryAfterSeconds: lockedFor };
+  }
+
+  // A fresh code for the same email was just sent
+  const pending = await redisClient.get(getCodeKey(whatsappNumber));
+  if (pending) {
+    const record = JSON.parse(pending);
+    const age = (Date.now() - new Date(record.sentAt).getTime()) / 1000;
+    if (record.email === normalizedEmail && age < config.resendCooldownSeconds) {
+      return { status: 'throttled', retryAfterSeconds: Math.ceil(config.resendCooldownSeconds - age) };
+    }
+  }
+
+  for (const subject of [whatsappNumber, normalizedEmail]) {
+    const { count, resetsIn } = await countInWindow(redisClient, getSendCountKey(subject), config.sendWindowSeconds);
+    if (count > config.maxSends) {
+      logger.warn(`Verification code throttled for ${whatsappNumber} (${maskEmail(normalizedEmail)})`);
+      return { status: 'throttled', retryAfterSeconds: resetsIn };
+    }
+  }
+
+  const code = generateCode();
+  const salt = crypto.randomBytes(8).toString('hex');
+  const record = {
+    email: normalizedEmail,
+    codeHash: hashCode(code, salt),
+    salt,
+    sentAt: new Date().toISOString()
+  };
+  await redisClient.setEx(getCodeKey(whatsappNumber), config.codeTtlSeconds, JSON.stringify(record));
+
+  try {
+    await sendEmail({
+      to: normalizedEmail,
+      subject: 'Your TransFi verification code',
+      text: `Your TransFi verification code is ${code}.\n\nIt expires in ${Math.round(config.codeTtlSeconds / 60)} minutes. Enter it in WhatsApp to confirm that this email address belongs to you.\n\nIf you didn't request this code, you can ignore this email; someone may have entered your address by mistake.`
+    });
+  } catch (error) {
+    logger.error(`Error sending verification code to ${maskEmail(normalizedEmail)}: ${error.message}`);
+    await redisClient.del(getCodeKey(whatsappNumber));
+    return { status: 'failed', retryAfterSeconds: 0 };
+  }
+
+  logger.info(`Verification code sent to ${maskEmail(normalizedEmail)} for ${whatsappNumber}`);
+  return { status: 'sent', expiresInSeconds: config.codeTtlSeconds };
+}
+
+// Record a wrong code; locks the number and the email once either reached the limit
+async function recordFailure(redisClient, whatsappNumber, email) {
+  const config = EMAIL_VERIFICATION_CONFIG;
+  let highest = 0;
+
+  for (const subject of [whatsappNumber, email]) {
+    const { count } = await countInWindow(redisClient, getFailureCountKey(subject), config.lockoutSeconds);
+    highest = Math.max(highest, count);
+  }
+
+  if (highest < config.maxAttempts) {
+    return { locked: false, attemptsLeft: config.maxAttempts - highest };
+  }
+
+  for (const subject of [whatsappNumber, email]) {
+    await redisClient.setEx(getLockKey(subject), config.lockoutSeconds, new Date().toISOString());
+    await redisClient.del(getFailureCountKey(subject));
+  }
+  await redisClient.del(getCodeKey(whatsappNumber));
+  logger.warn(`Email verification locked for ${whatsappNumber} and ${maskEmail(email)} after ${highest} wrong codes`);
+  return { locked: true, attemptsLeft: 0 };
+}
+
+// Check a code typed by the user.
+// Returns { status: 'verified', email }, { status: 'invalid', attemptsLeft },
+// { status: 'locked', retryAfterSeconds } or { status: 'expired' } (no code pending)
+export async function verifyEmailCode(redisClient, whatsappNumber, code) {
+  const lockedFor = await getVerificationLockout(redisClient, whatsappNumber);
+  if (lockedFor > 0) {
+    return { status: 'locked', retryAfterSeconds: lockedFor };
+  }
+
+  const stored = await redisClient.get(getCodeKey(whatsappNumber));
+  if (!stored) {
+    return { status: 'expired' };
+  }
+
+  const record = JSON.parse(stored);
+  const emailLockedFor = await getVerificationLockout(redisClient, whatsappNumber, record.email);
+  if (emailLockedFor > 0) {
+    return { status: 'locked', retryAfterSeconds: emailLockedFor };
+  }
+
+  const expected = Buffer.from(record.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(String(code).trim(), record.salt), 'hex');
+  if (crypto.timingSafeEqual(expected, actual)) {
+    await redisClient.del(getCodeKey(whatsappNumber));
+    await redisClient.del(getFailureCountKey(whatsappNumber));
+    await redisClient.del(getFailureCountKey(record.email));
+    logger.info(`Email ${maskEmail(record.email)} verified for ${whatsappNumber}`);
+    return { status: 'verified', email: record.email };
+  }
+
+  const failure = await recordFailure(redisClient, whatsappNumber, record.email);
+  if (failure.locked) {
+    return { status: 'locked', retryAfterSeconds: EMAIL_VERIFICATION_CONFIG.lockoutSeconds };
+  }
+  return { status: 'invalid', attemptsLeft: failure.attemptsLeft };
+}
+
+// Drop a pending code (e.g. when the user leaves the verification)
+export async function clearVerificationCode(redisClient, whatsappNumber) {
+  await redisClient.del(getCodeKey(whatsappNumber));
+}
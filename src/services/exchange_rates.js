@@ -2,14 +2,20 @@ import fetch from 'node-fetch';
 import { logger } from '../utils/logger_utils.js';
 import { getOpenaiResponse } from '../utils/openai_utils.js';
 import { EXCHANGE_RATES_INTENT_PROMPT, CURRENCY_EXTRACTION_PROMPT, EXCHANGE_RATES_RESPONSES } from '../prompts/prompts.js';
+import { ACTIONS, CONFIRM_EDIT_BUTTONS, resolveAction } from '../common/actions.js';
+import { replyButtons } from './interactive_messages.js';
+import { escapeUserValue } from '../utils/whatsapp_format.js';
+import { tagResponse, RESPONSE_KINDS } from './template_routing.js';
+import { getFlowState, setFlowState } from './conversation_session.js';
+import { processFieldEdit } from '../common/field_edit.js';
 
 // Fiat-to-Crypto Exchange Rate Flow Configuration
 export const FIAT_TO_CRYPTO_FLOW = {
   steps: [
     { field: 'fiatTicker', question: 'Fiat Currency (e.g., EUR, USD, PHP):', validation: 'currency' },
-    { field: 'amount', question: 'Amount to convert:', validation: 'amount' },
+    { field: 'amount', question: 'Amount to convert:', validation: 'amount', label: 'Amount' },
     { field: 'cryptoTicker', question: 'Cryptocurrency (e.g., USDC, BTC, ETH):', validation: 'crypto' },
-    { field: 'paymentCode', question: 'Payment Method (e.g., sepa_pull, bank_transfer):', validation: 'payment' }
+    { field: 'paymentCode', question: 'Payment Method (e.g., sepa_pull, bank_transfer):', validation: 'payment', aliases: ['payment'] }
   ],
   welcomeMessage: `💱 **Fiat to Cryptocurrency Exchange Rate**
 
@@ -30,6 +36,7 @@ sepa_pull
 
 Please enter your conversion details now:`,
   completionMessage: "Excellent! I have all your information. Getting your fiat-to-crypto quote now...",
+  acceptedMessageTypes: ['text', 'interactive'],
   apiEndpoint: `${process.env.TRANSFI_API_BASE_URL || 'https://sandbox-api.transfi.com'}/v2/exchange-rates/fiat-to-crypto`
 };
 
@@ -51,7 +58,7 @@ export async function startFiatToCryptoFlow(redisClient, whatsappNumber) {
 }
 
 // Process fiat-to-crypto exchange rate step
-export async function processFiatToCryptoStep(redisClient, whatsappNumber, userInput) {
+export async function processFiatToCryptoStep(redisClient, whatsappNumber, userInput, actionId = null) {
   try {
     const state = await getFiatToCryptoState(redisClient, whatsappNumber);
     if (!state || state.type !== 'fiat_to_crypto') {
@@ -66,7 +73,7 @@ export async function processFiatToCryptoStep(redisClient, whatsappNumber, userI
     
     // Handle confirmation step
     if (state.currentStep === 'confirmation') {
-      return await handleFiatToCryptoConfirmationStep(redisClient, whatsappNumber, userInput);
+      return await handleFiatToCryptoConfirmationStep(redisClient, whatsappNumber, userInput, actionId);
     }
     
     return null;
@@ -207,38 +214,53 @@ function generateFiatToCryptoConfirmationMessage(collectedData) {
   let message = "📋 **Please confirm your conversion details:**\n\n";
   
   message += `💱 **Conversion Details:**\n`;
-  message += `• **Fiat Currency:** ${collectedData.fiatTicker}\n`;
-  message += `• **Amount:** ${collectedData.amount}\n`;
-  message += `• **Cryptocurrency:** ${collectedData.cryptoTicker}\n`;
-  message += `• **Payment Method:** ${collectedData.paymentCode}\n\n`;
+  message += `• **Fiat Currency:** ${escapeUserValue(collectedData.fiatTicker)}\n`;
+  message += `• **Amount:** ${escapeUserValue(collectedData.amount)}\n`;
+  message += `• **Cryptocurrency:** ${escapeUserValue(collectedData.cryptoTicker)}\n`;
+  message += `• **Payment Method:** ${escapeUserValue(collectedData.paymentCode)}\n\n`;
   
   message += "✅ **All details look good!**\n\n";
-  message += "Type 'confirm' to get your quote, or 'edit' to start over.";
+  message += "Tap *Confirm* to get your quote, or *Edit* to change a detail (or type 'confirm', or e.g. 'change amount to 250').";
   
-  return message;
+  return replyButtons(message, CONFIRM_EDIT_BUTTONS);
 }
 
 // Handle fiat-to-crypto confirmation step
-export async function handleFiatToCryptoConfirmationStep(redisClient, whatsappNumber, userInput) {
+export async function handleFiatToCryptoConfirmationStep(redisClient, whatsappNumber, userInput, actionId = null) {
   try {
     const state = await getFiatToCryptoState(redisClient, whatsappNumber);
     if (!state || state.type !== 'fiat_to_crypto' || state.currentStep !== 'confirmation') {
       return null;
     }
     
-    const lowerInput = userInput.toLowerCase().trim();
+    // Edit a single field ("Edit" button, field list, "change amount to 250")
+    const edit = await processFieldEdit({
+      steps: FIAT_TO_CRYPTO_FLOW.steps,
+      state,
+      values: state.collectedData,
+      userInput,
+      actionId,
+      validate: (value, step) => validateFiatToCryptoInput(value, step.validation)
+    });
+    
+    if (edit) {
+      if (edit.startOver) {
+        return await resetFiatToCryptoFlow(redisClient, whatsappNumber);
+      }
+      await setFiatToCryptoState(redisClient, whatsappNumber, state);
+      return edit.showSummary ? generateFiatToCryptoConfirmationMessage(state.collectedData) : edit.response;
+    }
+    
+    const action = resolveAction(actionId, userInput, [ACTIONS.CONFIRM]);
     
-    if (lowerInput === 'confirm' || lowerInput === 'yes' || lowerInput === 'y') {
+    if (action === ACTIONS.CONFIRM) {
       // User confirmed, get quote
       const quoteResult = await getFiatToCryptoQuote(state.collectedData, redisClient);
       await setFiatToCryptoState(redisClient, whatsappNumber, null); // Clear state
       return quoteResult;
-    } else if (lowerInput === 'edit') {
-      // User wants to edit, start over
-      return await resetFiatToCryptoFlow(redisClient, whatsappNumber);
     } else {
       // Invalid input
-      return "Please type 'confirm', 'yes', or 'y' to get your quote, or 'edit' to start over.";
+      return replyButtons("Please tap *Confirm* (or type 'confirm', 'yes', or 'y') to get your quote, or *Edit* to change a detail.", CONFIRM_EDIT_BUTTONS);
     }
     
   } catch (error) {
@@ -330,7 +352,13 @@ export async function getFiatToCryptoQuote(conversionData, redisClient = null) {
 
     logger.info(`Successfully fetched fiat-to-crypto quote for ${conversionData.fiatTicker} to ${conversionData.cryptoTicker}`);
     
-    return quoteMessage;
+    return tagResponse(quoteMessage, RESPONSE_KINDS.QUOTE, {
+      sendAmount: data.sentAmount,
+      fiatTicker: conversionData.fiatTicker.toUpperCase(),
+      receiveAmount: data.receiveAmount.toFixed(6),
+      cryptoTicker: conversionData.cryptoTicker.toUpperCase(),
+      totalFee: data.totalFee
+    });
 
   } catch (error) {
     logger.error(`Error getting fiat-to-crypto quote: ${error.message}`);
@@ -383,44 +411,24 @@ export async function resetFiatToCryptoFlow(redisClient, whatsappNumber) {
 
 // Fiat-to-Crypto State Management Functions
 
-// Redis key prefix for fiat-to-crypto flow
-const FIAT_TO_CRYPTO_KEY_PREFIX = 'fiat_to_crypto_flow';
-
-// Generate Redis key for fiat-to-crypto flow
-function getFiatToCryptoKey(whatsappNumber) {
-  return `${FIAT_TO_CRYPTO_KEY_PREFIX}:${whatsappNumber}`;
-}
+// Session flow name of the fiat-to-crypto flow
+export const FIAT_TO_CRYPTO_SESSION_FLOW = 'fiat_to_crypto';
+const FIAT_TO_CRYPTO_SESSION_TTL = 1800; // 30 minutes
 
 // Get fiat-to-crypto flow state
 export async function getFiatToCryptoState(redisClient, whatsappNumber) {
   try {
-    const key = getFiatToCryptoKey(whatsappNumber);
-    logger.info(`Getting fiat-to-crypto state for ${whatsappNumber} with key: ${key}`);
-    const state = await redisClient.get(key);
-    logger.info(`Fiat-to-crypto state for ${whatsappNumber}: ${state ? 'exists' : 'null'}`);
-    if (state) {
-      const parsedState = JSON.parse(state);
-      logger.info(`Parsed fiat-to-crypto state for ${whatsappNumber}:`, parsedState);
-      return parsedState;
-    }
-    return null;
+    return await getFlowState(redisClient, whatsappNumber, FIAT_TO_CRYPTO_SESSION_FLOW);
   } catch (error) {
     logger.error(`Error getting fiat-to-crypto state for ${whatsappNumber}:`, error);
     return null;
   }
 }
 
-// Set fiat-to-crypto flow state
+// Set fiat-to-crypto flow state (null ends the flow)
 export async function setFiatToCryptoState(redisClient, whatsappNumber, state) {
   try {
-    const key = getFiatToCryptoKey(whatsappNumber);
-    if (state === null) {
-      // Clear the state
-      await redisClient.del(key);
-    } else {
-      // Set state with 30 minutes expiration
-      await redisClient.setEx(key, 1800, JSON.stringify(state));
-    }
+    await setFlowState(redisClient, whatsappNumber, FIAT_TO_CRYPTO_SESSION_FLOW, state, FIAT_TO_CRYPTO_SESSION_TTL);
     return true;
   } catch (error) {
     logger.error(`Error setting fiat-to-crypto state for ${whatsappNumber}:`, error);
@@ -529,37 +537,24 @@ export function isValidCurrencyCode(currency) {
 
 // Exchange Rates State Management Functions
 
-// Redis key prefix for exchange rates flow
-const EXCHANGE_RATES_KEY_PREFIX = 'exchange_rates_flow';
-
-// Generate Redis key for exchange rates flow
-function getExchangeRatesKey(whatsappNumber) {
-  return `${EXCHANGE_RATES_KEY_PREFIX}:${whatsappNumber}`;
-}
+// Session flow name of the exchange rates flow
+export const EXCHANGE_RATES_SESSION_FLOW = 'exchange_rates';
+const EXCHANGE_RATES_SESSION_TTL = 1800; // 30 minutes
 
 // Check if user is in exchange rates flow
 export async function isUserInExchangeRatesFlow(redisClient, whatsappNumber) {
   try {
-    const key = getExchangeRatesKey(whatsappNumber);
-    const state = await redisClient.get(key);
-    return state ? JSON.parse(state) : null;
+    return await getFlowState(redisClient, whatsappNumber, EXCHANGE_RATES_SESSION_FLOW);
   } catch (error) {
     logger.error(`Error checking exchange rates flow state for ${whatsappNumber}:`, error);
     return null;
   }
 }
 
-// Set exchange rates flow state
+// Set exchange rates flow state (null ends the flow)
 export async function setExchangeRatesState(redisClient, whatsappNumber, state) {
   try {
-    const key = getExchangeRatesKey(whatsappNumber);
-    if (state === null) {
-      // Clear the state
-      await redisClient.del(key);
-    } else {
-      // Set state with 30 minutes expiration
-      await redisClient.setEx(key, 1800, JSON.stringify(state));
-    }
+    await setFlowState(redisClient, whatsappNumber, EXCHANGE_RATES_SESSION_FLOW, state, EXCHANGE_RATES_SESSION_TTL);
     return true;
   } catch (error) {
     logger.error(`Error setting exchange rates state for ${whatsappNumber}:`, error);
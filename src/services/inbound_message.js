@@ -0,0 +1,156 @@
+// Normalized inbound message model.
+// Every WhatsApp message type is mapped to the same shape so flows never have to dig into
+// the raw webhook payload:
+//   { id, from, timestamp, type, text, action, media, location, contacts, reaction, context, profileName, raw }
+
+// Message types a flow can declare in `acceptedMessageTypes`.
+// 'interactive' covers reply buttons, list rows and template quick-reply buttons.
+export const MESSAGE_TYPES = ['text', 'interactive', 'document', 'image', 'audio', 'video', 'sticker', 'location', 'contacts', 'reaction'];
+
+// Types whose content is a downloadable media file
+export const MEDIA_MESSAGE_TYPES = ['document', 'image', 'audio', 'video', 'sticker'];
+
+// MIME types we download for each media type
+export const MEDIA_MIME_TYPES = {
+  document: ['application/pdf'],
+  image: ['image/jpeg', 'image/png'],
+  audio: ['audio/ogg', 'audio/mpeg', 'audio/amr', 'audio/mp4', 'audio/aac'],
+  video: ['video/mp4', 'video/3gpp'],
+  sticker: ['image/webp']
+};
+
+// Human-readable names used in replies
+const MESSAGE_TYPE_LABELS = {
+  text: 'a text message',
+  interactive: 'a button or menu choice',
+  document: 'a PDF document',
+  image: 'a photo',
+  audio: 'a voice note or audio file',
+  video: 'a video',
+  sticker: 'a sticker',
+  location: 'a location',
+  contacts: 'a contact card',
+  reaction: 'a reaction',
+  unknown: 'this type of message'
+};
+
+// Normalize a shared contact card
+function normalizeContact(contact) {
+  return {
+    name: contact.name ? contact.name.formatted_name || [contact.name.first_name, contact.name.last_name].filter(Boolean).join(' ') : null,
+    phones: (contact.phones || []).map(phone => ({ phone: phone.phone, waId: phone.wa_id || null, type: phone.type || null })),
+    emails: (contact.emails || []).map(email => email.email),
+    organization: contact.org ? contact.org.company || null : null
+  };
+}
+
+// Read the picked option of an interactive reply: { id, title, description, source }
+function normalizeAction(message) {
+  if (message.type === 'button' && message.button) {
+    // Quick-reply button of a template message
+    return { id: message.button.payload, title: message.button.text, description: null, source: 'button' };
+  }
+
+  const interactive = message.interactive || {};
+  const reply = interactive[interactive.type];
+  if ((interactive.type === 'button_reply' || interactive.type === 'list_reply') && reply) {
+    return { id: reply.id, title: reply.title, description: reply.description || null, source: interactive.type };
+  }
+
+  return null;
+}
+
+// Convert a raw webhook message (and the `contacts` array of its change) into the normalized model
+export function normalizeInboundMessage(message, contacts = []) {
+  const messageType = message.type === 'button' ? 'interactive' : message.type;
+  let type = MESSAGE_TYPES.includes(messageType) ? messageType : 'unknown';
+  const action = type === 'interactive' ? normalizeAction(message) : null;
+  if (type === 'interactive' && !action) {
+    type = 'unknown'; // e.g. flow replies we don't handle
+  }
+  const sender = contacts.find(contact => contact.wa_id === message.from) || contacts[0];
+
+  const inbound = {
+    id: message.id,
+    from: message.from,
+    timestamp: message.timestamp ? Number(message.timestamp) : null,
+    type,
+    text: null,
+    action,
+    media: null,
+    location: null,
+    contacts: null,
+    reaction: null,
+    context: message.context ? { messageId: message.context.id, from: message.context.from } : null,
+    profileName: sender && sender.profile ? sender.profile.name : null,
+    raw: message
+  };
+
+  switch (type) {
+    case 'text':
+      inbound.text = message.text ? message.text.body : '';
+      break;
+
+    case 'interactive':
+      inbound.text = action.title;
+      break;
+
+    case 'document':
+    case 'image':
+    case 'audio':
+    case 'video':
+    case 'sticker': {
+      const media = message[type] || {};
+      inbound.media = {
+        id: media.id,
+        mimeType: media.mime_type || null,
+        sha256: media.sha256 || null,
+        filename: media.filename || null,
+        caption: media.caption || null,
+        voice: type === 'audio' ? !!media.voice : undefined,
+        animated: type === 'sticker' ? !!media.animated : undefined
+      };
+      inbound.text = media.caption || null;
+      break;
+    }
+
+    case 'location':
+      inbound.location = {
+        latitude: message.location.latitude,
+        longitude: message.location.longitude,
+        name: message.location.name || null,
+        address: message.location.address || null,
+        url: message.location.url || null
+      };
+      break;
+
+    case 'contacts':
+      inbound.contacts = (message.contacts || []).map(normalizeContact);
+      break;
+
+    case 'reaction':
+      inbound.reaction = {
+        messageId: message.reaction.message_id,
+        emoji: message.reaction.emoji || null // empty when a reaction is removed
+      };
+      break;
+  }
+
+  return inbound;
+}
+
+// Check whether a message type is one of the accepted types
+export function isMessageTypeAccepted(type, acceptedMessageTypes) {
+  return acceptedMessageTypes.includes(type);
+}
+
+// Get a human-readable name for a message type
+export function describeMessageType(type) {
+  return MESSAGE_TYPE_LABELS[type] || MESSAGE_TYPE_LABELS.unknown;
+}
+
+// Reply sent when the current step cannot use the type of message the user sent
+export function getUnsupportedTypeResponse(type, acceptedMessageTypes) {
+  const expected = acceptedMessageTypes.map(describeMessageType).join(' or ');
+  return `🤔 **I can't use ${describeMessageType(type)} here**\n\nAt this step I need ${expected}.\n\n🚪 Type \`menu\` at any time to go back to the main menu.`;
+}
@@ -0,0 +1,258 @@
+// Outbound interactive messages (reply buttons, list menus, CTA URL buttons).
+// Flows return either a plain string (sent as text) or one of the objects built here:
+//   { type: 'buttons', body, header, footer, buttons: [{ id, title }] }
+//   { type: 'list', body, header, footer, buttonText, sections: [{ title, rows: [{ id, title, description }] }] }
+//   { type: 'cta_url', body, header, footer, displayText, url }
+// `header` is either a string (text header) or a media header { type: 'image' | 'video' | 'document', link | id, filename }.
+// Responses tagged for template routing may also be { type: 'text', body, kind, data } (see template_routing.js).
+
+// WhatsApp Cloud API limits for interactive messages
+export const INTERACTIVE_LIMITS = {
+  bodyText: 1024,
+  headerText: 60,
+  footerText: 60,
+  maxButtons: 3,
+  buttonTitle: 20,
+  buttonId: 256,
+  listButtonText: 20,
+  maxSections: 10,
+  maxRows: 10,
+  sectionTitle: 24,
+  rowTitle: 24,
+  rowDescription: 72,
+  rowId: 200,
+  ctaDisplayText: 20
+};
+
+const MEDIA_HEADER_TYPES = ['image', 'video', 'document'];
+
+// Collect an error if a string is missing or longer than the limit
+function checkLength(errors, label, value, maxLength, required = true) {
+  if (value === undefined || value === null || value === '') {
+    if (required) {
+      errors.push(`${label} is required`);
+    }
+    return;
+  }
+  if (typeof value !== 'string') {
+    errors.push(`${label} must be a string`);
+  } else if (value.length > maxLength) {
+    errors.push(`${label} is ${value.length} characters (maximum ${maxLength})`);
+  }
+}
+
+// Validate the optional header and footer shared by every interactive type
+function checkHeaderAndFooter(errors, message, allowMediaHeader) {
+  const { header, footer } = message;
+
+  if (header && typeof header === 'object') {
+    if (!allowMediaHeader) {
+      errors.push(`${message.type} messages only support text headers`);
+    } else if (!MEDIA_HEADER_TYPES.includes(header.type)) {
+      errors.push(`Header type must be one of: ${MEDIA_HEADER_TYPES.join(', ')}`);
+    } else if (!header.link && !header.id) {
+      errors.push('Media header needs a link or a media id');
+    }
+  } else {
+    checkLength(errors, 'Header text', header, INTERACTIVE_LIMITS.headerText, false);
+  }
+
+  checkLength(errors, 'Footer text', footer, INTERACTIVE_LIMITS.footerText, false);
+}
+
+// Collect an error for every id that appears more than once
+function checkUniqueIds(errors, label, ids) {
+  const seen = new Set();
+  ids.forEach(id => {
+    if (seen.has(id)) {
+      errors.push(`Duplicate ${label} id: ${id}`);
+    }
+    seen.add(id);
+  });
+}
+
+// Check an interactive message against WhatsApp's limits. Returns a list of errors (empty when valid).
+export function validateInteractiveMessage(message) {
+  const errors = [];
+
+  checkLength(errors, 'Body text', message.body, INTERACTIVE_LIMITS.bodyText);
+
+  switch (message.type) {
+    case 'buttons': {
+      const buttons = message.buttons || [];
+      checkHeaderAndFooter(errors, message, true);
+      if (buttons.length === 0 || buttons.length > INTERACTIVE_LIMITS.maxButtons) {
+        errors.push(`Reply buttons need 1 to ${INTERACTIVE_LIMITS.maxButtons} buttons (got ${buttons.length})`);
+      }
+      buttons.forEach((button, index) => {
+        checkLength(errors, `Button ${index + 1} id`, button.id, INTERACTIVE_LIMITS.buttonId);
+        checkLength(errors, `Button ${index + 1} title`, button.title, INTERACTIVE_LIMITS.buttonTitle);
+      });
+      checkUniqueIds(errors, 'button', buttons.map(button => button.id));
+      break;
+    }
+
+    case 'list': {
+      const sections = message.sections || [];
+      const rows = sections.flatMap(section => section.rows || []);
+      checkHeaderAndFooter(errors, message, false);
+      checkLength(errors, 'List button text', message.buttonText, INTERACTIVE_LIMITS.listButtonText);
+      if (sections.length === 0 || sections.length > INTERACTIVE_LIMITS.maxSections) {
+        errors.push(`Lists need 1 to ${INTERACTIVE_LIMITS.maxSections} sections (got ${sections.length})`);
+      }
+      if (rows.length === 0 || rows.length > INTERACTIVE_LIMITS.maxRows) {
+        errors.push(`Lists need 1 to ${INTERACTIVE_LIMITS.maxRows} rows in total (got ${rows.length})`);
+      }
+      sections.forEach((section, sectionIndex) => {
+        // A section title is only required when there is more than one section
+        checkLength(errors, `Section ${sectionIndex + 1} title`, section.title, INTERACTIVE_LIMITS.sectionTitle, sections.length > 1);
+        (section.rows || []).forEach((row, rowIndex) => {
+          const label = `Section ${sectionIndex + 1} row ${rowIndex + 1}`;
+          checkLength(errors, `${label} id`, row.id, INTERACTIVE_LIMITS.rowId);
+          checkLength(errors, `${label} title`, row.title, INTERACTIVE_LIMITS.rowTitle);
+          checkLength(errors, `${label} description`, row.description, INTERACTIVE_LIMITS.rowDescription, false);
+        });
+      });
+      checkUniqueIds(errors, 'row', rows.map(row => row.id));
+      break;
+    }
+
+    case 'cta_url':
+      checkHeaderAndFooter(errors, message, true);
+      checkLength(errors, 'CTA display text', message.displayText, INTERACTIVE_LIMITS.ctaDisplayText);
+      if (!/^https?:\/\/\S+$/i.test(message.url || '')) {
+        errors.push('CTA url must be an http(s) URL');
+      }
+      break;
+
+    default:
+      errors.push(`Unknown interactive message type: ${message.type}`);
+  }
+
+  return errors;
+}
+
+// Shorten a user-provided value to a WhatsApp limit (e.g. INTERACTIVE_LIMITS.rowTitle)
+export function truncateToLimit(value, maxLength) {
+  const text = String(value);
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+// Build a reply buttons message (up to 3 buttons).
+// Messages are validated when sent, since bodies often contain user-provided values.
+export function replyButtons(body, buttons, options = {}) {
+  return { type: 'buttons', body, header: options.header, footer: options.footer, buttons };
+}
+
+// Build a list message (sections of selectable rows)
+export function listMessage(body, buttonText, sections, options = {}) {
+  return { type: 'list', body, header: options.header, footer: options.footer, buttonText, sections };
+}
+
+// Build a CTA URL button message
+export function ctaUrlMessage(body, displayText, url, options = {}) {
+  return { type: 'cta_url', body, header: options.header, footer: options.footer, displayText, url };
+}
+
+// Check whether a flow response is an interactive message (rather than plain text)
+export function isInteractiveMessage(response) {
+  return !!response && typeof response === 'object' && ['buttons', 'list', 'cta_url'].includes(response.type);
+}
+
+// Convert the header to the Graph API format
+function buildHeader(header) {
+  if (!header) {
+    return undefined;
+  }
+  if (typeof header === 'string') {
+    return { type: 'text', text: header };
+  }
+
+  const media = header.id ? { id: header.id } : { link: header.link };
+  if (header.type === 'document' && header.filename) {
+    media.filename = header.filename;
+  }
+  return { type: header.type, [header.type]: media };
+}
+
+// Build the `interactive` object of a Graph API /messages request
+export function buildInteractivePayload(message) {
+  const interactive = {
+    body: { text: message.body }
+  };
+
+  const header = buildHeader(message.header);
+  if (header) {
+    interactive.header = header;
+  }
+  if (message.footer) {
+    interactive.footer = { text: message.footer };
+  }
+
+  switch (message.type) {
+    case 'buttons':
+      interactive.type = 'button';
+      interactive.action = {
+        buttons: message.buttons.map(button => ({
+          type: 'reply',
+          reply: { id: button.id, title: button.title }
+        }))
+      };
+      break;
+
+    case 'list':
+      interactive.type = 'list';
+      interactive.action = {
+        button: message.buttonText,
+        sections: message.sections.map(section => ({
+          title: section.title,
+          rows: section.rows.map(row => ({ id: row.id, title: row.title, description: row.description }))
+        }))
+      };
+      break;
+
+    case 'cta_url':
+      interactive.type = 'cta_url';
+      interactive.action = {
+        name: 'cta_url',
+        parameters: { display_text: message.displayText, url: message.url }
+      };
+      break;
+  }
+
+  return interactive;
+}
+
+// Plain-text version of a response, used for conversation history and for clients or
+// failures where the interactive version cannot be sent
+export function getMessageText(response) {
+  if (response && typeof response === 'object' && response.type === 'text') {
+    return response.body;
+  }
+  if (!isInteractiveMessage(response)) {
+    return response;
+  }
+
+  const parts = [];
+  if (typeof response.header === 'string') {
+    parts.push(`*${response.header}*`);
+  }
+  parts.push(response.body);
+
+  if (response.type === 'buttons') {
+    parts.push(response.buttons.map(button => `• ${button.title}`).join('\n'));
+  } else if (response.type === 'list') {
+    parts.push(response.sections.map(section => {
+      const rows = section.rows.map(row => `• ${row.title}${row.description ? ` - ${row.description}` : ''}`).join('\n');
+      return section.title ? `*${section.title}*\n${rows}` : rows;
+    }).join('\n\n'));
+  } else if (response.type === 'cta_url') {
+    parts.push(`${response.displayText}: ${response.url}`);
+  }
+
+  if (response.footer) {
+    parts.push(response.footer);
+  }
+
+  return parts.join('\n\n');
+}
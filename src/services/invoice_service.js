@@ -1,8 +1,15 @@
 import { logger } from '../utils/logger_utils.js';
 import FormDataNode from 'form-data';
 
-// Create invoice by uploading PDF
-export async function createInvoice(pdfBuffer, email) {
+// Invoice file name sent to Transfi for each accepted MIME type
+const INVOICE_FILENAMES = {
+  'application/pdf': 'invoice.pdf',
+  'image/jpeg': 'invoice.jpg',
+  'image/png': 'invoice.png'
+};
+
+// Create invoice by uploading PDF (or a photo of the invoice)
+export async function createInvoice(pdfBuffer, email, mimeType = 'application/pdf') {
   try {
     const apiKey = process.env.TRANSFI_BASIC_API_KEY;
     
@@ -31,9 +38,14 @@ export async function createInvoice(pdfBuffer, email) {
       logger.info(`Converted PDF data to Buffer: ${pdfBuffer.length} bytes`);
     }
 
+    const filename = INVOICE_FILENAMES[mimeType];
+    if (!filename) {
+      throw new Error(`Unsupported invoice file type: ${mimeType}`);
+    }
+
     // Quick validation - check if it looks like a PDF (more flexible)
     const pdfHeader = pdfBuffer.slice(0, 8).toString('ascii');
-    if (!pdfHeader.includes('%PDF')) {
+    if (mimeType === 'application/pdf' && !pdfHeader.includes('%PDF')) {
       logger.warn(`PDF header validation failed. Header: ${pdfHeader}`);
       // Don't throw error, just log warning - some PDFs might have different headers
     }
@@ -55,7 +67,7 @@ export async function createInvoice(pdfBuffer, email) {
       form.append('invoiceType', 'invoice');
       form.append('direction', 'deposit');
       form.append('email', email);
-      form.append('invoice', new Blob([pdfBuffer], { type: 'application/pdf' }), 'invoice.pdf');
+      form.append('invoice', new Blob([pdfBuffer], { type: mimeType }), filename);
       isNativeFormData = true;
       logger.info('Using native FormData');
     } catch (error) {
@@ -67,8 +79,8 @@ export async function createInvoice(pdfBuffer, email) {
         form.append('direction', 'deposit');
         form.append('email', email);
         form.append('invoice', pdfBuffer, {
-          filename: 'invoice.pdf',
-          contentType: 'application/pdf',
+          filename: filename,
+          contentType: mimeType,
           knownLength: pdfBuffer.length
         });
         isNativeFormData = false;
@@ -0,0 +1,285 @@
+import { logger } from '../utils/logger_utils.js';
+import { ACTIONS, resolveAction } from '../common/actions.js';
+import { getUserData, updateUserData } from '../common/redis_utils.js';
+import { replyButtons } from './interactive_messages.js';
+import { loadStoredMedia } from './media_service.js';
+import { getKycSubmitter } from './kyc_submitter.js';
+import { getFlowState, setFlowState } from './conversation_session.js';
+
+// KYC (identity verification) of individual accounts: a photo of an ID document (front and back,
+// or one PDF) and a selfie, sent as WhatsApp media and submitted to the KYC provider. The outcome
+// is kept in the account's user_data as `kyc`; money services need an approved KYC.
+
+// KYC statuses stored in user_data.kyc.status
+export const KYC_STATUSES = {
+  NOT_STARTED: 'not_started',
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+// KYC document checks
+export const KYC_CONFIG = {
+  maxFileBytes: parseInt(process.env.KYC_MAX_FILE_BYTES) || 5 * 1024 * 1024, // 5 MB per file
+  minFileBytes: parseInt(process.env.KYC_MIN_FILE_BYTES) || 20 * 1024, // Smaller photos are too low-resolution to read
+  statusCheckInterval: 300 // Ask the provider about a pending review at most every 5 minutes
+};
+
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png'];
+
+const SKIP_BACK_BUTTONS = [{ id: ACTIONS.SKIP, title: '⏭️ No back side' }];
+
+// KYC flow configuration
+export const KYC_FLOW = {
+  steps: [
+    {
+      name: 'id_document',
+      field: 'idFront',
+      label: 'ID document',
+      question: '📄 **Step 1 of 3: ID document**\n\nPlease send a clear photo of the **front** of your passport, national ID card or driving licence, or the whole document as a PDF.',
+      mimeTypes: [...IMAGE_MIME_TYPES, 'application/pdf'],
+      acceptedMessageTypes: ['image', 'document', 'text', 'interactive']
+    },
+    {
+      name: 'id_back',
+      field: 'idBack',
+      label: 'back of the ID document',
+      question: '🔄 **Step 2 of 3: Back of the document**\n\nPlease send a photo of the **back** of the same document. If it has no back side (e.g. a passport), tap *No back side*.',
+      mimeTypes: IMAGE_MIME_TYPES,
+      acceptedMessageTypes: ['image', 'text', 'interactive']
+    },
+    {
+      name: 'selfie',
+      field: 'selfie',
+      label: 'selfie',
+      question: '🤳 **Step 3 of 3: Selfie**\n\nPlease send a selfie: your face clearly visible, in good light, without sunglasses or a hat.',
+      mimeTypes: IMAGE_MIME_TYPES,
+      acceptedMessageTypes: ['image', 'text', 'interactive']
+    }
+  ],
+  welcomeMessage: `🪪 **Identity Verification**
+
+Before you can send or collect money, we need to verify your identity. You'll need:
+
+1. **ID document** - Passport, national ID card or driving licence (photos or a PDF)
+2. **Selfie** - A photo of your face
+
+Files must be JPEG or PNG photos (the document may also be a PDF), up to ${Math.round(KYC_CONFIG.maxFileBytes / (1024 * 1024))} MB each.`
+};
+
+// Session flow name of the KYC flow
+export const KYC_SESSION_FLOW = 'kyc';
+const KYC_SESSION_TTL = 3600; // 1 hour
+
+// State management functions (null ends the flow)
+export async function setKycState(redisClient, whatsappNumber, state) {
+  await setFlowState(redisClient, whatsappNumber, KYC_SESSION_FLOW, state, KYC_SESSION_TTL);
+}
+
+export async function getKycState(redisClient, whatsappNumber) {
+  return await getFlowState(redisClient, whatsappNumber, KYC_SESSION_FLOW);
+}
+
+// KYC record of an account ({ status, ... }); accounts created before KYC have none
+export function getKycRecord(userData) {
+  return (userData && userData.kyc) || { status: KYC_STATUSES.NOT_STARTED };
+}
+
+// Merge changes into the KYC record of an account
+export async function updateKycRecord(redisClient, email, changes) {
+  const userData = await getUserData(redisClient, email);
+  if (!userData) {
+    return null;
+  }
+  const kyc = { ...getKycRecord(userData), ...changes, updatedAt: new Date().toISOString() };
+  await updateUserData(redisClient, email, { kyc });
+  logger.info(`KYC status of ${email}: ${kyc.status}`);
+  return kyc;
+}
+
+// KYC record of an account, asking the provider again when a review has been pending for a while
+export async function refreshKycStatus(redisClient, email) {
+  const kyc = getKycRecord(await getUserData(redisClient, email));
+  if (kyc.status !== KYC_STATUSES.PENDING) {
+    return kyc;
+  }
+
+  const lastCheck = Date.parse(kyc.checkedAt || kyc.submittedAt) || 0;
+  if (Date.now() - lastCheck < KYC_CONFIG.statusCheckInterval * 1000) {
+    return kyc;
+  }
+
+  try {
+    const result = await getKycSubmitter().getStatus({ email, reference: kyc.reference });
+    return await updateKycRecord(redisClient, email, {
+      status: result.status,
+      reason: result.reason || null,
+      checkedAt: new Date().toISOString()
+    }) || kyc;
+  } catch (error) {
+    logger.error(`Error checking KYC status for ${email}: ${error.message}`);
+    return kyc;
+  }
+}
+
+// Why money services are unavailable to an account with this KYC record (null when approved)
+export function explainKycRequirement(kyc) {
+  switch (kyc.status) {
+    case KYC_STATUSES.APPROVED:
+      return null;
+    case KYC_STATUSES.PENDING:
+      return `⏳ **Identity Verification In Review**\n\nYour ID document and selfie are being reviewed. Money services open as soon as they are approved, usually within a few hours. Ask again any time to check.`;
+    case KYC_STATUSES.REJECTED:
+      return `❌ **Identity Verification Unsuccessful**\n\nYour last documents couldn't be approved${kyc.reason ? `: ${kyc.reason}` : ''}.\n\nTo send or collect money, please verify your identity again with a clear photo of your ID document and a selfie.`;
+    default:
+      return `🪪 **Identity Verification Required**\n\nTo send or collect money, regulations require us to verify your identity first. It takes a couple of minutes: a photo of your ID document and a selfie.`;
+  }
+}
+
+// Ask for the document of a step, after an optional intro line
+function askKycStep(step, intro = null) {
+  const body = intro ? `${intro}\n\n${step.question}` : step.question;
+  return step.name === 'id_back' ? replyButtons(body, SKIP_BACK_BUTTONS) : body;
+}
+
+// Start the KYC flow for the account `email`
+export async function startKycFlow(redisClient, whatsappNumber, email) {
+  const state = {
+    type: 'kyc',
+    currentStep: 0,
+    email,
+    documents: {},
+    startedAt: new Date().toISOString(),
+    whatsappNumber
+  };
+
+  await setKycState(redisClient, whatsappNumber, state);
+  return `${KYC_FLOW.welcomeMessage}\n\n${KYC_FLOW.steps[0].question}`;
+}
+
+// Problem with an uploaded file for a step, or null when it is usable
+function checkKycFile(step, media, documents) {
+  if (!step.mimeTypes.includes(media.mimeType)) {
+    const formats = step.mimeTypes.map(mimeType => mimeType.split('/')[1].toUpperCase()).join(' or ');
+    return `The ${step.label} must be a ${formats} file.`;
+  }
+  if (media.size > KYC_CONFIG.maxFileBytes) {
+    return `That file is too large. Please send the ${step.label} as a file smaller than ${Math.round(KYC_CONFIG.maxFileBytes / (1024 * 1024))} MB.`;
+  }
+  if (IMAGE_MIME_TYPES.includes(media.mimeType) && media.size < KYC_CONFIG.minFileBytes) {
+    return `That image is too small to read. Please send the ${step.label} as a full-resolution photo.`;
+  }
+
+  const duplicate = KYC_FLOW.steps.find(other => documents[other.field] && documents[other.field].sha256 === media.sha256);
+  if (duplicate) {
+    return `That's the same file you sent as the ${duplicate.label}. Please send the ${step.label}.`;
+  }
+  return null;
+}
+
+// Process a KYC step. `media` is the descriptor of an uploaded file (null for text and button replies).
+// Returns { response, kyc }, where kyc is the account's KYC record once the documents were submitted.
+export async function processKycStep(redisClient, whatsappNumber, userInput, media = null, actionId = null) {
+  try {
+    const state = await getKycState(redisClient, whatsappNumber);
+    if (!state || state.type !== 'kyc') {
+      logger.warn(`No valid KYC state found for ${whatsappNumber}`);
+      return { response: null, kyc: null };
+    }
+
+    const step = KYC_FLOW.steps[state.currentStep];
+
+    if (!media) {
+      if (step.name === 'id_back' && resolveAction(actionId, userInput, [ACTIONS.SKIP]) === ACTIONS.SKIP) {
+        state.currentStep += 1;
+        await setKycState(redisClient, whatsappNumber, state);
+        return { response: askKycStep(KYC_FLOW.steps[state.currentStep]), kyc: null };
+      }
+      return { response: askKycStep(step), kyc: null };
+    }
+
+    const problem = checkKycFile(step, media, state.documents);
+    if (problem) {
+      logger.info(`KYC ${step.field} from ${whatsappNumber} rejected: ${problem}`);
+      return { response: askKycStep(step, `❌ ${problem}`), kyc: null };
+    }
+
+    state.documents[step.field] = {
+      blobKey: media.blobKey,
+      mimeType: media.mimeType,
+      sha256: media.sha256,
+      size: media.size,
+      filename: media.filename
+    };
+    logger.info(`KYC ${step.field} received from ${whatsappNumber}: ${media.blobKey}`);
+
+    // A PDF holds the whole document, so there is no separate back side
+    state.currentStep += step.name === 'id_document' && media.mimeType === 'application/pdf' ? 2 : 1;
+
+    if (state.currentStep < KYC_FLOW.steps.length) {
+      await setKycState(redisClient, whatsappNumber, state);
+      return { response: askKycStep(KYC_FLOW.steps[state.currentStep], `✅ ${step.label.charAt(0).toUpperCase()}${step.label.slice(1)} received.`), kyc: null };
+    }
+
+    return await submitKycDocuments(redisClient, whatsappNumber, state);
+  } catch (error) {
+    logger.error(`Error processing KYC step:`, error);
+    return { response: "I'm sorry, there was an error processing your document. Please try again.", kyc: null };
+  }
+}
+
+// Send the collected documents to the KYC provider and record the outcome
+async function submitKycDocuments(redisClient, whatsappNumber, state) {
+  const userData = await getUserData(redisClient, state.email);
+  if (!userData) {
+    await setKycState(redisClient, whatsappNumber, null);
+    return { response: `❌ **Account Not Found**\n\nThe account for these documents is no longer available. Type \`register\` to create a new account.`, kyc: null };
+  }
+
+  const documents = [];
+  for (const [field, document] of Object.entries(state.documents)) {
+    const buffer = await loadStoredMedia(document);
+    if (!buffer) {
+      // The stored file is gone (e.g. cleaned up); ask for that document again
+      delete state.documents[field];
+      state.currentStep = KYC_FLOW.steps.findIndex(step => step.field === field);
+      await setKycState(redisClient, whatsappNumber, state);
+      logger.warn(`KYC file ${document.blobKey} of ${whatsappNumber} is missing`);
+      const step = KYC_FLOW.steps[state.currentStep];
+      return { response: askKycStep(step, `❌ Your ${step.label} is no longer available.`), kyc: null };
+    }
+    const extension = document.mimeType === 'application/pdf' ? 'pdf' : document.mimeType.split('/')[1];
+    documents.push({ field, buffer, mimeType: document.mimeType, filename: `${field}.${extension}` });
+  }
+
+  let result;
+  try {
+    result = await getKycSubmitter().submit({ email: state.email, userId: userData.userId, whatsappNumber, documents });
+  } catch (error) {
+    // Keep the documents; sending the selfie again retries the submission
+    delete state.documents.selfie;
+    state.currentStep = KYC_FLOW.steps.length - 1;
+    await setKycState(redisClient, whatsappNumber, state);
+    logger.error(`Error submitting KYC documents for ${state.email}: ${error.message}`);
+    return { response: `❌ **Submission Failed**\n\nI couldn't submit your documents right now. Please send your selfie again in a few minutes to retry.`, kyc: null };
+  }
+
+  const now = new Date().toISOString();
+  const kyc = await updateKycRecord(redisClient, state.email, {
+    status: result.status,
+    reference: result.reference || null,
+    reason: result.reason || null,
+    documentType: state.documents.idFront.mimeType === 'application/pdf' ? 'pdf' : 'images',
+    submittedAt: now,
+    checkedAt: now
+  });
+  await setKycState(redisClient, whatsappNumber, null);
+
+  if (result.status === KYC_STATUSES.APPROVED) {
+    return { response: `✅ **Identity Verified**\n\nThank you! Your identity has been verified and money services are now available.`, kyc };
+  }
+  if (result.status === KYC_STATUSES.REJECTED) {
+    return { response: `${explainKycRequirement(kyc)}\n\nType \`kyc\` to start again.`, kyc };
+  }
+  return { response: `📨 **Documents Submitted**\n\nThank you! Your ID document and selfie have been submitted for review. Money services open as soon as they are approved, usually within a few hours.`, kyc };
+}
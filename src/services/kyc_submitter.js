@@ -0,0 +1,154 @@
+import fetch, { FormData, Blob } from 'node-fetch';
+import { logger } from '../utils/logger_utils.js';
+
+// KYC submitters implement:
+//   submit({ email, userId, whatsappNumber, documents: [{ field, buffer, mimeType, filename }] }) -> { status, reference, reason }
+//   getStatus({ email, reference }) -> { status, reason }
+// where status is one of 'pending', 'approved' or 'rejected'.
+
+const TRANSFI_API_BASE_URL = process.env.TRANSFI_API_BASE_URL || 'https://sandbox-api.transfi.com';
+
+// KYC submission configuration
+export const KYC_SUBMITTER_CONFIG = {
+  submitter: process.env.KYC_SUBMITTER || 'transfi', // transfi | local
+  submitUrl: process.env.TRANSFI_KYC_API || `${TRANSFI_API_BASE_URL}/v2/kyc/documents`,
+  statusUrl: process.env.TRANSFI_KYC_STATUS_API || `${TRANSFI_API_BASE_URL}/v2/kyc/status`,
+  localDecision: process.env.KYC_LOCAL_DECISION || 'approved' // Status returned by the local submitter
+};
+
+// Provider statuses mapped to ours; unknown ones are logged and kept under review
+const PROVIDER_STATUSES = {
+  pending: 'pending',
+  submitted: 'pending',
+  processing: 'pending',
+  in_review: 'pending',
+  under_review: 'pending',
+  approved: 'approved',
+  verified: 'approved',
+  success: 'approved',
+  completed: 'approved',
+  rejected: 'rejected',
+  declined: 'rejected',
+  failed: 'rejected'
+};
+
+// Our status for a status reported by the KYC provider; a response without one is an error
+function toKycStatus(providerStatus) {
+  if (providerStatus === undefined || providerStatus === null || providerStatus === '') {
+    throw new Error('KYC API response has no status');
+  }
+
+  const status = PROVIDER_STATUSES[String(providerStatus).toLowerCase()];
+  if (!status) {
+    logger.warn(`Unknown KYC provider status "${providerStatus}", treating it as pending`);
+    return 'pending';
+  }
+  return status;
+}
+
+// Parse a Transfi KYC response, throwing on errors
+async function readTransfiResponse(response, action) {
+  const raw = await response.text();
+  let responseData;
+  try {
+    responseData = JSON.parse(raw);
+  } catch {
+    throw new Error(`Invalid KYC API response (not JSON). Status: ${response.status}, Body: ${raw}`);
+  }
+
+  if (!response.ok) {
+    throw new Error(`KYC ${action} failed: ${response.status} ${responseData.message || responseData.error || raw}`);
+  }
+  return responseData;
+}
+
+// Transfi KYC API (default)
+export function createTransfiKycSubmitter(config) {
+  const apiKey = process.env.TRANSFI_BASIC_API_KEY;
+  if (!apiKey) {
+    throw new Error('Missing required environment variable: TRANSFI_BASIC_API_KEY');
+  }
+
+  const headers = {
+    'Authorization': `Basic ${apiKey}`,
+    'Accept': 'application/json'
+  };
+
+  return {
+    type: 'transfi',
+
+    async submit({ email, userId, documents }) {
+      const form = new FormData();
+      form.append('email', email);
+      if (userId) {
+        form.append('userId', userId);
+      }
+      for (const document of documents) {
+        form.append(document.field, new Blob([document.buffer], { type: document.mimeType }), document.filename);
+      }
+
+      logger.info(`Submitting ${documents.length} KYC documents for ${email} to ${config.submitUrl}`);
+      const response = await fetch(config.submitUrl, { method: 'POST', headers, body: form });
+      const responseData = await readTransfiResponse(response, 'submission');
+
+      return {
+        status: toKycStatus(responseData.status),
+        reference: responseData.kycId || responseData.id || null,
+        reason: responseData.reason || null
+      };
+    },
+
+    async getStatus({ email, reference }) {
+      const query = new URLSearchParams(reference ? { email, kycId: reference } : { email });
+      const response = await fetch(`${config.statusUrl}?${query}`, { headers });
+      const responseData = await readTransfiResponse(response, 'status check');
+
+      return { status: toKycStatus(responseData.status), reason: responseData.reason || null };
+    }
+  };
+}
+
+// Development submitter: accepts every submission with KYC_LOCAL_DECISION, without sending the documents anywhere
+export function createLocalKycSubmitter(decision) {
+  const status = toKycStatus(decision);
+
+  return {
+    type: 'local',
+
+    async submit({ email, documents }) {
+      const reference = `local-${Date.now()}`;
+      const files = documents.map(document => `${document.field} (${document.mimeType}, ${document.buffer.length} bytes)`);
+      logger.info(`Local KYC submission ${reference} for ${email}: ${files.join(', ')} -> ${status}`);
+      return { status, reference, reason: status === 'rejected' ? 'Rejected by the local KYC submitter' : null };
+    },
+
+    async getStatus() {
+      return { status, reason: status === 'rejected' ? 'Rejected by the local KYC submitter' : null };
+    }
+  };
+}
+
+let kycSubmitter = null;
+
+// Plug in a different KYC provider at startup
+export function setKycSubmitter(submitter) {
+  kycSubmitter = submitter;
+  logger.info(`KYC submitter set to: ${submitter.type || 'custom'}`);
+}
+
+// Get the configured KYC submitter (KYC_SUBMITTER, Transfi unless another one was set)
+export function getKycSubmitter() {
+  if (!kycSubmitter) {
+    switch (KYC_SUBMITTER_CONFIG.submitter) {
+      case 'transfi':
+        kycSubmitter = createTransfiKycSubmitter(KYC_SUBMITTER_CONFIG);
+        break;
+      case 'local':
+        kycSubmitter = createLocalKycSubmitter(KYC_SUBMITTER_CONFIG.localDecision);
+        break;
+      default:
+        throw new Error(`Unsupported KYC_SUBMITTER: ${KYC_SUBMITTER_CONFIG.submitter}. Register it with setKycSubmitter() at startup.`);
+    }
+  }
+  return kycSubmitter;
+}
@@ -0,0 +1,196 @@
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import { logger } from '../utils/logger_utils.js';
+import { getBlobStore } from './blob_store.js';
+
+// Media download configuration
+export const MEDIA_CONFIG = {
+  maxBytes: parseInt(process.env.MEDIA_MAX_BYTES) || 10 * 1024 * 1024, // 10 MB
+  pendingMediaTtl: 1800 // Keep the reference to an uploaded file for 30 minutes
+};
+
+// Magic-byte signatures for the MIME types we accept
+const MAGIC_BYTES = {
+  'application/pdf': (buffer) => buffer.slice(0, 5).toString('ascii') === '%PDF-',
+  'image/jpeg': (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+  'image/png': (buffer) => buffer.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/webp': (buffer) => buffer.slice(0, 4).toString('ascii') === 'RIFF' && buffer.slice(8, 12).toString('ascii') === 'WEBP',
+  'audio/ogg': (buffer) => buffer.slice(0, 4).toString('ascii') === 'OggS',
+  'audio/mpeg': (buffer) => buffer.slice(0, 3).toString('ascii') === 'ID3' || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0),
+  'audio/amr': (buffer) => buffer.slice(0, 6).toString('ascii') === '#!AMR\n',
+  'audio/mp4': (buffer) => buffer.slice(4, 8).toString('ascii') === 'ftyp',
+  'audio/aac': (buffer) => buffer[0] === 0xff && (buffer[1] & 0xf6) === 0xf0,
+  'video/mp4': (buffer) => buffer.slice(4, 8).toString('ascii') === 'ftyp',
+  'video/3gpp': (buffer) => buffer.slice(4, 8).toString('ascii') === 'ftyp'
+};
+
+// File extension used for stored blobs
+const MIME_EXTENSIONS = {
+  'application/pdf': 'pdf',
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/amr': 'amr',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac',
+  'video/mp4': 'mp4',
+  'video/3gpp': '3gp'
+};
+
+// Strip parameters such as "; codecs=opus" from a MIME type
+function normalizeMimeType(mimeType) {
+  return (mimeType || '').split(';')[0].trim().toLowerCase();
+}
+
+// Check that the file content matches its declared MIME type
+export function matchesMagicBytes(buffer, mimeType) {
+  const check = MAGIC_BYTES[normalizeMimeType(mimeType)];
+  return !!check && buffer.length >= 4 && check(buffer);
+}
+
+/**
+ * Resolve a WhatsApp media id to its temporary download URL and metadata
+ * @param {string} mediaId - Media id from the inbound message
+ * @returns {Promise<Object>} { url, mime_type, sha256, file_size, id }
+ */
+export async function resolveMedia(mediaId) {
+  const accessToken = process.env.META_ACCESS_TOKEN;
+
+  if (!accessToken) {
+    throw new Error('Missing required environment variable: META_ACCESS_TOKEN');
+  }
+
+  const response = await fetch(`https://graph.facebook.com/v18.0/${mediaId}`, {
+    headers: {
+      'Authorization': `Bearer ${accessToken}`
+    }
+  });
+
+  if (!response.ok) {
+    const errorData = await response.text();
+    throw new Error(`WhatsApp Media API error: ${response.status} ${errorData}`);
+  }
+
+  return await response.json();
+}
+
+/**
+ * Download a WhatsApp media file, enforcing size, MIME type and content checks
+ * @param {string} mediaId - Media id from the inbound message
+ * @param {Object} options - { allowedMimeTypes, maxBytes }
+ * @returns {Promise<Object>} { buffer, mimeType, sha256, size }
+ */
+export async function downloadMedia(mediaId, options = {}) {
+  const allowedMimeTypes = options.allowedMimeTypes || Object.keys(MAGIC_BYTES);
+  const maxBytes = options.maxBytes || MEDIA_CONFIG.maxBytes;
+
+  const media = await resolveMedia(mediaId);
+  const mimeType = normalizeMimeType(media.mime_type);
+
+  if (!allowedMimeTypes.includes(mimeType)) {
+    throw new Error(`Unsupported file type: ${mimeType || 'unknown'}`);
+  }
+
+  if (media.file_size && Number(media.file_size) > maxBytes) {
+    throw new Error(`File is too large (${media.file_size} bytes, maximum ${maxBytes} bytes)`);
+  }
+
+  const response = await fetch(media.url, {
+    headers: {
+      'Authorization': `Bearer ${process.env.META_ACCESS_TOKEN}`
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Media download failed: ${response.status} ${response.statusText}`);
+  }
+
+  const contentLength = Number(response.headers.get('content-length'));
+  if (contentLength && contentLength > maxBytes) {
+    throw new Error(`File is too large (${contentLength} bytes, maximum ${maxBytes} bytes)`);
+  }
+
+  // Stream the body so an oversized file is abandoned without buffering it completely
+  const hash = crypto.createHash('sha256');
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      response.body.destroy();
+      throw new Error(`File is too large (over ${maxBytes} bytes)`);
+    }
+    hash.update(chunk);
+    chunks.push(chunk);
+  }
+
+  const buffer = Buffer.concat(chunks);
+  const sha256 = hash.digest('hex');
+
+  if (!matchesMagicBytes(buffer, mimeType)) {
+    throw new Error(`File content does not match its declared type (${mimeType})`);
+  }
+
+  // Meta publishes the hash of the file; a mismatch means a corrupted or substituted download
+  if (media.sha256 && media.sha256.toLowerCase() !== sha256) {
+    throw new Error('File checksum does not match the checksum reported by WhatsApp');
+  }
+
+  logger.info(`Media ${mediaId} downloaded: ${mimeType}, ${size} bytes, sha256 ${sha256}`);
+  return { buffer, mimeType, sha256, size };
+}
+
+/**
+ * Download a media file and save it in the blob store
+ * @param {string} mediaId - Media id from the inbound message
+ * @param {Object} options - { allowedMimeTypes, maxBytes, from, filename }
+ * @returns {Promise<Object>} Descriptor of the stored file
+ */
+export async function storeInboundMedia(mediaId, options = {}) {
+  const { buffer, mimeType, sha256, size } = await downloadMedia(mediaId, options);
+  const extension = MIME_EXTENSIONS[mimeType] || 'bin';
+  const blobKey = `inbound/${sha256}.${extension}`;
+
+  const descriptor = {
+    mediaId,
+    blobKey,
+    mimeType,
+    sha256,
+    size,
+    filename: options.filename || null,
+    from: options.from || null,
+    receivedAt: new Date().toISOString()
+  };
+
+  await getBlobStore().put(blobKey, buffer, descriptor);
+  return descriptor;
+}
+
+// Load the content of a stored media file
+export async function loadStoredMedia(descriptor) {
+  return await getBlobStore().get(descriptor.blobKey);
+}
+
+// Generate Redis key for the file a user most recently uploaded
+function getPendingMediaKey(whatsappNumber) {
+  return `pending_media:${whatsappNumber}`;
+}
+
+// Remember the file a user uploaded until the current flow step consumes it
+export async function setPendingMedia(redisClient, whatsappNumber, descriptor) {
+  await redisClient.setEx(getPendingMediaKey(whatsappNumber), MEDIA_CONFIG.pendingMediaTtl, JSON.stringify(descriptor));
+}
+
+// Get (without consuming) the file a user most recently uploaded
+export async function getPendingMedia(redisClient, whatsappNumber) {
+  const descriptor = await redisClient.get(getPendingMediaKey(whatsappNumber));
+  return descriptor ? JSON.parse(descriptor) : null;
+}
+
+// Forget the pending upload for a user
+export async function clearPendingMedia(redisClient, whatsappNumber) {
+  await redisClient.del(getPendingMediaKey(whatsappNumber));
+}
@@ -0,0 +1,312 @@
+import crypto from 'crypto';
+import { logger } from '../utils/logger_utils.js';
+
+// Redis key layout for the inbound message queue
+const QUEUE_PREFIX = 'webhook_queue';
+const READY_KEY = `${QUEUE_PREFIX}:ready`;       // list of senders with work to pick up
+const SENDERS_KEY = `${QUEUE_PREFIX}:senders`;   // set of senders that still have queued jobs
+const RETRY_KEY = `${QUEUE_PREFIX}:retry`;       // sorted set: sender -> time its head job may be retried
+const DEAD_KEY = `${QUEUE_PREFIX}:dead`;         // list of jobs that exhausted their retries
+
+// Queue configuration
+export const QUEUE_CONFIG = {
+  concurrency: parseInt(process.env.QUEUE_WORKER_CONCURRENCY) || 4,
+  maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 5,
+  retryBaseMs: parseInt(process.env.QUEUE_RETRY_BASE_MS) || 2000,
+  retryMaxMs: parseInt(process.env.QUEUE_RETRY_MAX_MS) || 300000,
+  pollIntervalMs: parseInt(process.env.QUEUE_POLL_INTERVAL_MS) || 500,
+  sweepIntervalMs: parseInt(process.env.QUEUE_SWEEP_INTERVAL_MS) || 10000,
+  lockTtlMs: parseInt(process.env.QUEUE_LOCK_TTL_MS) || 120000
+};
+
+// Generate Redis key for a sender's job list
+function getSenderJobsKey(from) {
+  return `${QUEUE_PREFIX}:jobs:${from}`;
+}
+
+// Generate Redis key for a sender's processing lock
+function getSenderLockKey(from) {
+  return `${QUEUE_PREFIX}:lock:${from}`;
+}
+
+// Handler outcomes retried with backoff (up to maxAttempts): handler errors and failed sends
+const RETRYABLE_OUTCOMES = ['error', 'send_failed'];
+
+// Extend / delete the sender lock only while it still holds our token
+const RENEW_LOCK_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) else return 0 end";
+export const RELEASE_LOCK_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+
+// Exponential backoff with a cap, e.g. 2s, 4s, 8s, ...
+export function getRetryDelay(attempts, config = QUEUE_CONFIG) {
+  return Math.min(config.retryBaseMs * Math.pow(2, Math.max(attempts - 1, 0)), config.retryMaxMs);
+}
+
+// Add an inbound message to its sender's queue
+export async function enqueueInboundMessage(redisClient, inbound) {
+  const from = inbound.message.from;
+  const job = {
+    id: crypto.randomUUID(),
+    messageId: inbound.message.id,
+    from: from,
+    inbound: inbound,
+    attempts: 0,
+    enqueuedAt: new Date().toISOString(),
+    nextAttemptAt: 0,
+    lastError: null
+  };
+
+  await redisClient.rPush(getSenderJobsKey(from), JSON.stringify(job));
+  await redisClient.sAdd(SENDERS_KEY, from);
+  await redisClient.rPush(READY_KEY, from);
+
+  logger.info(`Enqueued message ${job.messageId} from ${from} as job ${job.id}`);
+  return job;
+}
+
+// Get queue statistics for the admin endpoint
+export async function getQueueStats(redisClient) {
+  const senders = await redisClient.sMembers(SENDERS_KEY);
+  let pendingJobs = 0;
+  for (const from of senders) {
+    pendingJobs += await redisClient.lLen(getSenderJobsKey(from));
+  }
+
+  return {
+    pendingJobs,
+    sendersWithJobs: senders.length,
+    readySignals: await redisClient.lLen(READY_KEY),
+    sendersWaitingForRetry: await redisClient.zCard(RETRY_KEY),
+    deadLetterJobs: await redisClient.lLen(DEAD_KEY),
+    config: QUEUE_CONFIG
+  };
+}
+
+// List dead-letter jobs (oldest first)
+export async function getDeadLetterJobs(redisClient, start = 0, count = 50) {
+  const rawJobs = await redisClient.lRange(DEAD_KEY, start, start + count - 1);
+  return rawJobs.map(rawJob => JSON.parse(rawJob));
+}
+
+// Move dead-letter jobs back onto their sender queues. Replays every job when jobId is omitted.
+export async function replayDeadLetterJobs(redisClient, jobId = null) {
+  const rawJobs = await redisClient.lRange(DEAD_KEY, 0, -1);
+  const replayed = [];
+
+  for (const rawJob of rawJobs) {
+    const job = JSON.parse(rawJob);
+    if (jobId && job.id !== jobId) {
+      continue;
+    }
+
+    // Only replay if we are the ones who removed it (another admin may have replayed it already)
+    const removed = await redisClient.lRem(DEAD_KEY, 1, rawJob);
+    if (removed > 0) {
+      const replayedJob = await enqueueInboundMessage(redisClient, job.inbound);
+      logger.info(`Replayed dead-letter job ${job.id} (message ${job.messageId}) as job ${replayedJob.id}`);
+      replayed.push({ deadJobId: job.id, newJobId: replayedJob.id, messageId: job.messageId, from: job.from });
+    }
+  }
+
+  return replayed;
+}
+
+// Try to take the processing lock for a sender
+async function acquireSenderLock(redisClient, from, token, lockTtlMs) {
+  const result = await redisClient.set(getSenderLockKey(from), token, { NX: true, PX: lockTtlMs });
+  return result === 'OK';
+}
+
+// Extend the sender lock; false when it expired or was taken over
+async function renewSenderLock(redisClient, from, token, lockTtlMs) {
+  const result = await redisClient.eval(RENEW_LOCK_SCRIPT, { keys: [getSenderLockKey(from)], arguments: [token, String(lockTtlMs)] });
+  return result === 1;
+}
+
+// Release the sender lock if we still hold it
+async function releaseSenderLock(redisClient, from, token) {
+  await redisClient.eval(RELEASE_LOCK_SCRIPT, { keys: [getSenderLockKey(from)], arguments: [token] });
+}
+
+// Keep renewing the sender lock while its jobs run (a slow handler must not lose it to the sweep).
+// `lock.lost` is set when renewal fails; the caller stops before starting another job.
+function keepSenderLock(redisClient, from, token, lockTtlMs) {
+  const lock = { lost: false };
+  const timer = setInterval(async () => {
+    try {
+      if (!(await renewSenderLock(redisClient, from, token, lockTtlMs))) {
+        lock.lost = true;
+        clearInterval(timer);
+        logger.warn(`Lost the queue lock for ${from}; stopping after the current job`);
+      }
+    } catch (error) {
+      logger.error(`Error renewing the queue lock for ${from}: ${error.message}`);
+    }
+  }, Math.floor(lockTtlMs / 3));
+  lock.stop = () => clearInterval(timer);
+  return lock;
+}
+
+// Drain one sender's queue in order. Stops at the first job that needs a retry so later
+// messages from the same sender never overtake it.
+async function processSenderJobs(redisClient, from, handler, workerId, config, lock) {
+  const jobsKey = getSenderJobsKey(from);
+  let waitingForRetry = false;
+
+  while (!lock.lost) {
+    const rawJob = await redisClient.lIndex(jobsKey, 0);
+    if (!rawJob) {
+      break;
+    }
+
+    const job = JSON.parse(rawJob);
+
+    if (job.nextAttemptAt && job.nextAttemptAt > Date.now()) {
+      await redisClient.zAdd(RETRY_KEY, { score: job.nextAttemptAt, value: from });
+      waitingForRetry = true;
+      break;
+    }
+
+    job.attempts += 1;
+    let outcome;
+
+    try {
+      outcome = (await handler(job.inbound, job)) || { status: 'processed' };
+      if (RETRYABLE_OUTCOMES.includes(outcome.status)) {
+        throw new Error(outcome.error || `Handler reported ${outcome.status}`);
+      }
+    } catch (error) {
+      job.lastError = error.message;
+      job.lastFailedAt = new Date().toISOString();
+
+      if (job.attempts >= config.maxAttempts) {
+        // Poison message: move it to the dead-letter queue and carry on with the sender's next job
+        await redisClient.lPop(jobsKey);
+        await redisClient.rPush(DEAD_KEY, JSON.stringify({ ...job, deadAt: new Date().toISOString() }));
+        logger.error(`Job ${job.id} (message ${job.messageId}) from ${from} moved to dead-letter queue after ${job.attempts} attempts: ${error.message}`);
+        continue;
+      }
+
+      const delay = getRetryDelay(job.attempts, config);
+      job.nextAttemptAt = Date.now() + delay;
+      await redisClient.lSet(jobsKey, 0, JSON.stringify(job));
+      await redisClient.zAdd(RETRY_KEY, { score: job.nextAttemptAt, value: from });
+      logger.warn(`Job ${job.id} (message ${job.messageId}) from ${from} failed (attempt ${job.attempts}/${config.maxAttempts}), retrying in ${delay}ms: ${error.message}`);
+      waitingForRetry = true;
+      break;
+    }
+
+    await redisClient.lPop(jobsKey);
+    logger.info(`Worker ${workerId} completed job ${job.id}: message ${job.messageId} from ${from} -> ${outcome.status}`, { attempts: job.attempts });
+  }
+
+  if (!waitingForRetry && await redisClient.lLen(jobsKey) === 0) {
+    await redisClient.sRem(SENDERS_KEY, from);
+  }
+
+  return waitingForRetry;
+}
+
+// Create a worker pool that consumes the queue with `handler(inbound, job)`
+export function createMessageQueueWorkers(redisClient, handler, options = {}) {
+  const config = { ...QUEUE_CONFIG, ...options };
+  let running = false;
+  let timers = [];
+  const workerLoops = [];
+
+  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  async function workerLoop(workerId) {
+    while (running) {
+      try {
+        const from = await redisClient.lPop(READY_KEY);
+        if (!from) {
+          await sleep(config.pollIntervalMs);
+          continue;
+        }
+
+        const token = `${workerId}:${crypto.randomUUID()}`;
+        if (!(await acquireSenderLock(redisClient, from, token, config.lockTtlMs))) {
+          // Another worker is draining this sender; it re-checks the queue before releasing
+          continue;
+        }
+
+        let waitingForRetry = false;
+        const lock = keepSenderLock(redisClient, from, token, config.lockTtlMs);
+        try {
+          waitingForRetry = await processSenderJobs(redisClient, from, handler, workerId, config, lock);
+        } finally {
+          lock.stop();
+          await releaseSenderLock(redisClient, from, token);
+        }
+        if (lock.lost) {
+          // Another worker owns the sender now and drains the rest of its queue
+          continue;
+        }
+
+        // Jobs may have arrived while we held the lock
+        if (!waitingForRetry && await redisClient.lLen(getSenderJobsKey(from)) > 0) {
+          await redisClient.rPush(READY_KEY, from);
+        }
+      } catch (error) {
+        logger.error(`Queue worker ${workerId} error: ${error.message}`);
+        await sleep(config.pollIntervalMs);
+      }
+    }
+  }
+
+  // Move senders whose retry time has come back to the ready list
+  async function promoteDueRetries() {
+    try {
+      const dueSenders = await redisClient.zRangeByScore(RETRY_KEY, 0, Date.now());
+      for (const from of dueSenders) {
+        if (await redisClient.zRem(RETRY_KEY, from) > 0) {
+          await redisClient.rPush(READY_KEY, from);
+        }
+      }
+    } catch (error) {
+      logger.error(`Error promoting queue retries: ${error.message}`);
+    }
+  }
+
+  // Recover senders whose wake-up signal was lost (e.g. a worker crashed mid-job)
+  async function sweepOrphanedSenders() {
+    try {
+      const senders = await redisClient.sMembers(SENDERS_KEY);
+      for (const from of senders) {
+        const locked = await redisClient.exists(getSenderLockKey(from));
+        const scheduled = await redisClient.zScore(RETRY_KEY, from);
+        if (!locked && scheduled === null) {
+          await redisClient.rPush(READY_KEY, from);
+        }
+      }
+    } catch (error) {
+      logger.error(`Error sweeping queue senders: ${error.message}`);
+    }
+  }
+
+  return {
+    start() {
+      if (running) {
+        return;
+      }
+      running = true;
+      timers = [
+        setInterval(promoteDueRetries, config.pollIntervalMs),
+        setInterval(sweepOrphanedSenders, config.sweepIntervalMs)
+      ];
+      sweepOrphanedSenders();
+      for (let i = 0; i < config.concurrency; i++) {
+        workerLoops.push(workerLoop(i + 1));
+      }
+      logger.info(`Message queue started with ${config.concurrency} worker(s)`);
+    },
+
+    async stop() {
+      running = false;
+      timers.forEach(timer => clearInterval(timer));
+      timers = [];
+      await Promise.all(workerLoops.splice(0));
+      logger.info('Message queue workers stopped');
+    }
+  };
+}
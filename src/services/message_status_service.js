@@ -0,0 +1,211 @@
+import { logger } from '../utils/logger_utils.js';
+
+// Redis key prefixes for outbound message tracking
+const OUTBOUND_MESSAGE_PREFIX = 'outbound_msg';
+const USER_OUTBOUND_PREFIX = 'outbound_msgs';
+
+const OUTBOUND_MESSAGE_TTL = 2592000; // Keep delivery history for 30 days
+const MAX_MESSAGES_PER_USER = 200;    // Size of the per-user index
+const STATUS_UPDATE_MAX_ATTEMPTS = 5; // Retries when another status update changed the record first
+
+// Write a record only if it still holds what we read ('' when there was none), so concurrent
+// webhook deliveries for the same message can't overwrite each other's updates
+const COMPARE_AND_SET_SCRIPT = "if (redis.call('get', KEYS[1]) or '') ~= ARGV[1] then return 0 end " +
+  "redis.call('set', KEYS[1], ARGV[2], 'EX', ARGV[3]) return 1";
+
+// Order of delivery statuses; webhooks can arrive out of order so a lower rank never
+// replaces a higher one. 'failed' is terminal.
+export const STATUS_RANK = {
+  accepted: 0,
+  sent: 1,
+  delivered: 2,
+  read: 3,
+  failed: 4
+};
+
+// Generate Redis key for a single outbound message
+function getOutboundMessageKey(messageId) {
+  return `${OUTBOUND_MESSAGE_PREFIX}:${messageId}`;
+}
+
+// Generate Redis key for a user's outbound message index
+function getUserOutboundKey(whatsappNumber) {
+  return `${USER_OUTBOUND_PREFIX}:${whatsappNumber}`;
+}
+
+// Index an outbound message under its recipient
+async function indexOutboundMessage(redisClient, record) {
+  const userKey = getUserOutboundKey(record.to);
+  await redisClient.zAdd(userKey, { score: new Date(record.createdAt).getTime(), value: record.messageId });
+  await redisClient.zRemRangeByRank(userKey, 0, -(MAX_MESSAGES_PER_USER + 1));
+  await redisClient.expire(userKey, OUTBOUND_MESSAGE_TTL);
+}
+
+// Save an outbound message record and index it under its recipient
+async function saveOutboundMessage(redisClient, record) {
+  await redisClient.setEx(getOutboundMessageKey(record.messageId), OUTBOUND_MESSAGE_TTL, JSON.stringify(record));
+  await indexOutboundMessage(redisClient, record);
+}
+
+// Store an outbound message right after the Graph API accepted it.
+// `details` describes what was sent: { kind: 'text' | 'interactive' | 'template', templateName, preview, responseKind, fallbackReason, campaignId, scheduledJobId }.
+// `responseKind` is set when a response was routed to its template, `fallbackReason` when a template
+// was sent because the customer service window was closed.
+export async function recordOutboundMessage(redisClient, to, apiResult, details = {}) {
+  try {
+    const messageId = apiResult && apiResult.messages && apiResult.messages[0] && apiResult.messages[0].id;
+    if (!messageId) {
+      logger.warn(`Cannot record outbound message to ${to}: no message id in API result`);
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const record = {
+      messageId,
+      to,
+      waId: apiResult.contacts && apiResult.contacts[0] ? apiResult.contacts[0].wa_id : to,
+      kind: details.kind || 'text',
+      templateName: details.templateName || null,
+      responseKind: details.responseKind || null,
+      fallbackReason: details.fallbackReason || null,
+      campaignId: details.campaignId || null,
+      scheduledJobId: details.scheduledJobId || null,
+      preview: details.preview ? details.preview.substring(0, 200) : null,
+      status: 'accepted',
+      conversation: null,
+      pricing: null,
+      errors: [],
+      timeline: [{ status: 'accepted', at: now }],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await saveOutboundMessage(redisClient, record);
+    logger.info(`Outbound message ${messageId} to ${to} recorded (${record.kind})`);
+    return record;
+  } catch (error) {
+    // Tracking must never break sending
+    logger.error(`Error recording outbound message to ${to}: ${error.message}`);
+    return null;
+  }
+}
+
+// Merge one webhook status into a stored record (JSON, or null when the message isn't tracked yet)
+function applyStatusUpdate(stored, statusUpdate) {
+  const messageId = statusUpdate.id;
+  const at = statusUpdate.timestamp
+    ? new Date(Number(statusUpdate.timestamp) * 1000).toISOString()
+    : new Date().toISOString();
+
+  const record = stored ? JSON.parse(stored) : {
+    // Message sent before tracking started (or by another system): start a record from the webhook
+    messageId,
+    to: statusUpdate.recipient_id,
+    waId: statusUpdate.recipient_id,
+    kind: 'unknown',
+    templateName: null,
+    preview: null,
+    status: null,
+    conversation: null,
+    pricing: null,
+    errors: [],
+    timeline: [],
+    createdAt: at
+  };
+
+  const timelineEntry = { status: statusUpdate.status, at };
+
+  if (Array.isArray(statusUpdate.errors) && statusUpdate.errors.length > 0) {
+    const errors = statusUpdate.errors.map(error => ({
+      code: error.code,
+      title: error.title,
+      message: error.message,
+      details: error.error_data ? error.error_data.details : undefined
+    }));
+    timelineEntry.errors = errors;
+    record.errors = record.errors.concat(errors);
+  }
+
+  // Ignore exact duplicates (Meta may deliver the same status more than once)
+  const isDuplicate = record.timeline.some(entry => entry.status === timelineEntry.status && entry.at === timelineEntry.at);
+  if (!isDuplicate) {
+    record.timeline.push(timelineEntry);
+    record.timeline.sort((a, b) => new Date(a.at) - new Date(b.at));
+  }
+
+  const currentRank = STATUS_RANK[record.status] ?? -1;
+  const newRank = STATUS_RANK[statusUpdate.status] ?? -1;
+  if (newRank > currentRank) {
+    record.status = statusUpdate.status;
+  }
+
+  if (statusUpdate.conversation) {
+    record.conversation = {
+      id: statusUpdate.conversation.id,
+      originType: statusUpdate.conversation.origin ? statusUpdate.conversation.origin.type : undefined,
+      expiresAt: statusUpdate.conversation.expiration_timestamp
+        ? new Date(Number(statusUpdate.conversation.expiration_timestamp) * 1000).toISOString()
+        : (record.conversation ? record.conversation.expiresAt : undefined)
+    };
+  }
+
+  if (statusUpdate.pricing) {
+    record.pricing = statusUpdate.pricing;
+  }
+
+  record.updatedAt = new Date().toISOString();
+  return record;
+}
+
+// Apply one entry of a webhook `value.statuses` array to the stored message
+export async function recordStatusUpdate(redisClient, statusUpdate) {
+  const messageId = statusUpdate.id;
+  const key = getOutboundMessageKey(messageId);
+
+  let record = null;
+  for (let attempt = 1; !record; attempt++) {
+    const stored = await redisClient.get(key);
+    const updated = applyStatusUpdate(stored, statusUpdate);
+    const saved = await redisClient.eval(COMPARE_AND_SET_SCRIPT, {
+      keys: [key],
+      arguments: [stored || '', JSON.stringify(updated), String(OUTBOUND_MESSAGE_TTL)]
+    });
+    if (saved === 1) {
+      record = updated;
+    } else if (attempt >= STATUS_UPDATE_MAX_ATTEMPTS) {
+      throw new Error(`Outbound message ${messageId} kept changing while applying status ${statusUpdate.status}`);
+    }
+  }
+  await indexOutboundMessage(redisClient, record);
+
+  if (statusUpdate.status === 'failed') {
+    const codes = record.errors.map(error => error.code).join(', ');
+    logger.warn(`Outbound message ${messageId} to ${record.to} failed (error codes: ${codes || 'none'})`);
+  } else {
+    logger.info(`Outbound message ${messageId} to ${record.to}: ${statusUpdate.status}`);
+  }
+
+  return record;
+}
+
+// Get the delivery timeline of a single outbound message
+export async function getMessageTimeline(redisClient, messageId) {
+  const stored = await redisClient.get(getOutboundMessageKey(messageId));
+  return stored ? JSON.parse(stored) : null;
+}
+
+// Get the most recent outbound messages (newest first) with their timelines for a user
+export async function getUserTimeline(redisClient, whatsappNumber, limit = 50) {
+  const messageIds = await redisClient.zRange(getUserOutboundKey(whatsappNumber), 0, -1);
+  const recentIds = messageIds.reverse().slice(0, limit);
+
+  const messages = [];
+  for (const messageId of recentIds) {
+    const record = await getMessageTimeline(redisClient, messageId);
+    if (record) {
+      messages.push(record);
+    }
+  }
+
+  return messages;
+}
@@ -0,0 +1,48 @@
+import { logger } from '../utils/logger_utils.js';
+
+// Broadcast opt-out.
+// Users who reply STOP are excluded from every campaign until they reply START.
+// Conversations with the bot are not affected.
+
+// Redis set of opted-out WhatsApp numbers
+const OPT_OUT_KEY = 'broadcast_opt_outs';
+
+const OPT_OUT_KEYWORDS = ['stop', 'unsubscribe', 'stop all'];
+const OPT_IN_KEYWORDS = ['start', 'subscribe', 'unstop'];
+
+// Check whether a user opted out of broadcasts
+export async function isOptedOut(redisClient, whatsappNumber) {
+  return await redisClient.sIsMember(OPT_OUT_KEY, whatsappNumber);
+}
+
+// Opt a user out of (or back into) broadcasts
+export async function setOptOut(redisClient, whatsappNumber, optedOut) {
+  if (optedOut) {
+    await redisClient.sAdd(OPT_OUT_KEY, whatsappNumber);
+  } else {
+    await redisClient.sRem(OPT_OUT_KEY, whatsappNumber);
+  }
+  logger.info(`Broadcast opt-${optedOut ? 'out' : 'in'} for ${whatsappNumber}`);
+}
+
+// Number of opted-out users
+export async function countOptOuts(redisClient) {
+  return await redisClient.sCard(OPT_OUT_KEY);
+}
+
+// Handle STOP / START replies. Returns the reply to send, or null when the text is not a keyword.
+export async function handleOptOutKeyword(redisClient, whatsappNumber, text) {
+  const keyword = (text || '').toLowerCase().trim();
+
+  if (OPT_OUT_KEYWORDS.includes(keyword)) {
+    await setOptOut(redisClient, whatsappNumber, true);
+    return "🔕 **You've been unsubscribed**\n\nYou won't receive updates about new corridors or rates anymore. You can still chat with me any time.\n\nReply *START* to subscribe again.";
+  }
+
+  if (OPT_IN_KEYWORDS.includes(keyword) && await isOptedOut(redisClient, whatsappNumber)) {
+    await setOptOut(redisClient, whatsappNumber, false);
+    return "🔔 **You're subscribed again**\n\nYou'll receive updates about new corridors and rates.\n\nReply *STOP* at any time to unsubscribe.";
+  }
+
+  return null;
+}
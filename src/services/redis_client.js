@@ -1,11 +1,14 @@
 import { createClient } from 'redis';
 import { logger } from '../utils/logger_utils.js';
+import { getMessageText } from './interactive_messages.js';
 
 // Fallback in-memory storage when Redis is not available
 let useFallbackStorage = false;
+const FALLBACK_MAX_PROCESSED_MESSAGES = 10000; // Oldest entries are evicted beyond this
 const fallbackStorage = {
   conversations: new Map(),
-  processedMessages: new Set(),
+  processedMessages: new Map(), // messageId -> { state, expiresAt }
+  messageClaims: new Map(),     // messageId -> lease expiry timestamp
   userCreationStates: new Map(),
   businessUserCreationStates: new Map()
 };
@@ -110,6 +113,9 @@ async function setConversationHistory(userId, history) {
 }
 
 async function addToConversationHistory(userId, message) {
+  // Interactive responses (buttons, lists) are kept as their text version
+  message = { ...message, content: getMessageText(message.content) };
+  
   try {
     let history;
     if (useFallbackStorage) {
@@ -145,38 +151,146 @@ async function addToConversationHistory(userId, message) {
   }
 }
 
-// Redis utility functions for message deduplication
-async function isMessageProcessed(messageId) {
+// Message processing state TTLs
+const MESSAGE_STATE_TTL = 86400;  // Keep processing state for 24 hours (covers Meta's retry window)
+const MESSAGE_CLAIM_TTL = 120;    // Processing lease (no longer than the queue's sender lock); an expired claim means the worker crashed
+
+// Fallback helpers for message state (bounded, insertion-ordered Map)
+function getFallbackMessageState(messageId) {
+  const entry = fallbackStorage.processedMessages.get(messageId);
+  if (!entry) {
+    return null;
+  }
+  if (entry.expiresAt <= Date.now()) {
+    fallbackStorage.processedMessages.delete(messageId);
+    return null;
+  }
+  return entry.state;
+}
+
+function setFallbackMessageState(messageId, state) {
+  // Re-insert so the entry moves to the end of the eviction order
+  fallbackStorage.processedMessages.delete(messageId);
+  fallbackStorage.processedMessages.set(messageId, {
+    state,
+    expiresAt: Date.now() + MESSAGE_STATE_TTL * 1000
+  });
+  
+  while (fallbackStorage.processedMessages.size > FALLBACK_MAX_PROCESSED_MESSAGES) {
+    const oldestMessageId = fallbackStorage.processedMessages.keys().next().value;
+    fallbackStorage.processedMessages.delete(oldestMessageId);
+  }
+}
+
+function claimFallbackMessage(messageId, leaseSeconds) {
+  const leaseUntil = fallbackStorage.messageClaims.get(messageId);
+  if (leaseUntil && leaseUntil > Date.now()) {
+    return false;
+  }
+  fallbackStorage.messageClaims.delete(messageId);
+  fallbackStorage.messageClaims.set(messageId, Date.now() + leaseSeconds * 1000);
+  
+  while (fallbackStorage.messageClaims.size > FALLBACK_MAX_PROCESSED_MESSAGES) {
+    const oldestMessageId = fallbackStorage.messageClaims.keys().next().value;
+    fallbackStorage.messageClaims.delete(oldestMessageId);
+  }
+  return true;
+}
+
+// Get the processing state of a message ({ status: 'processing' | 'responded' | 'completed' | 'failed', ... })
+async function getMessageState(messageId) {
   try {
     if (useFallbackStorage) {
-      return fallbackStorage.processedMessages.has(messageId);
+      return getFallbackMessageState(messageId);
+    }
+    const state = await redisClient.get(`msg:${messageId}`);
+    if (!state) {
+      return null;
     }
-    return await redisClient.exists(`msg:${messageId}`);
+    // Entries written before state tracking only held '1'
+    return state === '1' ? { status: 'completed' } : JSON.parse(state);
   } catch (error) {
-    logger.error(`Error checking if message ${messageId} is processed:`, error);
+    logger.error(`Error getting state for message ${messageId}:`, error);
     // Fallback to in-memory storage
     useFallbackStorage = true;
-    return fallbackStorage.processedMessages.has(messageId);
+    return getFallbackMessageState(messageId);
   }
 }
 
-async function markMessageProcessed(messageId) {
+// Merge updates into the processing state of a message
+async function updateMessageState(messageId, updates) {
+  const current = (await getMessageState(messageId)) || {};
+  const state = {
+    ...current,
+    ...updates,
+    messageId,
+    updatedAt: new Date().toISOString()
+  };
+  
   try {
     if (useFallbackStorage) {
-      fallbackStorage.processedMessages.add(messageId);
-      return true;
+      setFallbackMessageState(messageId, state);
+      return state;
     }
-    await redisClient.setEx(`msg:${messageId}`, 3600, '1'); // Expire in 1 hour
-    return true;
+    await redisClient.setEx(`msg:${messageId}`, MESSAGE_STATE_TTL, JSON.stringify(state));
+    return state;
   } catch (error) {
-    logger.error(`Error marking message ${messageId} as processed:`, error);
+    logger.error(`Error updating state for message ${messageId}:`, error);
     // Fallback to in-memory storage
     useFallbackStorage = true;
-    fallbackStorage.processedMessages.add(messageId);
+    setFallbackMessageState(messageId, state);
+    return state;
+  }
+}
+
+// Atomically claim a message before processing it (SET NX with a lease TTL).
+// Returns false if another worker currently holds the claim.
+async function claimMessage(messageId, leaseSeconds = MESSAGE_CLAIM_TTL) {
+  try {
+    if (useFallbackStorage) {
+      return claimFallbackMessage(messageId, leaseSeconds);
+    }
+    const result = await redisClient.set(`msg_claim:${messageId}`, new Date().toISOString(), { NX: true, EX: leaseSeconds });
+    return result === 'OK';
+  } catch (error) {
+    logger.error(`Error claiming message ${messageId}:`, error);
+    // Fallback to in-memory storage
+    useFallbackStorage = true;
+    return claimFallbackMessage(messageId, leaseSeconds);
+  }
+}
+
+// Release a message claim once processing has finished (successfully or not)
+async function releaseMessageClaim(messageId) {
+  try {
+    if (useFallbackStorage) {
+      fallbackStorage.messageClaims.delete(messageId);
+      return true;
+    }
+    await redisClient.del(`msg_claim:${messageId}`);
     return true;
+  } catch (error) {
+    logger.error(`Error releasing claim for message ${messageId}:`, error);
+    fallbackStorage.messageClaims.delete(messageId);
+    return false;
   }
 }
 
+// Check if a message has been fully processed
+async function isMessageProcessed(messageId) {
+  const state = await getMessageState(messageId);
+  return !!state && state.status === 'completed';
+}
+
+// Mark a message as fully processed
+async function markMessageProcessed(messageId) {
+  await updateMessageState(messageId, {
+    status: 'completed',
+    completedAt: new Date().toISOString()
+  });
+  return true;
+}
+
 // Redis utility functions for general operations
 async function setKey(key, value, expireSeconds = 3600) {
   try {
@@ -244,6 +358,10 @@ export {
   addToConversationHistory,
   isMessageProcessed,
   markMessageProcessed,
+  getMessageState,
+  updateMessageState,
+  claimMessage,
+  releaseMessageClaim,
   setKey,
   getKey,
   deleteKey,
@@ -0,0 +1,566 @@
+import crypto from 'crypto';
+import { logger } from '../utils/logger_utils.js';
+import { redisClient } from './redis_client.js';
+import { sendTemplateMessage } from '../utils/template_utils.js';
+import { parseCron, getNextCronRun, parseDateTimeInZone, isValidTimezone } from '../utils/schedule_utils.js';
+import { isOptedOut } from './opt_out_service.js';
+import { RELEASE_LOCK_SCRIPT } from './message_queue.js';
+
+// Scheduled template messages.
+// Jobs are one-off (runAt) or recurring (cron, in the user's timezone). Due times live in a Redis
+// sorted set, so jobs survive restarts; a poller sends due jobs and schedules the next run.
+// Runs missed while the bot was down are handled by the job's missed-run policy.
+
+// Redis keys
+const SCHEDULED_JOB_PREFIX = 'scheduled_job';
+const SCHEDULED_JOB_LOCK_PREFIX = 'scheduled_job_lock';
+const USER_TIMEZONE_PREFIX = 'user_timezone';
+const DUE_JOBS_KEY = 'scheduled_jobs';          // zset: job id -> next attempt time (ms)
+const JOB_INDEX_KEY = 'scheduled_jobs:index';   // zset: job id -> creation time (ms), for listing
+
+const MAX_JOB_HISTORY = 20; // Runs kept per job
+
+export const SCHEDULED_JOB_STATUSES = ['scheduled', 'completed', 'missed', 'failed', 'cancelled'];
+
+// What to do with runs that were due while the scheduler was not running:
+// run_once - send once now, then continue with the next future run
+// run_all  - send every missed run (up to maxCatchUp)
+// skip     - send nothing and continue with the next future run
+export const MISSED_RUN_POLICIES = ['run_once', 'run_all', 'skip'];
+
+// Error codes of requests the caller must fix; the endpoints answer 400 and 409 for them
+export const INVALID_SCHEDULED_JOB = 'INVALID_SCHEDULED_JOB';
+export const SCHEDULED_JOB_CONFLICT = 'SCHEDULED_JOB_CONFLICT';
+
+// Scheduler configuration
+export const SCHEDULER_CONFIG = {
+  pollIntervalMs: parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS || '5000', 10),
+  defaultTimezone: process.env.SCHEDULER_DEFAULT_TIMEZONE || 'UTC',
+  missedPolicy: process.env.SCHEDULER_MISSED_POLICY || 'run_once',
+  missedGraceMs: parseInt(process.env.SCHEDULER_MISSED_GRACE_MS || '300000', 10), // Later than this counts as missed
+  maxCatchUp: 10,
+  maxAttempts: 3,
+  retryDelayMs: 60000,
+  batchSize: 20,
+  lockMs: 60000,
+  cancelWaitMs: 10000 // How long a cancel waits for a run in progress to finish
+};
+
+// Generate Redis key for a scheduled job
+function getJobKey(jobId) {
+  return `${SCHEDULED_JOB_PREFIX}:${jobId}`;
+}
+
+// Generate Redis key for a user's timezone
+function getUserTimezoneKey(whatsappNumber) {
+  return `${USER_TIMEZONE_PREFIX}:${whatsappNumber}`;
+}
+
+// Read a user's timezone (null if not set)
+export async function getUserTimezone(whatsappNumber) {
+  return await redisClient.get(getUserTimezoneKey(whatsappNumber));
+}
+
+// Set a user's timezone; recurring jobs without their own timezone follow it
+export async function setUserTimezone(whatsappNumber, timezone) {
+  if (!isValidTimezone(timezone)) {
+    throw new Error(`Unknown timezone: ${timezone}`);
+  }
+  await redisClient.set(getUserTimezoneKey(whatsappNumber), timezone);
+  logger.info(`Timezone of ${whatsappNumber} set to ${timezone}`);
+}
+
+// Timezone a job runs in: its own, else the user's, else the default
+async function resolveJobTimezone(job) {
+  return job.timezone || await getUserTimezone(job.to) || SCHEDULER_CONFIG.defaultTimezone;
+}
+
+// Read a scheduled job
+export async function getScheduledJob(jobId) {
+  const stored = await redisClient.get(getJobKey(jobId));
+  return stored ? JSON.parse(stored) : null;
+}
+
+// Save a job and put it in (or take it out of) the due set
+async function saveJob(job, nextAttemptAt = null) {
+  job.updatedAt = new Date().toISOString();
+  await redisClient.set(getJobKey(job.id), JSON.stringify(job));
+
+  if (job.status === 'scheduled') {
+    await redisClient.zAdd(DUE_JOBS_KEY, { score: nextAttemptAt || new Date(job.nextRunAt).getTime(), value: job.id });
+  } else {
+    await redisClient.zRem(DUE_JOBS_KEY, job.id);
+  }
+}
+
+// Take the lock a job is run (or cancelled) under; returns the lock token, or null when someone else holds it
+async function acquireJobLock(jobId) {
+  const token = crypto.randomUUID();
+  const result = await redisClient.set(`${SCHEDULED_JOB_LOCK_PREFIX}:${jobId}`, token, { NX: true, PX: SCHEDULER_CONFIG.lockMs });
+  return result === 'OK' ? token : null;
+}
+
+// Release the job lock if we still hold it (a slow run must not release a lock taken after it expired)
+async function releaseJobLock(jobId, token) {
+  await redisClient.eval(RELEASE_LOCK_SCRIPT, { keys: [`${SCHEDULED_JOB_LOCK_PREFIX}:${jobId}`], arguments: [token] });
+}
+
+// Error with one of the codes above
+function scheduledJobError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Add a run to the job's history
+function addHistory(job, entry) {
+  job.history = [...(job.history || []), { ...entry, at: new Date().toISOString() }].slice(-MAX_JOB_HISTORY);
+}
+
+// Shown for runAt values that are not an ISO date-time
+const RUN_AT_FORMAT_ERROR = 'runAt must be an ISO date-time, e.g. 2026-11-02T09:30 (job timezone) or 2026-11-02T09:30:00Z';
+
+// Check a job definition. Returns a list of errors.
+export function validateScheduledJob(definition) {
+  const errors = [];
+  const { to, templateName, components, runAt, cron, timezone, missedPolicy } = definition || {};
+
+  if (!to) {
+    errors.push('to is required');
+  }
+  if (!templateName) {
+    errors.push('templateName is required');
+  }
+  if (components !== undefined && !Array.isArray(components)) {
+    errors.push('components must be an array');
+  }
+  if (!runAt === !cron) {
+    errors.push('Provide either runAt (one-off) or cron (recurring)');
+  }
+  if (runAt && !parseDateTimeInZone(runAt, timezone && isValidTimezone(timezone) ? timezone : SCHEDULER_CONFIG.defaultTimezone)) {
+    errors.push(RUN_AT_FORMAT_ERROR);
+  }
+  if (cron) {
+    try {
+      parseCron(cron);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+  if (timezone && !isValidTimezone(timezone)) {
+    errors.push(`Unknown timezone: ${timezone}`);
+  }
+  if (missedPolicy && !MISSED_RUN_POLICIES.includes(missedPolicy)) {
+    errors.push(`missedPolicy must be one of: ${MISSED_RUN_POLICIES.join(', ')}`);
+  }
+
+  return errors;
+}
+
+// Create a scheduled job.
+// runAt may be absolute ("2026-11-02T09:30:00Z") or local to the job's timezone ("2026-11-02T09:30").
+export async function createScheduledJob(definition) {
+  const now = new Date();
+  const job = {
+    id: crypto.randomUUID(),
+    to: definition.to,
+    templateName: definition.templateName,
+    language: definition.language || 'en',
+    components: definition.components || [],
+    type: definition.cron ? 'recurring' : 'one_off',
+    cron: definition.cron || null,
+    timezone: definition.timezone || null,
+    missedPolicy: definition.missedPolicy || null,
+    status: 'scheduled',
+    nextRunAt: null,
+    attempts: 0,
+    runs: 0,
+    lastRunAt: null,
+    lastError: null,
+    history: [],
+    createdAt: now.toISOString()
+  };
+
+  const timezone = await resolveJobTimezone(job);
+  const firstRun = job.cron
+    ? getNextCronRun(job.cron, now, timezone)
+    : parseDateTimeInZone(definition.runAt, timezone);
+
+  if (!firstRun) {
+    throw scheduledJobError(job.cron ? `Cron expression ${job.cron} never fires` : RUN_AT_FORMAT_ERROR, INVALID_SCHEDULED_JOB);
+  }
+  if (!job.cron && firstRun.getTime() < now.getTime() - SCHEDULER_CONFIG.missedGraceMs) {
+    throw scheduledJobError(`runAt ${firstRun.toISOString()} is in the past`, INVALID_SCHEDULED_JOB);
+  }
+
+  job.nextRunAt = firstRun.toISOString();
+  await saveJob(job);
+  await redisClient.zAdd(JOB_INDEX_KEY, { score: now.getTime(), value: job.id });
+
+  logger.info(`Scheduled ${job.type} job ${job.id}: ${job.templateName} to ${job.to}, next run ${job.nextRunAt} (${timezone})`);
+  return job;
+}
+
+// Cancel a scheduled job. Takes the run lock, so a run in progress can't save the job as scheduled again.
+export async function cancelScheduledJob(jobId) {
+  const waitUntil = Date.now() + SCHEDULER_CONFIG.cancelWaitMs;
+  let token;
+  while (!(token = await acquireJobLock(jobId))) {
+    if (Date.now() >= waitUntil) {
+      throw scheduledJobError(`Job ${jobId} is being sent right now, please try again`, SCHEDULED_JOB_CONFLICT);
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  try {
+    const job = await getScheduledJob(jobId);
+    if (!job) {
+      return null;
+    }
+    if (job.status !== 'scheduled') {
+      throw scheduledJobError(`Job ${jobId} is already ${job.status}`, SCHEDULED_JOB_CONFLICT);
+    }
+
+    job.status = 'cancelled';
+    job.nextRunAt = null;
+    await saveJob(job);
+    logger.info(`Scheduled job ${jobId} cancelled`);
+    return job;
+  } finally {
+    await releaseJobLock(jobId, token);
+  }
+}
+
+// List jobs, newest first, optionally filtered by status and recipient
+export async function listScheduledJobs({ status = null, to = null, limit = 50 } = {}) {
+  const ids = await redisClient.zRange(JOB_INDEX_KEY, 0, -1, { REV: true });
+  const jobs = [];
+
+  for (const id of ids) {
+    if (jobs.length >= limit) {
+      break;
+    }
+    const job = await getScheduledJob(id);
+    if (job && (!status || job.status === status) && (!to || job.to === to)) {
+      jobs.push(job);
+    }
+  }
+
+  return jobs;
+}
+
+// Runs of a job to send now, according to its missed-run policy
+function getDueRuns(job, now, timezone) {
+  const dueAt = new Date(job.nextRunAt);
+  const policy = job.missedPolicy || SCHEDULER_CONFIG.missedPolicy;
+  const isLate = runAt => now.getTime() - runAt.getTime() > SCHEDULER_CONFIG.missedGraceMs;
+
+  if (!job.cron) {
+    // A retry of a failed run, or a run that is only a little late, is just sent
+    if (job.attempts > 0 || !isLate(dueAt) || policy !== 'skip') {
+      return { runs: [dueAt], missed: [] };
+    }
+    return { runs: [], missed: [dueAt] };
+  }
+
+  const overdue = [];
+  for (let runAt = dueAt; runAt && runAt <= now && overdue.length < SCHEDULER_CONFIG.maxCatchUp; runAt = getNextCronRun(job.cron, runAt, timezone)) {
+    overdue.push(runAt);
+  }
+
+  // A retry of a failed run is sent first; the runs that came due after it follow the policy
+  const retried = job.attempts > 0 ? overdue.splice(0, 1) : [];
+
+  if (overdue.length === 0 || !isLate(overdue[0]) || policy === 'run_all') {
+    return { runs: [...retried, ...overdue], missed: [] };
+  }
+  if (policy === 'run_once') {
+    return { runs: [...retried, ...overdue.slice(-1)], missed: overdue.slice(0, -1) };
+  }
+  return { runs: retried, missed: overdue };
+}
+
+// Send a due job and schedule its next run
+async function runJob(job) {
+  const now = new Date();
+  const timezone = await resolveJobTimezone(job);
+  const { runs, missed } = getDueRuns(job, now, timezone);
+  let lastDue = new Date(job.nextRunAt);
+
+  missed.forEach(runAt => addHistory(job, { runAt: runAt.toISOString(), status: 'missed' }));
+  if (missed.length > 0) {
+    logger.warn(`Scheduled job ${job.id}: ${missed.length} missed run(s) not sent (${job.missedPolicy || SCHEDULER_CONFIG.missedPolicy})`);
+    lastDue = missed[missed.length - 1];
+  }
+
+  for (const runAt of runs) {
+    lastDue = runAt;
+
+    // Users who replied STOP get no scheduled messages either
+    if (await isOptedOut(redisClient, job.to)) {
+      addHistory(job, { runAt: runAt.toISOString(), status: 'skipped', reason: 'opted_out' });
+      logger.info(`Scheduled job ${job.id}: ${job.to} opted out, run skipped`);
+      continue;
+    }
+
+    try {
+      const result = await sendTemplateMessage(job.to, job.templateName, job.components, job.language, { scheduledJobId: job.id });
+      const messageId = result.messages && result.messages[0] ? result.messages[0].id : null;
+      job.attempts = 0;
+      job.runs++;
+      job.lastRunAt = new Date().toISOString();
+      job.lastError = null;
+      addHistory(job, { runAt: runAt.toISOString(), status: 'sent', messageId });
+      logger.info(`Scheduled job ${job.id} sent ${job.templateName} to ${job.to} (${messageId})`);
+    } catch (error) {
+      job.attempts++;
+      job.lastError = error.message;
+      logger.error(`Scheduled job ${job.id} failed (attempt ${job.attempts}/${SCHEDULER_CONFIG.maxAttempts}): ${error.message}`);
+
+      if (job.attempts < SCHEDULER_CONFIG.maxAttempts) {
+        // Retry this run later; runs after it wait
+        job.nextRunAt = runAt.toISOString();
+        await saveJob(job, Date.now() + SCHEDULER_CONFIG.retryDelayMs * job.attempts);
+        return;
+      }
+
+      job.attempts = 0;
+      addHistory(job, { runAt: runAt.toISOString(), status: 'failed', error: error.message });
+      if (!job.cron) {
+        job.status = 'failed';
+        await saveJob(job);
+        return;
+      }
+    }
+  }
+
+  if (job.cron) {
+    const nextRun = getNextCronRun(job.cron, new Date(Math.max(now.getTime(), lastDue.getTime())), timezone);
+    job.nextRunAt = nextRun ? nextRun.toISOString() : null;
+    job.status = nextRun ? 'scheduled' : 'completed';
+  } else {
+    job.nextRunAt = null;
+    job.status = runs.length > 0 ? 'completed' : 'missed';
+  }
+
+  await saveJob(job);
+}
+
+// Process jobs that are due now. Returns the number of jobs processed.
+export async function processDueJobs() {
+  const dueIds = await redisClient.zRangeByScore(DUE_JOBS_KEY, 0, Date.now(), {
+    LIMIT: { offset: 0, count: SCHEDULER_CONFIG.batchSize }
+  });
+  let processed = 0;
+
+  for (const jobId of dueIds) {
+    // Another instance may be running the same job, or it is being cancelled
+    const token = await acquireJobLock(jobId);
+    if (!token) {
+      continue;
+    }
+
+    try {
+      const job = await getScheduledJob(jobId);
+      if (!job || job.status !== 'scheduled') {
+        await redisClient.zRem(DUE_JOBS_KEY, jobId);
+        continue;
+      }
+      await runJob(job);
+      processed++;
+    } catch (error) {
+      logger.error(`Error running scheduled job ${jobId}: ${error.message}`);
+    } finally {
+      await releaseJobLock(jobId, token);
+    }
+  }
+
+  return processed;
+}
+
+// Create the scheduler poller ({ start, stop })
+export function createScheduler(pollIntervalMs = SCHEDULER_CONFIG.pollIntervalMs) {
+  let timer = null;
+  let busy = false;
+
+  async function poll() {
+    if (busy) {
+      return;
+    }
+    busy = true;
+    try {
+      await processDueJobs();
+    } catch (error) {
+      logger.error(`Scheduler error: ${error.message}`);
+    } finally {
+      busy = false;
+    }
+  }
+
+  return {
+    start() {
+      if (timer) {
+        return;
+      }
+      timer = setInterval(poll, pollIntervalMs);
+      // Catch up on jobs that came due while the bot was down
+      poll();
+      logger.info(`Scheduler started (polling every ${pollIntervalMs} ms, missed runs: ${SCHEDULER_CONFIG.missedPolicy})`);
+    },
+
+    stop() {
+      if (timer) {
+        clearInterval(timer);
+        timer = null;
+      }
+    }
+  };
+}
+
+// HTTP status for a failed scheduled message request
+function getErrorStatus(error) {
+  if (error.code === SCHEDULED_JOB_CONFLICT) {
+    return 409;
+  }
+  return error.code === INVALID_SCHEDULED_JOB ? 400 : 500;
+}
+
+// Create scheduled message endpoint handler
+// Body: { to, templateName, language, components, runAt | cron, timezone, missedPolicy }
+export async function handleCreateScheduledJob(req, res) {
+  try {
+    const errors = validateScheduledJob(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid scheduled message',
+        details: errors
+      });
+    }
+
+    const job = await createScheduledJob(req.body);
+    res.status(201).json({
+      success: true,
+      job
+    });
+
+  } catch (error) {
+    logger.error(`Error scheduling message: ${error.message}`);
+    res.status(getErrorStatus(error)).json({
+      error: 'Failed to schedule message',
+      details: error.message
+    });
+  }
+}
+
+// List scheduled messages endpoint handler (?status=scheduled&to=...&limit=50)
+export async function handleListScheduledJobs(req, res) {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 500);
+    const jobs = await listScheduledJobs({ status: req.query.status || null, to: req.query.to || null, limit });
+    res.status(200).json({
+      success: true,
+      count: jobs.length,
+      jobs
+    });
+
+  } catch (error) {
+    logger.error(`Error listing scheduled messages: ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to list scheduled messages',
+      details: error.message
+    });
+  }
+}
+
+// Scheduled message details endpoint handler
+export async function handleGetScheduledJob(req, res) {
+  try {
+    const job = await getScheduledJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        error: `Scheduled message ${req.params.id} not found`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      job
+    });
+
+  } catch (error) {
+    logger.error(`Error getting scheduled message: ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to get scheduled message',
+      details: error.message
+    });
+  }
+}
+
+// Cancel scheduled message endpoint handler
+export async function handleCancelScheduledJob(req, res) {
+  try {
+    const job = await cancelScheduledJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        error: `Scheduled message ${req.params.id} not found`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      job
+    });
+
+  } catch (error) {
+    logger.error(`Error cancelling scheduled message: ${error.message}`);
+    res.status(getErrorStatus(error)).json({
+      error: 'Failed to cancel scheduled message',
+      details: error.message
+    });
+  }
+}
+
+// User timezone endpoint handlers
+export async function handleGetUserTimezone(req, res) {
+  try {
+    const timezone = await getUserTimezone(req.params.whatsappNumber);
+    res.status(200).json({
+      success: true,
+      whatsappNumber: req.params.whatsappNumber,
+      timezone: timezone || SCHEDULER_CONFIG.defaultTimezone,
+      isDefault: !timezone
+    });
+
+  } catch (error) {
+    logger.error(`Error getting user timezone: ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to get user timezone',
+      details: error.message
+    });
+  }
+}
+
+export async function handleSetUserTimezone(req, res) {
+  try {
+    const { timezone } = req.body || {};
+    if (!isValidTimezone(timezone)) {
+      return res.status(400).json({
+        error: 'timezone must be an IANA timezone, e.g. Asia/Kolkata'
+      });
+    }
+
+    await setUserTimezone(req.params.whatsappNumber, timezone);
+    res.status(200).json({
+      success: true,
+      whatsappNumber: req.params.whatsappNumber,
+      timezone
+    });
+
+  } catch (error) {
+    logger.error(`Error setting user timezone: ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to set user timezone',
+      details: error.message
+    });
+  }
+}
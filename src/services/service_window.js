@@ -0,0 +1,118 @@
+import { logger } from '../utils/logger_utils.js';
+import { toTemplateParameter } from '../utils/whatsapp_format.js';
+
+// 24-hour customer service window.
+// Free-form messages (text, interactive) can only be sent within 24 hours of the user's last
+// inbound message; outside it WhatsApp rejects them with error 131047 and only approved
+// templates can be delivered.
+
+// Redis key prefixes for window tracking
+const LAST_INBOUND_PREFIX = 'last_inbound';
+const WINDOW_FALLBACK_PREFIX = 'window_fallback';
+
+const LAST_INBOUND_TTL = 2592000; // 30 days; long after the window has closed
+const WINDOW_FALLBACK_TTL = 604800; // Keep the last fallback for 7 days
+
+// Graph API error code for messages sent outside the window
+export const OUTSIDE_WINDOW_ERROR_CODE = 131047;
+
+// Window and fallback template configuration.
+// `fallbackParameters` maps each body parameter ({{1}}, {{2}}, ...) to a source:
+//   'preview' - the message that could not be sent, flattened to one line
+//   'to'      - the recipient's WhatsApp number
+//   anything else is sent as a literal value
+export const SERVICE_WINDOW_CONFIG = {
+  windowMs: 24 * 60 * 60 * 1000,
+  fallbackTemplate: process.env.SERVICE_WINDOW_TEMPLATE || null,
+  fallbackLanguage: process.env.SERVICE_WINDOW_TEMPLATE_LANGUAGE || 'en',
+  fallbackParameters: (process.env.SERVICE_WINDOW_TEMPLATE_PARAMS || 'preview')
+    .split(',')
+    .map(source => source.trim())
+    .filter(Boolean)
+};
+
+// Generate Redis key for a user's last inbound timestamp
+function getLastInboundKey(whatsappNumber) {
+  return `${LAST_INBOUND_PREFIX}:${whatsappNumber}`;
+}
+
+// Generate Redis key for a user's last template fallback
+function getWindowFallbackKey(whatsappNumber) {
+  return `${WINDOW_FALLBACK_PREFIX}:${whatsappNumber}`;
+}
+
+// Store the time of a user's inbound message (webhook timestamp in seconds).
+// Queue retries and out-of-order deliveries never move the timestamp back.
+export async function recordInboundActivity(redisClient, whatsappNumber, timestamp) {
+  const at = timestamp ? Number(timestamp) * 1000 : Date.now();
+  const key = getLastInboundKey(whatsappNumber);
+
+  const current = await redisClient.get(key);
+  if (current && Number(current) >= at) {
+    return Number(current);
+  }
+
+  await redisClient.setEx(key, LAST_INBOUND_TTL, String(at));
+  return at;
+}
+
+// Get a user's last inbound time in milliseconds, or null when we have never heard from them
+export async function getLastInboundAt(redisClient, whatsappNumber) {
+  const value = await redisClient.get(getLastInboundKey(whatsappNumber));
+  return value ? Number(value) : null;
+}
+
+// Check whether free-form messages can be sent to a user.
+// Unknown users are treated as open and left to the API to decide (see OUTSIDE_WINDOW_ERROR_CODE).
+export async function isServiceWindowOpen(redisClient, whatsappNumber, now = Date.now()) {
+  const lastInboundAt = await getLastInboundAt(redisClient, whatsappNumber);
+  return lastInboundAt === null || now - lastInboundAt < SERVICE_WINDOW_CONFIG.windowMs;
+}
+
+// Record why a message was sent as the fallback template instead of free-form
+export async function recordWindowFallback(redisClient, whatsappNumber, fallback) {
+  const record = { ...fallback, at: new Date().toISOString() };
+  await redisClient.setEx(getWindowFallbackKey(whatsappNumber), WINDOW_FALLBACK_TTL, JSON.stringify(record));
+  return record;
+}
+
+// Full window state of a user, for debugging
+export async function getServiceWindowState(redisClient, whatsappNumber, now = Date.now()) {
+  const lastInboundAt = await getLastInboundAt(redisClient, whatsappNumber);
+  const fallback = await redisClient.get(getWindowFallbackKey(whatsappNumber));
+  const windowExpiresAt = lastInboundAt === null ? null : lastInboundAt + SERVICE_WINDOW_CONFIG.windowMs;
+
+  return {
+    lastInboundAt: lastInboundAt === null ? null : new Date(lastInboundAt).toISOString(),
+    windowExpiresAt: windowExpiresAt === null ? null : new Date(windowExpiresAt).toISOString(),
+    isOpen: windowExpiresAt === null ? null : now < windowExpiresAt,
+    remainingMs: windowExpiresAt === null ? null : Math.max(0, windowExpiresAt - now),
+    fallbackTemplate: SERVICE_WINDOW_CONFIG.fallbackTemplate,
+    lastFallback: fallback ? JSON.parse(fallback) : null
+  };
+}
+
+// Build the template components for a fallback send from the configured parameter mapping
+export function buildFallbackComponents(messageText, to) {
+  if (SERVICE_WINDOW_CONFIG.fallbackParameters.length === 0) {
+    return [];
+  }
+
+  const sources = { preview: messageText, to };
+  const parameters = SERVICE_WINDOW_CONFIG.fallbackParameters.map(source => ({
+    type: 'text',
+    text: toTemplateParameter(source in sources ? sources[source] : source)
+  }));
+
+  return [{ type: 'body', parameters }];
+}
+
+// Log and describe a fallback that could not happen because no template is configured
+export function getWindowClosedResult(to, reason) {
+  logger.warn(`Cannot message ${to} outside the customer service window (${reason}): set SERVICE_WINDOW_TEMPLATE to an approved template`);
+  return {
+    success: false,
+    error: 'Outside customer service window',
+    details: 'The user has not messaged in the last 24 hours and no fallback template is configured (SERVICE_WINDOW_TEMPLATE).'
+  };
+}
@@ -0,0 +1,164 @@
+import { logger } from '../utils/logger_utils.js';
+
+// Local registry of our message templates and their review status.
+// Kept up to date by message_template_status_update / message_template_quality_update webhooks
+// and by a periodic reconcile against the Graph API, so sends of templates that are not
+// approved can be stopped before they reach WhatsApp.
+
+// Redis hash of template records, one field per name + language
+const TEMPLATE_REGISTRY_KEY = 'template_registry';
+
+const MAX_STATUS_HISTORY = 20; // Status changes kept per template
+
+// Only templates in this status can be sent
+export const SENDABLE_TEMPLATE_STATUS = 'APPROVED';
+
+// Error code set on errors thrown for blocked sends
+export const TEMPLATE_NOT_APPROVED = 'TEMPLATE_NOT_APPROVED';
+
+// Webhook fields carrying template events
+export const TEMPLATE_WEBHOOK_FIELDS = ['message_template_status_update', 'message_template_quality_update'];
+
+// Generate the hash field of a template
+function getRegistryField(name, language) {
+  return `${name}:${language}`;
+}
+
+// Read one template record
+export async function getRegisteredTemplate(redisClient, name, language) {
+  const record = await redisClient.hGet(TEMPLATE_REGISTRY_KEY, getRegistryField(name, language));
+  return record ? JSON.parse(record) : null;
+}
+
+// List every template record, sorted by name then language
+export async function listRegisteredTemplates(redisClient) {
+  const records = await redisClient.hGetAll(TEMPLATE_REGISTRY_KEY);
+  return Object.values(records || {})
+    .map(record => JSON.parse(record))
+    .sort((a, b) => getRegistryField(a.name, a.language).localeCompare(getRegistryField(b.name, b.language)));
+}
+
+// Create or update a template record. `changes` may contain id, category, status,
+// rejectionReason and qualityScore; `source` says where the change came from.
+export async function upsertRegisteredTemplate(redisClient, name, language, changes, source) {
+  const now = new Date().toISOString();
+  const current = await getRegisteredTemplate(redisClient, name, language);
+  const previousStatus = current ? current.status : null;
+  const record = current || {
+    id: null,
+    name,
+    language,
+    category: null,
+    status: null,
+    rejectionReason: null,
+    qualityScore: null,
+    history: [],
+    createdAt: now
+  };
+
+  Object.entries(changes).forEach(([field, value]) => {
+    if (value !== undefined) {
+      record[field] = value;
+    }
+  });
+
+  if (changes.status && changes.status !== previousStatus) {
+    record.history = [...record.history, { status: changes.status, reason: record.rejectionReason, source, at: now }]
+      .slice(-MAX_STATUS_HISTORY);
+    logger.info(`Template ${name} (${language}) is now ${changes.status} (${source})`);
+  }
+
+  record.updatedAt = now;
+  await redisClient.hSet(TEMPLATE_REGISTRY_KEY, getRegistryField(name, language), JSON.stringify(record));
+  return record;
+}
+
+// Remove templates from the registry by id, or every language of a name
+export async function removeRegisteredTemplates(redisClient, { id, name }) {
+  const records = await listRegisteredTemplates(redisClient);
+  const removed = records.filter(record => (id && record.id === id) || (name && !id && record.name === name));
+
+  for (const record of removed) {
+    await redisClient.hDel(TEMPLATE_REGISTRY_KEY, getRegistryField(record.name, record.language));
+  }
+  return removed.length;
+}
+
+// Apply one template webhook event to the registry
+export async function applyTemplateUpdate(redisClient, { field, value }) {
+  const name = value.message_template_name;
+  const language = value.message_template_language;
+  if (!name || !language) {
+    logger.warn(`Ignoring ${field} webhook without template name or language`);
+    return null;
+  }
+
+  const id = value.message_template_id ? String(value.message_template_id) : undefined;
+
+  if (field === 'message_template_quality_update') {
+    return await upsertRegisteredTemplate(redisClient, name, language, {
+      id,
+      qualityScore: value.new_quality_score || null
+    }, 'webhook');
+  }
+
+  // Meta sends reason 'NONE' for non-rejections
+  const reason = value.reason && value.reason !== 'NONE' ? value.reason : null;
+  return await upsertRegisteredTemplate(redisClient, name, language, {
+    id,
+    status: value.event,
+    rejectionReason: reason
+  }, 'webhook');
+}
+
+// Bring the registry in line with the template list from the Graph API.
+// Only pass `removeMissing` when `templates` is the complete list. Returns { total, changed, removed }.
+export async function reconcileTemplateRegistry(redisClient, templates, { removeMissing = true } = {}) {
+  const seen = new Set();
+  let changed = 0;
+
+  for (const template of templates) {
+    const field = getRegistryField(template.name, template.language);
+    seen.add(field);
+
+    const current = await getRegisteredTemplate(redisClient, template.name, template.language);
+    const changes = {
+      id: template.id ? String(template.id) : undefined,
+      category: template.category,
+      status: template.status,
+      rejectionReason: template.rejected_reason && template.rejected_reason !== 'NONE' ? template.rejected_reason : null,
+      qualityScore: template.quality_score ? template.quality_score.score : undefined
+    };
+
+    const isChanged = !current || ['id', 'category', 'status', 'rejectionReason', 'qualityScore']
+      .some(key => changes[key] !== undefined && changes[key] !== current[key]);
+    if (isChanged) {
+      await upsertRegisteredTemplate(redisClient, template.name, template.language, changes, 'reconcile');
+      changed++;
+    }
+  }
+
+  // Templates deleted in Meta Business Manager
+  const records = removeMissing ? await listRegisteredTemplates(redisClient) : [];
+  const stale = records.filter(record => !seen.has(getRegistryField(record.name, record.language)));
+  for (const record of stale) {
+    await redisClient.hDel(TEMPLATE_REGISTRY_KEY, getRegistryField(record.name, record.language));
+    logger.info(`Template ${record.name} (${record.language}) no longer exists, removed from registry`);
+  }
+
+  return { total: templates.length, changed, removed: stale.length };
+}
+
+// Throw if the registry knows a template and it is not approved.
+// Templates the registry has never seen are allowed; the next reconcile will pick them up.
+export async function assertTemplateSendable(redisClient, name, language) {
+  const record = await getRegisteredTemplate(redisClient, name, language);
+  if (!record || record.status === SENDABLE_TEMPLATE_STATUS) {
+    return record;
+  }
+
+  const reason = record.rejectionReason ? ` (reason: ${record.rejectionReason})` : '';
+  const error = new Error(`Template ${name} (${language}) cannot be sent: status is ${record.status}${reason}`);
+  error.code = TEMPLATE_NOT_APPROVED;
+  throw error;
+}
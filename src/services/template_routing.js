@@ -0,0 +1,144 @@
+import { logger } from '../utils/logger_utils.js';
+import { toTemplateParameter } from '../utils/whatsapp_format.js';
+
+// Per-message template routing.
+// Flows tag responses that have a matching WhatsApp template with a response kind and the data
+// the template needs (see tagResponse). At send time the runtime message config decides, per
+// kind, whether the response is delivered as its normal text/interactive message or as the template.
+
+// Redis key of the runtime message config
+const MESSAGE_CONFIG_KEY = 'message_config';
+
+export const DELIVERY_MODES = ['text', 'template'];
+
+// Kinds of responses that can be routed to a template
+export const RESPONSE_KINDS = {
+  PAYMENT_LINK_READY: 'payment_link_ready',
+  ACCOUNT_CREATED: 'account_created',
+  BUSINESS_ACCOUNT_CREATED: 'business_account_created',
+  QUOTE: 'quote'
+};
+
+// Default template of each kind and the extractor of its body parameters ({{1}}, {{2}}, ...).
+// Extractors read the `data` the flow attached to the response.
+const TEMPLATE_ROUTES = {
+  [RESPONSE_KINDS.PAYMENT_LINK_READY]: {
+    templateName: 'payment_link_ready',
+    parameters: data => [data.amount, data.currency, data.orderId, data.paymentUrl]
+  },
+  [RESPONSE_KINDS.ACCOUNT_CREATED]: {
+    templateName: 'account_created',
+    parameters: data => [data.name, data.email]
+  },
+  [RESPONSE_KINDS.BUSINESS_ACCOUNT_CREATED]: {
+    templateName: 'business_account_created',
+    parameters: data => [data.businessName, data.email]
+  },
+  [RESPONSE_KINDS.QUOTE]: {
+    templateName: 'fiat_to_crypto_quote',
+    parameters: data => [data.sendAmount, data.fiatTicker, data.receiveAmount, data.cryptoTicker, data.totalFee]
+  }
+};
+
+// Config used for kinds that have never been configured: everything goes out as text
+function getDefaultRouteConfig(kind) {
+  return { mode: 'text', templateName: TEMPLATE_ROUTES[kind].templateName, language: 'en' };
+}
+
+// Attach a response kind and its template data to a flow response.
+// Plain strings become { type: 'text', body, kind, data } so the kind travels with them.
+export function tagResponse(response, kind, data = {}) {
+  if (typeof response === 'string') {
+    return { type: 'text', body: response, kind, data };
+  }
+  return { ...response, kind, data };
+}
+
+// Runtime message config: { routes: { [kind]: { mode, templateName, language } }, updatedAt }
+export async function getMessageConfig(redisClient) {
+  const stored = await redisClient.get(MESSAGE_CONFIG_KEY);
+  const config = stored ? JSON.parse(stored) : {};
+  const routes = {};
+
+  Object.values(RESPONSE_KINDS).forEach(kind => {
+    routes[kind] = { ...getDefaultRouteConfig(kind), ...((config.routes || {})[kind] || {}) };
+  });
+
+  return { routes, updatedAt: config.updatedAt || null };
+}
+
+// Check a config update ({ routes: { [kind]: { mode, templateName, language } } }). Returns a list of errors.
+export function validateMessageConfigUpdate(update) {
+  const errors = [];
+
+  if (!update || typeof update.routes !== 'object' || update.routes === null) {
+    return ['routes is required'];
+  }
+
+  Object.entries(update.routes).forEach(([kind, route]) => {
+    if (!TEMPLATE_ROUTES[kind]) {
+      errors.push(`Unknown response kind: ${kind} (expected one of: ${Object.values(RESPONSE_KINDS).join(', ')})`);
+      return;
+    }
+    if (route.mode !== undefined && !DELIVERY_MODES.includes(route.mode)) {
+      errors.push(`${kind}.mode must be one of: ${DELIVERY_MODES.join(', ')}`);
+    }
+    if (route.templateName !== undefined && !/^[a-z0-9_]+$/.test(route.templateName)) {
+      errors.push(`${kind}.templateName must contain only lowercase letters, numbers and underscores`);
+    }
+    if (route.language !== undefined && !/^[a-z]{2,3}(_[A-Z]{2})?$/.test(route.language)) {
+      errors.push(`${kind}.language must be a language code such as en or en_US`);
+    }
+  });
+
+  return errors;
+}
+
+// Merge a validated update into the stored config
+export async function updateMessageConfig(redisClient, update) {
+  const current = await getMessageConfig(redisClient);
+  const routes = { ...current.routes };
+
+  Object.entries(update.routes).forEach(([kind, route]) => {
+    const { mode, templateName, language } = route;
+    routes[kind] = {
+      ...routes[kind],
+      ...(mode !== undefined && { mode }),
+      ...(templateName !== undefined && { templateName }),
+      ...(language !== undefined && { language })
+    };
+  });
+
+  const config = { routes, updatedAt: new Date().toISOString() };
+  await redisClient.set(MESSAGE_CONFIG_KEY, JSON.stringify(config));
+  logger.info(`Message config updated: ${Object.keys(update.routes).join(', ')}`);
+  return config;
+}
+
+// Find the template a response should be sent as.
+// Returns { kind, templateName, language, components }, or null to send the response as is.
+export async function resolveTemplateRoute(redisClient, response) {
+  const kind = response && typeof response === 'object' ? response.kind : null;
+  if (!kind || !TEMPLATE_ROUTES[kind]) {
+    return null;
+  }
+
+  const { routes } = await getMessageConfig(redisClient);
+  const route = routes[kind];
+  if (route.mode !== 'template') {
+    return null;
+  }
+
+  const values = TEMPLATE_ROUTES[kind].parameters(response.data || {});
+  if (values.some(value => value === undefined || value === null || value === '')) {
+    logger.warn(`Missing template parameters for ${kind} response, sending it as text`);
+    return null;
+  }
+
+  return {
+    kind,
+    templateName: route.templateName,
+    language: route.language,
+    components: [{ type: 'body', parameters: values.map(value => ({ type: 'text', text: toTemplateParameter(value) })) }]
+  };
+}
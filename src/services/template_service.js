@@ -1,76 +1,242 @@
-import { createTemplate, getTemplates, deleteTemplate, sendTemplateMessage } from '../utils/template_utils.js';
+import { createTemplate, getTemplates, editTemplate, deleteTemplate, deleteTemplateByName, sendTemplateMessage } from '../utils/template_utils.js';
 import { logger } from '../utils/logger_utils.js';
+import { redisClient } from './redis_client.js';
+import { recordOutboundMessage } from './message_status_service.js';
+import { isInteractiveMessage, validateInteractiveMessage, buildInteractivePayload, getMessageText } from './interactive_messages.js';
+import { toWhatsAppFormat, splitMessage } from '../utils/whatsapp_format.js';
+import { lintTemplate, renderTemplatePreview } from '../utils/template_lint.js';
+import {
+  upsertRegisteredTemplate,
+  removeRegisteredTemplates,
+  listRegisteredTemplates,
+  reconcileTemplateRegistry
+} from './template_registry.js';
+import {
+  SERVICE_WINDOW_CONFIG,
+  OUTSIDE_WINDOW_ERROR_CODE,
+  isServiceWindowOpen,
+  recordWindowFallback,
+  buildFallbackComponents,
+  getWindowClosedResult
+} from './service_window.js';
+import {
+  resolveTemplateRoute,
+  getMessageConfig,
+  updateMessageConfig,
+  validateMessageConfigUpdate
+} from './template_routing.js';
 
-// Configuration for message type
-export const MESSAGE_CONFIG = {
-  useTemplate: process.env.USE_TEMPLATE_MESSAGES === 'true', // Set to 'true' in .env to use templates
-  defaultTemplate: process.env.DEFAULT_TEMPLATE || 'template_language',
-  defaultLanguage: process.env.DEFAULT_LANGUAGE || 'en'
+// Periodic template registry reconcile (TEMPLATE_RECONCILE_INTERVAL_MS=0 disables it)
+export const TEMPLATE_RECONCILE_CONFIG = {
+  intervalMs: parseInt(process.env.TEMPLATE_RECONCILE_INTERVAL_MS || '3600000', 10) // 1 hour
 };
 
-// Send WhatsApp message using Meta Business API
-// This function automatically chooses between template and text messages based on MESSAGE_CONFIG
-// When useTemplate is true: calls sendTemplateMessage function
-// When useTemplate is false: sends normal text message
-export async function sendWhatsAppMessage(to, message) {
-  try {
-    const accessToken = process.env.META_ACCESS_TOKEN;
-    const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
+// Lock so only one instance reconciles per interval
+const TEMPLATE_RECONCILE_LOCK_KEY = 'template_reconcile_lock';
+
+// Template fields the registry needs from the Graph API
+const TEMPLATE_REGISTRY_FIELDS = ['id', 'name', 'language', 'status', 'category', 'rejected_reason', 'quality_score'];
+
+// POST a message to the Graph API /messages endpoint and record it for delivery tracking
+async function postWhatsAppMessage(to, messageData, details) {
+  const accessToken = process.env.META_ACCESS_TOKEN;
+  const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
+  
+  if (!accessToken || !phoneNumberId) {
+    throw new Error('Missing required environment variables for WhatsApp API');
+  }
+  
+  const url = `https://graph.facebook.com/v18.0/${phoneNumberId}/messages`;
+  
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      messaging_product: 'whatsapp',
+      to: to,
+      ...messageData
+    })
+  });
+  
+  if (!response.ok) {
+    const errorData = await response.json();
     
-    if (!accessToken || !phoneNumberId) {
-      throw new Error('Missing required environment variables for WhatsApp API');
+    // Handle specific WhatsApp API errors gracefully
+    if (errorData.error && errorData.error.code === 131030) {
+      logger.warn(`Phone number ${to} not in allowed list. Add to whitelist in Meta Business Manager.`);
+      return {
+        success: false,
+        error: 'Phone number not whitelisted',
+        details: 'This phone number needs to be added to the allowed recipients list in your Meta Business account.'
+      };
     }
     
-    const url = `https://graph.facebook.com/v18.0/${phoneNumberId}/messages`;
-    
-    // Choose between template and text message based on configuration
-    let messageData;
+    const error = new Error(`WhatsApp API error: ${JSON.stringify(errorData)}`);
+    error.code = errorData.error ? errorData.error.code : undefined;
+    throw error;
+  }
+  
+  const result = await response.json();
+  logger.info(`WhatsApp ${details.kind} message sent successfully: ${result.messages[0].id}`);
+  await recordOutboundMessage(redisClient, to, result, details);
+  return result;
+}
+
+// Send a text or interactive message. Interactive messages that break WhatsApp's limits and
+// text over the body limit are still delivered, as plain text and in several parts respectively.
+async function sendFreeFormMessage(to, message) {
+  if (isInteractiveMessage(message)) {
+    const formatted = {
+      ...message,
+      body: toWhatsAppFormat(message.body),
+      footer: toWhatsAppFormat(message.footer)
+    };
+    const errors = validateInteractiveMessage(formatted);
+    if (errors.length === 0) {
+      logger.info(`Interactive mode: sending ${message.type} message`);
+      return await postWhatsAppMessage(to, {
+        type: 'interactive',
+        interactive: buildInteractivePayload(formatted)
+      }, { kind: 'interactive', preview: formatted.body });
+    }
     
-    if (MESSAGE_CONFIG.useTemplate) {
-      // Use sendTemplateMessage function for templates
-      logger.info(`Template mode enabled: sending template message using ${MESSAGE_CONFIG.defaultTemplate}`);
-      return await sendTemplateMessage(to, MESSAGE_CONFIG.defaultTemplate, [], MESSAGE_CONFIG.defaultLanguage);
-    } else {
-      // Send normal text message
-      logger.info(`Text mode enabled: sending custom text message`);
-      messageData = {
-        messaging_product: 'whatsapp',
-        to: to,
+    // Still answer the user, just without the buttons
+    logger.error(`Interactive message to ${to} exceeds WhatsApp limits, sending as text: ${errors.join('; ')}`);
+  }
+  
+  // Send normal text message, in several parts if it is over the text body limit
+  logger.info(`Text mode enabled: sending custom text message`);
+  const parts = splitMessage(toWhatsAppFormat(getMessageText(message)));
+  if (parts.length > 1) {
+    logger.info(`Message to ${to} split into ${parts.length} parts`);
+  }
+  
+  const results = [];
+  for (const [index, part] of parts.entries()) {
+    // Parts are sent one after another so they arrive in order
+    let result;
+    try {
+      result = await postWhatsAppMessage(to, {
         type: 'text',
         text: {
-          body: message
-        }
-      };
-      
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(messageData)
-      });
-      
-      if (!response.ok) {
-        const errorData = await response.json();
-        
-        // Handle specific WhatsApp API errors gracefully
-        if (errorData.error && errorData.error.code === 131030) {
-          logger.warn(`Phone number ${to} not in allowed list. Add to whitelist in Meta Business Manager.`);
-          return {
-            success: false,
-            error: 'Phone number not whitelisted',
-            details: 'This phone number needs to be added to the allowed recipients list in your Meta Business account.'
-          };
+          body: part
         }
-        
-        throw new Error(`WhatsApp API error: ${JSON.stringify(errorData)}`);
+      }, { kind: 'text', preview: part });
+    } catch (error) {
+      // Tell the caller what was not delivered, so a fallback doesn't repeat the parts that were
+      if (index > 0) {
+        error.remainingText = parts.slice(index).join('\n\n');
       }
-      
-      const result = await response.json();
-      logger.info(`WhatsApp text message sent successfully: ${result.messages[0].id}`);
+      throw error;
+    }
+    
+    if (result && result.success === false) {
       return result;
     }
+    results.push(result);
+  }
+  
+  // Same shape as a single send, with one entry in `messages` per part
+  return { ...results[0], messages: results.flatMap(result => result.messages) };
+}
+
+// Send the configured fallback template in place of a free-form message.
+// `reason` is 'outside_window' (known to be closed before sending) or 'error_131047' (rejected by WhatsApp).
+async function sendWindowFallback(to, message, reason) {
+  const templateName = SERVICE_WINDOW_CONFIG.fallbackTemplate;
+  if (!templateName) {
+    return getWindowClosedResult(to, reason);
+  }
+  
+  logger.info(`Customer service window closed for ${to} (${reason}): sending template ${templateName}`);
+  const text = toWhatsAppFormat(getMessageText(message));
+  const result = await sendTemplateMessage(
+    to,
+    templateName,
+    buildFallbackComponents(text, to),
+    SERVICE_WINDOW_CONFIG.fallbackLanguage,
+    { fallbackReason: reason, preview: text }
+  );
+  
+  try {
+    await recordWindowFallback(redisClient, to, {
+      reason,
+      templateName,
+      messageId: result.messages && result.messages[0] ? result.messages[0].id : null
+    });
+  } catch (error) {
+    logger.error(`Error recording window fallback for ${to}: ${error.message}`);
+  }
+  
+  return { ...result, fallback: { reason, templateName } };
+}
+
+// Check the customer service window; if tracking is unavailable, let the API decide
+async function checkServiceWindow(to) {
+  try {
+    return await isServiceWindowOpen(redisClient, to);
+  } catch (error) {
+    logger.error(`Error checking customer service window for ${to}: ${error.message}`);
+    return true;
+  }
+}
+
+// Send the template a response is routed to, or null when it should go out as text/interactive
+async function sendRoutedTemplate(to, message) {
+  let route;
+  try {
+    route = await resolveTemplateRoute(redisClient, message);
+  } catch (error) {
+    logger.error(`Error resolving template route for ${to}: ${error.message}`);
+    return null;
+  }
+  if (!route) {
+    return null;
+  }
+  
+  try {
+    logger.info(`Routing ${route.kind} response to ${to} as template ${route.templateName}`);
+    return await sendTemplateMessage(to, route.templateName, route.components, route.language, {
+      responseKind: route.kind,
+      preview: getMessageText(message)
+    });
+  } catch (error) {
+    // The response itself is still worth delivering
+    logger.error(`Template ${route.templateName} failed for ${to}, sending ${route.kind} response as text: ${error.message}`);
+    return null;
+  }
+}
+
+// Send WhatsApp message using Meta Business API
+// Responses tagged with a response kind are sent as their template when the runtime message
+// config routes that kind to a template (see template_routing.js). Everything else is sent as
+// text, or as an interactive message when `message` is a reply buttons / list / CTA URL object
+// (see interactive_messages.js).
+// Outside the 24-hour customer service window the fallback template is sent instead (see service_window.js).
+export async function sendWhatsAppMessage(to, message) {
+  try {
+    const routed = await sendRoutedTemplate(to, message);
+    if (routed) {
+      return routed;
+    }
+    
+    if (!(await checkServiceWindow(to))) {
+      return await sendWindowFallback(to, message, 'outside_window');
+    }
+    
+    try {
+      return await sendFreeFormMessage(to, message);
+    } catch (error) {
+      // Our window tracking can miss messages (e.g. ones sent while Redis was down).
+      // After a partial delivery the template only carries the parts that were not delivered.
+      if (error.code === OUTSIDE_WINDOW_ERROR_CODE) {
+        return await sendWindowFallback(to, error.remainingText ?? message, `error_${OUTSIDE_WINDOW_ERROR_CODE}`);
+      }
+      throw error;
+    }
     
   } catch (error) {
     logger.error(`Error sending WhatsApp message: ${error.message}`);
@@ -78,6 +244,54 @@ export async function sendWhatsAppMessage(to, message) {
   }
 }
 
+// Sync the template registry with the templates in the WhatsApp Business Account
+export async function reconcileTemplates() {
+  const { data, paging } = await getTemplates({ all: true, fields: TEMPLATE_REGISTRY_FIELDS });
+  // A truncated list would make every template on later pages look deleted
+  const summary = await reconcileTemplateRegistry(redisClient, data, { removeMissing: !paging.hasMore });
+  logger.info(`Template registry reconciled: ${summary.total} template(s), ${summary.changed} changed, ${summary.removed} removed`);
+  return summary;
+}
+
+// Create the periodic reconcile job ({ start, stop })
+export function createTemplateReconcileJob(intervalMs = TEMPLATE_RECONCILE_CONFIG.intervalMs) {
+  let timer = null;
+  
+  async function run() {
+    try {
+      const lockSeconds = Math.max(1, Math.floor(intervalMs / 2000));
+      if (!(await redisClient.set(TEMPLATE_RECONCILE_LOCK_KEY, '1', { NX: true, EX: lockSeconds }))) {
+        return;
+      }
+      await reconcileTemplates();
+    } catch (error) {
+      logger.error(`Error reconciling template registry: ${error.message}`);
+    }
+  }
+  
+  return {
+    start() {
+      if (timer || !intervalMs) {
+        return;
+      }
+      if (!process.env.WHATSAPP_BUSINESS_ACCOUNT_ID) {
+        logger.warn('WHATSAPP_BUSINESS_ACCOUNT_ID not set, template registry reconcile disabled');
+        return;
+      }
+      timer = setInterval(run, intervalMs);
+      run();
+      logger.info(`Template registry reconcile scheduled every ${Math.round(intervalMs / 60000)} minute(s)`);
+    },
+    
+    stop() {
+      if (timer) {
+        clearInterval(timer);
+        timer = null;
+      }
+    }
+  };
+}
+
 // Template creation endpoint handler
 export async function handleCreateTemplate(req, res) {
   try {
@@ -90,10 +304,32 @@ export async function handleCreateTemplate(req, res) {
       });
     }
     
+    // Catch problems locally instead of waiting for Meta to reject the template
+    const lint = lintTemplate(templateData);
+    if (!lint.valid) {
+      return res.status(400).json({
+        error: 'Template failed validation',
+        details: lint.errors,
+        warnings: lint.warnings
+      });
+    }
+    
     const result = await createTemplate(templateData);
+    
+    try {
+      await upsertRegisteredTemplate(redisClient, templateData.name, templateData.language, {
+        id: result.id ? String(result.id) : undefined,
+        category: result.category || templateData.category,
+        status: result.status || 'PENDING'
+      }, 'create');
+    } catch (error) {
+      logger.error(`Error registering template ${templateData.name}: ${error.message}`);
+    }
+    
     res.status(201).json({
       success: true,
-      template: result
+      template: result,
+      warnings: lint.warnings
     });
     
   } catch (error) {
@@ -105,10 +341,31 @@ export async function handleCreateTemplate(req, res) {
   }
 }
 
-// Get all templates endpoint handler
+// Template list page sizes accepted by GET /templates
+const MAX_TEMPLATE_PAGE_SIZE = 100;
+
+// Get templates endpoint handler
+// Query: status, category, language, name (filters), limit and after (paging), all=true (every page)
 export async function handleGetTemplates(req, res) {
   try {
-    const result = await getTemplates();
+    const { status, category, language, name, after } = req.query;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : undefined;
+    
+    if (limit !== undefined && (isNaN(limit) || limit < 1 || limit > MAX_TEMPLATE_PAGE_SIZE)) {
+      return res.status(400).json({
+        error: `limit must be a number between 1 and ${MAX_TEMPLATE_PAGE_SIZE}`
+      });
+    }
+    
+    const result = await getTemplates({
+      status,
+      category,
+      language,
+      name,
+      limit,
+      after,
+      all: req.query.all === 'true'
+    });
     res.status(200).json(result);
     
   } catch (error) {
@@ -120,11 +377,95 @@ export async function handleGetTemplates(req, res) {
   }
 }
 
+// Template preview endpoint handler
+// Body: { template, components } for a template definition, or { name, language, components }
+// for an existing template. Returns the lint result and the rendered message.
+export async function handlePreviewTemplate(req, res) {
+  try {
+    const { name, language, components = [] } = req.body;
+    let template = req.body.template;
+    
+    if (!template && !name) {
+      return res.status(400).json({
+        error: 'Missing required fields: template, or name of an existing template'
+      });
+    }
+    
+    if (!Array.isArray(components)) {
+      return res.status(400).json({
+        error: 'components must be an array'
+      });
+    }
+    
+    if (!template) {
+      const { data } = await getTemplates({ name, language, all: true });
+      template = data.find(candidate => candidate.name === name && (!language || candidate.language === language));
+      if (!template) {
+        return res.status(404).json({
+          error: `Template not found: ${name}${language ? ` (${language})` : ''}`
+        });
+      }
+    }
+    
+    res.status(200).json({
+      success: true,
+      lint: lintTemplate(template),
+      preview: renderTemplatePreview(template, components)
+    });
+    
+  } catch (error) {
+    logger.error(`Error in template preview endpoint: ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to preview template',
+      details: error.message
+    });
+  }
+}
+
+// Edit template endpoint handler
+export async function handleEditTemplate(req, res) {
+  try {
+    const templateId = req.params.id;
+    const { category, components } = req.body;
+    
+    if (!category && !components) {
+      return res.status(400).json({
+        error: 'Nothing to edit: provide category and/or components'
+      });
+    }
+    
+    if (components !== undefined && !Array.isArray(components)) {
+      return res.status(400).json({
+        error: 'components must be an array'
+      });
+    }
+    
+    const result = await editTemplate(templateId, { category, components });
+    res.status(200).json({
+      success: true,
+      message: 'Template updated successfully',
+      result
+    });
+    
+  } catch (error) {
+    logger.error(`Error in template edit endpoint: ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to edit template',
+      details: error.message
+    });
+  }
+}
+
 // Delete template endpoint handler
 export async function handleDeleteTemplate(req, res) {
   try {
     const templateId = req.params.id;
     const result = await deleteTemplate(templateId);
+    try {
+      await removeRegisteredTemplates(redisClient, { id: templateId });
+    } catch (error) {
+      logger.error(`Error removing template ${templateId} from registry: ${error.message}`);
+    }
     res.status(200).json({
       success: true,
       message: 'Template deleted successfully',
@@ -140,10 +481,43 @@ export async function handleDeleteTemplate(req, res) {
   }
 }
 
+// Delete template by name endpoint handler
+// Query: name (required), hsm_id (only delete that language version)
+export async function handleDeleteTemplateByName(req, res) {
+  try {
+    const { name, hsm_id: hsmId } = req.query;
+    
+    if (!name) {
+      return res.status(400).json({
+        error: 'Missing required query parameter: name'
+      });
+    }
+    
+    const result = await deleteTemplateByName(name, hsmId);
+    try {
+      await removeRegisteredTemplates(redisClient, { id: hsmId, name });
+    } catch (error) {
+      logger.error(`Error removing template ${name} from registry: ${error.message}`);
+    }
+    res.status(200).json({
+      success: true,
+      message: hsmId ? `Template ${name} (${hsmId}) deleted successfully` : `All languages of template ${name} deleted successfully`,
+      result
+    });
+    
+  } catch (error) {
+    logger.error(`Error deleting template by name: ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to delete template',
+      details: error.message
+    });
+  }
+}
+
 // Send template message endpoint handler
 export async function handleSendTemplate(req, res) {
   try {
-    const { to, templateName, components } = req.body;
+    const { to, templateName, components, language } = req.body;
     
     if (!to || !templateName) {
       return res.status(400).json({
@@ -151,7 +525,7 @@ export async function handleSendTemplate(req, res) {
       });
     }
     
-    const result = await sendTemplateMessage(to, templateName, components, 'en');
+    const result = await sendTemplateMessage(to, templateName, components, language || 'en');
     res.status(200).json({
       success: true,
       message: 'Template message sent successfully',
@@ -168,29 +542,22 @@ export async function handleSendTemplate(req, res) {
 }
 
 // Update message configuration endpoint handler
+// Body: { routes: { [responseKind]: { mode: 'text' | 'template', templateName, language } } }
 export async function handleUpdateMessageConfig(req, res) {
   try {
-    const { useTemplate, defaultTemplate, defaultLanguage } = req.body;
-    
-    if (useTemplate !== undefined) {
-      MESSAGE_CONFIG.useTemplate = useTemplate === true || useTemplate === 'true';
-      logger.info(`Message type changed to: ${MESSAGE_CONFIG.useTemplate ? 'Template' : 'Text'}`);
-    }
-    
-    if (defaultTemplate) {
-      MESSAGE_CONFIG.defaultTemplate = defaultTemplate;
-      logger.info(`Default template changed to: ${defaultTemplate}`);
-    }
-    
-    if (defaultLanguage) {
-      MESSAGE_CONFIG.defaultLanguage = defaultLanguage;
-      logger.info(`Default language changed to: ${defaultLanguage}`);
+    const errors = validateMessageConfigUpdate(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid message configuration',
+        details: errors
+      });
     }
     
+    const config = await updateMessageConfig(redisClient, req.body);
     res.status(200).json({
       success: true,
       message: 'Message configuration updated successfully',
-      currentConfig: MESSAGE_CONFIG
+      currentConfig: config
     });
     
   } catch (error) {
@@ -205,10 +572,11 @@ export async function handleUpdateMessageConfig(req, res) {
 // Get message configuration endpoint handler
 export async function handleGetMessageConfig(req, res) {
   try {
+    const config = await getMessageConfig(redisClient);
     res.status(200).json({
       success: true,
-      messageConfig: MESSAGE_CONFIG,
-      messageType: 'To switch between template and text messages, use POST /message-config or set USE_TEMPLATE_MESSAGES=true/false in .env'
+      messageConfig: config,
+      messageType: 'Each response kind is sent as text or as its template; change it per kind with POST /message-config'
     });
     
   } catch (error) {
@@ -219,3 +587,43 @@ export async function handleGetMessageConfig(req, res) {
     });
   }
 }
+
+// Template registry endpoint handler
+export async function handleGetTemplateRegistry(req, res) {
+  try {
+    const templates = await listRegisteredTemplates(redisClient);
+    const status = req.query.status ? String(req.query.status).toUpperCase() : null;
+    const filtered = status ? templates.filter(template => template.status === status) : templates;
+    
+    res.status(200).json({
+      success: true,
+      count: filtered.length,
+      templates: filtered
+    });
+    
+  } catch (error) {
+    logger.error(`Error reading template registry: ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to read template registry',
+      details: error.message
+    });
+  }
+}
+
+// Template registry reconcile endpoint handler
+export async function handleReconcileTemplates(req, res) {
+  try {
+    const summary = await reconcileTemplates();
+    res.status(200).json({
+      success: true,
+      summary
+    });
+    
+  } catch (error) {
+    logger.error(`Error in template reconcile endpoint: ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to reconcile templates',
+      details: error.message
+    });
+  }
+}
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the bundled country data
+ * Checks country lookup, calling codes, phone number rules, postal code formats and subdivisions.
+ * Run with: node src/services/test-country-data.js
+ */
+
+import {
+  findCountry,
+  findCountryByNumber,
+  getPhoneNumberRules,
+  getPostalCodeFormat,
+  usesPostalCodes,
+  findSubdivision
+} from '../utils/country_data.js';
+import { logger } from '../utils/logger_utils.js';
+
+function assert(condition, description) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${description}`);
+  }
+  logger.info(`✅ ${description}`);
+}
+
+// Every two-letter code, to walk the postal code formats
+const ALL_ALPHA2 = [...'ABCDEFGHIJKLMNOPQRSTUVWXYZ'].flatMap(first => [...'ABCDEFGHIJKLMNOPQRSTUVWXYZ'].map(second => first + second));
+
+// Postal code as it is checked: upper case, without spaces and dashes
+function compact(postalCode) {
+  return postalCode.toUpperCase().replace(/[\s-]/g, '');
+}
+
+// Check a typed postal code against a country's format
+function matchesPostalCode(alpha2, postalCode) {
+  return getPostalCodeFormat(alpha2).pattern.test(compact(postalCode));
+}
+
+async function testCountryData() {
+  try {
+    logger.info('Starting country data tests...');
+
+    // Test 1: Country lookup by code, name and alias
+    const india = findCountry('IN');
+    assert(india.alpha3 === 'IND' && india.name === 'India' && india.callingCode === '91', 'Finds a country by alpha-2 code');
+    assert(findCountry('ind') === india && findCountry('India') === india, 'Finds a country by alpha-3 code and name');
+    assert(findCountry('UK').alpha2 === 'GB', 'Finds a country by alias');
+    assert(findCountry("Côte d'Ivoire").alpha2 === 'CI', 'Finds a country by name with accents');
+    assert(findCountry('xx') === null && findCountry('') === null, 'Returns null for unknown countries');
+
+    // Test 2: Calling codes (longest prefix first)
+    assert(findCountryByNumber('447700900123').country === 'GB', 'Finds the country of a number');
+    assert(findCountryByNumber('18765551234').callingCode === '1876', 'Prefers a NANP territory code over +1');
+    assert(findCountryByNumber('0000') === null, 'Returns null when no calling code matches');
+
+    // Test 3: Phone number rules
+    const indianRules = getPhoneNumberRules('IN');
+    assert(indianRules.min === 10 && indianRules.max === 10 && indianRules.trunkPrefix, 'Has the national number length and trunk prefix of India');
+    const jamaicanRules = getPhoneNumberRules('JM');
+    assert(jamaicanRules.min === 7 && jamaicanRules.max === 7 && !jamaicanRules.trunkPrefix, 'Gives NANP territories 7-digit local numbers');
+
+    // Test 4: Postal code formats
+    const formatted = ALL_ALPHA2.filter(alpha2 => getPostalCodeFormat(alpha2));
+    assert(formatted.length > 30, `Bundles postal code formats (${formatted.length} countries)`);
+    const badExamples = formatted.filter(alpha2 => !matchesPostalCode(alpha2, getPostalCodeFormat(alpha2).example));
+    assert(badExamples.length === 0, `Every example matches its own format${badExamples.length ? ` (not: ${badExamples.join(', ')})` : ''}`);
+    const badLayouts = formatted.filter(alpha2 => (getPostalCodeFormat(alpha2).layouts || [])
+      .some(layout => !/^[#\s-]+$/.test(layout)));
+    assert(badLayouts.length === 0, 'Layouts only contain placeholders and separators');
+
+    assert(matchesPostalCode('IN', '400001') && !matchesPostalCode('IN', '040001'), 'Checks Indian PIN codes');
+    assert(matchesPostalCode('GB', 'sw1a 1aa') && matchesPostalCode('GB', 'M1 1AE') && !matchesPostalCode('GB', '12345'), 'Checks UK postcodes');
+    assert(matchesPostalCode('CA', 'K1A 0B1') && !matchesPostalCode('CA', 'D1A 0B1'), 'Checks Canadian postal codes');
+    assert(matchesPostalCode('BR', '01310-100') && matchesPostalCode('NL', '1012 ab'), 'Accepts spaces, dashes and lower case');
+    assert(!usesPostalCodes('AE') && !usesPostalCodes('HK') && usesPostalCodes('IN'), 'Knows countries without postal codes');
+
+    // Test 5: Subdivisions
+    assert(findSubdivision('IN', 'maharashtra').code === 'MH', 'Finds a state by name');
+    assert(findSubdivision('IN', 'IN-MH').code === 'MH' && findSubdivision('US', 'ca').name === 'California', 'Finds a state by ISO 3166-2 code');
+    assert(findSubdivision('IN', 'Orissa').name === 'Odisha', 'Finds a state by former name');
+    assert(findSubdivision('IN', 'Atlantis') === null, 'Returns null for unknown states');
+    assert(findSubdivision('XX', 'anything') === null, 'Returns null when no list is bundled');
+
+    logger.info('🎉 All country data tests passed!');
+
+  } catch (error) {
+    logger.error(`❌ Test failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  testCountryData();
+}
+
+export { testCountryData };
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for typed calendar dates
+ * Checks the accepted date formats, the strict calendar check, two-digit years and age calculation.
+ * Run with: node src/services/test-date-utils.js
+ */
+
+import { parseDate, daysInMonth, looksLikeDate, formatDate, compareDates, calculateAge } from '../utils/date_utils.js';
+import { logger } from '../utils/logger_utils.js';
+
+function assert(condition, description) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${description}`);
+  }
+  logger.info(`✅ ${description}`);
+}
+
+// Parsed date in DD-MM-YYYY form, or the error
+function parse(input) {
+  const { date, error } = parseDate(input);
+  return date ? formatDate(date) : error;
+}
+
+async function testDateUtils() {
+  try {
+    logger.info('Starting date utils tests...');
+
+    // Test 1: Accepted formats
+    assert(parse('15-03-1990') === '15-03-1990', 'Reads DD-MM-YYYY');
+    assert(parse('15/3/1990') === '15-03-1990' && parse('15.03.1990') === '15-03-1990', 'Reads slashes, dots and single-digit months');
+    assert(parse('1990-03-15') === '15-03-1990', 'Reads ISO dates');
+    assert(parse('15th March 1990') === '15-03-1990' && parse('15-Mar-1990') === '15-03-1990', 'Reads day-first dates with a month name');
+    assert(parse('March 15, 1990') === '15-03-1990' && parse('  sept  5 2001 ') === '05-09-2001', 'Reads month-first dates with a month name');
+
+    // Test 2: Strict calendar check
+    assert(parse('31-02-2000') === 'calendar', 'Rejects 31 February instead of rolling over');
+    assert(parse('31-04-2020') === 'calendar' && parse('15-13-1990') === 'calendar', 'Rejects 31 April and month 13');
+    assert(parse('29-02-2024') === '29-02-2024' && parse('29-02-2000') === '29-02-2000', 'Accepts 29 February in leap years');
+    assert(parse('29-02-2023') === 'calendar' && parse('29-02-1900') === 'calendar', 'Rejects 29 February in other years');
+
+    // Test 3: Two-digit years and other formats
+    assert(parse('15-03-90') === 'year' && parse('15 Mar 90') === 'year' && parse("March 15, '90") === 'year', 'Reports two-digit years');
+    assert(parse('03/15/1990') === 'calendar', 'Reads numeric dates day first');
+    assert(parse('15 Marx 1990') === 'format' && parse('yesterday') === 'format' && parse('') === 'format', 'Rejects other text');
+
+    // Test 4: Days in a month
+    assert(daysInMonth(2024, 2) === 29 && daysInMonth(2023, 2) === 28, 'Counts the days of February');
+    assert(daysInMonth(2026, 4) === 30 && daysInMonth(2026, 12) === 31, 'Counts the days of other months');
+
+    // Test 5: Comparing dates and ages
+    assert(formatDate({ day: 5, month: 3, year: 1990 }) === '05-03-1990', 'Pads days and months');
+    assert(compareDates({ day: 1, month: 1, year: 2000 }, { day: 31, month: 12, year: 1999 }) > 0, 'Compares dates by year first');
+    assert(compareDates({ day: 5, month: 3, year: 1990 }, { day: 5, month: 3, year: 1990 }) === 0, 'Treats equal dates as equal');
+    const birthDate = { day: 15, month: 3, year: 1990 };
+    assert(calculateAge(birthDate, { day: 14, month: 3, year: 2026 }) === 35, 'Counts the age before the birthday');
+    assert(calculateAge(birthDate, { day: 15, month: 3, year: 2026 }) === 36, 'Counts the age on the birthday');
+    const leapBirthDate = { day: 29, month: 2, year: 2008 };
+    assert(calculateAge(leapBirthDate, { day: 28, month: 2, year: 2026 }) === 17, 'Counts a 29 February birthday as not yet reached on 28 February');
+    assert(calculateAge(leapBirthDate, { day: 1, month: 3, year: 2026 }) === 18, 'Counts a 29 February birthday as reached on 1 March');
+
+    // Test 6: Text that looks like a date
+    assert(looksLikeDate('15.3') && looksLikeDate('3/15'), 'Treats numbers with a separator as dates');
+    assert(looksLikeDate('the 15th of March'), 'Treats text with a month name as a date');
+    assert(!looksLikeDate('hello') && !looksLikeDate('12345') && !looksLikeDate(''), 'Ignores other text');
+
+    logger.info('🎉 All date utils tests passed!');
+
+  } catch (error) {
+    logger.error(`❌ Test failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  testDateUtils();
+}
+
+export { testDateUtils };
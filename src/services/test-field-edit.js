@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for editing one field from a confirmation summary
+ * Runs the edit commands, the field picker and new values against a fixture flow.
+ * Run with: node src/services/test-field-edit.js
+ */
+
+import { processFieldEdit, findFieldSteps, getFieldLabel, buildFieldPicker } from '../common/field_edit.js';
+import { ACTIONS } from '../common/actions.js';
+import { logger } from '../utils/logger_utils.js';
+
+const FIXTURE_STEPS = [
+  { field: 'businessName', question: 'Business/Company Name:', validation: 'text', aliases: ['business name', 'company name'] },
+  { field: 'date', question: 'Company Incorporation Date (DD-MM-YYYY):', label: 'Incorporation Date' },
+  { field: 'address', question: 'Business Street Address:', aliases: ['street', 'address'] },
+  { field: 'city', question: 'Business City:' },
+  { field: 'postalCode', question: 'Business Postal Code:' }
+];
+
+function assert(condition, description) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${description}`);
+  }
+  logger.info(`✅ ${description}`);
+}
+
+// Accept any value except "invalid", and store cities in upper case
+async function validate(value, step) {
+  if (value === 'invalid') {
+    return { valid: false, message: 'That value is not valid' };
+  }
+  return { valid: true, value: step.field === 'city' ? value.toUpperCase() : value };
+}
+
+// Send one message at the confirmation step
+async function edit(userInput, { state = {}, values = {}, actionId = null } = {}) {
+  state.whatsappNumber = '15550000000';
+  const result = await processFieldEdit({ steps: FIXTURE_STEPS, state, values, userInput, actionId, validate });
+  return { result, state, values };
+}
+
+async function testFieldEdit() {
+  try {
+    logger.info('Starting field edit tests...');
+
+    // Test 1: Field names and labels
+    assert(getFieldLabel(FIXTURE_STEPS[3]) === 'Business City', 'Derives the label from the question');
+    assert(getFieldLabel(FIXTURE_STEPS[1]) === 'Incorporation Date', 'Prefers an explicit label');
+    assert(findFieldSteps(FIXTURE_STEPS, 'city').length === 1, 'Finds a field by a word of its label');
+    assert(findFieldSteps(FIXTURE_STEPS, 'Company Name')[0].field === 'businessName', 'Finds a field by alias');
+    assert(findFieldSteps(FIXTURE_STEPS, 'business').length > 1, 'Returns every field an ambiguous name matches');
+
+    // Test 2: "change <field> to <value>" edits in one message
+    const direct = await edit('change city to Pune', { values: { city: 'MUMBAI' } });
+    assert(direct.result.showSummary && direct.values.city === 'PUNE', 'Applies "change city to Pune" with the canonical value');
+
+    // Test 3: "edit <field>" asks for the new value, which is then applied
+    const asked = await edit('edit street');
+    assert(asked.state.editingField === 'address' && asked.result.response.includes('Editing'), 'Asks for the new value of the named field');
+    const answered = await edit('Update Road 5', { state: asked.state, values: asked.values });
+    assert(answered.result.showSummary && answered.values.address === 'Update Road 5', 'Takes edit-like text as the value of the field being edited');
+    const named = await edit('Fix Ltd', { state: { editingField: 'businessName' } });
+    assert(named.values.businessName === 'Fix Ltd', 'Takes "Fix Ltd" as a business name');
+
+    // Test 4: An explicit command still switches fields while one is being edited
+    const switched = await edit('change city to Delhi', { state: { editingField: 'address' } });
+    assert(switched.values.city === 'DELHI' && switched.values.address === undefined, 'Applies an explicit command while another field is being edited');
+
+    // Test 5: Invalid values are re-asked; "back" keeps the old value
+    const rejected = await edit('change postal code to invalid', { values: { postalCode: '400001' } });
+    assert(rejected.state.editingField === 'postalCode' && rejected.values.postalCode === '400001', 'Re-asks a field whose new value is invalid');
+    const kept = await edit('back', { state: { editingField: 'postalCode' }, values: { postalCode: '400001' } });
+    assert(kept.result.showSummary && kept.state.editingField === undefined, 'Keeps the old value on "back"');
+
+    // Test 6: Field picker
+    const picker = await edit(null, { actionId: ACTIONS.EDIT });
+    assert(picker.result.response.type === 'list', 'Shows the field picker for the Edit button');
+    const rows = buildFieldPicker(FIXTURE_STEPS, {}).sections[0].rows;
+    assert(rows.length === FIXTURE_STEPS.length + 1 && rows.at(-1).title.includes('Start over'), 'Lists every field and a start over row');
+    const picked = await edit(null, { actionId: rows[3].id });
+    assert(picked.state.editingField === 'city', 'Asks for the field picked from the list');
+    const unknown = await edit('edit favourite colour');
+    assert(unknown.result.response.body.includes("couldn't find"), 'Offers the picker for an unknown field');
+
+    // Test 7: Other messages are not edits
+    assert((await edit('confirm')).result === null, 'Ignores messages that are not about editing');
+
+    logger.info('🎉 All field edit tests passed!');
+
+  } catch (error) {
+    logger.error(`❌ Test failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  testFieldEdit();
+}
+
+export { testFieldEdit };
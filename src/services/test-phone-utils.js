@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for phone number normalization to E.164
+ * Checks WhatsApp wa_ids, typed international numbers and numbers typed in a country's national format.
+ * Run with: node src/services/test-phone-utils.js
+ */
+
+import { parseInternationalNumber, normalizePhoneNumber } from '../utils/phone_utils.js';
+import { logger } from '../utils/logger_utils.js';
+
+function assert(condition, description) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${description}`);
+  }
+  logger.info(`✅ ${description}`);
+}
+
+// E.164 form of a wa_id, or null
+function parseE164(phoneNumber) {
+  const parsed = parseInternationalNumber(phoneNumber);
+  return parsed ? parsed.e164 : null;
+}
+
+// E.164 form of a number typed in a country, or the error
+function normalize(phoneNumber, countryCode) {
+  const result = normalizePhoneNumber(phoneNumber, countryCode);
+  return result.e164 || result.error;
+}
+
+async function testPhoneUtils() {
+  try {
+    logger.info('Starting phone utils tests...');
+
+    // Test 1: WhatsApp wa_ids and typed international numbers
+    const indian = parseInternationalNumber('919876543210');
+    assert(indian.e164 === '+919876543210' && indian.callingCode === '91' && indian.nationalNumber === '9876543210' && indian.country === 'IN', 'Splits a wa_id into calling code and national number');
+    assert(parseE164('+91 98765-43210') === '+919876543210', 'Accepts "+", spaces and dashes');
+    assert(parseE164('0044 7700 900123') === '+447700900123', 'Accepts the "00" international prefix');
+
+    // Test 2: Calling codes shared by several countries
+    assert(parseInternationalNumber('12125550100').country === 'US', 'Maps +1 to the US');
+    assert(parseInternationalNumber('14165550100').country === 'CA', 'Maps Canadian area codes to CA');
+    assert(parseInternationalNumber('79161234567').country === 'RU', 'Maps +7 to Russia');
+    assert(parseInternationalNumber('77011234567').country === 'KZ', 'Maps +77 to Kazakhstan');
+    const dominican = parseInternationalNumber('18295550100');
+    assert(dominican.country === 'DO' && dominican.callingCode === '1829', 'Keeps the second NANP code of the Dominican Republic');
+
+    // Test 3: Implausible numbers
+    assert(parseE164('1234') === null, 'Rejects numbers shorter than 8 digits');
+    assert(parseE164('1234567890123456') === null, 'Rejects numbers longer than 15 digits');
+    assert(parseE164('abc') === null, 'Rejects text');
+
+    // Test 4: Numbers typed in the national format of a country
+    assert(normalize('9876543210', 'IN') === '+919876543210', 'Adds the calling code to a national number');
+    assert(normalize('098765 43210', 'IN') === '+919876543210', 'Drops the trunk "0"');
+    assert(normalize('919876543210', 'IN') === '+919876543210', 'Accepts a repeated calling code');
+    assert(normalize('07700 900123', 'GB') === '+447700900123', 'Reads a UK mobile number');
+    assert(normalize('(415) 555-0100', 'US') === '+14155550100', 'Reads a US number with brackets');
+    assert(normalize('876 555 1234', 'JM') === '+18765551234', 'Accepts the area code of a NANP territory');
+    assert(normalize('555 1234', 'JM') === '+18765551234', 'Adds the area code of a NANP territory');
+
+    // Test 5: International numbers win over the country
+    const foreign = normalizePhoneNumber('+44 7700 900123', 'IN');
+    assert(foreign.e164 === '+447700900123' && foreign.country === 'GB', 'Reads "+" numbers as international');
+
+    // Test 6: Errors
+    const short = normalizePhoneNumber('12345', 'IN');
+    assert(short.error === 'length' && short.min === 10 && short.max === 10, 'Reports the allowed length for the country');
+    assert(normalize('98765x', 'IN') === 'format', 'Rejects letters');
+    assert(normalize('+999 1234 5678', 'IN') === 'format', 'Rejects an unknown calling code');
+
+    logger.info('🎉 All phone utils tests passed!');
+
+  } catch (error) {
+    logger.error(`❌ Test failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  testPhoneUtils();
+}
+
+export { testPhoneUtils };
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for scheduled message cron and timezone handling
+ * Checks cron parsing, next-run calculation across DST changes and 29 February schedules.
+ * Run with: node src/services/test-schedule-utils.js
+ */
+
+import { parseCron, getNextCronRun, parseDateTimeInZone, zonedTimeToUtc, getZonedParts } from '../utils/schedule_utils.js';
+import { logger } from '../utils/logger_utils.js';
+
+function assert(condition, description) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${description}`);
+  }
+  logger.info(`✅ ${description}`);
+}
+
+// Next run as an ISO string, for readable comparisons
+function nextRun(expression, after, timezone) {
+  const run = getNextCronRun(expression, new Date(after), timezone);
+  return run ? run.toISOString() : null;
+}
+
+// Check that an invalid expression is rejected
+function rejects(expression) {
+  try {
+    parseCron(expression);
+    return false;
+  } catch {
+    return true;
+  }
+}
+
+async function testScheduleUtils() {
+  try {
+    logger.info('Starting schedule utils tests...');
+
+    // Test 1: Cron fields, lists, ranges, steps and names
+    const schedule = parseCron('*/15 9-17 * jan,jul mon-fri');
+    assert(schedule.minutes.join(',') === '0,15,30,45', 'Parses minute steps');
+    assert(schedule.hours.length === 9 && schedule.hours[0] === 9, 'Parses hour ranges');
+    assert(schedule.months.has(1) && schedule.months.has(7) && schedule.months.size === 2, 'Parses month names');
+    assert(schedule.daysOfWeek.has(1) && schedule.daysOfWeek.has(5) && !schedule.daysOfWeek.has(0), 'Parses day-of-week names');
+    assert(parseCron('0 0 * * 7').daysOfWeek.has(0), 'Treats 7 as Sunday');
+    assert(parseCron('@daily').hours.join(',') === '0', 'Expands @daily');
+
+    // Test 2: Invalid expressions are rejected
+    assert(rejects('0 9 * *'), 'Rejects four fields');
+    assert(rejects('60 9 * * *'), 'Rejects minute 60');
+    assert(rejects('0 9 * * */0'), 'Rejects step 0');
+    assert(rejects('0 9 10-5 * *'), 'Rejects backwards range');
+
+    // Test 3: Day-of-month and day-of-week combine as in standard cron
+    assert(nextRun('0 9 1 * 1', '2026-10-19T10:00:00Z', 'UTC') === '2026-10-26T09:00:00.000Z', 'Matches either day when both day fields are restricted');
+    assert(nextRun('0 9 */2 * 1', '2026-10-19T10:00:00Z', 'UTC') === '2026-11-09T09:00:00.000Z', 'Needs both days when day-of-month is a stepped wildcard');
+
+    // Test 4: Runs are in the schedule's timezone
+    assert(nextRun('0 9 * * *', '2026-06-01T00:00:00Z', 'Asia/Kolkata') === '2026-06-01T03:30:00.000Z', 'Runs at 09:00 Kolkata time');
+
+    // Test 5: DST changes keep the wall-clock time
+    assert(nextRun('0 9 * * *', '2026-03-28T12:00:00Z', 'Europe/Berlin') === '2026-03-29T07:00:00.000Z', 'Keeps 09:00 after spring forward');
+    assert(nextRun('0 9 * * *', '2026-10-24T12:00:00Z', 'Europe/Berlin') === '2026-10-25T08:00:00.000Z', 'Keeps 09:00 after fall back');
+    const skipped = zonedTimeToUtc({ year: 2026, month: 3, day: 29, hour: 2, minute: 30 }, 'Europe/Berlin');
+    const skippedParts = getZonedParts(skipped, 'Europe/Berlin');
+    assert(skippedParts.day === 29 && skippedParts.hour === 3 && skippedParts.minute === 30, 'Moves a time skipped by DST past the change');
+
+    // Test 6: 29 February schedules only run in leap years
+    assert(nextRun('0 9 29 2 *', '2026-10-19T00:00:00Z', 'UTC') === '2028-02-29T09:00:00.000Z', 'Runs 29 February schedules in the next leap year');
+    assert(nextRun('0 9 31 * *', '2026-04-01T00:00:00Z', 'UTC') === '2026-05-31T09:00:00.000Z', 'Skips months without day 31');
+
+    // Test 7: One-off run times
+    assert(parseDateTimeInZone('2026-11-02T09:30', 'Asia/Kolkata').toISOString() === '2026-11-02T04:00:00.000Z', 'Reads local run times in the timezone');
+    assert(parseDateTimeInZone('2026-11-02T09:30:00Z', 'Asia/Kolkata').toISOString() === '2026-11-02T09:30:00.000Z', 'Keeps run times with an offset absolute');
+    assert(parseDateTimeInZone('2028-02-29T09:00', 'UTC') !== null, 'Accepts 29 February in a leap year');
+    assert(parseDateTimeInZone('2026-02-29T09:00', 'UTC') === null, 'Rejects 29 February in other years');
+    assert(parseDateTimeInZone('2026-04-31T09:00', 'UTC') === null, 'Rejects 31 April');
+    assert(parseDateTimeInZone('2026-11-02 9:30', 'UTC') === null, 'Rejects malformed run times');
+
+    logger.info('🎉 All schedule utils tests passed!');
+
+  } catch (error) {
+    logger.error(`❌ Test failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  testScheduleUtils();
+}
+
+export { testScheduleUtils };
@@ -8,6 +8,7 @@
 import dotenv from 'dotenv';
 import { createTemplate, getTemplates, deleteTemplate, sendTemplateMessage, TEMPLATE_EXAMPLES } from '../utils/template_utils.js';
 import { logger } from '../utils/logger_utils.js';
+import { lintTemplate } from '../utils/template_lint.js';
 
 // Load environment variables
 dotenv.config();
@@ -16,6 +17,16 @@ async function testTemplates() {
   try {
     logger.info('Starting WhatsApp Template Bot tests...');
     
+    // Test 0: Example templates pass the local linter
+    logger.info('Test 0: Linting example templates...');
+    for (const [key, template] of Object.entries(TEMPLATE_EXAMPLES)) {
+      const lint = lintTemplate(template);
+      if (!lint.valid) {
+        throw new Error(`Example template ${key} failed validation: ${lint.errors.join('; ')}`);
+      }
+    }
+    logger.info(`✅ ${Object.keys(TEMPLATE_EXAMPLES).length} example templates are valid`);
+    
     // Test 1: Create a welcome template
     logger.info('Test 1: Creating welcome template...');
     const welcomeTemplate = await createTemplate(TEMPLATE_EXAMPLES.welcome);
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for webhook signature verification
+ * Signs fixture payloads locally and checks both accept and reject paths.
+ * Run with: node src/services/test-webhook-signature.js
+ */
+
+import { signPayload, verifySignature, verifyWebhookSignature, SIGNATURE_HEADER } from '../common/webhook_signature.js';
+import { logger } from '../utils/logger_utils.js';
+
+const CURRENT_SECRET = 'test_app_secret_current';
+const PREVIOUS_SECRET = 'test_app_secret_previous';
+
+const FIXTURE_PAYLOAD = Buffer.from(JSON.stringify({
+  object: 'whatsapp_business_account',
+  entry: [
+    {
+      id: '123456789',
+      changes: [
+        {
+          field: 'messages',
+          value: {
+            messaging_product: 'whatsapp',
+            metadata: { display_phone_number: '15550000000', phone_number_id: '987654321' },
+            messages: [
+              { from: '919876543210', id: 'wamid.TEST1', timestamp: '1700000000', type: 'text', text: { body: 'hello' } }
+            ]
+          }
+        }
+      ]
+    }
+  ]
+}));
+
+function assert(condition, description) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${description}`);
+  }
+  logger.info(`✅ ${description}`);
+}
+
+// Run the express middleware against a fake request and report the status it produced
+function runMiddleware(rawBody, signature) {
+  const headers = { [SIGNATURE_HEADER]: signature };
+  const req = {
+    rawBody,
+    ip: '127.0.0.1',
+    get: (name) => headers[name.toLowerCase()]
+  };
+  const outcome = { status: 200, nextCalled: false };
+  const res = {
+    status(code) { outcome.status = code; return this; },
+    send() { return this; }
+  };
+
+  verifyWebhookSignature(req, res, () => { outcome.nextCalled = true; });
+  return outcome;
+}
+
+async function testWebhookSignature() {
+  try {
+    logger.info('Starting webhook signature tests...');
+    const secrets = [CURRENT_SECRET, PREVIOUS_SECRET];
+
+    // Test 1: Accept payload signed with current secret
+    const currentSignature = signPayload(FIXTURE_PAYLOAD, CURRENT_SECRET);
+    assert(verifySignature(FIXTURE_PAYLOAD, currentSignature, secrets).valid, 'Accepts payload signed with current secret');
+
+    // Test 2: Accept payload signed with previous secret during rotation
+    const previousSignature = signPayload(FIXTURE_PAYLOAD, PREVIOUS_SECRET);
+    const rotated = verifySignature(FIXTURE_PAYLOAD, previousSignature, secrets);
+    assert(rotated.valid && rotated.secretIndex === 1, 'Accepts payload signed with previous secret');
+
+    // Test 3: Reject payload signed with an unknown secret
+    const forgedSignature = signPayload(FIXTURE_PAYLOAD, 'attacker_secret');
+    assert(verifySignature(FIXTURE_PAYLOAD, forgedSignature, secrets).reason === 'signature_mismatch', 'Rejects payload signed with unknown secret');
+
+    // Test 4: Reject tampered body
+    const tampered = Buffer.from(FIXTURE_PAYLOAD.toString().replace('hello', 'register'));
+    assert(!verifySignature(tampered, currentSignature, secrets).valid, 'Rejects tampered payload');
+
+    // Test 5: Reject missing and malformed headers
+    assert(!verifySignature(FIXTURE_PAYLOAD, undefined, secrets).valid, 'Rejects missing signature header');
+    assert(!verifySignature(FIXTURE_PAYLOAD, 'sha256=abc', secrets).valid, 'Rejects truncated signature');
+    assert(!verifySignature(FIXTURE_PAYLOAD, 'sha1=abc', secrets).valid, 'Rejects non-sha256 signature');
+
+    // Test 6: Reject everything when no secret is configured
+    assert(verifySignature(FIXTURE_PAYLOAD, currentSignature, []).reason === 'no_app_secret_configured', 'Rejects when no secret is configured');
+
+    // Test 7: Middleware passes signed requests and returns 401 for forged ones
+    process.env.WHATSAPP_APP_SECRET = CURRENT_SECRET;
+    process.env.WHATSAPP_APP_SECRET_PREVIOUS = PREVIOUS_SECRET;
+    delete process.env.SKIP_WEBHOOK_SIGNATURE;
+
+    const accepted = runMiddleware(FIXTURE_PAYLOAD, currentSignature);
+    assert(accepted.nextCalled && accepted.status === 200, 'Middleware accepts signed delivery');
+
+    const rejected = runMiddleware(FIXTURE_PAYLOAD, forgedSignature);
+    assert(!rejected.nextCalled && rejected.status === 401, 'Middleware returns 401 for forged delivery');
+
+    logger.info('🎉 All webhook signature tests passed!');
+
+  } catch (error) {
+    logger.error(`❌ Test failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  testWebhookSignature();
+}
+
+export { testWebhookSignature };
@@ -0,0 +1,132 @@
+import { logger } from '../utils/logger_utils.js';
+import { TEMPLATE_WEBHOOK_FIELDS } from './template_registry.js';
+
+// Flatten every message in a webhook delivery (all entries, all changes, all messages)
+export function extractInboundMessages(body) {
+  const inboundMessages = [];
+
+  if (!body || body.object !== 'whatsapp_business_account' || !Array.isArray(body.entry)) {
+    return inboundMessages;
+  }
+
+  body.entry.forEach((entry, entryIndex) => {
+    (entry.changes || []).forEach((change, changeIndex) => {
+      const value = change.value || {};
+      (value.messages || []).forEach((message, messageIndex) => {
+        inboundMessages.push({
+          message,
+          contacts: value.contacts || [],
+          metadata: value.metadata || {},
+          entryId: entry.id,
+          position: { entryIndex, changeIndex, messageIndex }
+        });
+      });
+    });
+  });
+
+  return inboundMessages;
+}
+
+// Flatten every delivery status update (sent, delivered, read, failed) in a webhook delivery
+export function extractStatusUpdates(body) {
+  const statusUpdates = [];
+
+  if (!body || body.object !== 'whatsapp_business_account' || !Array.isArray(body.entry)) {
+    return statusUpdates;
+  }
+
+  body.entry.forEach(entry => {
+    (entry.changes || []).forEach(change => {
+      const value = change.value || {};
+      (value.statuses || []).forEach(status => statusUpdates.push(status));
+    });
+  });
+
+  return statusUpdates;
+}
+
+// Flatten the template events of a webhook delivery into { field, value } pairs
+export function extractTemplateUpdates(body) {
+  const updates = [];
+
+  if (!body || body.object !== 'whatsapp_business_account' || !Array.isArray(body.entry)) {
+    return updates;
+  }
+
+  body.entry.forEach(entry => {
+    (entry.changes || []).forEach(change => {
+      if (TEMPLATE_WEBHOOK_FIELDS.includes(change.field) && change.value) {
+        updates.push({ field: change.field, value: change.value });
+      }
+    });
+  });
+
+  return updates;
+}
+
+// Group messages by sender, each group sorted by WhatsApp timestamp (delivery order breaks ties)
+export function groupMessagesBySender(inboundMessages) {
+  const groups = new Map();
+
+  inboundMessages.forEach((inbound, arrivalIndex) => {
+    const from = inbound.message.from;
+    if (!groups.has(from)) {
+      groups.set(from, []);
+    }
+    groups.get(from).push({ ...inbound, arrivalIndex });
+  });
+
+  for (const messages of groups.values()) {
+    messages.sort((a, b) => {
+      const timeDiff = Number(a.message.timestamp || 0) - Number(b.message.timestamp || 0);
+      return timeDiff !== 0 ? timeDiff : a.arrivalIndex - b.arrivalIndex;
+    });
+  }
+
+  return groups;
+}
+
+// Process a whole webhook delivery: senders run concurrently, each sender's messages run in order.
+// `handler` receives one inbound message and returns an outcome object ({ status, ... }).
+export async function processWebhookBatch(body, handler) {
+  const inboundMessages = extractInboundMessages(body);
+  if (inboundMessages.length === 0) {
+    return [];
+  }
+
+  const groups = groupMessagesBySender(inboundMessages);
+  logger.info(`Webhook batch received: ${inboundMessages.length} message(s) from ${groups.size} sender(s)`);
+
+  const senderResults = await Promise.all(
+    Array.from(groups.entries()).map(async ([from, messages]) => {
+      const outcomes = [];
+
+      for (const inbound of messages) {
+        const messageId = inbound.message.id;
+        let outcome;
+
+        try {
+          outcome = (await handler(inbound)) || { status: 'processed' };
+        } catch (error) {
+          logger.error(`Error processing message ${messageId} from ${from}: ${error.message}`);
+          outcome = { status: 'error', error: error.message };
+        }
+
+        outcome = { messageId, from, ...outcome };
+        logger.info(`Message outcome: ${messageId} from ${from} -> ${outcome.status}`, outcome);
+        outcomes.push(outcome);
+      }
+
+      return outcomes;
+    })
+  );
+
+  const outcomes = senderResults.flat();
+  const summary = outcomes.reduce((counts, outcome) => {
+    counts[outcome.status] = (counts[outcome.status] || 0) + 1;
+    return counts;
+  }, {});
+  logger.info(`Webhook batch finished: ${outcomes.length} message(s)`, summary);
+
+  return outcomes;
+}
@@ -6,20 +6,50 @@ import {
 } from '../common/redis_utils.js';
 import { makeBusinessApiCall, handleAddressField } from '../common/api_client.js';
 import { startCollectMoneyFlow } from '../services/collect_money_service.js';
+import { ACTIONS, CONFIRM_EDIT_BUTTONS, resolveAction } from '../common/actions.js';
+import { replyButtons } from '../services/interactive_messages.js';
+import { tagResponse, RESPONSE_KINDS } from '../services/template_routing.js';
+import { getSessionContext, setSessionContext } from '../services/conversation_session.js';
+import {
+  REGISTRATION_INPUT_MODES,
+  getRegistrationInputMode,
+  isBackRequest,
+  isBulkInput,
+  parseBulkInput,
+  askRegistrationField,
+  buildStepWelcomeMessage,
+  processSingleRegistrationField,
+  showRegistrationConfirmation,
+  groupAddressFields,
+  flattenAddressFields
+} from '../common/registration_steps.js';
+import { processFieldEdit, recheckCountryFields } from '../common/field_edit.js';
+import { bindAccount } from '../services/account_binding.js';
+import {
+  buildRegistrationSuggestions,
+  resolveBulkValue,
+  buildBulkSuggestionNote,
+  offerSuggestion,
+  formatSummaryValue,
+  buildPrefilledNote
+} from '../common/registration_prefill.js';
+
+// Fields nested under `address` in the collected data
+const ADDRESS_FIELDS = ['address', 'city', 'postalCode', 'state'];
 
 // Business user registration flow configuration
 export const BUSINESS_USER_REGISTRATION_FLOW = {
   steps: [
-    { field: 'em', question: 'Business Email Address:', validation: 'email' },
-    { field: 'businessName', question: 'Business/Company Name:', validation: 'text' },
-    { field: 'country', question: 'Country Code (e.g., IN):', validation: 'countryCode' },
-    { field: 'regNo', question: 'Business Registration Number:', validation: 'text' },
-    { field: 'date', question: 'Company Incorporation Date (DD-MM-YYYY):', validation: 'business_date' },
-    { field: 'phone', question: 'Business Phone Number:', validation: 'phone' },
-    { field: 'address', question: 'Business Street Address:', validation: 'text' },
+    { field: 'em', question: 'Business Email Address:', validation: 'email', label: 'Business Email', aliases: ['email'] },
+    { field: 'businessName', question: 'Business/Company Name:', validation: 'text', aliases: ['business name', 'company name'] },
+    { field: 'country', question: 'Country Code (e.g., IN):', validation: 'countryCode', prefill: 'country' },
+    { field: 'regNo', question: 'Business Registration Number:', validation: 'text', label: 'Registration Number' },
+    { field: 'date', question: 'Company Incorporation Date (DD-MM-YYYY):', validation: 'business_date', label: 'Incorporation Date' },
+    { field: 'phone', question: 'Business Phone Number:', validation: 'phone', prefill: 'phone' },
+    { field: 'address', question: 'Business Street Address:', validation: 'text', aliases: ['street', 'address'] },
     { field: 'city', question: 'Business City:', validation: 'text' },
-    { field: 'postalCode', question: 'Business Postal Code:', validation: 'text' },
-    { field: 'state', question: 'Business State/Province:', validation: 'text' }
+    { field: 'postalCode', question: 'Business Postal Code:', validation: 'postalCode' },
+    { field: 'state', question: 'Business State/Province:', validation: 'state' }
   ],
   welcomeMessage: `Welcome to Business Registration! I'll help you register your business. 
 
@@ -49,26 +79,38 @@ Mumbai
 Maharashtra
 
 Please enter your business information now:`,
+  stepIntro: "Welcome to Business Registration! I'll help you register your business.",
   completionMessage: "Excellent! I have all your business information. Creating your business account now...",
+  acceptedMessageTypes: ['text', 'interactive'],
+  inputMode: getRegistrationInputMode(),
+  addressFields: ADDRESS_FIELDS,
   apiEndpoint: process.env.BUSINESS_USER_CREATION_API || `${process.env.TRANSFI_API_BASE_URL || 'https://sandbox-api.transfi.com'}/v2/users/business`
 };
 
 // Start business user registration
-export async function startBusinessUserRegistration(redisClient, whatsappNumber) {
+export async function startBusinessUserRegistration(redisClient, whatsappNumber, profile = {}) {
   const state = {
     type: 'business_user_registration',
     currentStep: 0,
     collectedData: {},
     startedAt: new Date().toISOString(),
-    whatsappNumber: whatsappNumber
+    whatsappNumber: whatsappNumber,
+    mode: BUSINESS_USER_REGISTRATION_FLOW.inputMode,
+    profileName: profile.profileName || null,
+    suggestions: await buildRegistrationSuggestions(BUSINESS_USER_REGISTRATION_FLOW, { whatsappNumber, profileName: profile.profileName }),
+    prefilledFields: []
   };
   
   await setBusinessUserCreationState(redisClient, whatsappNumber, state);
-  return BUSINESS_USER_REGISTRATION_FLOW.welcomeMessage;
+  
+  if (state.mode === REGISTRATION_INPUT_MODES.STEP) {
+    return buildStepWelcomeMessage(BUSINESS_USER_REGISTRATION_FLOW, state);
+  }
+  return `${BUSINESS_USER_REGISTRATION_FLOW.welcomeMessage}${buildBulkSuggestionNote(BUSINESS_USER_REGISTRATION_FLOW, state)}`;
 }
 
 // Process business user registration step
-export async function processBusinessUserRegistrationStep(redisClient, whatsappNumber, userInput) {
+export async function processBusinessUserRegistrationStep(redisClient, whatsappNumber, userInput, actionId = null) {
   try {
     const state = await getBusinessUserCreationState(redisClient, whatsappNumber);
     if (!state || state.type !== 'business_user_registration') {
@@ -76,17 +118,29 @@ export async function processBusinessUserRegistrationStep(redisClient, whatsappN
       return null;
     }
     
-    // Check if this is the first input (bulk data collection)
-    if (state.currentStep === 0) {
-      return await processBulkBusinessInput(redisClient, whatsappNumber, userInput, state);
-    }
-    
     // Handle confirmation step
     if (state.currentStep === 'confirmation') {
-      return await handleBusinessConfirmationStep(redisClient, whatsappNumber, userInput);
+      return await handleBusinessConfirmationStep(redisClient, whatsappNumber, userInput, actionId);
     }
     
-    return null;
+    // Check if user is trying to make a money request instead of providing registration data
+    const lowerInput = userInput.toLowerCase();
+    if (lowerInput.includes('collect money') || lowerInput.includes('send money') || 
+        lowerInput.includes('want to collect') || lowerInput.includes('want to send') ||
+        lowerInput.includes('i want to collect') || lowerInput.includes('i want to send')) {
+      
+      // Clear registration state so the next message reaches the money flow
+      await setBusinessUserCreationState(redisClient, whatsappNumber, null);
+      
+      return `🔄 **Registration Cancelled**\n\nI see you want to ${lowerInput.includes('collect') ? 'collect money' : 'send money'}!\n\nLet me redirect you to the money flow. Please try your request again.`;
+    }
+    
+    // One answer at a time, unless all fields were pasted at once
+    if (state.mode === REGISTRATION_INPUT_MODES.STEP && !isBulkInput(BUSINESS_USER_REGISTRATION_FLOW, userInput)) {
+      return await processSingleRegistrationField(BUSINESS_USER_REGISTRATION_FLOW, state, userInput, actionId, getConfirmationHandlers(redisClient, whatsappNumber));
+    }
+    
+    return await processBulkBusinessInput(redisClient, whatsappNumber, userInput, state);
     
   } catch (error) {
     logger.error(`Error processing business user registration step:`, error);
@@ -99,25 +153,14 @@ async function processBulkBusinessInput(redisClient, whatsappNumber, userInput,
   try {
     logger.info(`Processing bulk business input for ${whatsappNumber}`);
     
-    // Check if user is trying to make a money request instead of providing registration data
-    const lowerInput = userInput.toLowerCase();
-    if (lowerInput.includes('collect money') || lowerInput.includes('send money') || 
-        lowerInput.includes('want to collect') || lowerInput.includes('want to send') ||
-        lowerInput.includes('i want to collect') || lowerInput.includes('i want to send')) {
-      
-      // Clear registration state and let main.js handle the money request
-      await setBusinessUserCreationState(redisClient, whatsappNumber, null);
-      
-      return `🔄 **Registration Cancelled**\n\nI see you want to ${lowerInput.includes('collect') ? 'collect money' : 'send money'}!\n\nLet me redirect you to the money flow. Please try your request again.`;
-    }
-    
-    // Split input by lines and trim whitespace
-    const lines = userInput.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+    // One value per field, from "Field: value" lines or one line per field
+    const lines = parseBulkInput(BUSINESS_USER_REGISTRATION_FLOW, userInput);
+    const providedCount = lines.filter(line => line !== undefined).length;
     
-    if (lines.length < BUSINESS_USER_REGISTRATION_FLOW.steps.length) {
+    if (providedCount < BUSINESS_USER_REGISTRATION_FLOW.steps.length) {
       return `❌ **Incomplete Information**
 
-You provided ${lines.length} fields, but I need ${BUSINESS_USER_REGISTRATION_FLOW.steps.length} fields.
+You provided ${providedCount} fields, but I need ${BUSINESS_USER_REGISTRATION_FLOW.steps.length} fields.
 
 Please provide all required information in this format:
 
@@ -137,15 +180,16 @@ Please try again with all fields:`;
     
     // Validate and collect all fields
     const validationResults = [];
-    const collectedData = {};
-    const addressData = {};
+    const values = {};
+    const prefilledFields = [];
     
     for (let i = 0; i < BUSINESS_USER_REGISTRATION_FLOW.steps.length; i++) {
       const step = BUSINESS_USER_REGISTRATION_FLOW.steps[i];
-      const inputValue = lines[i];
+      // "-" takes the value suggested from the WhatsApp profile
+      const { value: inputValue, prefilled } = resolveBulkValue(state, step.field, lines[i]);
       
       // Validate the input
-      const isValid = await validateUserInput(inputValue, step.validation);
+      const isValid = await validateUserInput(inputValue, step.validation, { country: values.country });
       
       if (!isValid.valid) {
         validationResults.push({
@@ -156,10 +200,9 @@ Please try again with all fields:`;
         });
       } else {
         // Store valid data
-        if (['address', 'city', 'postalCode', 'state'].includes(step.field)) {
-          addressData[step.field] = inputValue;
-        } else {
-          collectedData[step.field] = inputValue;
+        values[step.field] = isValid.value ?? inputValue;
+        if (prefilled) {
+          prefilledFields.push(step.field);
         }
       }
     }
@@ -179,18 +222,8 @@ Please try again with all fields:`;
     }
     
     // All validations passed, store the data
-    if (Object.keys(addressData).length > 0) {
-      collectedData.address = addressData;
-    }
-    
-    state.collectedData = collectedData;
-    state.currentStep = 'confirmation';
-    
-    // Save state
-    await setBusinessUserCreationState(redisClient, whatsappNumber, state);
-    
-    // Show confirmation
-    return generateBusinessConfirmationMessage(collectedData);
+    state.prefilledFields = prefilledFields;
+    return await showRegistrationConfirmation(BUSINESS_USER_REGISTRATION_FLOW, state, values, getConfirmationHandlers(redisClient, whatsappNumber));
     
   } catch (error) {
     logger.error(`Error processing bulk business input:`, error);
@@ -198,6 +231,14 @@ Please try again with all fields:`;
   }
 }
 
+// How this flow saves its state and builds its confirmation summary
+function getConfirmationHandlers(redisClient, whatsappNumber) {
+  return {
+    save: state => setBusinessUserCreationState(redisClient, whatsappNumber, state),
+    buildSummary: generateBusinessConfirmationMessage
+  };
+}
+
 // Check if user is in business registration flow
 export async function isUserInBusinessRegistration(redisClient, whatsappNumber) {
   try {
@@ -217,11 +258,14 @@ export async function getBusinessRegistrationProgress(redisClient, whatsappNumbe
       return null;
     }
     
+    const totalSteps = BUSINESS_USER_REGISTRATION_FLOW.steps.length;
+    const currentStep = state.currentStep === 'confirmation' ? totalSteps : state.currentStep;
+    
     return {
-      currentStep: state.currentStep,
-      totalSteps: BUSINESS_USER_REGISTRATION_FLOW.steps.length,
-      progress: Math.round((state.currentStep / BUSINESS_USER_REGISTRATION_FLOW.steps.length) * 100),
-      collectedFields: Object.keys(state.collectedData),
+      currentStep: currentStep,
+      totalSteps: totalSteps,
+      progress: Math.round((currentStep / totalSteps) * 100),
+      collectedFields: Object.keys(flattenAddressFields(state.collectedData)),
       startedAt: state.startedAt
     };
   } catch (error) {
@@ -233,8 +277,10 @@ export async function getBusinessRegistrationProgress(redisClient, whatsappNumbe
 // Reset business user registration (start over)
 export async function resetBusinessUserRegistration(redisClient, whatsappNumber) {
   try {
+    // Starting over keeps the WhatsApp profile suggestions
+    const previousState = await getBusinessUserCreationState(redisClient, whatsappNumber);
     await setBusinessUserCreationState(redisClient, whatsappNumber, null);
-    return await startBusinessUserRegistration(redisClient, whatsappNumber);
+    return await startBusinessUserRegistration(redisClient, whatsappNumber, { profileName: previousState ? previousState.profileName : null });
   } catch (error) {
     logger.error(`Error resetting business user registration for ${whatsappNumber}:`, error);
     return "Sorry, there was an error resetting your business registration. Please try again.";
@@ -242,53 +288,91 @@ export async function resetBusinessUserRegistration(redisClient, whatsappNumber)
 }
 
 // Generate confirmation message with all collected business data
-function generateBusinessConfirmationMessage(collectedData) {
+function generateBusinessConfirmationMessage(collectedData, state) {
   let message = "📋 **Please confirm your business details:**\n\n";
   
   // Business information
   message += `🏢 **Business Information:**\n`;
-  message += `• **Business Email:** ${collectedData.em}\n`;
-  message += `• **Business Name:** ${collectedData.businessName}\n`;
-  message += `• **Country:** ${collectedData.country}\n`;
-  message += `• **Registration Number:** ${collectedData.regNo}\n`;
-  message += `• **Incorporation Date:** ${collectedData.date}\n`;
-  message += `• **Business Phone:** ${collectedData.phone}\n\n`;
+  message += `• **Business Email:** ${formatSummaryValue(state, 'em', collectedData.em)}\n`;
+  message += `• **Business Name:** ${formatSummaryValue(state, 'businessName', collectedData.businessName)}\n`;
+  message += `• **Country:** ${formatSummaryValue(state, 'country', collectedData.country)}\n`;
+  message += `• **Registration Number:** ${formatSummaryValue(state, 'regNo', collectedData.regNo)}\n`;
+  message += `• **Incorporation Date:** ${formatSummaryValue(state, 'date', collectedData.date)}\n`;
+  message += `• **Business Phone:** ${formatSummaryValue(state, 'phone', collectedData.phone)}\n\n`;
   
   // Address information
   message += `🏠 **Business Address:**\n`;
-  message += `• **Street Address:** ${collectedData.address.address}\n`;
-  message += `• **City:** ${collectedData.address.city}\n`;
-  message += `• **Postal Code:** ${collectedData.address.postalCode}\n`;
-  message += `• **State:** ${collectedData.address.state}\n\n`;
+  message += `• **Street Address:** ${formatSummaryValue(state, 'address', collectedData.address.address)}\n`;
+  message += `• **City:** ${formatSummaryValue(state, 'city', collectedData.address.city)}\n`;
+  message += `• **Postal Code:** ${formatSummaryValue(state, 'postalCode', collectedData.address.postalCode)}\n`;
+  message += `• **State:** ${formatSummaryValue(state, 'state', collectedData.address.state)}\n\n`;
   
+  message += buildPrefilledNote(state);
   message += "✅ **All business information looks good!**\n\n";
-  message += "Type 'confirm' to create your business account, or 'edit' to start over.";
+  message += "Tap *Confirm* to create your business account, or *Edit* to change a detail (or type 'confirm', or e.g. 'change city to Pune').";
+  if (state.mode === REGISTRATION_INPUT_MODES.STEP) {
+    message += "\nType 'back' to change the last answer.";
+  }
   
-  return message;
+  return replyButtons(message, CONFIRM_EDIT_BUTTONS);
 }
 
 // Handle business confirmation step
-export async function handleBusinessConfirmationStep(redisClient, whatsappNumber, userInput) {
+export async function handleBusinessConfirmationStep(redisClient, whatsappNumber, userInput, actionId = null) {
   try {
     const state = await getBusinessUserCreationState(redisClient, whatsappNumber);
     if (!state || state.type !== 'business_user_registration' || state.currentStep !== 'confirmation') {
       return null;
     }
     
-    const lowerInput = userInput.toLowerCase().trim();
+    // In step-by-step mode "back" reopens the last field
+    if (!actionId && !state.editingField && state.mode === REGISTRATION_INPUT_MODES.STEP && isBackRequest(userInput)) {
+      state.collectedData = flattenAddressFields(state.collectedData);
+      state.currentStep = BUSINESS_USER_REGISTRATION_FLOW.steps.length - 1;
+      await setBusinessUserCreationState(redisClient, whatsappNumber, state);
+      return offerSuggestion(BUSINESS_USER_REGISTRATION_FLOW, state, `↩️ Going back.\n\n${askRegistrationField(BUSINESS_USER_REGISTRATION_FLOW, state)}`);
+    }
+    
+    // Edit a single field ("Edit" button, field list, "change city to Pune")
+    const values = flattenAddressFields(state.collectedData);
+    const validate = (value, step) => validateUserInput(value, step.validation, { country: values.country });
+    const edit = await processFieldEdit({
+      steps: BUSINESS_USER_REGISTRATION_FLOW.steps,
+      state,
+      values,
+      userInput,
+      actionId,
+      validate
+    });
+    
+    if (edit) {
+      if (edit.startOver) {
+        return await resetBusinessUserRegistration(redisClient, whatsappNumber);
+      }
+      if (edit.showSummary) {
+        return await showRegistrationConfirmation(BUSINESS_USER_REGISTRATION_FLOW, state, values, getConfirmationHandlers(redisClient, whatsappNumber));
+      }
+      await setBusinessUserCreationState(redisClient, whatsappNumber, state);
+      return edit.response;
+    }
     
-    if (lowerInput === 'confirm' || lowerInput === 'yes' || lowerInput === 'y') {
+    // Button id when the user tapped Confirm, otherwise the typed text
+    const action = resolveAction(actionId, userInput, [ACTIONS.CONFIRM]);
+    
+    if (action === ACTIONS.CONFIRM) {
       // User confirmed, create business account
-      const userDataWithWhatsApp = { ...state.collectedData, whatsappNumber };
+      // Phone, postal code and state must match the country, which may have been edited after them
+      const mismatch = await recheckCountryFields(BUSINESS_USER_REGISTRATION_FLOW.steps, values, validate);
+      if (mismatch) {
+        return mismatch;
+      }
+      const userDataWithWhatsApp = { ...groupAddressFields(values, ADDRESS_FIELDS), whatsappNumber };
       const userCreationResult = await createBusinessUserAccount(userDataWithWhatsApp, redisClient);
       await setBusinessUserCreationState(redisClient, whatsappNumber, null); // Clear state
       return userCreationResult;
-    } else if (lowerInput === 'edit') {
-      // User wants to edit, start over
-      return await resetBusinessUserRegistration(redisClient, whatsappNumber);
     } else {
       // Invalid input
-      return "Please type 'confirm', 'yes', or 'y' to proceed with business account creation, or 'edit' to start over.";
+      return replyButtons("Please tap *Confirm* (or type 'confirm', 'yes', or 'y') to proceed with business account creation, or *Edit* to change a detail.", CONFIRM_EDIT_BUTTONS);
     }
     
   } catch (error) {
@@ -309,7 +393,7 @@ export async function createBusinessUserAccount(userData, redisClient = null) {
   if (result.includes('successfully') && redisClient) {
     try {
       const userContext = {
-        email: userData.em,
+        email: userData.em.toLowerCase(),
         userId: userData.userId || 'pending', // Will be updated when API response is processed
         userType: 'business',
         fullName: userData.businessName,
@@ -319,12 +403,17 @@ export async function createBusinessUserAccount(userData, redisClient = null) {
       // Set user context for current WhatsApp session
       await redisClient.setEx(`user_context:${userData.whatsappNumber || 'unknown'}`, 3600, JSON.stringify(userContext));
       logger.info(`User context set for WhatsApp session after business account creation`);
+
+      // Link the new account to this WhatsApp number so later sessions skip the email verification
+      if (userData.whatsappNumber) {
+        await bindAccount(redisClient, userData.whatsappNumber, userData.em, 'registration');
+      }
       
       // Check if there's a pending money intent to resume
-      const pendingMoneyIntent = await redisClient.get(`pending_money_intent:${userData.whatsappNumber}`);
+      const pendingMoneyIntent = await getSessionContext(redisClient, userData.whatsappNumber, 'pendingMoneyIntent');
       if (pendingMoneyIntent) {
         // Clear the pending intent
-        await redisClient.del(`pending_money_intent:${userData.whatsappNumber}`);
+        await setSessionContext(redisClient, userData.whatsappNumber, 'pendingMoneyIntent', null);
         
         // Resume the money flow
         if (pendingMoneyIntent === 'COLLECT_MONEY') {
@@ -340,5 +429,12 @@ export async function createBusinessUserAccount(userData, redisClient = null) {
     }
   }
   
+  if (result.includes('successfully')) {
+    return tagResponse(result, RESPONSE_KINDS.BUSINESS_ACCOUNT_CREATED, {
+      businessName: userData.businessName,
+      email: userData.em
+    });
+  }
+  
   return result;
 }
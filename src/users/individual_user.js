@@ -5,22 +5,51 @@ import {
   setUserCreationState 
 } from '../common/redis_utils.js';
 import { makeApiCall, handleAddressField } from '../common/api_client.js';
-import { startCollectMoneyFlow } from '../services/collect_money_service.js';
+import { startKycFlow, updateKycRecord, KYC_STATUSES } from '../services/kyc_service.js';
+import { ACTIONS, CONFIRM_EDIT_BUTTONS, resolveAction } from '../common/actions.js';
+import { replyButtons } from '../services/interactive_messages.js';
+import { tagResponse, RESPONSE_KINDS } from '../services/template_routing.js';
+import {
+  REGISTRATION_INPUT_MODES,
+  getRegistrationInputMode,
+  isBackRequest,
+  isBulkInput,
+  parseBulkInput,
+  askRegistrationField,
+  buildStepWelcomeMessage,
+  processSingleRegistrationField,
+  showRegistrationConfirmation,
+  groupAddressFields,
+  flattenAddressFields
+} from '../common/registration_steps.js';
+import { processFieldEdit, recheckCountryFields } from '../common/field_edit.js';
+import { bindAccount } from '../services/account_binding.js';
+import {
+  buildRegistrationSuggestions,
+  resolveBulkValue,
+  buildBulkSuggestionNote,
+  offerSuggestion,
+  formatSummaryValue,
+  buildPrefilledNote
+} from '../common/registration_prefill.js';
+
+// Fields nested under `address` in the collected data
+const ADDRESS_FIELDS = ['street', 'city', 'postalCode', 'state'];
 
 // Individual user registration flow configuration
 export const USER_REGISTRATION_FLOW = {
   steps: [
-    { field: 'firstName', question: 'First Name:', validation: 'name' },
-    { field: 'lastName', question: 'Last Name:', validation: 'name' },
+    { field: 'firstName', question: 'First Name:', validation: 'name', prefill: 'firstName' },
+    { field: 'lastName', question: 'Last Name:', validation: 'name', prefill: 'lastName' },
     { field: 'email', question: 'Email Address:', validation: 'email' },
-    { field: 'date', question: 'Date of Birth (DD-MM-YYYY):', validation: 'date' },
-    { field: 'country', question: 'Country Code (e.g., IN):', validation: 'countryCode' },
+    { field: 'date', question: 'Date of Birth (DD-MM-YYYY):', validation: 'dob', aliases: ['dob', 'birthday', 'birth date'] },
+    { field: 'country', question: 'Country Code (e.g., IN):', validation: 'countryCode', prefill: 'country' },
     { field: 'gender', question: 'Gender (male/female/other):', validation: 'gender' },
-    { field: 'phone', question: 'Phone Number:', validation: 'phone' },
-    { field: 'street', question: 'Street Address:', validation: 'text' },
+    { field: 'phone', question: 'Phone Number:', validation: 'phone', prefill: 'phone' },
+    { field: 'street', question: 'Street Address:', validation: 'text', aliases: ['street'] },
     { field: 'city', question: 'City:', validation: 'text' },
     { field: 'postalCode', question: 'Postal Code:', validation: 'postalCode' },
-    { field: 'state', question: 'State/Province:', validation: 'text' }
+    { field: 'state', question: 'State/Province:', validation: 'state' }
   ],
   welcomeMessage: `Welcome! I'll help you create your individual account. 
 
@@ -52,26 +81,38 @@ Mumbai
 Maharashtra
 
 Please enter your information now:`,
+  stepIntro: "Welcome! I'll help you create your individual account.",
   completionMessage: "Great! I have all the information. Creating your account now...",
+  acceptedMessageTypes: ['text', 'interactive'],
+  inputMode: getRegistrationInputMode(),
+  addressFields: ADDRESS_FIELDS,
   apiEndpoint: process.env.USER_CREATION_API || `${process.env.TRANSFI_API_BASE_URL || 'https://sandbox-api.transfi.com'}/v2/users/individual`
 };
 
 // Start individual user registration
-export async function startUserRegistration(redisClient, whatsappNumber) {
+export async function startUserRegistration(redisClient, whatsappNumber, profile = {}) {
   const state = {
     type: 'user_registration',
     currentStep: 0,
     collectedData: {},
     startedAt: new Date().toISOString(),
-    whatsappNumber: whatsappNumber
+    whatsappNumber: whatsappNumber,
+    mode: USER_REGISTRATION_FLOW.inputMode,
+    profileName: profile.profileName || null,
+    suggestions: await buildRegistrationSuggestions(USER_REGISTRATION_FLOW, { whatsappNumber, profileName: profile.profileName }),
+    prefilledFields: []
   };
   
   await setUserCreationState(redisClient, whatsappNumber, state);
-  return USER_REGISTRATION_FLOW.welcomeMessage;
+  
+  if (state.mode === REGISTRATION_INPUT_MODES.STEP) {
+    return buildStepWelcomeMessage(USER_REGISTRATION_FLOW, state);
+  }
+  return `${USER_REGISTRATION_FLOW.welcomeMessage}${buildBulkSuggestionNote(USER_REGISTRATION_FLOW, state)}`;
 }
 
 // Process individual user registration step
-export async function processUserRegistrationStep(redisClient, whatsappNumber, userInput) {
+export async function processUserRegistrationStep(redisClient, whatsappNumber, userInput, actionId = null) {
   try {
     const state = await getUserCreationState(redisClient, whatsappNumber);
     if (!state || state.type !== 'user_registration') {
@@ -79,17 +120,29 @@ export async function processUserRegistrationStep(redisClient, whatsappNumber, u
       return null;
     }
     
-    // Check if this is the first input (bulk data collection)
-    if (state.currentStep === 0) {
-      return await processBulkUserInput(redisClient, whatsappNumber, userInput, state);
-    }
-    
     // Handle confirmation step
     if (state.currentStep === 'confirmation') {
-      return await handleConfirmationStep(redisClient, whatsappNumber, userInput);
+      return await handleConfirmationStep(redisClient, whatsappNumber, userInput, actionId);
     }
     
-    return null;
+    // Check if user is trying to make a money request instead of providing registration data
+    const lowerInput = userInput.toLowerCase();
+    if (lowerInput.includes('collect money') || lowerInput.includes('send money') || 
+        lowerInput.includes('want to collect') || lowerInput.includes('want to send') ||
+        lowerInput.includes('i want to collect') || lowerInput.includes('i want to send')) {
+      
+      // Clear registration state so the next message reaches the money flow
+      await setUserCreationState(redisClient, whatsappNumber, null);
+      
+      return `🔄 **Registration Cancelled**\n\nI see you want to ${lowerInput.includes('collect') ? 'collect money' : 'send money'}!\n\nLet me redirect you to the money flow. Please try your request again.`;
+    }
+    
+    // One answer at a time, unless all fields were pasted at once
+    if (state.mode === REGISTRATION_INPUT_MODES.STEP && !isBulkInput(USER_REGISTRATION_FLOW, userInput)) {
+      return await processSingleRegistrationField(USER_REGISTRATION_FLOW, state, userInput, actionId, getConfirmationHandlers(redisClient, whatsappNumber));
+    }
+    
+    return await processBulkUserInput(redisClient, whatsappNumber, userInput, state);
     
   } catch (error) {
     logger.error(`Error processing user registration step:`, error);
@@ -102,25 +155,14 @@ async function processBulkUserInput(redisClient, whatsappNumber, userInput, stat
   try {
     logger.info(`Processing bulk input for ${whatsappNumber}`);
     
-    // Check if user is trying to make a money request instead of providing registration data
-    const lowerInput = userInput.toLowerCase();
-    if (lowerInput.includes('collect money') || lowerInput.includes('send money') || 
-        lowerInput.includes('want to collect') || lowerInput.includes('want to send') ||
-        lowerInput.includes('i want to collect') || lowerInput.includes('i want to send')) {
-      
-      // Clear registration state and let main.js handle the money request
-      await setUserCreationState(redisClient, whatsappNumber, null);
-      
-      return `🔄 **Registration Cancelled**\n\nI see you want to ${lowerInput.includes('collect') ? 'collect money' : 'send money'}!\n\nLet me redirect you to the money flow. Please try your request again.`;
-    }
-    
-    // Split input by lines and trim whitespace
-    const lines = userInput.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+    // One value per field, from "Field: value" lines or one line per field
+    const lines = parseBulkInput(USER_REGISTRATION_FLOW, userInput);
+    const providedCount = lines.filter(line => line !== undefined).length;
     
-    if (lines.length < USER_REGISTRATION_FLOW.steps.length) {
+    if (providedCount < USER_REGISTRATION_FLOW.steps.length) {
       return `❌ **Incomplete Information**
 
-You provided ${lines.length} fields, but I need ${USER_REGISTRATION_FLOW.steps.length} fields.
+You provided ${providedCount} fields, but I need ${USER_REGISTRATION_FLOW.steps.length} fields.
 
 Please provide all required information in this format:
 
@@ -141,15 +183,16 @@ Please try again with all fields:`;
     
     // Validate and collect all fields
     const validationResults = [];
-    const collectedData = {};
-    const addressData = {};
+    const values = {};
+    const prefilledFields = [];
     
     for (let i = 0; i < USER_REGISTRATION_FLOW.steps.length; i++) {
       const step = USER_REGISTRATION_FLOW.steps[i];
-      const inputValue = lines[i];
+      // "-" takes the value suggested from the WhatsApp profile
+      const { value: inputValue, prefilled } = resolveBulkValue(state, step.field, lines[i]);
       
       // Validate the input
-      const isValid = await validateUserInput(inputValue, step.validation);
+      const isValid = await validateUserInput(inputValue, step.validation, { country: values.country });
       
       if (!isValid.valid) {
         validationResults.push({
@@ -160,10 +203,9 @@ Please try again with all fields:`;
         });
       } else {
         // Store valid data
-        if (['street', 'city', 'postalCode', 'state'].includes(step.field)) {
-          addressData[step.field] = inputValue;
-        } else {
-          collectedData[step.field] = inputValue;
+        values[step.field] = isValid.value ?? inputValue;
+        if (prefilled) {
+          prefilledFields.push(step.field);
         }
       }
     }
@@ -183,18 +225,8 @@ Please try again with all fields:`;
     }
     
     // All validations passed, store the data
-    if (Object.keys(addressData).length > 0) {
-      collectedData.address = addressData;
-    }
-    
-    state.collectedData = collectedData;
-    state.currentStep = 'confirmation';
-    
-    // Save state
-    await setUserCreationState(redisClient, whatsappNumber, state);
-    
-    // Show confirmation
-    return generateConfirmationMessage(collectedData);
+    state.prefilledFields = prefilledFields;
+    return await showRegistrationConfirmation(USER_REGISTRATION_FLOW, state, values, getConfirmationHandlers(redisClient, whatsappNumber));
     
   } catch (error) {
     logger.error(`Error processing bulk user input:`, error);
@@ -202,6 +234,14 @@ Please try again with all fields:`;
   }
 }
 
+// How this flow saves its state and builds its confirmation summary
+function getConfirmationHandlers(redisClient, whatsappNumber) {
+  return {
+    save: state => setUserCreationState(redisClient, whatsappNumber, state),
+    buildSummary: generateConfirmationMessage
+  };
+}
+
 // Check if user is in individual registration flow
 export async function isUserInRegistration(redisClient, whatsappNumber) {
   try {
@@ -221,11 +261,14 @@ export async function getRegistrationProgress(redisClient, whatsappNumber) {
       return null;
     }
     
+    const totalSteps = USER_REGISTRATION_FLOW.steps.length;
+    const currentStep = state.currentStep === 'confirmation' ? totalSteps : state.currentStep;
+    
     return {
-      currentStep: state.currentStep,
-      totalSteps: USER_REGISTRATION_FLOW.steps.length,
-      progress: Math.round((state.currentStep / USER_REGISTRATION_FLOW.steps.length) * 100),
-      collectedFields: Object.keys(state.collectedData),
+      currentStep: currentStep,
+      totalSteps: totalSteps,
+      progress: Math.round((currentStep / totalSteps) * 100),
+      collectedFields: Object.keys(flattenAddressFields(state.collectedData)),
       startedAt: state.startedAt
     };
   } catch (error) {
@@ -237,8 +280,10 @@ export async function getRegistrationProgress(redisClient, whatsappNumber) {
 // Reset individual user registration (start over)
 export async function resetUserRegistration(redisClient, whatsappNumber) {
   try {
+    // Starting over keeps the WhatsApp profile suggestions
+    const previousState = await getUserCreationState(redisClient, whatsappNumber);
     await setUserCreationState(redisClient, whatsappNumber, null);
-    return await startUserRegistration(redisClient, whatsappNumber);
+    return await startUserRegistration(redisClient, whatsappNumber, { profileName: previousState ? previousState.profileName : null });
   } catch (error) {
     logger.error(`Error resetting user registration for ${whatsappNumber}:`, error);
     return "Sorry, there was an error resetting your registration. Please try again.";
@@ -246,54 +291,92 @@ export async function resetUserRegistration(redisClient, whatsappNumber) {
 }
 
 // Generate confirmation message with all collected data
-function generateConfirmationMessage(collectedData) {
+function generateConfirmationMessage(collectedData, state) {
   let message = "📋 **Please confirm your details:**\n\n";
   
   // Personal information
   message += `👤 **Personal Information:**\n`;
-  message += `• **First Name:** ${collectedData.firstName}\n`;
-  message += `• **Last Name:** ${collectedData.lastName}\n`;
-  message += `• **Email:** ${collectedData.email}\n`;
-  message += `• **Date of Birth:** ${collectedData.date}\n`;
-  message += `• **Country:** ${collectedData.country}\n`;
-  message += `• **Gender:** ${collectedData.gender}\n`;
-  message += `• **Phone:** ${collectedData.phone}\n\n`;
+  message += `• **First Name:** ${formatSummaryValue(state, 'firstName', collectedData.firstName)}\n`;
+  message += `• **Last Name:** ${formatSummaryValue(state, 'lastName', collectedData.lastName)}\n`;
+  message += `• **Email:** ${formatSummaryValue(state, 'email', collectedData.email)}\n`;
+  message += `• **Date of Birth:** ${formatSummaryValue(state, 'date', collectedData.date)}\n`;
+  message += `• **Country:** ${formatSummaryValue(state, 'country', collectedData.country)}\n`;
+  message += `• **Gender:** ${formatSummaryValue(state, 'gender', collectedData.gender)}\n`;
+  message += `• **Phone:** ${formatSummaryValue(state, 'phone', collectedData.phone)}\n\n`;
   
   // Address information
   message += `🏠 **Address Information:**\n`;
-  message += `• **Street:** ${collectedData.address.street}\n`;
-  message += `• **City:** ${collectedData.address.city}\n`;
-  message += `• **Postal Code:** ${collectedData.address.postalCode}\n`;
-  message += `• **State:** ${collectedData.address.state}\n\n`;
+  message += `• **Street:** ${formatSummaryValue(state, 'street', collectedData.address.street)}\n`;
+  message += `• **City:** ${formatSummaryValue(state, 'city', collectedData.address.city)}\n`;
+  message += `• **Postal Code:** ${formatSummaryValue(state, 'postalCode', collectedData.address.postalCode)}\n`;
+  message += `• **State:** ${formatSummaryValue(state, 'state', collectedData.address.state)}\n\n`;
   
+  message += buildPrefilledNote(state);
   message += "✅ **All information looks good!**\n\n";
-  message += "Type 'confirm' to create your account, or 'edit' to start over.";
+  message += "Tap *Confirm* to create your account, or *Edit* to change a detail (or type 'confirm', or e.g. 'change city to Pune').";
+  if (state.mode === REGISTRATION_INPUT_MODES.STEP) {
+    message += "\nType 'back' to change the last answer.";
+  }
   
-  return message;
+  return replyButtons(message, CONFIRM_EDIT_BUTTONS);
 }
 
 // Handle confirmation step
-export async function handleConfirmationStep(redisClient, whatsappNumber, userInput) {
+export async function handleConfirmationStep(redisClient, whatsappNumber, userInput, actionId = null) {
   try {
     const state = await getUserCreationState(redisClient, whatsappNumber);
     if (!state || state.type !== 'user_registration' || state.currentStep !== 'confirmation') {
       return null;
     }
     
-    const lowerInput = userInput.toLowerCase().trim();
+    // In step-by-step mode "back" reopens the last field
+    if (!actionId && !state.editingField && state.mode === REGISTRATION_INPUT_MODES.STEP && isBackRequest(userInput)) {
+      state.collectedData = flattenAddressFields(state.collectedData);
+      state.currentStep = USER_REGISTRATION_FLOW.steps.length - 1;
+      await setUserCreationState(redisClient, whatsappNumber, state);
+      return offerSuggestion(USER_REGISTRATION_FLOW, state, `↩️ Going back.\n\n${askRegistrationField(USER_REGISTRATION_FLOW, state)}`);
+    }
+    
+    // Edit a single field ("Edit" button, field list, "change city to Pune")
+    const values = flattenAddressFields(state.collectedData);
+    const validate = (value, step) => validateUserInput(value, step.validation, { country: values.country });
+    const edit = await processFieldEdit({
+      steps: USER_REGISTRATION_FLOW.steps,
+      state,
+      values,
+      userInput,
+      actionId,
+      validate
+    });
+    
+    if (edit) {
+      if (edit.startOver) {
+        return await resetUserRegistration(redisClient, whatsappNumber);
+      }
+      if (edit.showSummary) {
+        return await showRegistrationConfirmation(USER_REGISTRATION_FLOW, state, values, getConfirmationHandlers(redisClient, whatsappNumber));
+      }
+      await setUserCreationState(redisClient, whatsappNumber, state);
+      return edit.response;
+    }
+    
+    // Button id when the user tapped Confirm, otherwise the typed text
+    const action = resolveAction(actionId, userInput, [ACTIONS.CONFIRM]);
     
-    if (lowerInput === 'confirm' || lowerInput === 'yes' || lowerInput === 'y') {
+    if (action === ACTIONS.CONFIRM) {
       // User confirmed, create account
-      const userDataWithWhatsApp = { ...state.collectedData, whatsappNumber };
+      // Phone, postal code and state must match the country, which may have been edited after them
+      const mismatch = await recheckCountryFields(USER_REGISTRATION_FLOW.steps, values, validate);
+      if (mismatch) {
+        return mismatch;
+      }
+      const userDataWithWhatsApp = { ...groupAddressFields(values, ADDRESS_FIELDS), whatsappNumber };
       const userCreationResult = await createUserAccount(userDataWithWhatsApp, redisClient);
       await setUserCreationState(redisClient, whatsappNumber, null); // Clear state
       return userCreationResult;
-    } else if (lowerInput === 'edit') {
-      // User wants to edit, start over
-      return await resetUserRegistration(redisClient, whatsappNumber);
     } else {
       // Invalid input
-      return "Please type 'confirm', 'yes', or 'y' to proceed with account creation, or 'edit' to start over.";
+      return replyButtons("Please tap *Confirm* (or type 'confirm', 'yes', or 'y') to proceed with account creation, or *Edit* to change a detail.", CONFIRM_EDIT_BUTTONS);
     }
     
   } catch (error) {
@@ -305,16 +388,17 @@ export async function handleConfirmationStep(redisClient, whatsappNumber, userIn
 // Create individual user account via API
 export async function createUserAccount(userData, redisClient = null) {
   const endpoint = USER_REGISTRATION_FLOW.apiEndpoint;
-  const successMessage = `${USER_REGISTRATION_FLOW.completionMessage}\n\n✅ Your individual account has been created successfully! You can now start using our money transfer services.`;
+  const successMessage = `${USER_REGISTRATION_FLOW.completionMessage}\n\n✅ Your individual account has been created successfully! One last step: verify your identity to start using our money transfer services.`;
   const errorMessage = "❌ There was an error creating your account.";
   
   const result = await makeApiCall(endpoint, userData, successMessage, errorMessage, redisClient);
+  let kycResponse = null;
   
   // If account creation was successful, set user context for current session
   if (result.includes('successfully') && redisClient) {
     try {
       const userContext = {
-        email: userData.email,
+        email: userData.email.toLowerCase(),
         userId: userData.userId || 'pending', // Will be updated when API response is processed
         userType: 'individual',
         fullName: `${userData.firstName} ${userData.lastName}`,
@@ -324,26 +408,29 @@ export async function createUserAccount(userData, redisClient = null) {
       // Set user context for current WhatsApp session
       await redisClient.setEx(`user_context:${userData.whatsappNumber || 'unknown'}`, 3600, JSON.stringify(userContext));
       logger.info(`User context set for WhatsApp session after account creation`);
+
+      // Link the new account to this WhatsApp number so later sessions skip the email verification
+      if (userData.whatsappNumber) {
+        await bindAccount(redisClient, userData.whatsappNumber, userData.email, 'registration');
+      }
       
-      // Check if there's a pending money intent to resume
-      const pendingMoneyIntent = await redisClient.get(`pending_money_intent:${userData.whatsappNumber}`);
-      if (pendingMoneyIntent) {
-        // Clear the pending intent
-        await redisClient.del(`pending_money_intent:${userData.whatsappNumber}`);
-        
-        // Resume the money flow
-        if (pendingMoneyIntent === 'COLLECT_MONEY') {
-          const collectMoneyResponse = await startCollectMoneyFlow(redisClient, userData.whatsappNumber);
-          return `${result}\n\n🔄 **Resuming Collect Money Flow**\n\n${collectMoneyResponse}`;
-        } else if (pendingMoneyIntent === 'SEND_MONEY') {
-          const sendMoneyResponse = `💰 **Send Money Flow Resumed**\n\n👋 **Welcome, ${userData.firstName} ${userData.lastName}!**\n\nI'll help you send money! Here's what we need:\n\n1. **Recipient Details** - Who you want to send money to\n2. **Amount & Currency** - How much and in what currency\n3. **Purpose** - Reason for the transfer\n4. **Payment Method** - How you want to pay\n\n**Examples of what you can say:**\n• "I want to send 1000 PHP to John Doe for rent"\n• "Send 500 USD to my sister for birthday"\n• "Transfer 2000 INR to vendor for services"\n\n**This feature is coming soon!**\n\nFor now, you can:\n• Ask about exchange rates\n• Register another account\n• Get help with other services`;
-          return `${result}\n\n🔄 **Resuming Send Money Flow**\n\n${sendMoneyResponse}`;
-        }
+      // Identity documents are collected right away; a pending money request resumes once KYC is approved
+      await updateKycRecord(redisClient, userData.email, { status: KYC_STATUSES.NOT_STARTED });
+      if (userData.whatsappNumber) {
+        const kycIntro = await startKycFlow(redisClient, userData.whatsappNumber, userData.email);
+        kycResponse = `${result}\n\n${kycIntro}`;
       }
     } catch (error) {
       logger.error(`Error setting user context after account creation: ${error.message}`);
     }
   }
   
+  if (result.includes('successfully')) {
+    return tagResponse(kycResponse || result, RESPONSE_KINDS.ACCOUNT_CREATED, {
+      name: `${userData.firstName} ${userData.lastName}`,
+      email: userData.email
+    });
+  }
+  
   return result;
 }
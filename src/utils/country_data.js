@@ -0,0 +1,465 @@
+// Offline country metadata: ISO 3166-1 codes, calling codes, phone number lengths, postal code
+// formats and ISO 3166-2 subdivision lists. Used to validate and normalize registration details
+// against the country the user entered, without calling any external service.
+// Phone lengths, postal formats and subdivisions cover the main corridors; other countries fall
+// back to generic rules.
+
+// [alpha-2, alpha-3, name, calling code]
+// NANP countries other than US/CA carry their area code in the calling code (e.g. +1876 Jamaica)
+const COUNTRY_ROWS = [
+  ['AD', 'AND', 'Andorra', '376'], ['AE', 'ARE', 'United Arab Emirates', '971'],
+  ['AF', 'AFG', 'Afghanistan', '93'], ['AG', 'ATG', 'Antigua and Barbuda', '1268'],
+  ['AI', 'AIA', 'Anguilla', '1264'], ['AL', 'ALB', 'Albania', '355'],
+  ['AM', 'ARM', 'Armenia', '374'], ['AO', 'AGO', 'Angola', '244'],
+  ['AQ', 'ATA', 'Antarctica', '672'], ['AR', 'ARG', 'Argentina', '54'],
+  ['AS', 'ASM', 'American Samoa', '1684'], ['AT', 'AUT', 'Austria', '43'],
+  ['AU', 'AUS', 'Australia', '61'], ['AW', 'ABW', 'Aruba', '297'],
+  ['AX', 'ALA', 'Åland Islands', '358'], ['AZ', 'AZE', 'Azerbaijan', '994'],
+  ['BA', 'BIH', 'Bosnia and Herzegovina', '387'], ['BB', 'BRB', 'Barbados', '1246'],
+  ['BD', 'BGD', 'Bangladesh', '880'], ['BE', 'BEL', 'Belgium', '32'],
+  ['BF', 'BFA', 'Burkina Faso', '226'], ['BG', 'BGR', 'Bulgaria', '359'],
+  ['BH', 'BHR', 'Bahrain', '973'], ['BI', 'BDI', 'Burundi', '257'],
+  ['BJ', 'BEN', 'Benin', '229'], ['BL', 'BLM', 'Saint Barthélemy', '590'],
+  ['BM', 'BMU', 'Bermuda', '1441'], ['BN', 'BRN', 'Brunei Darussalam', '673'],
+  ['BO', 'BOL', 'Bolivia', '591'], ['BQ', 'BES', 'Bonaire, Sint Eustatius and Saba', '599'],
+  ['BR', 'BRA', 'Brazil', '55'], ['BS', 'BHS', 'Bahamas', '1242'],
+  ['BT', 'BTN', 'Bhutan', '975'], ['BV', 'BVT', 'Bouvet Island', '47'],
+  ['BW', 'BWA', 'Botswana', '267'], ['BY', 'BLR', 'Belarus', '375'],
+  ['BZ', 'BLZ', 'Belize', '501'], ['CA', 'CAN', 'Canada', '1'],
+  ['CC', 'CCK', 'Cocos (Keeling) Islands', '61'], ['CD', 'COD', 'Congo (Democratic Republic)', '243'],
+  ['CF', 'CAF', 'Central African Republic', '236'], ['CG', 'COG', 'Congo', '242'],
+  ['CH', 'CHE', 'Switzerland', '41'], ['CI', 'CIV', "Côte d'Ivoire", '225'],
+  ['CK', 'COK', 'Cook Islands', '682'], ['CL', 'CHL', 'Chile', '56'],
+  ['CM', 'CMR', 'Cameroon', '237'], ['CN', 'CHN', 'China', '86'],
+  ['CO', 'COL', 'Colombia', '57'], ['CR', 'CRI', 'Costa Rica', '506'],
+  ['CU', 'CUB', 'Cuba', '53'], ['CV', 'CPV', 'Cabo Verde', '238'],
+  ['CW', 'CUW', 'Curaçao', '599'], ['CX', 'CXR', 'Christmas Island', '61'],
+  ['CY', 'CYP', 'Cyprus', '357'], ['CZ', 'CZE', 'Czechia', '420'],
+  ['DE', 'DEU', 'Germany', '49'], ['DJ', 'DJI', 'Djibouti', '253'],
+  ['DK', 'DNK', 'Denmark', '45'], ['DM', 'DMA', 'Dominica', '1767'],
+  ['DO', 'DOM', 'Dominican Republic', '1809'], ['DZ', 'DZA', 'Algeria', '213'],
+  ['EC', 'ECU', 'Ecuador', '593'], ['EE', 'EST', 'Estonia', '372'],
+  ['EG', 'EGY', 'Egypt', '20'], ['EH', 'ESH', 'Western Sahara', '212'],
+  ['ER', 'ERI', 'Eritrea', '291'], ['ES', 'ESP', 'Spain', '34'],
+  ['ET', 'ETH', 'Ethiopia', '251'], ['FI', 'FIN', 'Finland', '358'],
+  ['FJ', 'FJI', 'Fiji', '679'], ['FK', 'FLK', 'Falkland Islands', '500'],
+  ['FM', 'FSM', 'Micronesia', '691'], ['FO', 'FRO', 'Faroe Islands', '298'],
+  ['FR', 'FRA', 'France', '33'], ['GA', 'GAB', 'Gabon', '241'],
+  ['GB', 'GBR', 'United Kingdom', '44'], ['GD', 'GRD', 'Grenada', '1473'],
+  ['GE', 'GEO', 'Georgia', '995'], ['GF', 'GUF', 'French Guiana', '594'],
+  ['GG', 'GGY', 'Guernsey', '44'], ['GH', 'GHA', 'Ghana', '233'],
+  ['GI', 'GIB', 'Gibraltar', '350'], ['GL', 'GRL', 'Greenland', '299'],
+  ['GM', 'GMB', 'Gambia', '220'], ['GN', 'GIN', 'Guinea', '224'],
+  ['GP', 'GLP', 'Guadeloupe', '590'], ['GQ', 'GNQ', 'Equatorial Guinea', '240'],
+  ['GR', 'GRC', 'Greece', '30'], ['GS', 'SGS', 'South Georgia and the South Sandwich Islands', '500'],
+  ['GT', 'GTM', 'Guatemala', '502'], ['GU', 'GUM', 'Guam', '1671'],
+  ['GW', 'GNB', 'Guinea-Bissau', '245'], ['GY', 'GUY', 'Guyana', '592'],
+  ['HK', 'HKG', 'Hong Kong', '852'], ['HM', 'HMD', 'Heard Island and McDonald Islands', '672'],
+  ['HN', 'HND', 'Honduras', '504'], ['HR', 'HRV', 'Croatia', '385'],
+  ['HT', 'HTI', 'Haiti', '509'], ['HU', 'HUN', 'Hungary', '36'],
+  ['ID', 'IDN', 'Indonesia', '62'], ['IE', 'IRL', 'Ireland', '353'],
+  ['IL', 'ISR', 'Israel', '972'], ['IM', 'IMN', 'Isle of Man', '44'],
+  ['IN', 'IND', 'India', '91'], ['IO', 'IOT', 'British Indian Ocean Territory', '246'],
+  ['IQ', 'IRQ', 'Iraq', '964'], ['IR', 'IRN', 'Iran', '98'],
+  ['IS', 'ISL', 'Iceland', '354'], ['IT', 'ITA', 'Italy', '39'],
+  ['JE', 'JEY', 'Jersey', '44'], ['JM', 'JAM', 'Jamaica', '1876'],
+  ['JO', 'JOR', 'Jordan', '962'], ['JP', 'JPN', 'Japan', '81'],
+  ['KE', 'KEN', 'Kenya', '254'], ['KG', 'KGZ', 'Kyrgyzstan', '996'],
+  ['KH', 'KHM', 'Cambodia', '855'], ['KI', 'KIR', 'Kiribati', '686'],
+  ['KM', 'COM', 'Comoros', '269'], ['KN', 'KNA', 'Saint Kitts and Nevis', '1869'],
+  ['KP', 'PRK', 'North Korea', '850'], ['KR', 'KOR', 'South Korea', '82'],
+  ['KW', 'KWT', 'Kuwait', '965'], ['KY', 'CYM', 'Cayman Islands', '1345'],
+  ['KZ', 'KAZ', 'Kazakhstan', '7'], ['LA', 'LAO', 'Laos', '856'],
+  ['LB', 'LBN', 'Lebanon', '961'], ['LC', 'LCA', 'Saint Lucia', '1758'],
+  ['LI', 'LIE', 'Liechtenstein', '423'], ['LK', 'LKA', 'Sri Lanka', '94'],
+  ['LR', 'LBR', 'Liberia', '231'], ['LS', 'LSO', 'Lesotho', '266'],
+  ['LT', 'LTU', 'Lithuania', '370'], ['LU', 'LUX', 'Luxembourg', '352'],
+  ['LV', 'LVA', 'Latvia', '371'], ['LY', 'LBY', 'Libya', '218'],
+  ['MA', 'MAR', 'Morocco', '212'], ['MC', 'MCO', 'Monaco', '377'],
+  ['MD', 'MDA', 'Moldova', '373'], ['ME', 'MNE', 'Montenegro', '382'],
+  ['MF', 'MAF', 'Saint Martin (French part)', '590'], ['MG', 'MDG', 'Madagascar', '261'],
+  ['MH', 'MHL', 'Marshall Islands', '692'], ['MK', 'MKD', 'North Macedonia', '389'],
+  ['ML', 'MLI', 'Mali', '223'], ['MM', 'MMR', 'Myanmar', '95'],
+  ['MN', 'MNG', 'Mongolia', '976'], ['MO', 'MAC', 'Macao', '853'],
+  ['MP', 'MNP', 'Northern Mariana Islands', '1670'], ['MQ', 'MTQ', 'Martinique', '596'],
+  ['MR', 'MRT', 'Mauritania', '222'], ['MS', 'MSR', 'Montserrat', '1664'],
+  ['MT', 'MLT', 'Malta', '356'], ['MU', 'MUS', 'Mauritius', '230'],
+  ['MV', 'MDV', 'Maldives', '960'], ['MW', 'MWI', 'Malawi', '265'],
+  ['MX', 'MEX', 'Mexico', '52'], ['MY', 'MYS', 'Malaysia', '60'],
+  ['MZ', 'MOZ', 'Mozambique', '258'], ['NA', 'NAM', 'Namibia', '264'],
+  ['NC', 'NCL', 'New Caledonia', '687'], ['NE', 'NER', 'Niger', '227'],
+  ['NF', 'NFK', 'Norfolk Island', '672'], ['NG', 'NGA', 'Nigeria', '234'],
+  ['NI', 'NIC', 'Nicaragua', '505'], ['NL', 'NLD', 'Netherlands', '31'],
+  ['NO', 'NOR', 'Norway', '47'], ['NP', 'NPL', 'Nepal', '977'],
+  ['NR', 'NRU', 'Nauru', '674'], ['NU', 'NIU', 'Niue', '683'],
+  ['NZ', 'NZL', 'New Zealand', '64'], ['OM', 'OMN', 'Oman', '968'],
+  ['PA', 'PAN', 'Panama', '507'], ['PE', 'PER', 'Peru', '51'],
+  ['PF', 'PYF', 'French Polynesia', '689'], ['PG', 'PNG', 'Papua New Guinea', '675'],
+  ['PH', 'PHL', 'Philippines', '63'], ['PK', 'PAK', 'Pakistan', '92'],
+  ['PL', 'POL', 'Poland', '48'], ['PM', 'SPM', 'Saint Pierre and Miquelon', '508'],
+  ['PN', 'PCN', 'Pitcairn', '64'], ['PR', 'PRI', 'Puerto Rico', '1787'],
+  ['PS', 'PSE', 'Palestine', '970'], ['PT', 'PRT', 'Portugal', '351'],
+  ['PW', 'PLW', 'Palau', '680'], ['PY', 'PRY', 'Paraguay', '595'],
+  ['QA', 'QAT', 'Qatar', '974'], ['RE', 'REU', 'Réunion', '262'],
+  ['RO', 'ROU', 'Romania', '40'], ['RS', 'SRB', 'Serbia', '381'],
+  ['RU', 'RUS', 'Russia', '7'], ['RW', 'RWA', 'Rwanda', '250'],
+  ['SA', 'SAU', 'Saudi Arabia', '966'], ['SB', 'SLB', 'Solomon Islands', '677'],
+  ['SC', 'SYC', 'Seychelles', '248'], ['SD', 'SDN', 'Sudan', '249'],
+  ['SE', 'SWE', 'Sweden', '46'], ['SG', 'SGP', 'Singapore', '65'],
+  ['SH', 'SHN', 'Saint Helena', '290'], ['SI', 'SVN', 'Slovenia', '386'],
+  ['SJ', 'SJM', 'Svalbard and Jan Mayen', '47'], ['SK', 'SVK', 'Slovakia', '421'],
+  ['SL', 'SLE', 'Sierra Leone', '232'], ['SM', 'SMR', 'San Marino', '378'],
+  ['SN', 'SEN', 'Senegal', '221'], ['SO', 'SOM', 'Somalia', '252'],
+  ['SR', 'SUR', 'Suriname', '597'], ['SS', 'SSD', 'South Sudan', '211'],
+  ['ST', 'STP', 'Sao Tome and Principe', '239'], ['SV', 'SLV', 'El Salvador', '503'],
+  ['SX', 'SXM', 'Sint Maarten (Dutch part)', '1721'], ['SY', 'SYR', 'Syria', '963'],
+  ['SZ', 'SWZ', 'Eswatini', '268'], ['TC', 'TCA', 'Turks and Caicos Islands', '1649'],
+  ['TD', 'TCD', 'Chad', '235'], ['TF', 'ATF', 'French Southern Territories', '262'],
+  ['TG', 'TGO', 'Togo', '228'], ['TH', 'THA', 'Thailand', '66'],
+  ['TJ', 'TJK', 'Tajikistan', '992'], ['TK', 'TKL', 'Tokelau', '690'],
+  ['TL', 'TLS', 'Timor-Leste', '670'], ['TM', 'TKM', 'Turkmenistan', '993'],
+  ['TN', 'TUN', 'Tunisia', '216'], ['TO', 'TON', 'Tonga', '676'],
+  ['TR', 'TUR', 'Türkiye', '90'], ['TT', 'TTO', 'Trinidad and Tobago', '1868'],
+  ['TV', 'TUV', 'Tuvalu', '688'], ['TW', 'TWN', 'Taiwan', '886'],
+  ['TZ', 'TZA', 'Tanzania', '255'], ['UA', 'UKR', 'Ukraine', '380'],
+  ['UG', 'UGA', 'Uganda', '256'], ['UM', 'UMI', 'United States Minor Outlying Islands', '1'],
+  ['US', 'USA', 'United States', '1'], ['UY', 'URY', 'Uruguay', '598'],
+  ['UZ', 'UZB', 'Uzbekistan', '998'], ['VA', 'VAT', 'Holy See', '379'],
+  ['VC', 'VCT', 'Saint Vincent and the Grenadines', '1784'], ['VE', 'VEN', 'Venezuela', '58'],
+  ['VG', 'VGB', 'British Virgin Islands', '1284'], ['VI', 'VIR', 'U.S. Virgin Islands', '1340'],
+  ['VN', 'VNM', 'Vietnam', '84'], ['VU', 'VUT', 'Vanuatu', '678'],
+  ['WF', 'WLF', 'Wallis and Futuna', '681'], ['WS', 'WSM', 'Samoa', '685'],
+  ['XK', 'XKX', 'Kosovo', '383'], ['YE', 'YEM', 'Yemen', '967'],
+  ['YT', 'MYT', 'Mayotte', '262'], ['ZA', 'ZAF', 'South Africa', '27'],
+  ['ZM', 'ZMB', 'Zambia', '260'], ['ZW', 'ZWE', 'Zimbabwe', '263']
+];
+
+// Other names users type for a country -> alpha-2
+const COUNTRY_ALIASES = {
+  'uk': 'GB', 'great britain': 'GB', 'britain': 'GB', 'england': 'GB', 'scotland': 'GB', 'wales': 'GB',
+  'northern ireland': 'GB', 'usa': 'US', 'us': 'US', 'america': 'US', 'united states of america': 'US',
+  'uae': 'AE', 'emirates': 'AE', 'bharat': 'IN', 'turkey': 'TR', 'russian federation': 'RU',
+  'korea': 'KR', 'republic of korea': 'KR', 'viet nam': 'VN', 'czech republic': 'CZ', 'holland': 'NL',
+  'the netherlands': 'NL', 'ivory coast': 'CI', 'swaziland': 'SZ', 'cape verde': 'CV', 'burma': 'MM',
+  'macedonia': 'MK', 'drc': 'CD', 'dr congo': 'CD', 'vatican': 'VA', 'east timor': 'TL'
+};
+
+// Calling codes shared by several countries -> the country a bare number is attributed to
+const SHARED_CALLING_CODE_COUNTRIES = {
+  1: 'US', 7: 'RU', 44: 'GB', 47: 'NO', 61: 'AU', 64: 'NZ', 212: 'MA', 262: 'RE', 358: 'FI', 500: 'FK',
+  590: 'GP', 599: 'CW', 672: 'NF'
+};
+
+// Longer prefixes that identify a country within a shared calling code
+const CALLING_PREFIX_COUNTRIES = {
+  76: 'KZ', 77: 'KZ', 441481: 'GG', 441534: 'JE', 441624: 'IM', 1829: 'DO', 1849: 'DO', 1939: 'PR'
+};
+
+// Canadian area codes within +1
+const CANADIAN_AREA_CODES = new Set([
+  '204', '226', '236', '249', '250', '263', '289', '306', '343', '354', '365', '367', '368', '382', '403',
+  '416', '418', '428', '431', '437', '438', '450', '468', '474', '506', '514', '519', '548', '579', '581',
+  '584', '587', '604', '613', '639', '647', '672', '683', '705', '709', '742', '753', '778', '780', '782',
+  '807', '819', '825', '867', '873', '879', '902', '905'
+]);
+
+// National significant number length [min, max] (digits after the calling code, without trunk prefix).
+// Countries not listed accept 4-14 digits (E.164 allows 15 digits in total).
+const PHONE_NUMBER_LENGTHS = {
+  AE: [8, 9], AR: [10, 10], AU: [9, 9], BD: [10, 10], BE: [8, 9], BR: [10, 11], CA: [10, 10],
+  CH: [9, 9], CL: [9, 9], CN: [10, 11], CO: [10, 10], DE: [6, 13], EG: [9, 10], ES: [9, 9],
+  FR: [9, 9], GB: [9, 10], GH: [9, 9], HK: [8, 8], ID: [9, 12], IE: [7, 9], IN: [10, 10],
+  IT: [6, 11], JP: [9, 10], KE: [9, 9], KR: [8, 10], KZ: [10, 10], MX: [10, 10], MY: [9, 10],
+  NG: [8, 10], NL: [9, 9], NZ: [8, 10], PE: [8, 9], PH: [10, 10], PK: [10, 10], PL: [9, 9],
+  PT: [9, 9], RU: [10, 10], SA: [9, 9], SE: [7, 9], SG: [8, 8], TH: [9, 9], TR: [10, 10],
+  TZ: [9, 9], UG: [9, 9], US: [10, 10], VN: [9, 10], ZA: [9, 9]
+};
+
+// Countries whose national numbers are written with a leading trunk "0" that is dropped internationally
+// (countries not listed never strip a leading digit)
+const TRUNK_PREFIX_COUNTRIES = new Set([
+  'AE', 'AR', 'AU', 'BD', 'BE', 'BR', 'CH', 'CN', 'DE', 'EG', 'FR', 'GB', 'GH', 'ID', 'IE', 'IN', 'JP',
+  'KE', 'KR', 'MY', 'NG', 'NL', 'NZ', 'PE', 'PH', 'PK', 'SA', 'SE', 'TH', 'TR', 'TZ', 'UG', 'VN', 'ZA'
+]);
+
+// Postal code formats: pattern over the compacted code (uppercase, no spaces or dashes),
+// the canonical layouts ('#' = next character; picked by length) and an example
+const POSTAL_CODE_FORMATS = {
+  AR: { pattern: /^([A-Z]\d{4}[A-Z]{3}|\d{4})$/, example: 'C1425DKA' },
+  AT: { pattern: /^\d{4}$/, example: '1010' },
+  AU: { pattern: /^\d{4}$/, example: '2000' },
+  BD: { pattern: /^\d{4}$/, example: '1212' },
+  BE: { pattern: /^\d{4}$/, example: '1000' },
+  BR: { pattern: /^\d{8}$/, layouts: ['#####-###'], example: '01310-100' },
+  CA: { pattern: /^[ABCEGHJ-NPRSTVXY]\d[A-Z]\d[A-Z]\d$/, layouts: ['### ###'], example: 'K1A 0B1' },
+  CH: { pattern: /^\d{4}$/, example: '8001' },
+  CL: { pattern: /^\d{7}$/, example: '8320000' },
+  CN: { pattern: /^\d{6}$/, example: '100000' },
+  CO: { pattern: /^\d{6}$/, example: '110111' },
+  CZ: { pattern: /^\d{5}$/, layouts: ['### ##'], example: '110 00' },
+  DE: { pattern: /^\d{5}$/, example: '10115' },
+  DK: { pattern: /^\d{4}$/, example: '1050' },
+  EG: { pattern: /^\d{5}$/, example: '11511' },
+  ES: { pattern: /^\d{5}$/, example: '28001' },
+  FI: { pattern: /^\d{5}$/, example: '00100' },
+  FR: { pattern: /^\d{5}$/, example: '75001' },
+  GB: { pattern: /^[A-Z]{1,2}\d[A-Z\d]?\d[A-Z]{2}$/, layouts: ['## ###', '### ###', '#### ###'], example: 'SW1A 1AA' },
+  GR: { pattern: /^\d{5}$/, layouts: ['### ##'], example: '105 57' },
+  HU: { pattern: /^\d{4}$/, example: '1051' },
+  ID: { pattern: /^\d{5}$/, example: '10110' },
+  IE: { pattern: /^[AC-FHKNPRTV-Y]\d{2}[0-9AC-FHKNPRTV-Y]{4}$|^D6W[0-9AC-FHKNPRTV-Y]{4}$/, layouts: ['### ####'], example: 'D02 X285' },
+  IL: { pattern: /^\d{7}$/, example: '6100000' },
+  IN: { pattern: /^[1-9]\d{5}$/, example: '400001' },
+  IT: { pattern: /^\d{5}$/, example: '00118' },
+  JP: { pattern: /^\d{7}$/, layouts: ['###-####'], example: '100-0001' },
+  KE: { pattern: /^\d{5}$/, example: '00100' },
+  KR: { pattern: /^\d{5}$/, example: '03051' },
+  KZ: { pattern: /^\d{6}$/, example: '050000' },
+  LK: { pattern: /^\d{5}$/, example: '00100' },
+  MX: { pattern: /^\d{5}$/, example: '06000' },
+  MY: { pattern: /^\d{5}$/, example: '50000' },
+  NG: { pattern: /^\d{6}$/, example: '100001' },
+  NL: { pattern: /^[1-9]\d{3}[A-Z]{2}$/, layouts: ['#### ##'], example: '1012 AB' },
+  NO: { pattern: /^\d{4}$/, example: '0150' },
+  NP: { pattern: /^\d{5}$/, example: '44600' },
+  NZ: { pattern: /^\d{4}$/, example: '6011' },
+  PE: { pattern: /^\d{5}$/, example: '15001' },
+  PH: { pattern: /^\d{4}$/, example: '1000' },
+  PK: { pattern: /^\d{5}$/, example: '44000' },
+  PL: { pattern: /^\d{5}$/, layouts: ['##-###'], example: '00-950' },
+  PT: { pattern: /^\d{7}$/, layouts: ['####-###'], example: '1000-001' },
+  RO: { pattern: /^\d{6}$/, example: '010011' },
+  RU: { pattern: /^\d{6}$/, example: '101000' },
+  SA: { pattern: /^\d{5}(\d{4})?$/, example: '11564' },
+  SE: { pattern: /^\d{5}$/, layouts: ['### ##'], example: '114 55' },
+  SG: { pattern: /^\d{6}$/, example: '018956' },
+  SK: { pattern: /^\d{5}$/, layouts: ['### ##'], example: '811 01' },
+  TH: { pattern: /^\d{5}$/, example: '10200' },
+  TR: { pattern: /^\d{5}$/, example: '06100' },
+  TW: { pattern: /^\d{3}(\d{2,3})?$/, example: '100' },
+  UA: { pattern: /^\d{5}$/, example: '01001' },
+  US: { pattern: /^\d{5}(\d{4})?$/, layouts: ['#####', '#####-####'], example: '94105' },
+  VN: { pattern: /^\d{6}$/, example: '100000' },
+  ZA: { pattern: /^\d{4}$/, example: '2000' }
+};
+
+// Countries without a national postal code system
+const NO_POSTAL_CODE_COUNTRIES = new Set([
+  'AE', 'AG', 'AO', 'AW', 'BF', 'BI', 'BJ', 'BO', 'BS', 'BW', 'BZ', 'CD', 'CF', 'CG', 'CI', 'CK', 'CM',
+  'DJ', 'DM', 'ER', 'FJ', 'GD', 'GH', 'GM', 'GQ', 'GY', 'HK', 'KI', 'KM', 'KN', 'KP', 'LY', 'ML', 'MO',
+  'MR', 'NR', 'NU', 'QA', 'RW', 'SB', 'SC', 'SL', 'SR', 'ST', 'SY', 'TD', 'TG', 'TK', 'TL', 'TO', 'TV',
+  'UG', 'VU', 'YE', 'ZW'
+]);
+
+// ISO 3166-2 subdivisions (code suffix -> name) for the main corridors
+const SUBDIVISIONS = {
+  AE: {
+    AJ: 'Ajman', AZ: 'Abu Dhabi', DU: 'Dubai', FU: 'Fujairah', RK: 'Ras al-Khaimah', SH: 'Sharjah',
+    UQ: 'Umm al-Quwain'
+  },
+  AU: {
+    ACT: 'Australian Capital Territory', NSW: 'New South Wales', NT: 'Northern Territory', QLD: 'Queensland',
+    SA: 'South Australia', TAS: 'Tasmania', VIC: 'Victoria', WA: 'Western Australia'
+  },
+  BR: {
+    AC: 'Acre', AL: 'Alagoas', AM: 'Amazonas', AP: 'Amapá', BA: 'Bahia', CE: 'Ceará', DF: 'Distrito Federal',
+    ES: 'Espírito Santo', GO: 'Goiás', MA: 'Maranhão', MG: 'Minas Gerais', MS: 'Mato Grosso do Sul',
+    MT: 'Mato Grosso', PA: 'Pará', PB: 'Paraíba', PE: 'Pernambuco', PI: 'Piauí', PR: 'Paraná',
+    RJ: 'Rio de Janeiro', RN: 'Rio Grande do Norte', RO: 'Rondônia', RR: 'Roraima', RS: 'Rio Grande do Sul',
+    SC: 'Santa Catarina', SE: 'Sergipe', SP: 'São Paulo', TO: 'Tocantins'
+  },
+  CA: {
+    AB: 'Alberta', BC: 'British Columbia', MB: 'Manitoba', NB: 'New Brunswick', NL: 'Newfoundland and Labrador',
+    NS: 'Nova Scotia', NT: 'Northwest Territories', NU: 'Nunavut', ON: 'Ontario', PE: 'Prince Edward Island',
+    QC: 'Quebec', SK: 'Saskatchewan', YT: 'Yukon'
+  },
+  DE: {
+    BB: 'Brandenburg', BE: 'Berlin', BW: 'Baden-Württemberg', BY: 'Bayern', HB: 'Bremen', HE: 'Hessen',
+    HH: 'Hamburg', MV: 'Mecklenburg-Vorpommern', NI: 'Niedersachsen', NW: 'Nordrhein-Westfalen',
+    RP: 'Rheinland-Pfalz', SH: 'Schleswig-Holstein', SL: 'Saarland', SN: 'Sachsen', ST: 'Sachsen-Anhalt',
+    TH: 'Thüringen'
+  },
+  IN: {
+    AN: 'Andaman and Nicobar Islands', AP: 'Andhra Pradesh', AR: 'Arunachal Pradesh', AS: 'Assam', BR: 'Bihar',
+    CG: 'Chhattisgarh', CH: 'Chandigarh', DH: 'Dadra and Nagar Haveli and Daman and Diu', DL: 'Delhi',
+    GA: 'Goa', GJ: 'Gujarat', HP: 'Himachal Pradesh', HR: 'Haryana', JH: 'Jharkhand', JK: 'Jammu and Kashmir',
+    KA: 'Karnataka', KL: 'Kerala', LA: 'Ladakh', LD: 'Lakshadweep', MH: 'Maharashtra', ML: 'Meghalaya',
+    MN: 'Manipur', MP: 'Madhya Pradesh', MZ: 'Mizoram', NL: 'Nagaland', OD: 'Odisha', PB: 'Punjab',
+    PY: 'Puducherry', RJ: 'Rajasthan', SK: 'Sikkim', TN: 'Tamil Nadu', TR: 'Tripura', TS: 'Telangana',
+    UK: 'Uttarakhand', UP: 'Uttar Pradesh', WB: 'West Bengal'
+  },
+  MX: {
+    AGU: 'Aguascalientes', BCN: 'Baja California', BCS: 'Baja California Sur', CAM: 'Campeche',
+    CHH: 'Chihuahua', CHP: 'Chiapas', CMX: 'Ciudad de México', COA: 'Coahuila', COL: 'Colima',
+    DUR: 'Durango', GRO: 'Guerrero', GUA: 'Guanajuato', HID: 'Hidalgo', JAL: 'Jalisco', MEX: 'México',
+    MIC: 'Michoacán', MOR: 'Morelos', NAY: 'Nayarit', NLE: 'Nuevo León', OAX: 'Oaxaca', PUE: 'Puebla',
+    QUE: 'Querétaro', ROO: 'Quintana Roo', SIN: 'Sinaloa', SLP: 'San Luis Potosí', SON: 'Sonora',
+    TAB: 'Tabasco', TAM: 'Tamaulipas', TLA: 'Tlaxcala', VER: 'Veracruz', YUC: 'Yucatán', ZAC: 'Zacatecas'
+  },
+  NG: {
+    AB: 'Abia', AD: 'Adamawa', AK: 'Akwa Ibom', AN: 'Anambra', BA: 'Bauchi', BE: 'Benue', BO: 'Borno',
+    BY: 'Bayelsa', CR: 'Cross River', DE: 'Delta', EB: 'Ebonyi', ED: 'Edo', EK: 'Ekiti', EN: 'Enugu',
+    FC: 'Federal Capital Territory', GO: 'Gombe', IM: 'Imo', JI: 'Jigawa', KD: 'Kaduna', KE: 'Kebbi',
+    KN: 'Kano', KO: 'Kogi', KT: 'Katsina', KW: 'Kwara', LA: 'Lagos', NA: 'Nasarawa', NI: 'Niger',
+    OG: 'Ogun', ON: 'Ondo', OS: 'Osun', OY: 'Oyo', PL: 'Plateau', RI: 'Rivers', SO: 'Sokoto',
+    TA: 'Taraba', YO: 'Yobe', ZA: 'Zamfara'
+  },
+  US: {
+    AK: 'Alaska', AL: 'Alabama', AR: 'Arkansas', AZ: 'Arizona', CA: 'California', CO: 'Colorado',
+    CT: 'Connecticut', DC: 'District of Columbia', DE: 'Delaware', FL: 'Florida', GA: 'Georgia',
+    HI: 'Hawaii', IA: 'Iowa', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', KS: 'Kansas', KY: 'Kentucky',
+    LA: 'Louisiana', MA: 'Massachusetts', MD: 'Maryland', ME: 'Maine', MI: 'Michigan', MN: 'Minnesota',
+    MO: 'Missouri', MS: 'Mississippi', MT: 'Montana', NC: 'North Carolina', ND: 'North Dakota',
+    NE: 'Nebraska', NH: 'New Hampshire', NJ: 'New Jersey', NM: 'New Mexico', NV: 'Nevada', NY: 'New York',
+    OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina',
+    SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VA: 'Virginia', VT: 'Vermont',
+    WA: 'Washington', WI: 'Wisconsin', WV: 'West Virginia', WY: 'Wyoming'
+  },
+  ZA: {
+    EC: 'Eastern Cape', FS: 'Free State', GP: 'Gauteng', KZN: 'KwaZulu-Natal', LP: 'Limpopo',
+    MP: 'Mpumalanga', NC: 'Northern Cape', NW: 'North West', WC: 'Western Cape'
+  }
+};
+
+// Former codes and common alternative names of subdivisions -> current code
+const SUBDIVISION_ALIASES = {
+  DE: {
+    'bavaria': 'BY', 'hesse': 'HE', 'lower saxony': 'NI', 'north rhine westphalia': 'NW',
+    'rhineland palatinate': 'RP', 'saxony': 'SN', 'saxony anhalt': 'ST', 'thuringia': 'TH'
+  },
+  IN: {
+    'ct': 'CG', 'or': 'OD', 'tg': 'TS', 'ut': 'UK', 'dd': 'DH', 'dn': 'DH', 'orissa': 'OD',
+    'pondicherry': 'PY', 'uttaranchal': 'UK', 'new delhi': 'DL', 'nct of delhi': 'DL'
+  },
+  MX: { 'cdmx': 'CMX', 'mexico city': 'CMX', 'estado de mexico': 'MEX', 'state of mexico': 'MEX' },
+  NG: { 'abuja': 'FC', 'fct': 'FC' },
+  ZA: { 'kwazulu natal': 'KZN', 'natal': 'KZN' }
+};
+
+// Lowercase, strip accents and punctuation so "São Paulo", "sao-paulo" and "SAO PAULO" compare equal
+function toLookupKey(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+const COUNTRIES = COUNTRY_ROWS.map(([alpha2, alpha3, name, callingCode]) => ({ alpha2, alpha3, name, callingCode }));
+
+// Lookup tables built once at load time
+const COUNTRIES_BY_KEY = new Map();
+for (const country of COUNTRIES) {
+  COUNTRIES_BY_KEY.set(country.alpha2.toLowerCase(), country);
+  COUNTRIES_BY_KEY.set(country.alpha3.toLowerCase(), country);
+  COUNTRIES_BY_KEY.set(toLookupKey(country.name), country);
+}
+for (const [alias, alpha2] of Object.entries(COUNTRY_ALIASES)) {
+  COUNTRIES_BY_KEY.set(alias, COUNTRIES_BY_KEY.get(alpha2.toLowerCase()));
+}
+
+const COUNTRIES_BY_CALLING_PREFIX = new Map();
+for (const country of COUNTRIES) {
+  if (!COUNTRIES_BY_CALLING_PREFIX.has(country.callingCode)) {
+    COUNTRIES_BY_CALLING_PREFIX.set(country.callingCode, country.alpha2);
+  }
+}
+for (const [prefix, alpha2] of Object.entries({ ...SHARED_CALLING_CODE_COUNTRIES, ...CALLING_PREFIX_COUNTRIES })) {
+  COUNTRIES_BY_CALLING_PREFIX.set(prefix, alpha2);
+}
+const LONGEST_CALLING_PREFIX = Math.max(...[...COUNTRIES_BY_CALLING_PREFIX.keys()].map(prefix => prefix.length));
+
+/**
+ * Find a country by ISO 3166-1 alpha-2 or alpha-3 code, English name or common alias
+ * @param {string} value - e.g. "IN", "ind", "India", "UK", "Côte d'Ivoire"
+ * @returns {{ alpha2: string, alpha3: string, name: string, callingCode: string }|null} Country, or null when unknown
+ */
+export function findCountry(value) {
+  return COUNTRIES_BY_KEY.get(toLookupKey(value)) || null;
+}
+
+/**
+ * Find the country of an international number from its leading digits (longest matching prefix)
+ * @param {string} digits - International number without "+", e.g. "919876543210"
+ * @returns {{ country: string, callingCode: string }|null} Alpha-2 country and the calling code the number
+ *   starts with, or null when no calling code matches
+ */
+export function findCountryByNumber(digits) {
+  for (let length = Math.min(LONGEST_CALLING_PREFIX, digits.length); length > 0; length--) {
+    const prefix = digits.slice(0, length);
+    let country = COUNTRIES_BY_CALLING_PREFIX.get(prefix);
+    if (!country) {
+      continue;
+    }
+    if (country === 'US' && CANADIAN_AREA_CODES.has(digits.slice(1, 4))) {
+      country = 'CA';
+    }
+    // +77… is Kazakhstan's +7, but +1829… is a second NANP code of the Dominican Republic (+1809)
+    const { callingCode } = findCountry(country);
+    return { country, callingCode: digits.startsWith(callingCode) ? callingCode : prefix };
+  }
+  return null;
+}
+
+/**
+ * Allowed length of a national significant number
+ * @param {string} alpha2 - Country code
+ * @returns {{ min: number, max: number, trunkPrefix: boolean }} Digit range, and whether a leading "0"
+ *   trunk prefix may be typed in front of it
+ */
+export function getPhoneNumberRules(alpha2) {
+  const country = findCountry(alpha2);
+  const nanpTerritory = country && country.callingCode.length === 4 && country.callingCode.startsWith('1');
+  const [min, max] = PHONE_NUMBER_LENGTHS[alpha2] || (nanpTerritory ? [7, 7] : [4, 14]);
+  return { min, max, trunkPrefix: TRUNK_PREFIX_COUNTRIES.has(alpha2) };
+}
+
+/**
+ * Postal code format of a country
+ * @param {string} alpha2 - Country code
+ * @returns {{ pattern: RegExp, layouts?: string[], example: string }|null} Format, or null when the country
+ *   has no known format
+ */
+export function getPostalCodeFormat(alpha2) {
+  return POSTAL_CODE_FORMATS[alpha2] || null;
+}
+
+/**
+ * Check whether a country uses postal codes
+ * @param {string} alpha2 - Country code
+ * @returns {boolean} False for countries without a national postal code system
+ */
+export function usesPostalCodes(alpha2) {
+  return !NO_POSTAL_CODE_COUNTRIES.has(alpha2);
+}
+
+/**
+ * Subdivisions (states, provinces, regions) of a country
+ * @param {string} alpha2 - Country code
+ * @returns {Object<string, string>|null} ISO 3166-2 code suffix -> name, or null when the list isn't bundled
+ */
+export function getSubdivisions(alpha2) {
+  return SUBDIVISIONS[alpha2] || null;
+}
+
+/**
+ * Find a subdivision by ISO 3166-2 code ("MH" or "IN-MH"), name or common alias
+ * @param {string} alpha2 - Country code
+ * @param {string} value - Typed state, e.g. "maharashtra", "MH", "Orissa"
+ * @returns {{ code: string, name: string }|null} Subdivision, or null when not found (or no list is bundled)
+ */
+export function findSubdivision(alpha2, value) {
+  const subdivisions = getSubdivisions(alpha2);
+  if (!subdivisions) {
+    return null;
+  }
+
+  const key = toLookupKey(value).replace(new RegExp(`^${alpha2.toLowerCase()} `), '');
+  const aliases = SUBDIVISION_ALIASES[alpha2] || {};
+  const code = Object.keys(subdivisions).find(candidate =>
+    candidate.toLowerCase() === key || toLookupKey(subdivisions[candidate]) === key
+  ) || aliases[key];
+
+  return code ? { code, name: subdivisions[code] } : null;
+}
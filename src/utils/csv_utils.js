@@ -0,0 +1,83 @@
+/**
+ * Minimal CSV parsing for admin uploads (campaign audiences).
+ */
+
+/**
+ * Split CSV text into rows of fields. Supports quoted fields with commas, escaped quotes ("")
+ * and line breaks, and both \n and \r\n line endings.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of raw field values
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Invalid CSV: unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by column name
+ * @param {string} text - CSV text
+ * @returns {{columns: Array<string>, rows: Array<Object>}} Column names and one object per data row
+ */
+export function parseCsv(text) {
+  const [header, ...dataRows] = parseCsvRows(String(text || '').replace(/^\uFEFF/, ''));
+  if (!header) {
+    throw new Error('Invalid CSV: missing header row');
+  }
+
+  const columns = header.map(column => column.trim());
+  const rows = dataRows.map(fields => {
+    const row = {};
+    columns.forEach((column, index) => {
+      row[column] = (fields[index] || '').trim();
+    });
+    return row;
+  });
+
+  return { columns, rows };
+}
@@ -0,0 +1,138 @@
+// Calendar dates typed by users.
+// Dates are parsed strictly (no rollover: 31-02-2000 is rejected, not read as 2 March) and stored in
+// the DD-MM-YYYY form the Transfi API expects. Day-first numeric dates, ISO dates and dates with an
+// English month name are accepted; two-digit years are not, as they are ambiguous.
+
+const MONTH_NAMES = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+// 15-03-1990, 15/3/1990, 15.03.1990
+const DAY_FIRST_PATTERN = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/;
+// 1990-03-15
+const ISO_PATTERN = /^(\d{4})-(\d{1,2})-(\d{1,2})$/;
+// 15 March 1990, 15th Mar 1990, 15-Mar-1990
+const DAY_MONTH_NAME_PATTERN = /^(\d{1,2})(?:st|nd|rd|th)?[\s-]+([a-z]+)\.?,?[\s-]+(\d{4})$/i;
+// March 15, 1990
+const MONTH_NAME_DAY_PATTERN = /^([a-z]+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/i;
+// 15-03-90, 15 Mar 90, March 15, 90: a date whose year has only two digits
+const TWO_DIGIT_YEAR_PATTERN = /^(?:\d{1,2}[-/.]\d{1,2}[-/.]|\d{1,2}(?:st|nd|rd|th)?[\s-]+[a-z]+\.?,?[\s-]+|[a-z]+\.?\s+\d{1,2}(?:st|nd|rd|th)?,?\s+)'?\d{2}$/i;
+// Two numbers with a separator between them, e.g. "15.3" or "3/15"
+const NUMBERS_WITH_SEPARATOR_PATTERN = /\d\s*[-/.,]\s*\d|\d\s+\d/;
+
+// Month number of an English month name or abbreviation ("mar", "sept"), or null
+function parseMonthName(name) {
+  const lowerName = name.toLowerCase();
+  if (lowerName.length < 3) {
+    return null;
+  }
+  const index = MONTH_NAMES.findIndex(month => month.startsWith(lowerName));
+  return index === -1 ? null : index + 1;
+}
+
+// Year, month and day of the input by format, before the calendar check
+function matchDateParts(text) {
+  let match = DAY_FIRST_PATTERN.exec(text);
+  if (match) {
+    return { day: Number(match[1]), month: Number(match[2]), year: Number(match[3]) };
+  }
+  match = ISO_PATTERN.exec(text);
+  if (match) {
+    return { day: Number(match[3]), month: Number(match[2]), year: Number(match[1]) };
+  }
+  match = DAY_MONTH_NAME_PATTERN.exec(text);
+  if (match) {
+    return { day: Number(match[1]), month: parseMonthName(match[2]), year: Number(match[3]) };
+  }
+  match = MONTH_NAME_DAY_PATTERN.exec(text);
+  if (match) {
+    return { day: Number(match[2]), month: parseMonthName(match[1]), year: Number(match[3]) };
+  }
+  return null;
+}
+
+/**
+ * Number of days in a month
+ * @param {number} year - Full year
+ * @param {number} month - Month, 1-12
+ * @returns {number} 28-31
+ */
+export function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Parse a typed date strictly
+ * @param {string} input - e.g. "15-03-1990", "15/3/1990", "1990-03-15", "15 March 1990", "March 15, 1990"
+ * @returns {{ date: { day: number, month: number, year: number }|null, error: string|null }}
+ *   The date, or an error: 'format' (not a recognized date format), 'year' (two-digit year, e.g. 15-03-90)
+ *   or 'calendar' (no such day, e.g. 31-02-2000)
+ */
+export function parseDate(input) {
+  const text = String(input || '').trim().replace(/\s+/g, ' ');
+  const parts = matchDateParts(text);
+  if (!parts || parts.month === null) {
+    return { date: null, error: TWO_DIGIT_YEAR_PATTERN.test(text) ? 'year' : 'format' };
+  }
+
+  const { day, month, year } = parts;
+  if (month < 1 || month > 12 || year < 1000 || day < 1 || day > daysInMonth(year, month)) {
+    return { date: null, error: 'calendar' };
+  }
+  return { date: { day, month, year }, error: null };
+}
+
+/**
+ * Check whether free text could be a date worth reading with a looser parser: numbers with a
+ * separator ("15.3.1990", "15 3 1990") or an English month name ("the 15th of March")
+ * @param {string} input - Typed text
+ * @returns {boolean} True when the text looks like a date
+ */
+export function looksLikeDate(input) {
+  const text = String(input || '');
+  if (NUMBERS_WITH_SEPARATOR_PATTERN.test(text)) {
+    return true;
+  }
+  return (text.match(/[a-z]+/gi) || []).some(word => parseMonthName(word) !== null);
+}
+
+/**
+ * Format a date as DD-MM-YYYY
+ * @param {{ day: number, month: number, year: number }} date - Parsed date
+ * @returns {string} e.g. "05-03-1990"
+ */
+export function formatDate({ day, month, year }) {
+  return `${String(day).padStart(2, '0')}-${String(month).padStart(2, '0')}-${year}`;
+}
+
+/**
+ * Today's date (server time zone)
+ * @returns {{ day: number, month: number, year: number }}
+ */
+export function getToday() {
+  const now = new Date();
+  return { day: now.getDate(), month: now.getMonth() + 1, year: now.getFullYear() };
+}
+
+/**
+ * Compare two dates
+ * @param {{ day: number, month: number, year: number }} a - First date
+ * @param {{ day: number, month: number, year: number }} b - Second date
+ * @returns {number} Negative when a is before b, 0 when equal, positive when after
+ */
+export function compareDates(a, b) {
+  return (a.year - b.year) || (a.month - b.month) || (a.day - b.day);
+}
+
+/**
+ * Age in whole years on a given day (birthdays on 29 February count from 1 March in other years)
+ * @param {{ day: number, month: number, year: number }} birthDate - Date of birth
+ * @param {{ day: number, month: number, year: number }} [onDate] - Day to compute the age on (default: today)
+ * @returns {number} Completed years
+ */
+export function calculateAge(birthDate, onDate = getToday()) {
+  const hadBirthday = onDate.month > birthDate.month ||
+    (onDate.month === birthDate.month && onDate.day >= birthDate.day);
+  return onDate.year - birthDate.year - (hadBirthday ? 0 : 1);
+}
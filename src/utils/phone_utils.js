@@ -0,0 +1,90 @@
+import { findCountry, findCountryByNumber, getPhoneNumberRules } from './country_data.js';
+
+// Phone numbers in E.164 form (+<country calling code><national number>).
+// WhatsApp sends the sender as a wa_id: the international number without "+" or spaces, e.g.
+// "919876543210". The country is derived from the calling code (see country_data.js); codes shared
+// by several countries map to the main one (+1 to US, with Canadian area codes mapped to CA; +7 to RU;
+// +44 to GB) unless a longer prefix identifies the country.
+
+// Digits of a typed number, without "+"/"00" and separators
+function toDigits(phoneNumber) {
+  return String(phoneNumber || '').replace(/^\s*(\+|00)/, '').replace(/[\s().-]/g, '');
+}
+
+// Check whether a national number length is allowed by a country's rules
+function fitsRules(nationalNumber, rules) {
+  return nationalNumber.length >= rules.min && nationalNumber.length <= rules.max;
+}
+
+/**
+ * Normalize a phone number (a WhatsApp wa_id, or a number typed with "+", spaces or dashes) to E.164.
+ * @param {string} phoneNumber - International number, e.g. "919876543210" or "+91 98765-43210"
+ * @returns {{ e164: string, callingCode: string, nationalNumber: string, country: string }|null}
+ *   null when the number isn't a plausible international number (8-15 digits with a known calling code)
+ */
+export function parseInternationalNumber(phoneNumber) {
+  const digits = toDigits(phoneNumber);
+  if (!/^[1-9]\d{7,14}$/.test(digits)) {
+    return null;
+  }
+
+  const match = findCountryByNumber(digits);
+  if (!match) {
+    return null;
+  }
+
+  const nationalNumber = digits.slice(match.callingCode.length);
+  return { e164: `+${digits}`, callingCode: match.callingCode, nationalNumber, country: match.country };
+}
+
+/**
+ * Normalize a phone number typed by someone living in `countryCode` to E.164.
+ * Numbers starting with "+" or "00" are read as international (any country); other numbers are read
+ * in the country's national format: a trunk "0" is dropped and a repeated calling code is accepted.
+ * @param {string} phoneNumber - Typed number, e.g. "098765 43210", "+44 7700 900123", "(415) 555-0100"
+ * @param {string} countryCode - Alpha-2 country the number is read in
+ * @returns {{ e164: string, nationalNumber: string, country: string }|{ error: string, min?: number, max?: number }}
+ *   Normalized number, or an error: 'format' (not a phone number / unknown calling code) or 'length'
+ *   (wrong number of digits for the country, with the allowed range)
+ */
+export function normalizePhoneNumber(phoneNumber, countryCode) {
+  const raw = String(phoneNumber || '').trim();
+  if (!/^\+?[\d\s().-]+$/.test(raw)) {
+    return { error: 'format' };
+  }
+
+  const country = findCountry(countryCode);
+  if (/^(\+|00)/.test(raw) || !country) {
+    const parsed = parseInternationalNumber(raw);
+    if (!parsed) {
+      return { error: 'format' };
+    }
+    const rules = getPhoneNumberRules(parsed.country);
+    if (!fitsRules(parsed.nationalNumber, rules)) {
+      return { error: 'length', min: rules.min, max: rules.max };
+    }
+    return { e164: parsed.e164, nationalNumber: parsed.nationalNumber, country: parsed.country };
+  }
+
+  const rules = getPhoneNumberRules(country.alpha2);
+  const callingCode = country.callingCode;
+  let nationalNumber = toDigits(raw);
+
+  if (rules.trunkPrefix && nationalNumber.startsWith('0')) {
+    nationalNumber = nationalNumber.slice(1);
+  } else if (!fitsRules(nationalNumber, rules)) {
+    // NANP territories: "1 876 555 1234" / "876 555 1234" for +1876
+    const areaCode = callingCode.length === 4 && callingCode.startsWith('1') ? callingCode.slice(1) : null;
+    const withoutLeadingOne = nationalNumber.replace(/^1(?=\d{10}$)/, '');
+    if (nationalNumber.startsWith(callingCode) && fitsRules(nationalNumber.slice(callingCode.length), rules)) {
+      nationalNumber = nationalNumber.slice(callingCode.length);
+    } else if (areaCode && withoutLeadingOne.startsWith(areaCode)) {
+      nationalNumber = withoutLeadingOne.slice(areaCode.length);
+    }
+  }
+
+  if (!fitsRules(nationalNumber, rules)) {
+    return { error: 'length', min: rules.min, max: rules.max };
+  }
+  return { e164: `+${callingCode}${nationalNumber}`, nationalNumber, country: country.alpha2 };
+}
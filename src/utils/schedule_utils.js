@@ -0,0 +1,264 @@
+// Cron expressions and timezone arithmetic for scheduled messages.
+// Cron uses the standard five fields (minute hour day-of-month month day-of-week) evaluated in an
+// IANA timezone, so "0 9 * * 1" means 09:00 every Monday where the user lives, across DST changes.
+
+import { daysInMonth } from './date_utils.js';
+
+// Field ranges in cron order
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const CRON_ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+// How far ahead to look for the next run; covers "29 Feb" schedules
+const MAX_SEARCH_DAYS = 366 * 5;
+
+// Local date and time without seconds, e.g. 2026-11-02T09:30
+const LOCAL_DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+const formatters = new Map();
+
+// Cached formatter that splits an instant into wall-clock parts in a timezone
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * Check whether a string is an IANA timezone this runtime knows (e.g. "Asia/Kolkata")
+ * @param {string} timezone - Timezone name
+ * @returns {boolean} True if valid
+ */
+export function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') {
+    return false;
+  }
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, weekday: number}} Parts; month is 1-12, weekday 0 (Sunday) to 6
+ */
+export function getZonedParts(date, timezone) {
+  const parts = {};
+  getFormatter(timezone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    weekday: CRON_FIELDS[4].names.indexOf(parts.weekday.toLowerCase())
+  };
+}
+
+// Offset of a timezone from UTC at an instant, in milliseconds
+function getTimezoneOffset(timestamp, timezone) {
+  const parts = getZonedParts(new Date(timestamp), timezone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  return asUtc - Math.floor(timestamp / 60000) * 60000;
+}
+
+/**
+ * Convert a wall-clock time in a timezone to an instant. Times skipped by a DST change
+ * resolve to the same clock time after the change.
+ * @param {{year: number, month: number, day: number, hour: number, minute: number}} parts - Local time; month is 1-12
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} Instant
+ */
+export function zonedTimeToUtc({ year, month, day, hour, minute }, timezone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const firstOffset = getTimezoneOffset(guess, timezone);
+  let timestamp = guess - firstOffset;
+
+  const secondOffset = getTimezoneOffset(timestamp, timezone);
+  if (secondOffset !== firstOffset) {
+    timestamp = guess - secondOffset;
+  }
+  return new Date(timestamp);
+}
+
+/**
+ * Parse a date-time for scheduling. Strings with a UTC offset or "Z" are absolute; local
+ * date-times like "2026-11-02T09:30" are read in the given timezone.
+ * @param {string} value - Date-time string
+ * @param {string} timezone - IANA timezone for local date-times
+ * @returns {Date|null} Instant, or null if the value is not a valid date-time
+ */
+export function parseDateTimeInZone(value, timezone) {
+  const match = LOCAL_DATE_TIME_PATTERN.exec(String(value || '').trim());
+  if (match) {
+    const [, year, month, day, hour, minute] = match.map(Number);
+    if (month < 1 || month > 12 || day < 1 || day > daysInMonth(year, month) || hour > 23 || minute > 59) {
+      return null;
+    }
+    return zonedTimeToUtc({ year, month, day, hour, minute }, timezone);
+  }
+
+  if (!/(Z|[+-]\d{2}:?\d{2})$/i.test(String(value || '').trim())) {
+    return null;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Parse one cron field into the set of values it allows
+function parseCronField(text, { name, min, max, names }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepText}" in ${name} field`);
+    }
+
+    const toNumber = value => {
+      const index = names ? names.indexOf(value.toLowerCase()) : -1;
+      const number = index >= 0 ? index + (name === 'month' ? 1 : 0) : Number(value);
+      if (!Number.isInteger(number) || number < min || number > max) {
+        throw new Error(`Invalid value "${value}" in ${name} field (${min}-${max})`);
+      }
+      return number;
+    };
+
+    let start = min;
+    let end = max;
+    if (range !== '*') {
+      const bounds = range.split('-');
+      start = toNumber(bounds[0]);
+      end = bounds.length > 1 ? toNumber(bounds[1]) : (stepText === undefined ? start : max);
+      if (end < start) {
+        throw new Error(`Invalid range "${range}" in ${name} field`);
+      }
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+// A field is a wildcard when every part of it starts from "*", including steps like */2,
+// as in standard cron
+function isWildcardField(text) {
+  return text.split(',').every(part => part.split('/')[0] === '*');
+}
+
+/**
+ * Parse a five-field cron expression (or @hourly, @daily, @weekly, @monthly, @yearly).
+ * Fields support *, lists (1,15), ranges (1-5), steps (star/15) and month/day names.
+ * @param {string} expression - Cron expression
+ * @returns {Object} Parsed schedule for getNextCronRun
+ * @throws {Error} If the expression is invalid
+ */
+export function parseCron(expression) {
+  const normalized = String(expression || '').trim().toLowerCase();
+  const fields = (CRON_ALIASES[normalized] || normalized).split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error('Cron expression needs 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, index) => parseCronField(field, CRON_FIELDS[index]));
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0); // 7 is also Sunday
+  }
+
+  return {
+    expression: String(expression).trim(),
+    minutes: [...minutes].sort((a, b) => a - b),
+    hours: [...hours].sort((a, b) => a - b),
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // With both day fields restricted, cron matches either one
+    dayOfMonthRestricted: !isWildcardField(fields[2]),
+    dayOfWeekRestricted: !isWildcardField(fields[4])
+  };
+}
+
+// Check whether a calendar day matches a parsed schedule
+function matchesDay(schedule, month, day, weekday) {
+  if (!schedule.months.has(month)) {
+    return false;
+  }
+  const dayOfMonthMatches = schedule.daysOfMonth.has(day);
+  const dayOfWeekMatches = schedule.daysOfWeek.has(weekday);
+
+  if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+    return dayOfMonthMatches || dayOfWeekMatches;
+  }
+  return dayOfMonthMatches && dayOfWeekMatches;
+}
+
+/**
+ * Next time a cron schedule fires strictly after a given instant
+ * @param {string|Object} cron - Cron expression or result of parseCron
+ * @param {Date} after - Instant to search from
+ * @param {string} timezone - IANA timezone the schedule is written in
+ * @returns {Date|null} Next run, or null if there is none within five years
+ */
+export function getNextCronRun(cron, after, timezone) {
+  const schedule = typeof cron === 'string' ? parseCron(cron) : cron;
+  const start = getZonedParts(after, timezone);
+
+  for (let offset = 0; offset <= MAX_SEARCH_DAYS; offset++) {
+    // Calendar arithmetic on a UTC date avoids DST effects on day boundaries
+    const calendarDay = new Date(Date.UTC(start.year, start.month - 1, start.day + offset));
+    const year = calendarDay.getUTCFullYear();
+    const month = calendarDay.getUTCMonth() + 1;
+    const day = calendarDay.getUTCDate();
+
+    if (!matchesDay(schedule, month, day, calendarDay.getUTCDay())) {
+      continue;
+    }
+
+    for (const hour of schedule.hours) {
+      for (const minute of schedule.minutes) {
+        const candidate = zonedTimeToUtc({ year, month, day, hour, minute }, timezone);
+        if (candidate.getTime() > after.getTime()) {
+          return candidate;
+        }
+      }
+    }
+  }
+
+  return null;
+}
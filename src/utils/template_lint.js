@@ -0,0 +1,375 @@
+/**
+ * Local checks for WhatsApp message templates, run before a template is submitted to Meta,
+ * and a renderer that shows the text a user would receive for given parameters.
+ */
+
+// Limits and allowed values from the WhatsApp Cloud API template rules
+export const TEMPLATE_RULES = {
+  nameMaxLength: 512,
+  categories: ['MARKETING', 'UTILITY', 'AUTHENTICATION'],
+  componentOrder: ['HEADER', 'BODY', 'FOOTER', 'BUTTONS'],
+  headerFormats: ['TEXT', 'IMAGE', 'VIDEO', 'DOCUMENT', 'LOCATION'],
+  headerTextMaxLength: 60,
+  headerMaxPlaceholders: 1,
+  bodyMaxLength: 1024,
+  footerMaxLength: 60,
+  maxButtons: 10,
+  buttonTextMaxLength: 25,
+  buttonLimits: { URL: 2, PHONE_NUMBER: 1, COPY_CODE: 1, OTP: 1 },
+  buttonTypes: ['QUICK_REPLY', 'URL', 'PHONE_NUMBER', 'COPY_CODE', 'OTP']
+};
+
+// Any {{...}} placeholder, valid or not
+const PLACEHOLDER_PATTERN = /\{\{([^{}]*)\}\}/g;
+
+/**
+ * List the placeholders of a text in order of appearance
+ * @param {string} text - Component text
+ * @returns {Array<string>} Raw placeholder contents (e.g. ['1', '2'])
+ */
+function findPlaceholders(text) {
+  return [...(text || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1].trim());
+}
+
+/**
+ * Check that a text's placeholders are {{1}}, {{2}}, ... with no gaps, and that the text
+ * neither starts nor ends with one
+ * @param {Array<string>} errors - Collected errors
+ * @param {string} label - Component label used in messages
+ * @param {string} text - Component text
+ * @returns {number} Number of distinct placeholders
+ */
+function checkPlaceholders(errors, label, text) {
+  const placeholders = findPlaceholders(text);
+  if (placeholders.length === 0) {
+    return 0;
+  }
+
+  const invalid = placeholders.filter(placeholder => !/^\d+$/.test(placeholder));
+  if (invalid.length > 0) {
+    errors.push(`${label} has invalid placeholders: ${invalid.map(placeholder => `{{${placeholder}}}`).join(', ')} (use {{1}}, {{2}}, ...)`);
+    return placeholders.length;
+  }
+
+  const numbers = [...new Set(placeholders.map(Number))].sort((a, b) => a - b);
+  const missing = [];
+  for (let n = 1; n <= numbers[numbers.length - 1]; n++) {
+    if (!numbers.includes(n)) {
+      missing.push(`{{${n}}}`);
+    }
+  }
+  if (missing.length > 0) {
+    errors.push(`${label} placeholders must be numbered from {{1}} without gaps (missing ${missing.join(', ')})`);
+  }
+
+  const trimmed = text.trim();
+  if (/^\{\{[^{}]*\}\}/.test(trimmed) || /\{\{[^{}]*\}\}$/.test(trimmed)) {
+    errors.push(`${label} cannot start or end with a placeholder`);
+  }
+  if (/\}\}\s*\{\{/.test(text)) {
+    errors.push(`${label} cannot have placeholders next to each other`);
+  }
+
+  return numbers.length;
+}
+
+/**
+ * Check a text component's length
+ * @param {Array<string>} errors - Collected errors
+ * @param {string} label - Component label used in messages
+ * @param {string} text - Component text
+ * @param {number} maxLength - Maximum length
+ */
+function checkTextLength(errors, label, text, maxLength) {
+  if (!text || typeof text !== 'string') {
+    errors.push(`${label} text is required`);
+  } else if (text.length > maxLength) {
+    errors.push(`${label} text is ${text.length} characters (maximum ${maxLength})`);
+  }
+}
+
+/**
+ * Check the HEADER component
+ * @param {Array<string>} errors - Collected errors
+ * @param {Array<string>} warnings - Collected warnings
+ * @param {Object} header - HEADER component
+ */
+function lintHeader(errors, warnings, header) {
+  if (!TEMPLATE_RULES.headerFormats.includes(header.format)) {
+    errors.push(`Header format must be one of: ${TEMPLATE_RULES.headerFormats.join(', ')}`);
+    return;
+  }
+
+  if (header.format !== 'TEXT') {
+    if (header.text) {
+      errors.push(`${header.format} headers cannot have text`);
+    }
+    if (header.format !== 'LOCATION' && !(header.example && header.example.header_handle)) {
+      warnings.push(`${header.format} header has no example.header_handle; Meta requires a sample media file`);
+    }
+    return;
+  }
+
+  checkTextLength(errors, 'Header', header.text, TEMPLATE_RULES.headerTextMaxLength);
+  const count = checkPlaceholders(errors, 'Header', header.text);
+  if (count > TEMPLATE_RULES.headerMaxPlaceholders) {
+    errors.push(`Header can have at most ${TEMPLATE_RULES.headerMaxPlaceholders} placeholder`);
+  }
+  if (count > 0 && !(header.example && header.example.header_text)) {
+    errors.push('Header with a placeholder needs example.header_text');
+  }
+}
+
+/**
+ * Check the BODY component
+ * @param {Array<string>} errors - Collected errors
+ * @param {Object} body - BODY component
+ */
+function lintBody(errors, body) {
+  checkTextLength(errors, 'Body', body.text, TEMPLATE_RULES.bodyMaxLength);
+  const count = checkPlaceholders(errors, 'Body', body.text);
+  if (count === 0) {
+    return;
+  }
+
+  const examples = body.example && body.example.body_text && body.example.body_text[0];
+  if (!examples) {
+    errors.push('Body with placeholders needs example.body_text');
+  } else if (examples.length !== count) {
+    errors.push(`Body has ${count} placeholders but example.body_text has ${examples.length} values`);
+  }
+}
+
+/**
+ * Check the FOOTER component
+ * @param {Array<string>} errors - Collected errors
+ * @param {Object} footer - FOOTER component
+ */
+function lintFooter(errors, footer) {
+  checkTextLength(errors, 'Footer', footer.text, TEMPLATE_RULES.footerMaxLength);
+  if (findPlaceholders(footer.text).length > 0) {
+    errors.push('Footer cannot contain placeholders');
+  }
+}
+
+/**
+ * Check the BUTTONS component
+ * @param {Array<string>} errors - Collected errors
+ * @param {Object} component - BUTTONS component
+ */
+function lintButtons(errors, component) {
+  const buttons = component.buttons || [];
+  if (buttons.length === 0 || buttons.length > TEMPLATE_RULES.maxButtons) {
+    errors.push(`Templates need 1 to ${TEMPLATE_RULES.maxButtons} buttons (got ${buttons.length})`);
+  }
+
+  const counts = {};
+  buttons.forEach((button, index) => {
+    const label = `Button ${index + 1}`;
+    if (!TEMPLATE_RULES.buttonTypes.includes(button.type)) {
+      errors.push(`${label} type must be one of: ${TEMPLATE_RULES.buttonTypes.join(', ')}`);
+      return;
+    }
+    counts[button.type] = (counts[button.type] || 0) + 1;
+
+    if (button.type !== 'COPY_CODE' && button.type !== 'OTP') {
+      checkTextLength(errors, label, button.text, TEMPLATE_RULES.buttonTextMaxLength);
+    }
+
+    if (button.type === 'URL') {
+      if (!/^https:\/\/\S+$/i.test(button.url || '')) {
+        errors.push(`${label} url must be an https URL`);
+      } else {
+        const placeholders = findPlaceholders(button.url);
+        if (placeholders.length > 1 || (placeholders.length === 1 && !/\{\{1\}\}$/.test(button.url))) {
+          errors.push(`${label} url can only have one placeholder, {{1}}, at the end`);
+        } else if (placeholders.length === 1 && !button.example) {
+          errors.push(`${label} url with a placeholder needs an example`);
+        }
+      }
+    }
+
+    if (button.type === 'PHONE_NUMBER' && !/^\+?\d{6,15}$/.test(button.phone_number || '')) {
+      errors.push(`${label} phone_number must be a phone number in international format`);
+    }
+  });
+
+  Object.entries(TEMPLATE_RULES.buttonLimits).forEach(([type, limit]) => {
+    if ((counts[type] || 0) > limit) {
+      errors.push(`Templates can have at most ${limit} ${type} button${limit > 1 ? 's' : ''}`);
+    }
+  });
+
+  // Quick replies and call-to-action buttons must each be grouped together
+  const groups = buttons
+    .map(button => (button.type === 'QUICK_REPLY' ? 'QUICK_REPLY' : 'CTA'))
+    .filter((group, index, all) => index === 0 || all[index - 1] !== group);
+  if (groups.length > 2) {
+    errors.push('Quick reply buttons and call-to-action buttons must each be grouped together');
+  }
+}
+
+/**
+ * Check a template definition against the WhatsApp template rules
+ * @param {Object} template - Template JSON as sent to the message_templates endpoint
+ * @returns {{valid: boolean, errors: Array<string>, warnings: Array<string>}} Lint result
+ */
+export function lintTemplate(template) {
+  const errors = [];
+  const warnings = [];
+
+  if (!template || typeof template !== 'object') {
+    return { valid: false, errors: ['Template must be an object'], warnings };
+  }
+
+  if (!template.name || !/^[a-z0-9_]+$/.test(template.name)) {
+    errors.push('Name must contain only lowercase letters, numbers and underscores');
+  } else if (template.name.length > TEMPLATE_RULES.nameMaxLength) {
+    errors.push(`Name is ${template.name.length} characters (maximum ${TEMPLATE_RULES.nameMaxLength})`);
+  }
+
+  if (!template.language) {
+    errors.push('Language is required');
+  }
+
+  if (!TEMPLATE_RULES.categories.includes(template.category)) {
+    errors.push(`Category must be one of: ${TEMPLATE_RULES.categories.join(', ')}`);
+  }
+
+  const components = Array.isArray(template.components) ? template.components : [];
+  if (components.length === 0) {
+    errors.push('Components are required');
+    return { valid: false, errors, warnings };
+  }
+
+  const types = components.map(component => component.type);
+  types.forEach(type => {
+    if (!TEMPLATE_RULES.componentOrder.includes(type)) {
+      errors.push(`Unknown component type: ${type}`);
+    }
+  });
+  TEMPLATE_RULES.componentOrder.forEach(type => {
+    if (types.filter(t => t === type).length > 1) {
+      errors.push(`Only one ${type} component is allowed`);
+    }
+  });
+  if (!types.includes('BODY')) {
+    errors.push('A BODY component is required');
+  }
+
+  const order = types.filter(type => TEMPLATE_RULES.componentOrder.includes(type)).map(type => TEMPLATE_RULES.componentOrder.indexOf(type));
+  if (order.some((position, index) => index > 0 && position < order[index - 1])) {
+    errors.push(`Components must be in the order ${TEMPLATE_RULES.componentOrder.join(', ')}`);
+  }
+
+  components.forEach(component => {
+    switch (component.type) {
+      case 'HEADER':
+        lintHeader(errors, warnings, component);
+        break;
+      case 'BODY':
+        lintBody(errors, component);
+        break;
+      case 'FOOTER':
+        lintFooter(errors, component);
+        break;
+      case 'BUTTONS':
+        lintButtons(errors, component);
+        break;
+    }
+  });
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Get the display value of a send-time parameter
+ * @param {Object} parameter - Parameter object ({ type: 'text', text } etc.)
+ * @returns {string|null} Value, or null for media parameters
+ */
+function getParameterValue(parameter) {
+  switch (parameter.type) {
+    case 'text':
+      return parameter.text;
+    case 'currency':
+      return parameter.currency ? parameter.currency.fallback_value : null;
+    case 'date_time':
+      return parameter.date_time ? parameter.date_time.fallback_value : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Replace {{n}} placeholders with parameter values
+ * @param {Array<string>} errors - Collected errors
+ * @param {string} label - Component label used in messages
+ * @param {string} text - Component text
+ * @param {Array<Object>} parameters - Send-time parameters
+ * @returns {string} Rendered text (unfilled placeholders are left as is)
+ */
+function fillPlaceholders(errors, label, text, parameters) {
+  const count = new Set(findPlaceholders(text)).size;
+  if (parameters.length !== count) {
+    errors.push(`${label} expects ${count} parameter${count === 1 ? '' : 's'} but got ${parameters.length}`);
+  }
+
+  return text.replace(PLACEHOLDER_PATTERN, (placeholder, index) => {
+    const parameter = parameters[Number(index) - 1];
+    const value = parameter ? getParameterValue(parameter) : null;
+    return value === null || value === undefined ? placeholder : String(value);
+  });
+}
+
+/**
+ * Render the message a template produces for the given send-time components
+ * @param {Object} template - Template definition (name, components)
+ * @param {Array<Object>} components - Send-time components, as passed to sendTemplateMessage
+ * @returns {{header: string|null, body: string, footer: string|null, buttons: Array<Object>, text: string, errors: Array<string>}} Preview
+ */
+export function renderTemplatePreview(template, components = []) {
+  const errors = [];
+  const definition = type => (template.components || []).find(component => component.type === type);
+  const sent = type => components.find(component => component.type === type) || { parameters: [] };
+
+  const headerComponent = definition('HEADER');
+  let header = null;
+  if (headerComponent) {
+    header = headerComponent.format === 'TEXT'
+      ? fillPlaceholders(errors, 'Header', headerComponent.text || '', sent('header').parameters || [])
+      : `[${headerComponent.format}]`;
+  }
+
+  const bodyComponent = definition('BODY');
+  const body = bodyComponent ? fillPlaceholders(errors, 'Body', bodyComponent.text || '', sent('body').parameters || []) : '';
+
+  const footerComponent = definition('FOOTER');
+  const footer = footerComponent ? footerComponent.text : null;
+
+  const buttonsComponent = definition('BUTTONS');
+  const buttons = (buttonsComponent ? buttonsComponent.buttons : []).map((button, index) => {
+    const rendered = { type: button.type, text: button.text };
+    if (button.type === 'URL') {
+      const parameters = (components.find(component => component.type === 'button' && Number(component.index) === index) || {}).parameters || [];
+      rendered.url = fillPlaceholders(errors, `Button ${index + 1} url`, button.url || '', parameters);
+    }
+    if (button.type === 'PHONE_NUMBER') {
+      rendered.phoneNumber = button.phone_number;
+    }
+    return rendered;
+  });
+
+  const parts = [];
+  if (header) {
+    parts.push(`*${header}*`);
+  }
+  parts.push(body);
+  if (footer) {
+    parts.push(footer);
+  }
+  if (buttons.length > 0) {
+    parts.push(buttons.map(button => `[${button.text || button.type}]${button.url ? ` ${button.url}` : ''}${button.phoneNumber ? ` ${button.phoneNumber}` : ''}`).join('\n'));
+  }
+
+  return { header, body, footer, buttons, text: parts.join('\n\n'), errors };
+}
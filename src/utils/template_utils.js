@@ -1,5 +1,8 @@
 import fetch from 'node-fetch';
 import { logger } from './logger_utils.js';
+import { redisClient } from '../services/redis_client.js';
+import { recordOutboundMessage } from '../services/message_status_service.js';
+import { assertTemplateSendable, TEMPLATE_NOT_APPROVED } from '../services/template_registry.js';
 
 /**
  * Create a WhatsApp message template
@@ -41,22 +44,139 @@ export async function createTemplate(templateData) {
   }
 }
 
+// Largest number of pages followed when fetching every template
+const MAX_TEMPLATE_PAGES = 50;
+
+// Graph API query parameters accepted as template list filters
+const TEMPLATE_FILTERS = ['status', 'category', 'language', 'name'];
+
+/**
+ * Read the access token and WhatsApp Business Account id from the environment
+ * @returns {{accessToken: string, wabaId: string}} Credentials
+ */
+function getTemplateApiCredentials() {
+  const accessToken = process.env.META_ACCESS_TOKEN;
+  const wabaId = process.env.WHATSAPP_BUSINESS_ACCOUNT_ID;
+  
+  if (!accessToken || !wabaId) {
+    throw new Error('Missing required environment variables: META_ACCESS_TOKEN or WHATSAPP_BUSINESS_ACCOUNT_ID');
+  }
+  
+  return { accessToken, wabaId };
+}
+
 /**
- * Get all templates for a WhatsApp Business Account
- * @returns {Promise<Object>} Templates list
+ * Fetch one page of templates from a Graph API URL
+ * @param {string} url - message_templates URL (first page or a `paging.next` link)
+ * @param {string} accessToken - Meta access token
+ * @returns {Promise<Object>} Graph API response ({ data, paging })
  */
-export async function getTemplates() {
+async function fetchTemplatePage(url, accessToken) {
+  const response = await fetch(url, {
+    headers: {
+      'Authorization': `Bearer ${accessToken}`
+    }
+  });
+  
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(`WhatsApp Template API error: ${JSON.stringify(errorData)}`);
+  }
+  
+  return await response.json();
+}
+
+/**
+ * Get templates for a WhatsApp Business Account, one page at a time
+ * @param {Object} options - Filters and paging
+ * @param {string} options.status - Only templates with this status (e.g. APPROVED, PENDING, REJECTED)
+ * @param {string} options.category - Only templates of this category (MARKETING, UTILITY, AUTHENTICATION)
+ * @param {string} options.language - Only templates in this language (e.g. en_US)
+ * @param {string} options.name - Only templates whose name contains this value
+ * @param {number} options.limit - Page size
+ * @param {string} options.after - Cursor of the page to fetch (from a previous `paging.after`)
+ * @param {boolean} options.all - Follow `paging.next` and return every matching template
+ * @param {Array<string>} options.fields - Template fields to return (Graph API defaults when omitted)
+ * @returns {Promise<Object>} { data, paging: { after, hasMore } }
+ */
+export async function getTemplates(options = {}) {
   try {
-    const accessToken = process.env.META_ACCESS_TOKEN;
-    const wabaId = process.env.WHATSAPP_BUSINESS_ACCOUNT_ID;
+    const { accessToken, wabaId } = getTemplateApiCredentials();
     
-    if (!accessToken || !wabaId) {
-      throw new Error('Missing required environment variables: META_ACCESS_TOKEN or WHATSAPP_BUSINESS_ACCOUNT_ID');
+    const params = new URLSearchParams();
+    TEMPLATE_FILTERS.forEach(filter => {
+      if (options[filter]) {
+        // Status and category are upper case in the Graph API
+        params.set(filter, ['status', 'category'].includes(filter) ? String(options[filter]).toUpperCase() : options[filter]);
+      }
+    });
+    if (options.limit) {
+      params.set('limit', String(options.limit));
+    }
+    if (options.after) {
+      params.set('after', options.after);
+    }
+    if (options.fields) {
+      params.set('fields', options.fields.join(','));
+    }
+    
+    let url = `https://graph.facebook.com/v18.0/${wabaId}/message_templates?${params.toString()}`;
+    const templates = [];
+    let page;
+    let pages = 0;
+    
+    do {
+      page = await fetchTemplatePage(url, accessToken);
+      templates.push(...(page.data || []));
+      pages++;
+      url = page.paging && page.paging.next;
+    } while (options.all && url && pages < MAX_TEMPLATE_PAGES);
+    
+    if (options.all && url) {
+      logger.warn(`Stopped fetching templates after ${MAX_TEMPLATE_PAGES} pages`);
     }
     
-    const url = `https://graph.facebook.com/v18.0/${wabaId}/message_templates?access_token=${accessToken}`;
+    const paging = page.paging || {};
+    return {
+      data: templates,
+      paging: {
+        after: paging.cursors ? paging.cursors.after : null,
+        hasMore: !!paging.next
+      }
+    };
+    
+  } catch (error) {
+    logger.error(`Error fetching templates: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Edit an existing template. Only the category and components can be changed.
+ * @param {string} templateId - Template ID to edit
+ * @param {Object} changes - { category, components }
+ * @returns {Promise<Object>} Edit response
+ */
+export async function editTemplate(templateId, changes) {
+  try {
+    const { accessToken } = getTemplateApiCredentials();
     
-    const response = await fetch(url);
+    const body = {};
+    if (changes.category) {
+      body.category = changes.category;
+    }
+    if (changes.components) {
+      body.components = changes.components;
+    }
+    
+    const response = await fetch(`https://graph.facebook.com/v18.0/${templateId}`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
     
     if (!response.ok) {
       const errorData = await response.json();
@@ -64,10 +184,11 @@ export async function getTemplates() {
     }
     
     const result = await response.json();
+    logger.info(`Template edited successfully: ${templateId}`);
     return result;
     
   } catch (error) {
-    logger.error(`Error fetching templates: ${error.message}`);
+    logger.error(`Error editing template: ${error.message}`);
     throw error;
   }
 }
@@ -106,14 +227,55 @@ export async function deleteTemplate(templateId) {
   }
 }
 
+/**
+ * Delete a template by name. With `hsmId` only that template is deleted; without it every
+ * language version of the name is deleted.
+ * @param {string} name - Template name
+ * @param {string} hsmId - Optional template ID of the language version to delete
+ * @returns {Promise<Object>} Deletion response
+ */
+export async function deleteTemplateByName(name, hsmId = null) {
+  try {
+    const { accessToken, wabaId } = getTemplateApiCredentials();
+    
+    const params = new URLSearchParams({ name });
+    if (hsmId) {
+      params.set('hsm_id', hsmId);
+    }
+    
+    const response = await fetch(`https://graph.facebook.com/v18.0/${wabaId}/message_templates?${params.toString()}`, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`
+      }
+    });
+    
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(`WhatsApp Template API error: ${JSON.stringify(errorData)}`);
+    }
+    
+    const result = await response.json();
+    logger.info(`Template deleted successfully: ${name}${hsmId ? ` (${hsmId})` : ''}`);
+    return result;
+    
+  } catch (error) {
+    logger.error(`Error deleting template by name: ${error.message}`);
+    throw error;
+  }
+}
+
 /**
  * Send a template message
  * @param {string} to - Recipient phone number
  * @param {string} templateName - Name of the template to use
  * @param {Array} components - Template components with variables
+ * @param {string} language - Template language code
+ * @param {Object} details - Extra fields stored with the outbound message record (e.g. fallbackReason)
  * @returns {Promise<Object>} Send response
+ * @throws {Error} With code TEMPLATE_NOT_APPROVED when the template registry has the template in another status than APPROVED
  */
-export async function sendTemplateMessage(to, templateName, components = [], language = 'en') {
+export async function sendTemplateMessage(to, templateName, components = [], language = 'en', details = {}) {
   try {
     const accessToken = process.env.META_ACCESS_TOKEN;
     const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
@@ -122,6 +284,16 @@ export async function sendTemplateMessage(to, templateName, components = [], lan
       throw new Error('Missing required environment variables: META_ACCESS_TOKEN or WHATSAPP_PHONE_NUMBER_ID');
     }
     
+    // Rejected, paused or pending templates would only fail at WhatsApp
+    try {
+      await assertTemplateSendable(redisClient, templateName, language);
+    } catch (error) {
+      if (error.code === TEMPLATE_NOT_APPROVED) {
+        throw error;
+      }
+      logger.error(`Error checking template registry for ${templateName}: ${error.message}`);
+    }
+    
     const url = `https://graph.facebook.com/v18.0/${phoneNumberId}/messages`;
     
     const messageData = {
@@ -157,6 +329,7 @@ export async function sendTemplateMessage(to, templateName, components = [], lan
     
     const result = await response.json();
     logger.info(`Template message sent successfully: ${result.messages[0].id}`);
+    await recordOutboundMessage(redisClient, to, result, { ...details, kind: 'template', templateName });
     return result;
     
   } catch (error) {
@@ -182,7 +355,10 @@ export const TEMPLATE_EXAMPLES = {
       },
       {
         type: 'BODY',
-        text: 'Hi {{1}}, thank you for choosing us. We\'re here to help you with any questions.'
+        text: 'Hi {{1}}, thank you for choosing us. We\'re here to help you with any questions.',
+        example: {
+          body_text: [['John']]
+        }
       },
       {
         type: 'FOOTER',
@@ -204,11 +380,26 @@ export const TEMPLATE_EXAMPLES = {
       },
       {
         type: 'BODY',
-        text: 'Hi {{1}}, your order {{2}} has been confirmed. Total: ${{3}}. Expected delivery: {{4}}.'
+        text: 'Hi {{1}}, your order {{2}} has been confirmed. Total: ${{3}}. Expected delivery: {{4}}.',
+        example: {
+          body_text: [['John', 'ORD-1001', '49.99', '12 March']]
+        }
       },
       {
         type: 'FOOTER',
-        text: 'Track your order at {{5}}'
+        text: 'Thank you for your order'
+      },
+      {
+        // Footers cannot contain placeholders, so the tracking link is a URL button
+        type: 'BUTTONS',
+        buttons: [
+          {
+            type: 'URL',
+            text: 'Track your order',
+            url: 'https://example.com/track/{{1}}',
+            example: ['https://example.com/track/ORD-1001']
+          }
+        ]
       }
     ]
   },
@@ -226,11 +417,14 @@ export const TEMPLATE_EXAMPLES = {
       },
       {
         type: 'BODY',
-        text: 'Hi {{1}}, this is a reminder for your appointment on {{2}} at {{3}}. Location: {{4}}.'
+        text: 'Hi {{1}}, this is a reminder for your appointment on {{2}} at {{3}}. Location: {{4}}. Call {{5}} to reschedule.',
+        example: {
+          body_text: [['John', '12 March', '10:30', '221B Baker Street', '+14155550100']]
+        }
       },
       {
         type: 'FOOTER',
-        text: 'Call {{5}} to reschedule'
+        text: 'Reply to this message if you have questions'
       }
     ]
   },
@@ -248,7 +442,10 @@ export const TEMPLATE_EXAMPLES = {
       },
       {
         type: 'BODY',
-        text: 'Hi {{1}}, we are here to help you. Please select an option below.'
+        text: 'Hi {{1}}, we are here to help you. Please select an option below.',
+        example: {
+          body_text: [['John']]
+        }
       },
       {
         type: 'BUTTONS',
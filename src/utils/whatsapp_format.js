@@ -0,0 +1,143 @@
+// WhatsApp text formatting.
+// Bot messages are written in a small markdown dialect (**bold**, __italic__, ~~strike~~, # headings,
+// [label](url)); WhatsApp uses *bold*, _italic_, ~strike~ and renders markdown literally.
+
+// Maximum length of a WhatsApp text message body
+export const TEXT_BODY_LIMIT = 4096;
+
+// Maximum length of a template body parameter
+export const TEMPLATE_PARAMETER_LIMIT = 1000;
+
+// Characters WhatsApp treats as formatting markers
+const FORMATTING_CHARS = /[*_~`]/g;
+
+// Zero-width space: placed after a marker it stops WhatsApp (and our converter) from pairing it
+const ZERO_WIDTH_SPACE = '\u200B';
+
+// Emails and URLs, which users copy back from the bot's messages and are shown exactly as typed
+const EMAIL_OR_URL_PATTERN = /^(?:[^\s@]+@[^\s@]+\.[^\s@]+|https?:\/\/\S+)$/i;
+
+// A single *, _ or ~ between two letters or digits (first_last, 2*3) never opens or closes formatting
+function isWordInternalMarker(text, index) {
+  return text[index] !== '`' &&
+    /[\p{L}\p{N}]/u.test(text[index - 1] || '') &&
+    /[\p{L}\p{N}]/u.test(text[index + 1] || '');
+}
+
+/**
+ * Escape a user-supplied value before interpolating it into a bot message, so characters
+ * like * or _ in names or addresses are shown as typed instead of formatting the text.
+ * Only markers that could pair up into formatting are escaped; emails and URLs are left untouched.
+ * @param {*} value - Value to escape (null/undefined become an empty string)
+ * @returns {string} Escaped value
+ */
+export function escapeUserValue(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = String(value);
+  if (EMAIL_OR_URL_PATTERN.test(text.trim())) {
+    return text;
+  }
+  return text.replace(FORMATTING_CHARS, (match, index) =>
+    (isWordInternalMarker(text, index) ? match : `${match}${ZERO_WIDTH_SPACE}`));
+}
+
+// Convert markdown in a piece of text that is not inside a code span
+function convertMarkdown(text) {
+  return text
+    .replace(/^#{1,6}\s+(.+)$/gm, '*$1*')              // # Heading -> *Heading*
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '*$1*')     // **bold** -> *bold*
+    .replace(/__(?=\S)([\s\S]*?\S)__/g, '_$1_')         // __italic__ -> _italic_
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '~$1~')         // ~~strike~~ -> ~strike~
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '$1: $2'); // [label](url) -> label: url
+}
+
+/**
+ * Convert the bot's markdown dialect to WhatsApp formatting. Code spans (`code`) and
+ * code blocks (```code```) are left untouched.
+ * @param {string} text - Message text
+ * @returns {string} WhatsApp-formatted text
+ */
+export function toWhatsAppFormat(text) {
+  if (!text) {
+    return text;
+  }
+
+  return text
+    .split(/(```[\s\S]*?```|`[^`\n]*`)/g)
+    .map((segment, index) => (index % 2 === 1 ? segment : convertMarkdown(segment)))
+    .join('');
+}
+
+// Split a block that is longer than the limit on the given separator, packing pieces greedily
+function packPieces(pieces, separator, limit) {
+  const chunks = [];
+  let current = '';
+
+  for (const piece of pieces) {
+    const candidate = current ? `${current}${separator}${piece}` : piece;
+    if (candidate.length <= limit) {
+      current = candidate;
+      continue;
+    }
+
+    if (current) {
+      chunks.push(current);
+    }
+    current = piece;
+  }
+
+  if (current) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+/**
+ * Split a message into ordered parts that each fit the text body limit. Splits on paragraph
+ * boundaries first, then on lines, and only cuts inside a line when a single line is too long.
+ * @param {string} text - Message text
+ * @param {number} limit - Maximum length of one part
+ * @returns {Array<string>} Message parts, in sending order
+ */
+export function splitMessage(text, limit = TEXT_BODY_LIMIT) {
+  if (!text || text.length <= limit) {
+    return [text];
+  }
+
+  const parts = [];
+
+  for (const chunk of packPieces(text.split(/\n{2,}/), '\n\n', limit)) {
+    if (chunk.length <= limit) {
+      parts.push(chunk);
+      continue;
+    }
+
+    // One paragraph is longer than the limit: fall back to lines, then to hard cuts
+    for (const lineChunk of packPieces(chunk.split('\n'), '\n', limit)) {
+      for (let start = 0; start < lineChunk.length; start += limit) {
+        parts.push(lineChunk.slice(start, start + limit));
+      }
+    }
+  }
+
+  return parts;
+}
+
+/**
+ * Turn a value into a valid template body parameter. WhatsApp rejects parameters that contain
+ * newlines or tabs, more than four consecutive spaces, or are empty.
+ * @param {*} value - Parameter value
+ * @returns {string} Single-line parameter, cut to the parameter limit
+ */
+export function toTemplateParameter(value) {
+  const text = String(value === undefined || value === null ? '' : value)
+    .replace(/\s*[\n\t]\s*/g, ' ')
+    .replace(/ {4,}/g, '   ')
+    .trim();
+  if (!text) {
+    return '-';
+  }
+  return text.length > TEMPLATE_PARAMETER_LIMIT ? `${text.substring(0, TEMPLATE_PARAMETER_LIMIT - 1)}…` : text;
+}